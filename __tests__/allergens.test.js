@@ -0,0 +1,140 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { loadDataFromFile } = require('../src/dataHandler');
+const { createAllergenConfig, loadAllergenFile, matchAllergens, findAllergyAlert } = require('../src/allergens');
+const { generateLunchLabels } = require('../src/labelGenerator');
+const { buildKitchenSummary } = require('../src/kitchenSummary');
+const { getTemplateByName } = require('../src/templates');
+
+const EXAMPLE_ORDERS = path.join(__dirname, '..', 'examples', 'lunch-orders.csv');
+
+// Orders whose labels have an allergy band, from a preview record
+function ordersWithBands(preview) {
+  return preview.labels.filter(label => preview.pages[label.page].ops.some(op => op.type === 'text'
+    && op.text.startsWith('ALLERGY')
+    && op.x >= label.x && op.x <= label.x + label.width
+    && op.y >= label.y && op.y <= label.y + label.height)).map(label => label.orderId);
+}
+
+describe('matchAllergens', () => {
+  const config = createAllergenConfig();
+
+  test.each([
+    ['Extra cheese'],
+    ['Likes milk'],
+    ['Extra cheese, no onions'],
+    ['Donut for dessert'],
+  ])('ignores foods asked for: %s', text => {
+    expect(matchAllergens(text, config)).toEqual([]);
+  });
+
+  test.each([
+    ['No nuts', ['tree nuts']],
+    ['Gluten-free', ['gluten']],
+    ['No nuts or dairy', ['tree nuts', 'dairy']],
+    ['Allergic to eggs and milk', ['dairy', 'eggs']],
+    ['EpiPen for peanuts', ['peanuts']],
+    ['Lactose intolerant', ['dairy']],
+    ['Severe peanut allergy. Extra cheese', ['peanuts']],
+  ])('finds allergies: %s', (text, expected) => {
+    expect(matchAllergens(text, config)).toEqual(expected);
+  });
+
+  test('matches every keyword in contents and allergies fields', () => {
+    expect(matchAllergens('Pasta + Cheese', config, true)).toEqual(['dairy']);
+    expect(findAllergyAlert({ contents: 'Pasta + Milk' }, createAllergenConfig({ fields: 'contents' })).notes).toEqual(['Contains dairy']);
+    expect(findAllergyAlert({ allergies: 'kiwi' }, config).notes).toEqual(['kiwi']);
+    expect(findAllergyAlert({ allergies: 'None' }, config)).toBeNull();
+  });
+});
+
+describe('createAllergenConfig', () => {
+  test('expands built-in names and takes other names as their own keyword', () => {
+    const config = createAllergenConfig({ allergens: 'Peanuts, kiwi', fields: 'allergies, notes' });
+    expect(config.allergens.map(allergen => allergen.name)).toEqual(['peanuts', 'kiwi']);
+    expect(config.fields).toEqual(['allergies', 'notes']);
+    expect(matchAllergens('kiwi, peanut', config, true)).toEqual(['peanuts', 'kiwi']);
+  });
+
+  test('takes an object of name: keywords', () => {
+    const config = createAllergenConfig({ allergens: { mustard: ['mustard', 'dijon'] } });
+    expect(matchAllergens('Allergic to Dijon', config)).toEqual(['mustard']);
+    expect(config.fields).toEqual(['allergies', 'specialInstructions']);
+  });
+
+  test('matches whole words only', () => {
+    expect(matchAllergens('Donut, coconut, nut-free', createAllergenConfig(), true)).toEqual(['tree nuts']);
+    expect(matchAllergens('Donut and coconut', createAllergenConfig(), true)).toEqual([]);
+  });
+
+  test('rejects anything else', () => {
+    expect(() => createAllergenConfig({ allergens: 5 })).toThrow('Allergens must be a list of names or an object of name: keywords');
+  });
+});
+
+describe('loadAllergenFile', () => {
+  let dir;
+
+  beforeAll(async() => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'allergens-'));
+  });
+
+  afterAll(async() => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('reads JSON and names the file when it is missing or invalid', async() => {
+    const good = path.join(dir, 'good.json');
+    const bad = path.join(dir, 'bad.json');
+    await fs.writeFile(good, '{ "allergens": ["sesame"] }');
+    await fs.writeFile(bad, '{ allergens');
+    await expect(loadAllergenFile(good)).resolves.toEqual({ allergens: ['sesame'] });
+    await expect(loadAllergenFile(bad)).rejects.toThrow(`Invalid allergen file ${bad}`);
+    await expect(loadAllergenFile(path.join(dir, 'none.json'))).rejects.toThrow('Allergen file not found');
+  });
+});
+
+describe('allergy notes that do not fit', () => {
+  const orders = [{
+    orderId: 'L1',
+    studentName: 'Ann Lee',
+    grade: '3rd',
+    contents: 'Pizza',
+    allergies: 'Severe peanut, tree nut, sesame, egg and shellfish allergies; carries an EpiPen at all times; call the nurse before serving anything new',
+  }];
+
+  test('stop generation by default', async() => {
+    await expect(generateLunchLabels(orders, getTemplateByName('5167'), { allergyAlerts: true, silent: true }))
+      .rejects.toThrow('Allergy note for order L1 does not fit on the label beside the order ID and name');
+  });
+
+  test('print at the smallest size with a warning when overflow is allowed', async() => {
+    const allergyAlerts = createAllergenConfig({ allowOverflow: true });
+    const result = await generateLunchLabels(orders, getTemplateByName('5167'), { allergyAlerts, silent: true });
+    expect(result.warnings).toContainEqual(expect.objectContaining({ code: 'allergen-overflow', field: 'allergies' }));
+  });
+});
+
+describe('allergy alerts on the example orders', () => {
+  let orders;
+
+  beforeAll(async() => {
+    orders = await loadDataFromFile(EXAMPLE_ORDERS, { silent: true });
+  });
+
+  test('LUNCH007 ("Extra cheese") gets no allergy band', async() => {
+    const result = await generateLunchLabels(orders, getTemplateByName('5160'), { allergyAlerts: true, preview: true, silent: true });
+    const banded = ordersWithBands(result.preview);
+    expect(banded).not.toContain('LUNCH007');
+    expect(banded).toEqual(['LUNCH001', 'LUNCH003', 'LUNCH005']);
+  });
+
+  test('the kitchen summary lists "Extra cheese" outside Allergies', () => {
+    const summary = buildKitchenSummary(orders);
+    const allergies = summary.instructions.find(group => group.type === 'Allergies');
+    expect(allergies.entries.map(entry => entry.text)).toEqual(['Gluten-free', 'No dairy', 'No nuts']);
+    const other = summary.instructions.find(group => group.type === 'Other');
+    expect(other.entries.map(entry => entry.text)).toContain('Extra cheese');
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const api = require('../src/api');
+
+const ORDERS = require('../examples/lunch-orders.json');
+const TEMPLATE = api.getTemplateByName('5160');
+const LONG_NAME = { orderId: 'L1', studentName: 'Maximiliana Alexandrovna Featherstonehaugh', grade: '3rd', contents: 'Pizza' };
+
+function recordingLogger() {
+  const messages = [];
+  const logger = {};
+  ['info', 'success', 'warning', 'error', 'debug'].forEach(level => {
+    logger[level] = message => messages.push({ level, message });
+  });
+  return { logger, messages };
+}
+
+describe('api exports', () => {
+  test('every function and constant declared in api.d.ts', () => {
+    const declarations = fs.readFileSync(path.join(__dirname, '..', 'src', 'api.d.ts'), 'utf8');
+    const names = [...declarations.matchAll(/^export (?:function|const) (\w+)/gm)].map(match => match[1]);
+    expect(names.length).toBeGreaterThan(20);
+    names.forEach(name => expect(api[name]).toBeDefined());
+  });
+});
+
+describe('generateLunchLabels', () => {
+  let log;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  test('returns the PDF bytes without writing or logging when silent', async() => {
+    const result = await api.generateLunchLabels(ORDERS, TEMPLATE, { silent: true });
+    expect(result.pdfBytes).toBeInstanceOf(Uint8Array);
+    expect(result).toMatchObject({ pageCount: 1, labelCount: 10, orderCount: 10, labelsByPage: [10], warnings: [] });
+    const pdf = await PDFDocument.load(result.pdfBytes);
+    expect(pdf.getPageCount()).toBe(1);
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  test('logs through an injected logger', async() => {
+    const { logger, messages } = recordingLogger();
+    await api.generateLunchLabels(ORDERS, TEMPLATE, { logger });
+    expect(messages).toContainEqual({ level: 'info', message: 'Generating PDF with 10 labels...' });
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  test('adapts loggers with warn instead of warning, and returns the warnings too', async() => {
+    const logger = { info: jest.fn(), warn: jest.fn() };
+    const result = await api.generateLunchLabels([LONG_NAME], api.getTemplateByName('5167'), { logger });
+    expect(result.warnings).toEqual([expect.objectContaining({ code: 'name-truncated', orderId: 'L1', field: 'studentName' })]);
+    expect(logger.warn).toHaveBeenCalledWith(result.warnings[0].message);
+  });
+
+  test('rejects orders that break the schema', async() => {
+    await expect(api.generateLunchLabels([{ orderId: 'L1' }], TEMPLATE, { silent: true })).rejects.toThrow();
+  });
+});
+
+describe('createLunchLabels', () => {
+  test('writes the PDF and returns the result without the bytes', async() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'labels-'));
+    try {
+      const outputPath = path.join(dir, 'out', 'labels.pdf');
+      const result = await api.createLunchLabels(ORDERS, TEMPLATE, outputPath, { silent: true });
+      expect(result.outputPath).toBe(outputPath);
+      expect(result.pdfBytes).toBeUndefined();
+      expect(fs.readFileSync(outputPath).subarray(0, 5).toString()).toBe('%PDF-');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('createLunchLabelsStream', () => {
+  test('streams the same PDF', async() => {
+    const chunks = [];
+    for await (const chunk of api.createLunchLabelsStream(ORDERS, TEMPLATE, { silent: true })) {
+      chunks.push(chunk);
+    }
+    const pdf = await PDFDocument.load(Buffer.concat(chunks));
+    expect(pdf.getPageCount()).toBe(1);
+  });
+});
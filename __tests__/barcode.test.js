@@ -0,0 +1,96 @@
+const { encodeCode128, code128Widths, reserveBarcodeArea, drawBarcode } = require('../src/barcode');
+const { generateLunchLabels } = require('../src/labelGenerator');
+const { getTemplateByName } = require('../src/templates');
+
+// A page that only records the rectangles drawn on it
+const recordingPage = () => {
+  const rectangles = [];
+  return { rectangles, drawRectangle: options => rectangles.push(options) };
+};
+
+describe('Code 128', () => {
+  test('encodes text in code set B with its checksum', () => {
+    expect(encodeCode128('PJJ123C')).toEqual([104, 48, 42, 42, 17, 18, 19, 35, 55, 106]);
+  });
+
+  test('packs even-length digit strings two to a symbol in code set C', () => {
+    expect(encodeCode128('1234')).toEqual([105, 12, 34, 82, 106]);
+    expect(encodeCode128(123)[0]).toBe(104);
+  });
+
+  test('rejects empty and non-ASCII values', () => {
+    expect(() => encodeCode128('')).toThrow('Code 128 value cannot be empty');
+    expect(() => encodeCode128('Zoë')).toThrow('Code 128 cannot encode "ë"; use a QR code for non-ASCII values');
+  });
+
+  test('gives 11 modules per symbol and 13 for the stop, starting with a bar', () => {
+    const widths = code128Widths('1234');
+    expect(widths.reduce((sum, width) => sum + width, 0)).toBe(4 * 11 + 13);
+    expect(widths).toHaveLength(4 * 6 + 7);
+  });
+});
+
+describe('barcode areas', () => {
+  const box = { x: 10, y: 20, width: 200, height: 60 };
+
+  test('put QR codes in the top-right corner, text to their left', () => {
+    expect(reserveBarcodeArea('qr', box)).toEqual({
+      barcode: { x: 150, y: 20, width: 60, height: 60 },
+      text: { x: 10, y: 20, width: 137, height: 60 },
+    });
+  });
+
+  test('run Code 128 along the bottom, text above it', () => {
+    expect(reserveBarcodeArea('code128', box)).toEqual({
+      barcode: { x: 10, y: 20, width: 200, height: 18 },
+      text: { x: 10, y: 41, width: 200, height: 39 },
+    });
+  });
+});
+
+describe('drawBarcode', () => {
+  test('draws Code 128 bars inside the box', () => {
+    const page = recordingPage();
+    drawBarcode(page, 'code128', 'L1', { x: 0, y: 0, width: 150, height: 20 });
+    expect(page.rectangles).toHaveLength(Math.ceil(code128Widths('L1').length / 2));
+    page.rectangles.forEach(rectangle => {
+      expect(rectangle.x).toBeGreaterThanOrEqual(0);
+      expect(rectangle.x + rectangle.width).toBeLessThanOrEqual(150);
+    });
+  });
+
+  test('draws QR modules inside the box', () => {
+    const page = recordingPage();
+    drawBarcode(page, 'qr', 'L1', { x: 0, y: 0, width: 60, height: 60 });
+    expect(page.rectangles.length).toBeGreaterThan(0);
+    page.rectangles.forEach(rectangle => {
+      expect(rectangle.x + rectangle.width).toBeLessThanOrEqual(60);
+      expect(rectangle.y).toBeGreaterThanOrEqual(0);
+    });
+  });
+
+  test('refuses boxes too small to scan and unknown types', () => {
+    expect(() => drawBarcode(recordingPage(), 'code128', 'LUNCH000123', { x: 0, y: 0, width: 40, height: 20 })).toThrow(/^needs \d+pt of width, label has 40pt$/);
+    expect(() => drawBarcode(recordingPage(), 'qr', 'L1', { x: 0, y: 0, width: 10, height: 10 })).toThrow(/^needs a \d+pt square/);
+    expect(() => drawBarcode(recordingPage(), 'ean13', 'L1', { x: 0, y: 0, width: 60, height: 60 })).toThrow('Unknown barcode type: ean13. Supported types: code128, qr');
+  });
+});
+
+describe('barcodes on labels', () => {
+  const orders = [
+    { orderId: 'L1', studentName: 'Zoë Brown', grade: '3rd', contents: 'Pizza', room: '' },
+    { orderId: 'L2', studentName: 'Ann Lee', grade: '3rd', contents: 'Pizza', room: '12' },
+  ];
+
+  test('leave the barcode off with a warning when a value cannot be drawn', async() => {
+    const result = await generateLunchLabels(orders, getTemplateByName('5160'), { barcode: 'code128', barcodeField: 'studentName', silent: true });
+    expect(result.warnings).toEqual([expect.objectContaining({ code: 'barcode-omitted', orderId: 'L1', field: 'studentName' })]);
+
+    const empty = await generateLunchLabels(orders, getTemplateByName('5160'), { barcode: 'qr', barcodeField: 'room', silent: true });
+    expect(empty.warnings).toEqual([expect.objectContaining({ code: 'barcode-omitted', message: 'Barcode for order L1 omitted: room is empty' })]);
+  });
+
+  test('reject unknown barcode types before drawing', async() => {
+    await expect(generateLunchLabels(orders, getTemplateByName('5160'), { barcode: 'ean13', silent: true })).rejects.toThrow('Unknown barcode type: ean13');
+  });
+});
@@ -0,0 +1,118 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { PDFDocument } = require('pdf-lib');
+const {
+  normalizeProfile,
+  loadPrinterProfile,
+  savePrinterProfile,
+  removePrinterProfile,
+  applyPrinterProfile,
+  correctProfile,
+  createCalibrationSheet,
+} = require('../src/calibration');
+const { getTemplateByName } = require('../src/templates');
+
+describe('normalizeProfile', () => {
+  test('fills in missing corrections and takes numeric strings', () => {
+    expect(normalizeProfile({ offsetX: '1.5', scaleY: 0.99 })).toEqual({ offsetX: 1.5, offsetY: 0, scaleX: 1, scaleY: 0.99 });
+  });
+
+  test.each([
+    [null, 'Invalid printer profile: expected { offsetX, offsetY, scaleX, scaleY }'],
+    [{ offsetX: 25 }, 'Invalid printer profile: offsetX must be millimetres from -20 to 20'],
+    [{ offsetY: 'abc' }, 'Invalid printer profile: offsetY must be millimetres from -20 to 20'],
+    [{ scaleX: 1.2 }, 'Invalid printer profile: scaleX must be from 0.9 to 1.1'],
+    [{ scaleY: 'abc' }, 'Invalid printer profile: scaleY must be from 0.9 to 1.1'],
+  ])('rejects %j', (profile, message) => {
+    expect(() => normalizeProfile(profile)).toThrow(message);
+  });
+});
+
+describe('saved printer profiles', () => {
+  let configDir;
+
+  beforeEach(async() => {
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'printers-'));
+  });
+
+  afterEach(async() => {
+    await fs.rm(configDir, { recursive: true, force: true });
+  });
+
+  test('save, load by name or as the default, and remove', async() => {
+    expect(await loadPrinterProfile(undefined, { configDir })).toBeNull();
+    const file = await savePrinterProfile('office', { offsetX: 1 }, { configDir, makeDefault: true });
+    expect(file).toBe(path.join(configDir, 'printers.json'));
+    await savePrinterProfile('library', { scaleX: 1.01 }, { configDir });
+
+    expect(await loadPrinterProfile('library', { configDir })).toEqual({ name: 'library', offsetX: 0, offsetY: 0, scaleX: 1.01, scaleY: 1 });
+    expect(await loadPrinterProfile(undefined, { configDir })).toMatchObject({ name: 'office', offsetX: 1 });
+    expect(await loadPrinterProfile('none', { configDir })).toBeNull();
+
+    expect(await removePrinterProfile('office', { configDir })).toBe(true);
+    expect(await removePrinterProfile('office', { configDir })).toBe(false);
+    expect(JSON.parse(await fs.readFile(file, 'utf8')).defaultPrinter).toBeNull();
+  });
+
+  test('say which profiles exist when the name is unknown', async() => {
+    await expect(loadPrinterProfile('office', { configDir })).rejects.toThrow('Unknown printer profile: office. Save one with "./run.sh calibrate save"');
+    await savePrinterProfile('library', {}, { configDir });
+    await expect(loadPrinterProfile('office', { configDir })).rejects.toThrow('Unknown printer profile: office. Saved profiles: library');
+    expect(await loadPrinterProfile('office', { configDir, optional: true })).toBeNull();
+  });
+
+  test('check profiles in the file when loading them', async() => {
+    await fs.writeFile(path.join(configDir, 'printers.json'), JSON.stringify({ printers: { old: { scaleX: 2 } } }));
+    await expect(loadPrinterProfile('old', { configDir })).rejects.toThrow('Invalid printer profile old: scaleX must be from 0.9 to 1.1');
+    await fs.writeFile(path.join(configDir, 'printers.json'), '{');
+    await expect(loadPrinterProfile('old', { configDir })).rejects.toThrow('Invalid printer profile file');
+  });
+});
+
+describe('correctProfile', () => {
+  const template = getTemplateByName('5160');
+  const profile = { offsetX: 0, offsetY: 0, scaleX: 1, scaleY: 1 };
+
+  test('moves by the first label\'s readings', () => {
+    expect(correctProfile(profile, { firstX: 1.5, firstY: -0.5 }, template)).toEqual({ offsetX: 1.5, offsetY: -0.5, scaleX: 1, scaleY: 1 });
+  });
+
+  test('scales by the difference between the first and last labels', () => {
+    // The first and last labels' left edges are 139.7mm apart on 5160
+    const corrected = correctProfile(profile, { firstX: 1.5, lastX: 1.5 + 1.397 }, template);
+    expect(corrected).toEqual({ offsetX: 1.45, offsetY: 0, scaleX: 1.01, scaleY: 1 });
+  });
+
+  test('adds to the profile the sheet was printed with', () => {
+    expect(correctProfile({ ...profile, offsetY: 1 }, { firstY: 0.5 }, template).offsetY).toBe(1.5);
+  });
+
+  test('rejects readings that are not numbers', () => {
+    expect(() => correctProfile(profile, { firstX: NaN }, template)).toThrow('Invalid reading firstX: NaN. Readings are millimetres off the scale');
+    expect(() => correctProfile(profile, { firstY: '2' }, template)).toThrow('Invalid reading firstY: 2');
+  });
+});
+
+describe('applying profiles', () => {
+  test('scales about the top-left corner, then moves right and down', () => {
+    const calls = [];
+    const page = {
+      getSize: () => ({ width: 612, height: 792 }),
+      scaleContent: (x, y) => calls.push(['scale', x, y]),
+      translateContent: (x, y) => calls.push(['translate', x, y]),
+    };
+    applyPrinterProfile(page, { offsetX: 25.4, offsetY: 25.4, scaleX: 1, scaleY: 0.5 });
+    expect(calls[0]).toEqual(['scale', 1, 0.5]);
+    expect(calls[1][0]).toBe('translate');
+    expect(calls[1][1]).toBeCloseTo(72);
+    expect(calls[1][2]).toBeCloseTo(396 - 72);
+  });
+
+  test('print calibration sheets on the template\'s page', async() => {
+    const bytes = await createCalibrationSheet(getTemplateByName('L7160'), { name: 'office', ...normalizeProfile({ offsetX: 1 }) });
+    const pdfDoc = await PDFDocument.load(bytes);
+    expect(pdfDoc.getPageCount()).toBe(1);
+    expect(pdfDoc.getPage(0).getSize().width).toBeCloseTo(595.28, 1);
+  });
+});
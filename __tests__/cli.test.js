@@ -0,0 +1,53 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'src', 'index.js');
+
+// Runs the CLI in cwd with no input. Resolves { code, output } with
+// stdout and stderr together.
+function runCli(args, cwd) {
+  return new Promise(resolve => {
+    const child = execFile(process.execPath, [CLI, ...args], { cwd, timeout: 30000, env: { ...process.env, FORCE_COLOR: '0' } }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, output: stdout + stderr });
+    });
+    child.stdin.end();
+  });
+}
+
+describe('generate --dry-run', () => {
+  let dir;
+
+  beforeAll(async() => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-'));
+    await fs.writeFile(path.join(dir, 'orders.csv'), 'orderId,studentName,grade,contents\nL1,Maximiliana Alexandrovna Featherstonehaugh,3rd,Pizza\nL2,Ann Lee,3rd,Pizza\n');
+  });
+
+  afterAll(async() => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('reports sheets and degraded labels by row without writing a PDF', async() => {
+    const { code, output } = await runCli(['generate', '-f', 'orders.csv', '--template-name', '5167', '--dry-run'], dir);
+    expect(code).toBe(0);
+    expect(output).toContain('1 sheet, 2 labels for 2 orders');
+    expect(output).toContain('1 order would print degraded:');
+    expect(output).toContain('L1 (row 2)');
+    expect(output).toContain('Student name for order L1 truncated to fit label');
+    expect(await fs.readdir(dir)).toEqual(['orders.csv']);
+  });
+
+  test('exits with 1 under --strict when labels would be degraded', async() => {
+    const { code, output } = await runCli(['generate', '-f', 'orders.csv', '--template-name', '5167', '--dry-run', '--strict'], dir);
+    expect(code).toBe(1);
+    expect(output).toContain('Strict mode: generate would fail for these labels');
+  });
+
+  test('fails without writing under --strict when not a dry run', async() => {
+    const { code, output } = await runCli(['generate', '-f', 'orders.csv', '--template-name', '5167', '--strict', '-o', 'labels.pdf'], dir);
+    expect(code).toBe(1);
+    expect(output).toContain('Strict mode: 1 order would print degraded labels');
+    expect(await fs.readdir(dir)).toEqual(['orders.csv']);
+  });
+});
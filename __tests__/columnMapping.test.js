@@ -0,0 +1,76 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { resolveColumnMapping, parseMappingSpec, applyColumnMapping, mappedHeaders } = require('../src/columnMapping');
+const { parseCSV } = require('../src/dataHandler');
+
+describe('header aliases', () => {
+  test('recognise common headers without a mapping', () => {
+    const orders = parseCSV('Order #,Child Name,Grade Level,Meal,Dietary Notes\n17,Emma,3rd,Pizza,No nuts\n');
+    expect(orders[0]).toMatchObject({ orderId: '17', studentName: 'Emma', grade: '3rd', contents: 'Pizza', specialInstructions: 'No nuts' });
+  });
+
+  test('compare headers ignoring case, spaces and punctuation', () => {
+    const rows = applyColumnMapping([{ ORDER_ID: '1' }], ['ORDER_ID'], null);
+    expect(rows[0].orderId).toBe('1');
+  });
+
+  test('keep columns that are not mapped', () => {
+    const rows = applyColumnMapping([{ orderId: '1', Room: '12' }], ['orderId', 'Room'], null);
+    expect(rows[0].Room).toBe('12');
+  });
+});
+
+describe('parseMappingSpec', () => {
+  test('reads renames and joined columns', () => {
+    expect(parseMappingSpec('studentName=First Name+Last Name;grade=Class')).toEqual({
+      columns: { studentName: ['First Name', 'Last Name'], grade: ['Class'] },
+    });
+  });
+
+  test('rejects parts without a field', () => {
+    expect(() => parseMappingSpec('=Class')).toThrow('Invalid column mapping');
+  });
+});
+
+describe('resolveColumnMapping', () => {
+  test('returns null when nothing is mapped', async() => {
+    await expect(resolveColumnMapping({})).resolves.toBeNull();
+  });
+
+  test('joins columns with the preset separator, skipping empty ones', async() => {
+    const mapping = await resolveColumnMapping({ map: 'cafeteria-pos' });
+    const headers = ['Transaction', 'Last Name', 'First Name', 'Grade Level', 'Items', 'Comments'];
+    const [row] = applyColumnMapping([{ Transaction: 'T1', 'Last Name': 'Chen', 'First Name': ' Michael ', 'Grade Level': '5th', Items: 'Pizza', Comments: '' }], headers, mapping);
+    expect(row.studentName).toBe('Chen, Michael');
+  });
+
+  test('fills defaults only where a field is empty', async() => {
+    const mapping = await resolveColumnMapping({ defaults: ['grade=Staff'] });
+    const rows = applyColumnMapping([{ grade: '' }, { grade: '3rd' }], ['grade'], mapping);
+    expect(rows.map(row => row.grade)).toEqual(['Staff', '3rd']);
+    expect(mappedHeaders(['orderId'], mapping)).toContain('grade');
+  });
+
+  test('names the columns a mapping cannot find', async() => {
+    const mapping = await resolveColumnMapping({ map: 'grade=Homeroom' });
+    expect(() => mappedHeaders(['orderId', 'Class'], mapping)).toThrow('Mapped columns not found: Homeroom');
+  });
+
+  test('rejects unknown presets, listing the known ones', async() => {
+    await expect(resolveColumnMapping({ map: 'nope' })).rejects.toThrow('Available presets: pta-form, cafeteria-pos');
+  });
+
+  test('reads presets from a mapping file', async() => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mapping-'));
+    const file = path.join(dir, 'mapping.json');
+    await fs.writeFile(file, JSON.stringify({ presets: { school: { columns: { grade: 'Homeroom' } } } }));
+    try {
+      await expect(resolveColumnMapping({ mapFile: file })).rejects.toThrow('choose one with --map <preset>');
+      const mapping = await resolveColumnMapping({ mapFile: file, map: 'school' });
+      expect(mapping.columns.grade.from).toEqual(['Homeroom']);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,96 @@
+const inquirer = require('inquirer');
+const { unitScale, toInches, createCustomTemplate, promptCustomTemplate } = require('../src/customTemplate');
+
+jest.mock('inquirer', () => ({ prompt: jest.fn() }));
+
+const MEASUREMENTS = { labelWidth: 66.7, labelHeight: 25.4, labelsPerRow: 3, labelsPerColumn: 10, marginTop: 12.7, marginLeft: 4.8, horizontalGap: 3.2, units: 'mm' };
+
+describe('units', () => {
+  test('convert lengths to inches and leave counts and unset fields alone', () => {
+    expect(unitScale()).toBe(1);
+    expect(unitScale('MM')).toBeCloseTo(1 / 25.4);
+    const converted = toInches({ labelWidth: 50.8, labelsPerRow: 3 }, 'mm');
+    expect(Object.keys(converted)).toEqual(['labelWidth', 'labelsPerRow']);
+    expect(converted.labelWidth).toBeCloseTo(2);
+    expect(converted.labelsPerRow).toBe(3);
+    expect(() => unitScale('cm')).toThrow('Unknown units: cm. Use in or mm');
+  });
+});
+
+describe('createCustomTemplate', () => {
+  test('builds a template in inches with defaults filled in', () => {
+    const template = createCustomTemplate({ ...MEASUREMENTS, labelsPerRow: '3' });
+    expect(template).toMatchObject({
+      name: 'custom',
+      labelsPerRow: 3,
+      labelsPerColumn: 10,
+      verticalGap: 0,
+      cornerRadius: 0,
+      pageSize: 'letter',
+      description: 'Custom measurements',
+    });
+    expect(template.labelWidth).toBeCloseTo(2.626);
+    expect(template.marginTop).toBeCloseTo(0.5);
+  });
+
+  test('names the missing measurements', () => {
+    expect(() => createCustomTemplate({ labelWidth: 2, labelsPerRow: 3 }))
+      .toThrow('Custom template is missing measurements: labelHeight, labelsPerColumn, marginTop, marginLeft');
+  });
+
+  test('checks the grid against the page', () => {
+    expect(() => createCustomTemplate({ ...MEASUREMENTS, pageSize: 'a4' })).toThrow('Invalid custom template: Labels take');
+    expect(() => createCustomTemplate({ ...MEASUREMENTS, labelsPerRow: 'three' })).toThrow('Invalid custom template: Template fields must be numbers: labelsPerRow');
+    expect(() => createCustomTemplate({ ...MEASUREMENTS, cornerRadius: 20 })).toThrow('Invalid custom template: cornerRadius must be from 0');
+  });
+});
+
+describe('promptCustomTemplate', () => {
+  afterEach(() => {
+    inquirer.prompt.mockReset();
+  });
+
+  test('turns edge-to-edge distances into gaps and keeps the units', async() => {
+    inquirer.prompt
+      .mockResolvedValueOnce({ units: 'mm' })
+      .mockResolvedValueOnce({
+        pageSize: 'other',
+        pageDimensions: '100x150',
+        labelsPerRow: '2',
+        labelsPerColumn: '1',
+        labelWidth: '45',
+        labelHeight: '30',
+        marginTop: '5',
+        marginLeft: '4',
+        horizontalPitch: '47',
+        cornerRadius: '2',
+      });
+    const measurements = await promptCustomTemplate();
+    expect(measurements).toEqual({
+      units: 'mm',
+      pageSize: '100x150mm',
+      labelsPerRow: 2,
+      labelsPerColumn: 1,
+      labelWidth: 45,
+      labelHeight: 30,
+      marginTop: 5,
+      marginLeft: 4,
+      horizontalGap: 2,
+      verticalGap: 0,
+      cornerRadius: 2,
+    });
+    expect(createCustomTemplate(measurements).pageSize).toBe('100x150mm');
+  });
+
+  test('shows a template\'s measurements in the chosen units', async() => {
+    inquirer.prompt.mockResolvedValueOnce({ units: 'mm' }).mockResolvedValueOnce({});
+    await promptCustomTemplate({ labelWidth: 1, marginTop: 0.5, labelsPerRow: 3 });
+    const questions = inquirer.prompt.mock.calls[1][0];
+    const question = name => questions.find(entry => entry.name === name);
+    expect(question('labelWidth').default).toBe(25.4);
+    expect(question('marginTop').default).toBe(12.7);
+    expect(question('labelsPerRow').default).toBe(3);
+    expect(question('pageDimensions').validate('210x297')).toBe(true);
+    expect(question('pageDimensions').validate('huge')).toMatch(/^Unknown page size/);
+  });
+});
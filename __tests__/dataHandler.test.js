@@ -0,0 +1,82 @@
+const { parseCSV, readOrderText, convertToCSV } = require('../src/dataHandler');
+
+const HEADER = 'orderId,studentName,grade,contents,specialInstructions';
+
+describe('parseCSV', () => {
+  test('reads plain rows', () => {
+    const orders = parseCSV(`${HEADER}\nL1,Emma Johnson,3rd,Sandwich + Apple,No nuts\n`);
+    expect(orders).toEqual([
+      { orderId: 'L1', studentName: 'Emma Johnson', grade: '3rd', contents: 'Sandwich + Apple', specialInstructions: 'No nuts' },
+    ]);
+  });
+
+  test('keeps delimiters and line breaks inside quoted fields', () => {
+    const orders = parseCSV(`${HEADER}\nL1,"Johnson, Emma",3rd,"Sandwich\nApple","Cut in half,\r\nno crusts"\n`);
+    expect(orders[0].studentName).toBe('Johnson, Emma');
+    expect(orders[0].contents).toBe('Sandwich\nApple');
+    expect(orders[0].specialInstructions).toBe('Cut in half,\r\nno crusts');
+  });
+
+  test('unescapes doubled quotes', () => {
+    const orders = parseCSV(`${HEADER}\nL1,"Emma ""Em"" Johnson",3rd,Pizza,"Say ""hi"""\n`);
+    expect(orders[0].studentName).toBe('Emma "Em" Johnson');
+    expect(orders[0].specialInstructions).toBe('Say "hi"');
+  });
+
+  test('trims unquoted fields but keeps spaces inside quotes', () => {
+    const orders = parseCSV(`${HEADER}\n L1 ,"  Emma  " ,3rd,Pizza,\n`);
+    expect(orders[0].orderId).toBe('L1');
+    expect(orders[0].studentName).toBe('  Emma  ');
+  });
+
+  test.each([
+    ['semicolons', ';'],
+    ['tabs', '\t'],
+  ])('detects %s from the header row', (name, delimiter) => {
+    const content = [HEADER.split(',').join(delimiter), ['L1', 'Emma, Jr.', '3rd', 'Pizza', ''].join(delimiter)].join('\n');
+    expect(parseCSV(content)[0].studentName).toBe('Emma, Jr.');
+  });
+
+  test('ignores delimiters inside quoted headers when detecting', () => {
+    const content = 'orderId;studentName;grade;contents;"Notes, allergies, other"\nL1;Emma;3rd;Pizza;x\n';
+    expect(parseCSV(content)[0]['Notes, allergies, other']).toBe('x');
+  });
+
+  test('strips a UTF-8 byte order mark', () => {
+    const orders = parseCSV(`\uFEFF${HEADER}\nL1,Emma,3rd,Pizza,\n`);
+    expect(Object.keys(orders[0])[0]).toBe('orderId');
+  });
+
+  test('accepts CRLF and CR line endings and skips blank lines', () => {
+    expect(parseCSV(`${HEADER}\r\nL1,Emma,3rd,Pizza,\r\n\r\nL2,Noah,4th,Soup,\r\n`)).toHaveLength(2);
+    expect(parseCSV(`${HEADER}\rL1,Emma,3rd,Pizza,\rL2,Noah,4th,Soup,`)).toHaveLength(2);
+  });
+
+  test('reports an unterminated quote with its row', () => {
+    expect(() => parseCSV(`${HEADER}\nL1,Emma,3rd,Pizza,\nL2,"Noah,4th,Soup,\n`)).toThrow('Row 3: Unterminated quoted field');
+  });
+
+  test('reports missing headers', () => {
+    expect(() => parseCSV('orderId,studentName\nL1,Emma\n')).toThrow('Missing required headers');
+  });
+});
+
+describe('readOrderText', () => {
+  test('keeps physical line numbers past quoted line breaks', () => {
+    const { rows } = readOrderText(`${HEADER}\nL1,Emma,3rd,"Pizza\nand salad",\nL2,Noah,4th,Soup,\n`, 'csv');
+    expect(rows).toEqual([2, 4]);
+  });
+
+  test('leaves out rows with the wrong number of fields and reports them', () => {
+    const { orders, problems } = readOrderText(`${HEADER}\nL1,Emma,3rd,Pizza,,extra\nL2,Noah,4th,Soup,\n`, 'csv');
+    expect(orders.map(order => order.orderId)).toEqual(['L2']);
+    expect(problems).toEqual([expect.objectContaining({ code: 'column-count', row: 2 })]);
+  });
+});
+
+describe('convertToCSV', () => {
+  test('quotes what parseCSV would otherwise split or trim', () => {
+    const orders = [{ orderId: 'L1', studentName: 'Johnson, "Em"', grade: ' 3rd', contents: 'Pizza\nSalad', specialInstructions: '' }];
+    expect(parseCSV(convertToCSV(orders))).toEqual(orders);
+  });
+});
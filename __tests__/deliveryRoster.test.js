@@ -0,0 +1,72 @@
+const { PDFDocument } = require('pdf-lib');
+const { buildDeliveryRoster, drawDeliveryRoster } = require('../src/deliveryRoster');
+const { embedFonts } = require('../src/fonts');
+const { generateLunchLabels } = require('../src/labelGenerator');
+const { getTemplateByName } = require('../src/templates');
+
+const orders = [
+  { orderId: 'L1', studentName: 'Zoe Park', grade: '3', teacher: 'Ms. Gray', contents: 'Pizza', quantity: 2 },
+  { orderId: 'L2', studentName: 'Ann Lee', grade: 'K', teacher: 'Mr. Hill', contents: 'Salad' },
+  { orderId: 'L3', studentName: 'Bo Chen', grade: '3rd', teacher: 'Ms. Gray', contents: ' Soup ', specialInstructions: 'No nuts' },
+  { orderId: 'L4', studentName: 'Cy Diaz', grade: '3rd', contents: 'Pizza', quantity: 0 },
+];
+
+const labelCount = order => (order.quantity === undefined ? 1 : order.quantity);
+
+describe('buildDeliveryRoster', () => {
+  test('groups by grade in school order, merging spellings, with names in order', () => {
+    const roster = buildDeliveryRoster(orders, { labelCount });
+    expect(roster).toMatchObject({ groupBy: 'grade', orderCount: 3, labelCount: 4 });
+    expect(roster.groups.map(group => [group.value, group.orderCount, group.labelCount, group.orders.map(order => order.studentName)])).toEqual([
+      ['K', 1, 1, ['Ann Lee']],
+      ['3rd', 2, 3, ['Bo Chen', 'Zoe Park']],
+    ]);
+    expect(roster.groups[1].orders[0]).toEqual({ orderId: 'L3', studentName: 'Bo Chen', grade: '3rd', contents: 'Soup', specialInstructions: 'No nuts', labels: 1 });
+  });
+
+  test('groups by any field, sorted as asked, with orders missing it together last', () => {
+    const roster = buildDeliveryRoster(orders, { groupBy: 'teacher', sortBy: '-studentName' });
+    expect(roster.groups.map(group => [group.value, group.orders.map(order => order.orderId)])).toEqual([
+      ['Mr. Hill', ['L2']],
+      ['Ms. Gray', ['L1', 'L3']],
+      ['(none)', ['L4']],
+    ]);
+  });
+});
+
+describe('drawDeliveryRoster', () => {
+  async function pagesFor(roster) {
+    const pdfDoc = await PDFDocument.create();
+    const { fonts } = await embedFonts(pdfDoc, undefined, ['Delivery roster']);
+    const added = drawDeliveryRoster(pdfDoc, roster, { pageSize: { width: 612, height: 792 }, fonts });
+    expect(pdfDoc.getPageCount()).toBe(added);
+    return added;
+  }
+
+  test('starts each group on a page of its own', async() => {
+    expect(await pagesFor(buildDeliveryRoster(orders))).toBe(2);
+  });
+
+  test('carries long groups over onto more pages', async() => {
+    const many = Array.from({ length: 80 }, (_, index) => ({ orderId: `L${index + 1}`, studentName: `Student ${index + 1}`, grade: '3rd', contents: 'Pizza' }));
+    expect(await pagesFor(buildDeliveryRoster(many))).toBeGreaterThan(1);
+  });
+});
+
+describe('rosters with labels', () => {
+  const template = getTemplateByName('5160');
+
+  test('leave off orders with no labels, and come as pages or a PDF', async() => {
+    const withPages = await generateLunchLabels(orders, template, { roster: 'pages', silent: true });
+    expect(withPages.roster.orderCount).toBe(3);
+    expect((await PDFDocument.load(withPages.pdfBytes)).getPageCount()).toBe(3);
+
+    const separate = await generateLunchLabels(orders, template, { roster: 'pdf', rosterBy: 'teacher', silent: true });
+    expect(separate.roster.groupBy).toBe('teacher');
+    expect((await PDFDocument.load(separate.rosterPdfBytes)).getPageCount()).toBe(2);
+  });
+
+  test('reject unknown roster modes', async() => {
+    await expect(generateLunchLabels(orders, template, { roster: 'csv', silent: true })).rejects.toThrow('Invalid roster: csv. Use pages, pdf');
+  });
+});
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
+const { embedFonts, fontStyleOf, drawText, fontFromCollection } = require('../src/fonts');
+
+const NOTO_SANS = require.resolve('@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf');
+
+// A one-font .ttc holding the given font file
+function collectionOf(fontBytes) {
+  const font = Buffer.from(fontBytes);
+  for (let i = 0; i < font.readUInt16BE(4); i++) {
+    const record = 12 + i * 16;
+    font.writeUInt32BE(font.readUInt32BE(record + 8) + 16, record + 8);
+  }
+  const header = Buffer.alloc(16);
+  header.write('ttcf', 0, 'latin1');
+  header.writeUInt32BE(0x00010000, 4);
+  header.writeUInt32BE(1, 8);
+  header.writeUInt32BE(16, 12);
+  return Buffer.concat([header, font]);
+}
+
+async function embed(options, texts) {
+  return embedFonts(await PDFDocument.create(), options, texts);
+}
+
+describe('embedFonts', () => {
+  test('keeps to Helvetica while the text fits WinAnsi', async() => {
+    const { names, missing } = await embed(undefined, ['Zoë Brown', 'Café au lait']);
+    expect(names).toEqual(['Helvetica']);
+    expect(missing).toEqual([]);
+  });
+
+  test('lists the characters Helvetica lacks when asked for standard fonts', async() => {
+    const { missing } = await embed('standard', ['Nguyễn Łucja']);
+    expect(missing).toEqual(['ễ', 'Ł']);
+  });
+
+  test('switches to Noto Sans, adding fallbacks only for the scripts used', async() => {
+    expect((await embed(undefined, ['Nguyễn Łucja'])).names).toEqual(['Noto Sans']);
+    const { names, missing } = await embed(undefined, ['Ann', 'سارة', 'דוד']);
+    expect(names).toEqual(['Noto Sans', 'Noto Sans Arabic', 'Noto Sans Hebrew']);
+    expect(missing).toEqual([]);
+  });
+
+  test('uses the Chinese font package for CJK names', async() => {
+    const { names, missing } = await embed(undefined, ['王小明']);
+    expect(names).toContain('Noto Sans SC');
+    expect(missing).toEqual([]);
+  });
+
+  test('takes font files in place of the bundled ones', async() => {
+    const { names } = await embed({ regular: fs.readFileSync(NOTO_SANS) }, ['Ann']);
+    expect(names).toEqual(['Noto Sans']);
+  });
+
+  test('rejects unknown options and missing files', async() => {
+    await expect(embed('fancy', ['Ann'])).rejects.toThrow('Unknown fonts option: fancy. Use "standard", "unicode" or font files');
+    await expect(embed({ regular: '/no/such/font.ttf' }, ['Ann'])).rejects.toThrow('Font file not found: /no/such/font.ttf');
+  });
+});
+
+describe('font chains', () => {
+  test('draw runs left to right in display order, each with its own font', async() => {
+    const { fonts } = await embed(undefined, ['שלום Ann 12']);
+    const drawn = [];
+    drawText({ drawText: (text, options) => drawn.push({ text, x: options.x, font: options.font }) }, 'שלום Ann', { x: 10, size: 10, font: fonts.regular });
+    expect(drawn.map(run => run.text)).toEqual(['Ann', 'שלום ']);
+    expect(drawn[0].font).not.toBe(drawn[1].font);
+    expect(drawn[1].x).toBeCloseTo(10 + drawn[0].font.widthOfTextAtSize('Ann', 10));
+  });
+
+  test('keep numbers in right-to-left text reading left to right', async() => {
+    const { fonts } = await embed(undefined, ['דוד 12']);
+    expect(fonts.regular.runs('דוד 12 כהן').map(run => run.text)).toEqual(['כהן', ' ', '12', 'דוד ']);
+  });
+});
+
+describe('fontFromCollection', () => {
+  test('copies a font out of a collection', () => {
+    const font = fontFromCollection(collectionOf(fs.readFileSync(NOTO_SANS)), 0);
+    expect(fontkit.create(font).familyName).toBe('Noto Sans');
+    expect(() => fontFromCollection(collectionOf(fs.readFileSync(NOTO_SANS)), 1)).toThrow('font collection has 1 fonts, no font #1');
+  });
+});
+
+describe('fontStyleOf', () => {
+  test.each([
+    ['Helvetica', 'regular'],
+    ['Helvetica-Bold', 'bold'],
+    ['Helvetica-Oblique', 'italic'],
+    ['NotoSans-BoldItalic', 'bold-italic'],
+  ])('%s is %s', (name, style) => {
+    expect(fontStyleOf(name)).toBe(style);
+  });
+});
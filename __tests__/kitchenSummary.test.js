@@ -0,0 +1,88 @@
+const { PDFDocument } = require('pdf-lib');
+const { createAllergenConfig } = require('../src/allergens');
+const { splitItems, buildKitchenSummary, summaryToCSV } = require('../src/kitchenSummary');
+const { generateLunchLabels } = require('../src/labelGenerator');
+const { getTemplateByName } = require('../src/templates');
+
+const orders = [
+  { orderId: 'L1', studentName: 'Ann Lee', grade: '3', contents: 'Pizza + Apple + Milk', specialInstructions: 'No nuts' },
+  { orderId: 'L2', studentName: 'Bo Chen', grade: 'K', contents: 'pizza + Milk + milk', specialInstructions: 'Vegetarian' },
+  { orderId: 'L3', studentName: 'Cy Diaz', grade: 'Grade 3', contents: 'Salad', specialInstructions: 'no nuts' },
+  { orderId: 'L4', studentName: 'Di Ek', grade: 'Staff', contents: 'Salad + Apple', specialInstructions: 'Extra cheese' },
+];
+
+describe('splitItems', () => {
+  test('splits contents on + and drops empty items', () => {
+    expect(splitItems(' Chicken  Sandwich + Apple ++ Milk ')).toEqual(['Chicken Sandwich', 'Apple', 'Milk']);
+    expect(splitItems(undefined)).toEqual([]);
+  });
+});
+
+describe('buildKitchenSummary', () => {
+  const summary = buildKitchenSummary(orders);
+
+  test('lists grades in school order, merging spellings, with other grades last', () => {
+    expect(summary.orderCount).toBe(4);
+    expect(summary.grades).toEqual(['K', '3rd', 'Staff']);
+  });
+
+  test('counts each item once per order, most ordered first, per grade too', () => {
+    expect(summary.items).toEqual([
+      { name: 'Apple', total: 2, byGrade: { '3rd': 1, Staff: 1 } },
+      { name: 'Milk', total: 2, byGrade: { '3rd': 1, K: 1 } },
+      { name: 'Pizza', total: 2, byGrade: { '3rd': 1, K: 1 } },
+      { name: 'Salad', total: 2, byGrade: { '3rd': 1, Staff: 1 } },
+    ]);
+  });
+
+  test('groups instructions into allergies, dietary needs and the rest, with who asked', () => {
+    expect(summary.instructions).toEqual([
+      { type: 'Allergies', entries: [{ text: 'No nuts', allergens: ['tree nuts'], orders: [{ orderId: 'L1', studentName: 'Ann Lee', grade: '3rd' }, { orderId: 'L3', studentName: 'Cy Diaz', grade: '3rd' }] }] },
+      { type: 'Dietary', entries: [{ text: 'Vegetarian', allergens: [], orders: [{ orderId: 'L2', studentName: 'Bo Chen', grade: 'K' }] }] },
+      { type: 'Other', entries: [{ text: 'Extra cheese', allergens: [], orders: [{ orderId: 'L4', studentName: 'Di Ek', grade: 'Staff' }] }] },
+    ]);
+  });
+
+  test('uses the allergen config it is given', () => {
+    const custom = buildKitchenSummary(orders, { allergens: createAllergenConfig({ allergens: 'sesame' }) });
+    expect(custom.instructions.map(group => group.type)).toEqual(['Dietary', 'Other']);
+  });
+});
+
+describe('summaryToCSV', () => {
+  test('writes the item table, a blank line, then the instructions', () => {
+    expect(summaryToCSV(buildKitchenSummary(orders.slice(0, 2)))).toBe([
+      'Item,Total,K,3rd',
+      'Milk,2,1,1',
+      'Pizza,2,1,1',
+      'Apple,1,0,1',
+      '',
+      'Type,Instruction,Allergens,Orders,Order IDs',
+      'Allergies,No nuts,tree nuts,1,L1',
+      'Dietary,Vegetarian,,1,L2',
+      '',
+    ].join('\n'));
+  });
+});
+
+describe('summaries with labels', () => {
+  const template = getTemplateByName('5160');
+
+  test('add pages after the labels, or a PDF of their own', async() => {
+    const labelsOnly = await generateLunchLabels(orders, template, { silent: true });
+    const withPages = await generateLunchLabels(orders, template, { summary: 'pages', silent: true });
+    expect((await PDFDocument.load(withPages.pdfBytes)).getPageCount()).toBeGreaterThan(labelsOnly.pageCount);
+    expect(withPages.pageCount).toBe(1);
+
+    const separate = await generateLunchLabels(orders, template, { summary: 'pdf', silent: true });
+    expect((await PDFDocument.load(separate.pdfBytes)).getPageCount()).toBe(1);
+    expect((await PDFDocument.load(separate.summaryPdfBytes)).getPageCount()).toBe(1);
+  });
+
+  test('return the summary as data', async() => {
+    const result = await generateLunchLabels(orders, template, { summary: 'data', silent: true });
+    expect(result.summary.items).toHaveLength(4);
+    expect(result.summaryPdfBytes).toBeUndefined();
+    await expect(generateLunchLabels(orders, template, { summary: 'csv', silent: true })).rejects.toThrow('Invalid summary: csv. Use pages, pdf, data');
+  });
+});
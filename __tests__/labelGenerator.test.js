@@ -0,0 +1,121 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { countLabels, generateLunchLabels, createLunchLabels } = require('../src/labelGenerator');
+const { getTemplateByName } = require('../src/templates');
+
+const orders = count => Array.from({ length: count }, (_, index) => ({
+  orderId: `L${index + 1}`,
+  studentName: `Student ${index + 1}`,
+  grade: '3rd',
+  contents: 'Pizza',
+}));
+
+// Where each label went, as [page, slot], from a preview record
+async function placements(lunchOrders, options) {
+  const result = await generateLunchLabels(lunchOrders, getTemplateByName('5160'), { ...options, preview: true, silent: true });
+  return result.preview.labels.map(label => [label.page, label.slot]);
+}
+
+describe('start position and skipped labels', () => {
+  test('starts at a label number or row:column', async() => {
+    expect(await placements(orders(2), { startAt: 13 })).toEqual([[0, 12], [0, 13]]);
+    expect(await placements(orders(2), { startAt: '5:1' })).toEqual([[0, 12], [0, 13]]);
+  });
+
+  test('leaves skipped labels and ranges blank on the first sheet only', async() => {
+    const placed = await placements(orders(30), { skip: '1, 3-5,2:3' });
+    expect(placed.slice(0, 3)).toEqual([[0, 1], [0, 6], [0, 7]]);
+    expect(placed.filter(([page]) => page === 0)).toHaveLength(25);
+    expect(placed.slice(25)).toEqual([[1, 0], [1, 1], [1, 2], [1, 3], [1, 4]]);
+  });
+
+  test('combines a start position with skips given as a list', async() => {
+    expect(await placements(orders(2), { startAt: '2', skip: [2, '4'] })).toEqual([[0, 2], [0, 4]]);
+  });
+
+  test.each([
+    [{ startAt: '31' }, 'Label position 31 is outside the sheet (1-30)'],
+    [{ startAt: '11:1' }, 'Label position 11:1 is outside the sheet (10 rows, 3 columns)'],
+    [{ skip: 'A1' }, 'Invalid label position "A1"'],
+    [{ skip: '1-30' }, 'No free label positions left on the first sheet'],
+  ])('rejects %p', async(options, message) => {
+    await expect(generateLunchLabels(orders(1), getTemplateByName('5160'), { ...options, silent: true })).rejects.toThrow(message);
+  });
+});
+
+describe('quantities and copies', () => {
+  const withQuantities = (...quantities) => orders(quantities.length).map((order, index) => ({ ...order, quantity: quantities[index] }));
+
+  test('count each order\'s quantity, falling back to copies', () => {
+    expect(countLabels(withQuantities(2, '', 0, ' 3 '))).toBe(6);
+    expect(countLabels(withQuantities(2, '', 0, undefined), { copies: 4 })).toBe(10);
+    expect(countLabels([{ ...orders(1)[0], servings: 5 }], { quantityField: 'servings' })).toBe(5);
+  });
+
+  test.each([
+    [withQuantities(1, 'two'), {}, 'Order 2: quantity must be a whole number from 0 to 100 (got "two")'],
+    [withQuantities(1.5), {}, 'Order 1: quantity must be a whole number'],
+    [withQuantities(101), {}, 'Order 1: quantity must be a whole number'],
+    [orders(1), { copies: -1 }, 'Order 1: copies must be a whole number from 0 to 100 (got "-1")'],
+  ])('rejects bad quantities %#', (lunchOrders, options, message) => {
+    expect(() => countLabels(lunchOrders, options)).toThrow(message);
+  });
+
+  test('print one label per copy, next to each other', async() => {
+    const result = await generateLunchLabels(withQuantities(2, 0, 1), getTemplateByName('5160'), { preview: true, silent: true });
+    expect(result.labelCount).toBe(3);
+    expect(result.preview.labels.map(label => label.orderId)).toEqual(['L1', 'L1', 'L3']);
+  });
+
+  test('number copies only when asked to', async() => {
+    const copyNumbers = async options => {
+      const result = await generateLunchLabels(withQuantities(2), getTemplateByName('5160'), { ...options, preview: true, silent: true });
+      return result.preview.pages[0].ops.filter(op => op.type === 'text' && / of /.test(op.text)).map(op => op.text);
+    };
+    expect(await copyNumbers({ numberCopies: true })).toEqual(['1 of 2', '2 of 2']);
+    expect(await copyNumbers({})).toEqual([]);
+  });
+
+  test('stop when every order has a quantity of 0', async() => {
+    await expect(generateLunchLabels(withQuantities(0, 0), getTemplateByName('5160'), { silent: true })).rejects.toThrow('No labels to print');
+  });
+});
+
+describe('dry runs and strict mode', () => {
+  const longName = { orderId: 'L9', studentName: 'Maximiliana Alexandrovna Featherstonehaugh', grade: '3rd', contents: 'Pizza' };
+
+  test('a dry run lays every label out without saving the PDF', async() => {
+    const result = await generateLunchLabels([...orders(31), longName], getTemplateByName('5167'), { dryRun: true, silent: true });
+    expect(result).toMatchObject({ pdfBytes: null, pageCount: 1, labelCount: 32, labelsByPage: [32] });
+    expect(result.warnings.map(warning => warning.code)).toEqual(['name-truncated']);
+  });
+
+  test('a dry run writes no file', async() => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dry-run-'));
+    try {
+      const outputPath = path.join(dir, 'labels.pdf');
+      const result = await createLunchLabels(orders(2), getTemplateByName('5160'), outputPath, { dryRun: true, silent: true });
+      expect(result.outputPath).toBeNull();
+      expect(await fs.readdir(dir)).toEqual([]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('strict mode passes labels that fit', async() => {
+    const result = await generateLunchLabels(orders(2), getTemplateByName('5167'), { strict: true, silent: true });
+    expect(result.pdfBytes).toBeInstanceOf(Uint8Array);
+  });
+
+  test('strict mode stops on degraded labels, listing the first ten', async() => {
+    await expect(generateLunchLabels([...orders(1), longName], getTemplateByName('5167'), { strict: true, silent: true }))
+      .rejects.toThrow('Strict mode: 1 order would print degraded labels:\n  Student name for order L9 truncated to fit label');
+
+    const many = Array.from({ length: 12 }, (_, index) => ({ ...longName, orderId: `L${index + 1}` }));
+    const error = await generateLunchLabels(many, getTemplateByName('5167'), { strict: true, silent: true }).catch(caught => caught);
+    expect(error.message).toMatch(/^Strict mode: 12 orders would print degraded labels:/);
+    expect(error.message.split('\n')).toHaveLength(12);
+    expect(error.message).toMatch(/\.\.\.and 2 more$/);
+  });
+});
@@ -0,0 +1,88 @@
+const { drawLabelBorder, borderRadius, validateBorderStyle } = require('../src/labelOutline');
+const { generateLunchLabels } = require('../src/labelGenerator');
+const { getTemplateByName } = require('../src/templates');
+
+// A page that records what is drawn on it as [type, options]
+function recordingPage() {
+  const ops = [];
+  return {
+    ops,
+    drawRectangle: options => ops.push(['rectangle', options]),
+    drawSvgPath: (path, options) => ops.push(['path', { path, ...options }]),
+    drawLine: options => ops.push(['line', options]),
+  };
+}
+
+const box = { x: 10, y: 20, width: 100, height: 50 };
+const pen = { color: 'black', width: 0.5 };
+
+describe('border styles', () => {
+  test('solid and dashed borders are rectangles, rounded when the label is', () => {
+    const page = recordingPage();
+    drawLabelBorder(page, box, 0, 'solid', pen);
+    drawLabelBorder(page, box, 0, 'dashed', pen);
+    drawLabelBorder(page, box, 4.5, 'rounded', pen);
+    expect(page.ops[0]).toEqual(['rectangle', { ...box, borderColor: 'black', borderWidth: 0.5, borderDashArray: undefined }]);
+    expect(page.ops[1][1].borderDashArray).toEqual([3, 2]);
+    expect(page.ops[2][0]).toBe('path');
+    expect(page.ops[2][1]).toMatchObject({ x: 10, y: 70, borderWidth: 0.5 });
+    expect(page.ops[2][1].path).toMatch(/^M 4\.5 0 L 95\.5 0 A 4\.5 4\.5 0 0 1 100 4\.5 /);
+  });
+
+  test('crop marks are two lines outside each corner, and none draws nothing', () => {
+    const page = recordingPage();
+    drawLabelBorder(page, box, 0, 'crop-marks', pen);
+    expect(page.ops).toHaveLength(8);
+    page.ops.forEach(([type, line]) => {
+      expect(type).toBe('line');
+      const inside = point => point.x > box.x && point.x < box.x + box.width && point.y > box.y && point.y < box.y + box.height;
+      expect(inside(line.start) || inside(line.end)).toBe(false);
+    });
+    expect(page.ops[0][1]).toMatchObject({ start: { x: 8, y: 20 }, end: { x: 2, y: 20 } });
+
+    const blank = recordingPage();
+    drawLabelBorder(blank, box, 0, 'none', pen);
+    expect(blank.ops).toEqual([]);
+  });
+
+  test('rounded borders use the template\'s corners or 1/16"', () => {
+    expect(borderRadius({}, 'rounded')).toBe(4.5);
+    expect(borderRadius({ cornerRadius: 0.125 }, 'rounded')).toBe(9);
+    expect(borderRadius({}, 'solid')).toBe(0);
+    expect(borderRadius({ cornerRadius: 0.125 }, 'dashed')).toBe(9);
+  });
+
+  test('unknown styles are named with the ones there are', () => {
+    expect(() => validateBorderStyle('dotted')).toThrow('Unknown border style: dotted. Use one of: solid, rounded, dashed, crop-marks, none');
+  });
+});
+
+describe('borders and safe areas on labels', () => {
+  const orders = [{ orderId: 'L1', studentName: 'Ann Lee', grade: '3rd', contents: 'Pizza' }];
+
+  async function firstPage(options) {
+    const result = await generateLunchLabels(orders, getTemplateByName('5160'), { ...options, preview: true, silent: true });
+    return result.preview.pages[0].ops;
+  }
+
+  test('draw the chosen border', async() => {
+    expect((await firstPage({ border: 'crop-marks' })).filter(op => op.type === 'line')).toHaveLength(8);
+    expect((await firstPage({ border: 'none' })).filter(op => op.borderWidth)).toEqual([]);
+  });
+
+  test('keep text out of the safe area', async() => {
+    const textX = ops => Math.min(...ops.filter(op => op.type === 'text').map(op => op.x));
+    const left = 0.1875 * 72;
+    expect(textX(await firstPage({ safeArea: 0.25 }))).toBeGreaterThanOrEqual(left + 18);
+    expect(textX(await firstPage({}))).toBeLessThan(left + 18);
+  });
+
+  test.each([
+    [{ border: 'dotted' }, 'Unknown border style: dotted'],
+    [{ safeArea: 0.5 }, 'Invalid safe area: 0.5. It must be 0 or more and leave room inside a 2.625" x 1" label'],
+    [{ safeArea: -1 }, 'Invalid safe area: -1'],
+    [{ safeArea: 'wide' }, 'Invalid safe area: wide'],
+  ])('reject %j', async(options, message) => {
+    await expect(generateLunchLabels(orders, getTemplateByName('5160'), { ...options, silent: true })).rejects.toThrow(message);
+  });
+});
@@ -0,0 +1,93 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { rgb } = require('pdf-lib');
+const { getLayoutNames, resolveLayout, normalizeLayout, loadLayoutFile } = require('../src/layouts');
+const { generateLunchLabels } = require('../src/labelGenerator');
+const { getTemplateByName } = require('../src/templates');
+
+describe('resolveLayout', () => {
+  test('defaults to the standard layout and knows every built-in one', () => {
+    expect(getLayoutNames()).toEqual(['standard', 'kitchen', 'bag']);
+    expect(resolveLayout().name).toBe('standard');
+    expect(resolveLayout('kitchen').rows[0].columns.map(column => column.field)).toEqual(['grade', 'orderId']);
+    expect(() => resolveLayout('tiny')).toThrow('Invalid layout: tiny. Available layouts: standard, kitchen, bag');
+  });
+});
+
+describe('normalizeLayout', () => {
+  test('wraps single fields in columns and fills in defaults', () => {
+    const layout = normalizeLayout({ name: 'mine', rows: [{ field: 'roomNumber', color: '#f00' }, { text: 'Enjoy!' }] });
+    expect(layout.rows[0].columns[0]).toEqual({
+      field: 'roomNumber',
+      text: undefined,
+      prefix: '',
+      suffix: '',
+      font: 'regular',
+      size: 'contents',
+      color: rgb(1, 0, 0),
+      align: 'left',
+      maxLines: 1,
+      overflow: 'truncate',
+      width: undefined,
+      label: 'roomNumber',
+      code: 'room-number',
+    });
+    expect(layout.rows[1].columns[0]).toMatchObject({ field: 'text', text: 'Enjoy!' });
+    expect(layout.name).toBe('mine');
+  });
+
+  test.each([
+    [{ rows: [] }, 'Invalid layout: "rows" must be a non-empty array'],
+    [{ rows: [{ columns: [] }] }, 'layout row 1: "columns" cannot be empty'],
+    [{ rows: [{ field: 'grade' }, 'grade'] }, 'layout row 2: expected an object with a "field" or "text"'],
+    [{ rows: [{ prefix: '#' }] }, 'layout row 1: needs a "field" name or a fixed "text"'],
+    [{ rows: [{ field: 'grade', font: 'light' }] }, 'layout row 1: unknown font "light"'],
+    [{ rows: [{ field: 'grade', size: 100 }] }, 'layout row 1: size must be points (up to 72)'],
+    [{ rows: [{ field: 'grade', align: 'justify' }] }, 'layout row 1: align must be one of: left, center, right'],
+    [{ rows: [{ field: 'grade', maxLines: 0 }] }, 'layout row 1: maxLines must be a whole number from 1 to 20'],
+    [{ rows: [{ field: 'grade', overflow: 'shrink' }] }, 'layout row 1: overflow must be one of: truncate, omit'],
+    [{ rows: [{ field: 'grade', color: 'red' }] }, 'layout row 1: color must be "#rrggbb", "#rgb" or [r, g, b] from 0 to 1 (got "red")'],
+    [{ rows: [{ columns: [{ field: 'grade', width: 0.6 }, { field: 'teacher', width: 0.4 }] }] }, 'layout row 1: column widths add up to 1, must be less than 1'],
+    [{ rows: [{ columns: [{ field: 'grade' }, { field: 'teacher', width: 2 }] }] }, 'layout row 1 column 2: width is a fraction of the row'],
+  ])('rejects %j', (layout, message) => {
+    expect(() => normalizeLayout(layout)).toThrow(message);
+  });
+});
+
+describe('loadLayoutFile', () => {
+  let dir;
+
+  beforeAll(async() => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'layouts-'));
+  });
+
+  afterAll(async() => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('reads a layout and names the file in errors', async() => {
+    const good = path.join(dir, 'good.json');
+    const bad = path.join(dir, 'bad.json');
+    await fs.writeFile(good, JSON.stringify({ rows: [{ field: 'studentName' }] }));
+    await fs.writeFile(bad, JSON.stringify({ rows: [{ field: 'studentName', font: 'light' }] }));
+    await expect(loadLayoutFile(good)).resolves.toEqual({ rows: [{ field: 'studentName' }] });
+    await expect(loadLayoutFile(bad)).rejects.toThrow(`layout ${bad} row 1: unknown font "light"`);
+    await expect(loadLayoutFile(path.join(dir, 'none.json'))).rejects.toThrow('Layout file not found');
+  });
+});
+
+describe('layouts on labels', () => {
+  const orders = [{ orderId: 'L1', studentName: 'Ann Lee', grade: '3rd', contents: 'Pizza', teacher: 'Ms. Park' }];
+
+  // Text drawn on the first page, in drawing order
+  async function drawnText(layout) {
+    const result = await generateLunchLabels(orders, getTemplateByName('5160'), { layout, preview: true, silent: true });
+    return result.preview.pages[0].ops.filter(op => op.type === 'text').map(op => op.text);
+  }
+
+  test('draw the fields the layout lists, with their prefixes', async() => {
+    expect(await drawnText('bag')).toEqual(['Ann Lee', 'Grade: 3rd', 'Ms. Park', '#L1']);
+    expect(await drawnText({ rows: [{ field: 'teacher', suffix: '\'s class' }, { text: 'Enjoy!' }] })).toEqual(['Ms. Park\'s class', 'Enjoy!']);
+  });
+});
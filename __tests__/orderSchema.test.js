@@ -0,0 +1,78 @@
+const { checkField, validateOrders, assertValidOrders, formatProblem, formatValidationReport } = require('../src/orderSchema');
+
+const order = (orderId, fields = {}) => ({ orderId, studentName: 'Ann Lee', grade: '3rd', contents: 'Pizza', ...fields });
+
+describe('checkField', () => {
+  test('requires the required fields and nothing else', () => {
+    expect(checkField('studentName', '  ')).toEqual([{ severity: 'error', code: 'missing', field: 'studentName', value: '  ', reason: 'Missing required field' }]);
+    expect(checkField('specialInstructions', undefined)).toEqual([]);
+  });
+
+  test('takes numbers but not lists or objects', () => {
+    expect(checkField('orderId', 1001)).toEqual([]);
+    expect(checkField('contents', ['Pizza'])[0]).toMatchObject({ code: 'not-text', reason: 'Contents must be text, not a list' });
+    expect(checkField('grade', { name: '3rd' })[0]).toMatchObject({ code: 'not-text', reason: 'Grade must be text, not object' });
+  });
+
+  test('errors on long fields, but only warns on long instructions and unknown grades', () => {
+    expect(checkField('studentName', 'x'.repeat(51))[0]).toMatchObject({ severity: 'error', code: 'too-long', reason: 'Student name too long: 51 characters (max 50)' });
+    expect(checkField('specialInstructions', 'x'.repeat(101))[0]).toMatchObject({ severity: 'warning', code: 'too-long' });
+    expect(checkField('grade', 'Staff')[0]).toMatchObject({ severity: 'warning', code: 'unknown-grade' });
+  });
+});
+
+describe('validateOrders', () => {
+  test('collects every problem in row order, with rows and order IDs', () => {
+    const orders = [order('L1'), order('L2', { contents: '' }), 'not an order', order('L1', { grade: 'Staff' })];
+    const { errors, warnings } = validateOrders(orders, {
+      rows: [2, 3, 5, 6],
+      problems: [{ severity: 'error', code: 'unreadable', row: 4, orderId: null, field: null, value: null, reason: 'Row has 3 columns, expected 4' }],
+    });
+    expect(errors.map(problem => [problem.row, problem.orderId, problem.code])).toEqual([[3, 'L2', 'missing'], [4, null, 'unreadable'], [5, null, 'not-an-order']]);
+    expect(warnings.map(problem => [problem.row, problem.code, problem.reason])).toEqual([
+      [6, 'unknown-grade', 'Unknown grade; it sorts after the known grades'],
+      [6, 'duplicate-order-id', 'Duplicate order ID, first used on row 2'],
+    ]);
+  });
+
+  test('numbers rows from 1 by default', () => {
+    expect(validateOrders([order('L1'), order(' L1 ')]).warnings[0]).toMatchObject({ row: 2, orderId: 'L1' });
+  });
+});
+
+describe('assertValidOrders', () => {
+  test('returns the warnings when there are no errors', () => {
+    expect(assertValidOrders([order('L1', { grade: 'Staff' })])).toHaveLength(1);
+  });
+
+  test('throws one error as it is, and lists the first five of more', () => {
+    expect(() => assertValidOrders([order('L1', { grade: '' })])).toThrow(/^Row 1, grade: Missing required field$/);
+    const bad = Array.from({ length: 7 }, (_, index) => order(`L${index + 1}`, { contents: '' }));
+    expect(() => assertValidOrders(bad)).toThrow('7 problems in the orders:\n  Row 1, contents: Missing required field');
+    expect(() => assertValidOrders(bad)).toThrow('...and 2 more. Run "./run.sh validate <file>" for the full report');
+  });
+});
+
+describe('reports', () => {
+  const report = {
+    file: 'orders.csv',
+    orders: 2,
+    errors: [{ severity: 'error', code: 'missing', row: 3, orderId: 'L2', field: 'contents', value: '', reason: 'Missing required field' }],
+    warnings: [],
+  };
+
+  test('format problems with the value when there is one', () => {
+    expect(formatProblem({ row: 7, field: 'orderId', value: 'LUNCH007', reason: 'Duplicate order ID, first used on row 2' }))
+      .toBe('Row 7, orderId "LUNCH007": Duplicate order ID, first used on row 2');
+    expect(formatProblem({ row: 4, field: null, value: null, reason: 'Unreadable' })).toBe('Row 4: Unreadable');
+  });
+
+  test('as text, with counts and a section per severity', () => {
+    expect(formatValidationReport(report)).toBe('orders.csv: 2 orders, 1 error, 0 warnings\n\nErrors:\n  Row 3, contents: Missing required field');
+  });
+
+  test('as JSON, saying whether the file is valid', () => {
+    expect(JSON.parse(formatValidationReport(report, 'json'))).toEqual({ ...report, valid: false });
+    expect(() => formatValidationReport(report, 'xml')).toThrow('Invalid report format: xml. Use text or json');
+  });
+});
@@ -0,0 +1,71 @@
+const { gradeRank, gradeName, sortOrders, groupOrders, splitOrders } = require('../src/ordering');
+const { generateLunchLabels } = require('../src/labelGenerator');
+const { getTemplateByName } = require('../src/templates');
+
+const order = (orderId, fields = {}) => ({ orderId, studentName: `Student ${orderId}`, grade: '3rd', contents: 'Pizza', ...fields });
+const ids = orders => orders.map(entry => entry.orderId);
+
+describe('grades', () => {
+  test.each([
+    ['PK', 0], ['Pre-Kindergarten', 0], ['K', 1], ['Kindergarten', 1],
+    ['1st', 2], ['3', 4], ['Grade 3', 4], ['3rd grade', 4], ['12th', 13],
+    ['13', -1], ['Staff', -1], ['', -1], [undefined, -1],
+  ])('ranks %p as %p', (grade, rank) => {
+    expect(gradeRank(grade)).toBe(rank);
+  });
+
+  test('names grades by their usual spelling, others as written', () => {
+    expect(gradeName(' Grade 3 ')).toBe('3rd');
+    expect(gradeName(5)).toBe('5th');
+    expect(gradeName(' Staff ')).toBe('Staff');
+  });
+});
+
+describe('sortOrders', () => {
+  test('puts grades in school order with unknown grades after them', () => {
+    const orders = [order('a', { grade: '10th' }), order('b', { grade: 'Staff' }), order('c', { grade: 'K' }), order('d', { grade: '2' }), order('e', { grade: 'Pre-K' })];
+    expect(ids(sortOrders(orders, 'grade'))).toEqual(['e', 'c', 'd', 'a', 'b']);
+  });
+
+  test('sorts other fields naturally, empty values last, descending with "-"', () => {
+    const orders = [order('a', { room: 'Room 10' }), order('b', { room: '' }), order('c', { room: 'Room 9' })];
+    expect(ids(sortOrders(orders, 'room'))).toEqual(['c', 'a', 'b']);
+    expect(ids(sortOrders(orders, '-room'))).toEqual(['b', 'a', 'c']);
+  });
+
+  test('breaks ties with later keys, then file order, without changing the input', () => {
+    const orders = [order('a', { studentName: 'Zoe' }), order('b', { grade: 'K', studentName: 'Ann' }), order('c', { studentName: 'Zoe' }), order('d', { studentName: 'Ann' })];
+    expect(ids(sortOrders(orders, 'grade,studentName'))).toEqual(['b', 'd', 'a', 'c']);
+    expect(ids(sortOrders(orders, ['grade', '-studentName']))).toEqual(['b', 'a', 'c', 'd']);
+    expect(ids(orders)).toEqual(['a', 'b', 'c', 'd']);
+    expect(ids(sortOrders(orders, ''))).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
+
+describe('groupOrders and splitOrders', () => {
+  const orders = [order('a', { grade: '4th', studentName: 'Zoe' }), order('b', { grade: '3' }), order('c', { grade: '4th', studentName: 'Ann' }), order('d', { grade: 'Grade 3' })];
+
+  test('group in grade order, sorting inside each group', () => {
+    const groups = groupOrders(orders, 'grade', 'studentName');
+    expect(groups.map(group => [group.value, ids(group.orders)])).toEqual([['3rd', ['b', 'd']], ['4th', ['c', 'a']]]);
+  });
+
+  test('split into the same sets, keeping file order inside each', () => {
+    expect(splitOrders(orders, 'grade').map(set => [set.value, ids(set.orders)])).toEqual([['3rd', ['b', 'd']], ['4th', ['a', 'c']]]);
+  });
+});
+
+describe('grouped labels', () => {
+  const orders = [order('a', { grade: '4th' }), order('b', { grade: '3rd' }), order('c', { grade: '4th' })];
+
+  test('start each group on a new sheet with groupPageBreak', async() => {
+    const result = await generateLunchLabels(orders, getTemplateByName('5160'), { groupBy: 'grade', groupPageBreak: true, silent: true });
+    expect(result.labelsByPage).toEqual([1, 2]);
+  });
+
+  test('add a header label per group with groupHeaders', async() => {
+    const result = await generateLunchLabels(orders, getTemplateByName('5160'), { groupBy: 'grade', groupHeaders: true, preview: true, silent: true });
+    expect(result.labelCount).toBe(3);
+    expect(result.preview.labels.map(label => label.orderId)).toEqual([undefined, 'b', undefined, 'a', 'c']);
+  });
+});
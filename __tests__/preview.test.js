@@ -0,0 +1,93 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { renderPreviewHtml, writePreview } = require('../src/preview');
+const { generateLunchLabels } = require('../src/labelGenerator');
+const { getTemplateByName } = require('../src/templates');
+
+const orders = [
+  { orderId: 'L1', studentName: 'Ann Lee', grade: '3rd', contents: 'Pizza' },
+  { orderId: 'L2', studentName: 'Maximiliana Alexandrovna Featherstonehaugh', grade: '3rd', contents: 'Pizza' },
+  { orderId: 'L<3>', studentName: 'Nguyễn Văn An', grade: '3rd', contents: 'Pizza' },
+];
+
+async function generate(lunchOrders, options = {}, templateName = '5167') {
+  return generateLunchLabels(lunchOrders, getTemplateByName(templateName), { ...options, preview: true, silent: true });
+}
+
+// Width and height of a PNG from its header
+function pngSize(bytes) {
+  expect(bytes.subarray(1, 4).toString('latin1')).toBe('PNG');
+  return [bytes.readUInt32BE(16), bytes.readUInt32BE(20)];
+}
+
+describe('preview records', () => {
+  test('record every label\'s slot and order, and warnings by order', async() => {
+    const result = await generate(orders);
+    expect(result.preview.pages).toHaveLength(1);
+    expect(result.preview.labels.map(label => [label.slot, label.orderIndex, label.orderId])).toEqual([[0, 0, 'L1'], [1, 1, 'L2'], [2, 2, 'L<3>']]);
+    expect(result.warnings.map(warning => [warning.code, warning.orderId])).toEqual([['name-truncated', 'L2']]);
+  });
+
+  test('leave preview out of results unless asked for', async() => {
+    const result = await generateLunchLabels(orders, getTemplateByName('5167'), { silent: true });
+    expect(result.preview).toBeUndefined();
+  });
+});
+
+describe('renderPreviewHtml', () => {
+  test('highlight problem labels and list their warnings', async() => {
+    const result = await generate(orders);
+    const html = renderPreviewHtml(result.preview, result.warnings, { title: 'Monday <lunch>' });
+    expect(html).toContain('<title>Monday &#60;lunch&#62;</title>');
+    expect(html).toContain('1 sheet, 3 labels, 1 label with problems highlighted');
+    expect(html).toContain('<strong>Label 2, order L2</strong>');
+    expect(html).toContain('Redrawn from what the tool drew, not from the PDF. Print a test sheet to check fonts.');
+    expect(html.match(/<svg /g)).toHaveLength(1);
+  });
+
+  test('escape order text drawn on the sheet', async() => {
+    const html = renderPreviewHtml((await generate(orders.slice(2))).preview);
+    expect(html).toContain('#L&#60;3&#62;');
+    expect(html).toContain('no problems');
+  });
+
+  test('warn about characters the standard fonts cannot print', async() => {
+    const result = await generate(orders.slice(2), { fonts: 'standard' });
+    expect(result.warnings).toEqual([expect.objectContaining({ code: 'characters-missing', field: 'studentName', message: 'Order L<3>: no font has ễ ă in studentName, so they will not print correctly' })]);
+    expect(renderPreviewHtml(result.preview, result.warnings)).toContain('1 label with problems highlighted');
+  });
+});
+
+describe('writePreview', () => {
+  let dir;
+
+  beforeAll(async() => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'preview-'));
+  });
+
+  afterAll(async() => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('write HTML, or one PNG per sheet with the warnings panel beside it', async() => {
+    const result = await generate(orders);
+    expect(await writePreview(path.join(dir, 'out', 'preview.html'), result)).toEqual([path.join(dir, 'out', 'preview.html')]);
+
+    const [image] = await writePreview(path.join(dir, 'preview.png'), result, { dpi: 20 });
+    expect(pngSize(await fs.readFile(image))).toEqual([Math.ceil(612 * 20 / 72) + 70, Math.ceil(792 * 20 / 72)]);
+  });
+
+  test('number the PNGs when there is more than one sheet', async() => {
+    const many = Array.from({ length: 31 }, (_, index) => ({ ...orders[0], orderId: `L${index + 1}` }));
+    const paths = await writePreview(path.join(dir, 'sheets.png'), await generate(many, {}, '5160'), { dpi: 20 });
+    expect(paths).toEqual([path.join(dir, 'sheets-1.png'), path.join(dir, 'sheets-2.png')]);
+  });
+
+  test('refuse other file types, results without a preview and bad resolutions', async() => {
+    const result = await generate(orders);
+    await expect(writePreview(path.join(dir, 'preview.pdf'), result)).rejects.toThrow('Preview must be an .html or .png file');
+    await expect(writePreview(path.join(dir, 'preview.html'), { warnings: [] })).rejects.toThrow('No preview was recorded; generate with { preview: true }');
+    await expect(writePreview(path.join(dir, 'preview.png'), result, { dpi: 1000 })).rejects.toThrow('Invalid preview resolution: 1000. Use 20 to 600 dpi');
+  });
+});
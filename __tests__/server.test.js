@@ -0,0 +1,103 @@
+const http = require('http');
+const { PDFDocument } = require('pdf-lib');
+const { createLabelServer, parseByteSize } = require('../src/server');
+
+const CSV = 'orderId,studentName,grade,contents\nL1,Ann Lee,3rd,Pizza\nL2,Bo Chen,K,Salad\n';
+
+describe('label server', () => {
+  let server;
+  let port;
+
+  beforeAll(async() => {
+    server = createLabelServer({ silent: true, maxBodySize: 2048 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async() => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // Resolves { status, headers, body } with JSON bodies parsed
+  function request(method, target, body, type) {
+    return new Promise((resolve, reject) => {
+      const headers = type ? { 'Content-Type': type } : {};
+      const outgoing = http.request({ host: '127.0.0.1', port, method, path: target, headers }, response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+          const bytes = Buffer.concat(chunks);
+          const json = String(response.headers['content-type']).startsWith('application/json');
+          resolve({ status: response.statusCode, headers: response.headers, body: json ? JSON.parse(bytes.toString('utf8')) : bytes });
+        });
+      });
+      outgoing.on('error', reject);
+      outgoing.end(body);
+    });
+  }
+
+  test('lists the templates', async() => {
+    const { status, body } = await request('GET', '/templates');
+    expect(status).toBe(200);
+    expect(body['5160']).toMatchObject({ labelsPerRow: 3, labelsPerColumn: 10 });
+  });
+
+  test('makes labels from CSV with options in the query string', async() => {
+    const { status, headers, body } = await request('POST', '/labels?template=5163&sortBy=grade&numberCopies=true', CSV, 'text/csv');
+    expect(status).toBe(200);
+    expect(headers['content-type']).toBe('application/pdf');
+    expect(headers['x-label-count']).toBe('2');
+    expect(headers['x-page-count']).toBe('1');
+    expect((await PDFDocument.load(body)).getPage(0).getSize().width).toBe(612);
+  });
+
+  test('makes labels from JSON with a custom template and options', async() => {
+    const orders = [{ orderId: 'L1', studentName: 'Ann Lee', grade: '3rd', contents: 'Pizza' }];
+    const template = { labelWidth: 4, labelHeight: 2, labelsPerRow: 2, labelsPerColumn: 5, marginTop: 0.5, marginLeft: 0.15 };
+    const { status, headers } = await request('POST', '/labels', JSON.stringify({ orders, template, options: { copies: 3 } }), 'application/json');
+    expect(status).toBe(200);
+    expect(headers['x-label-count']).toBe('3');
+  });
+
+  test('validates orders, giving each problem\'s row', async() => {
+    const { status, body } = await request('POST', '/validate', `${CSV}L3,,3rd,Soup\n`, 'text/csv; charset=utf-8');
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ valid: false, orders: 3, warnings: [] });
+    expect(body.errors).toEqual([expect.objectContaining({ row: 4, field: 'studentName', code: 'missing' })]);
+  });
+
+  test('answers 422 with the problems when orders are invalid', async() => {
+    const { status, body } = await request('POST', '/labels', 'orderId,studentName,grade,contents\nL1,Ann Lee,3rd,\n', 'text/csv');
+    expect(status).toBe(422);
+    expect(body.error).toBe('Row 2, contents: Missing required field');
+    expect(body.problems).toHaveLength(1);
+  });
+
+  test.each([
+    ['POST', '/labels?fonts=/etc/passwd', CSV, 'text/csv', 400, 'Invalid option fonts: use standard or unicode'],
+    ['POST', '/labels?layoutFile=x.json', CSV, 'text/csv', 400, 'Unknown option: layoutFile'],
+    ['POST', '/labels?constructor=1', CSV, 'text/csv', 400, 'Unknown option: constructor'],
+    ['POST', '/labels?copies=two', CSV, 'text/csv', 400, 'Invalid option copies: use a number'],
+    ['POST', '/labels?template=5160&pageSize=a4', CSV, 'text/csv', 422, 'Labels take 8.313" x 10.500" with margins, more than the A4 page'],
+    ['POST', '/labels', '{"orders": 5}', 'application/json', 400, 'JSON body must be an array of orders'],
+    ['POST', '/labels', '[]', 'application/json', 400, 'No orders given'],
+    ['POST', '/labels', CSV, 'text/plain', 415, 'Post orders as text/csv or application/json'],
+    ['POST', '/labels', CSV.repeat(60), 'text/csv', 413, 'Request body is larger than the 2048 byte limit'],
+    ['GET', '/labels', undefined, undefined, 405, 'Use POST for /labels'],
+    ['GET', '/orders', undefined, undefined, 404, 'Not found: /orders'],
+    ['GET', '//[', undefined, undefined, 400, 'Invalid request URL: //['],
+  ])('%s %s answers %#', async(method, target, body, type, expectedStatus, message) => {
+    const { status, body: answer } = await request(method, target, body, type);
+    expect(status).toBe(expectedStatus);
+    expect(answer.error).toContain(message);
+  });
+});
+
+describe('parseByteSize', () => {
+  test('reads bytes, kb and mb', () => {
+    expect(parseByteSize(500)).toBe(500);
+    expect(parseByteSize('500kb')).toBe(512000);
+    expect(parseByteSize(' 1.5 MB ')).toBe(1572864);
+    expect(() => parseByteSize('lots')).toThrow('Invalid size: lots');
+  });
+});
@@ -0,0 +1,74 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { PDFDocument } = require('pdf-lib');
+const { createSplitLabels } = require('../src/splitOutput');
+const { getTemplateByName } = require('../src/templates');
+const { readZip } = require('../src/zip');
+
+const orders = [
+  { orderId: 'L1', studentName: 'Ann Lee', grade: '3', teacher: 'Mrs. O\'Neil', contents: 'Pizza' },
+  { orderId: 'L2', studentName: 'Bo Chen', grade: 'K', teacher: 'Mr. Hill', contents: 'Salad' },
+  { orderId: 'L3', studentName: 'Cy Diaz', grade: '3rd', teacher: 'Mrs. O\'Neil', contents: 'Soup', quantity: 2 },
+  { orderId: 'L4', studentName: 'Di Ek', grade: '5th', teacher: 'Mrs O Neil', contents: 'Soup', quantity: 0 },
+];
+
+describe('createSplitLabels', () => {
+  const template = getTemplateByName('5160');
+  let dir;
+
+  beforeEach(async() => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-'));
+  });
+
+  afterEach(async() => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('writes a PDF per grade, merging spellings and leaving out grades with no labels, and an index', async() => {
+    const output = await createSplitLabels(orders, template, path.join(dir, 'lunch-labels.pdf'), { splitBy: 'grade', silent: true });
+    expect(output.files.map(file => [file.name, file.value, file.orderCount, file.labelCount, file.pageCount])).toEqual([
+      ['lunch-labels-K.pdf', 'K', 1, 1, 1],
+      ['lunch-labels-3rd.pdf', '3rd', 2, 3, 1],
+    ]);
+    expect(output.indexPath).toBe(path.join(dir, 'lunch-labels-index.csv'));
+    expect(await fs.readFile(output.indexPath, 'utf8')).toBe('File,grade,Orders,Labels,Pages\nlunch-labels-K.pdf,K,1,1,1\nlunch-labels-3rd.pdf,3rd,2,3,1\n');
+    expect((await PDFDocument.load(await fs.readFile(output.files[1].path))).getPageCount()).toBe(1);
+  });
+
+  test('makes file names safe and numbers names that clash', async() => {
+    const output = await createSplitLabels(orders, template, path.join(dir, 'labels.pdf'), { splitBy: 'teacher', dryRun: true, silent: true });
+    expect(output.files.map(file => file.name)).toEqual(['labels-Mr.-Hill.pdf', 'labels-Mrs.-O-Neil.pdf']);
+
+    const clashing = orders.map(order => ({ ...order, quantity: 1 }));
+    const names = (await createSplitLabels(clashing, template, path.join(dir, 'labels.pdf'), { splitBy: 'teacher', dryRun: true, silent: true })).files.map(file => file.name);
+    expect(names).toEqual(['labels-Mr.-Hill.pdf', 'labels-Mrs-O-Neil.pdf', 'labels-Mrs.-O-Neil.pdf']);
+  });
+
+  test('writes nothing on a dry run', async() => {
+    const output = await createSplitLabels(orders, template, path.join(dir, 'labels.pdf'), { splitBy: 'grade', dryRun: true, silent: true });
+    expect(output).toMatchObject({ indexPath: null, zipPath: null });
+    expect(output.files.every(file => file.path === null)).toBe(true);
+    expect(await fs.readdir(dir)).toEqual([]);
+  });
+
+  test('puts the PDFs and index in one zip, timestamped when asked', async() => {
+    const timestamp = new Date('2024-09-03T07:30:00Z');
+    const output = await createSplitLabels(orders, template, path.join(dir, 'labels.pdf'), { splitBy: 'grade', zip: true, timestamp, silent: true });
+    expect(output.zipPath).toBe(path.join(dir, 'labels-2024-09-03T07-30-00.zip'));
+    expect(await fs.readdir(dir)).toEqual(['labels-2024-09-03T07-30-00.zip']);
+    const entries = readZip(await fs.readFile(output.zipPath));
+    expect([...entries.keys()]).toEqual(['labels-K-2024-09-03T07-30-00.pdf', 'labels-3rd-2024-09-03T07-30-00.pdf', 'labels-index-2024-09-03T07-30-00.csv']);
+  });
+
+  test.each([
+    [{}, 'Name a field to split the labels by'],
+    [{ splitBy: 'grade', summary: 'pdf' }, 'A split run adds the kitchen summary and delivery roster as pages of each file'],
+    [{ splitBy: 'grade', startAt: 5 }, 'Start at and skip positions are for a single partly used sheet'],
+    [{ splitBy: 'grade', preview: true }, 'Previews are for a single PDF and cannot be made for a split run'],
+    [{ splitBy: 'grade', copies: 0 }, 'No labels to print (every order has a quantity of 0)'],
+  ])('rejects %j', async(options, message) => {
+    const lunchOrders = options.copies === 0 ? orders.map(order => ({ ...order, quantity: undefined })) : orders;
+    await expect(createSplitLabels(lunchOrders, template, path.join(dir, 'labels.pdf'), { ...options, silent: true })).rejects.toThrow(message);
+  });
+});
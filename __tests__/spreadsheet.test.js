@@ -0,0 +1,125 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { readSpreadsheet, parseXml } = require('../src/spreadsheet');
+const { readZip, writeZip } = require('../src/zip');
+const { readOrderFile } = require('../src/dataHandler');
+
+const WORKBOOK = `<?xml version="1.0" encoding="UTF-8"?>
+<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <sheets><sheet name="Notes" sheetId="1" r:id="rId1"/><sheet name="Orders" sheetId="2" r:id="rId2"/></sheets>
+</workbook>`;
+const RELATIONSHIPS = `<Relationships>
+  <Relationship Id="rId1" Target="worksheets/notes.xml"/>
+  <Relationship Id="rId2" Target="/xl/worksheets/orders.xml"/>
+</Relationships>`;
+const SHARED_STRINGS = `<sst>
+  <si><t>orderId</t></si><si><t>studentName</t></si><si><t>grade</t></si><si><t>contents</t></si>
+  <si><r><t>Emma </t></r><r><rPr><b/></rPr><t>Johnson</t></r><rPh><t>ignored</t></rPh></si>
+  <si><t xml:space="preserve">Pizza &amp; Salad </t></si>
+</sst>`;
+const ORDERS_SHEET = `<worksheet><sheetData>
+  <row r="1"><c r="A1" t="inlineStr"><is><t>Lunch orders, week 3</t></is></c></row>
+  <row r="3"><c r="A3" t="s"><v>0</v></c><c r="B3" t="s"><v>1</v></c><c r="C3" t="s"><v>2</v></c><c r="D3" t="s"><v>3</v></c></row>
+  <row r="4"><c r="A4"><v>1001</v></c><c r="B4" t="s"><v>4</v></c><c r="C4" t="inlineStr"><is><t>3rd</t></is></c><c r="D4" t="s"><v>5</v></c></row>
+  <row r="5"><c r="A5"><v>1002</v></c><c r="B5" t="inlineStr"><is><t>Noah</t></is></c><c r="D5" t="b"><v>1</v></c></row>
+</sheetData></worksheet>`;
+
+function xlsx() {
+  return writeZip([
+    { name: 'xl/workbook.xml', data: WORKBOOK },
+    { name: 'xl/_rels/workbook.xml.rels', data: RELATIONSHIPS },
+    { name: 'xl/sharedStrings.xml', data: SHARED_STRINGS },
+    { name: 'xl/worksheets/notes.xml', data: '<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>Read me</t></is></c></row></sheetData></worksheet>' },
+    { name: 'xl/worksheets/orders.xml', data: ORDERS_SHEET },
+  ]);
+}
+
+function ods(rows) {
+  return writeZip([{
+    name: 'content.xml',
+    data: `<office:document-content><office:body><office:spreadsheet>
+      <table:table table:name="Sheet1">${rows}</table:table>
+    </office:spreadsheet></office:body></office:document-content>`,
+  }]);
+}
+
+describe('readSpreadsheet (.xlsx)', () => {
+  test('reads a sheet by name, with shared, rich and inline strings', () => {
+    const { sheetName, rows } = readSpreadsheet(xlsx(), '.xlsx', { sheet: 'Orders' });
+    expect(sheetName).toBe('Orders');
+    expect(rows).toEqual([
+      { line: 1, fields: ['Lunch orders, week 3'] },
+      { line: 3, fields: ['orderId', 'studentName', 'grade', 'contents'] },
+      { line: 4, fields: ['1001', 'Emma Johnson', '3rd', 'Pizza & Salad'] },
+      { line: 5, fields: ['1002', 'Noah', '', 'TRUE'] },
+    ]);
+  });
+
+  test('uses the first sheet by default and takes a 1-based index', () => {
+    expect(readSpreadsheet(xlsx(), '.xlsx').sheetName).toBe('Notes');
+    expect(readSpreadsheet(xlsx(), '.xlsx', { sheet: 2 }).sheetName).toBe('Orders');
+  });
+
+  test('lists the sheets when one is not found', () => {
+    expect(() => readSpreadsheet(xlsx(), '.xlsx', { sheet: 'Menu' })).toThrow('Available sheets: Notes, Orders');
+  });
+});
+
+describe('readSpreadsheet (.ods)', () => {
+  test('expands repeated cells and spaces, and skips repeated empty rows', () => {
+    const { rows } = readSpreadsheet(ods(`
+      <table:table-row><table:table-cell><text:p>orderId</text:p></table:table-cell><table:table-cell><text:p>note</text:p></table:table-cell></table:table-row>
+      <table:table-row table:number-rows-repeated="1048570"><table:table-cell table:number-columns-repeated="1024"/></table:table-row>
+      <table:table-row><table:table-cell office:value="7"><text:p>7</text:p></table:table-cell><table:table-cell table:number-columns-repeated="2"/><table:table-cell><text:p>No<text:s text:c="2"/>nuts</text:p><text:p>please</text:p></table:table-cell></table:table-row>
+    `), '.ods');
+    expect(rows).toEqual([
+      { line: 1, fields: ['orderId', 'note'] },
+      { line: 1048572, fields: ['7', '', '', 'No  nuts\nplease'] },
+    ]);
+  });
+});
+
+describe('parseXml', () => {
+  test('decodes entities and keeps CDATA as text', () => {
+    const root = parseXml('<?xml version="1.0"?><!-- note --><a x="&lt;1&#62;"><b>&#x4E2D;&amp;</b><![CDATA[<raw>]]></a>');
+    expect(root.attrs.x).toBe('<1>');
+    expect(root.children).toEqual([{ name: 'b', attrs: {}, children: ['中&'] }, '<raw>']);
+  });
+});
+
+describe('readZip', () => {
+  test('reads what writeZip wrote, stored and deflated', () => {
+    const big = 'abc'.repeat(1000);
+    const entries = readZip(writeZip([{ name: 'tiny.txt', data: 'x' }, { name: 'big.txt', data: big }, { name: 'naïve.txt', data: Buffer.from([1, 2]) }]));
+    expect([...entries.keys()]).toEqual(['tiny.txt', 'big.txt', 'naïve.txt']);
+    expect(entries.get('big.txt').toString()).toBe(big);
+    expect([...entries.get('naïve.txt')]).toEqual([1, 2]);
+  });
+
+  test('rejects data that is not a ZIP archive', () => {
+    expect(() => readZip(Buffer.from('not a zip file at all, just text'))).toThrow('Not a ZIP archive');
+  });
+
+  test('rejects unsupported compression methods', () => {
+    const archive = writeZip([{ name: 'a.txt', data: 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa' }]);
+    const central = archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    archive.writeUInt16LE(12, central + 10);
+    expect(() => readZip(archive)).toThrow('Unsupported ZIP compression method 12 for a.txt');
+  });
+});
+
+describe('readOrderFile with a workbook', () => {
+  test('finds the header row below a title and keeps spreadsheet row numbers', async() => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'orders-'));
+    const file = path.join(dir, 'orders.xlsx');
+    await fs.writeFile(file, xlsx());
+    try {
+      const { orders, rows } = await readOrderFile(file, { sheet: 'Orders', silent: true });
+      expect(orders.map(order => order.studentName)).toEqual(['Emma Johnson', 'Noah']);
+      expect(rows).toEqual([4, 5]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,135 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { PDFDocument } = require('pdf-lib');
+const { generateLunchLabels } = require('../src/labelGenerator');
+const {
+  templates,
+  getTemplateByName,
+  getTemplateNames,
+  getTemplateSource,
+  getTemplateFiles,
+  loadUserTemplates,
+  saveUserTemplate,
+  removeUserTemplate,
+  resolvePageSize,
+  validateTemplateGeometry,
+} = require('../src/templates');
+
+const SHEET = { labelWidth: 2, labelHeight: 1, labelsPerRow: 3, labelsPerColumn: 8, marginTop: 1, marginLeft: 0.5, horizontalGap: 0.25 };
+
+describe('template libraries', () => {
+  let dir;
+  let configDir;
+  let cwd;
+
+  beforeEach(async() => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'templates-'));
+    configDir = path.join(dir, 'config');
+    cwd = path.join(dir, 'project');
+    await fs.mkdir(cwd);
+  });
+
+  afterEach(async() => {
+    // Nothing to load, which clears what the test loaded
+    await loadUserTemplates({ configDir: path.join(dir, 'none'), cwd: path.join(dir, 'none') });
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('list the user and project files, whether or not they exist', async() => {
+    expect(await getTemplateFiles({ configDir, cwd })).toEqual([
+      { scope: 'user', path: path.join(configDir, 'templates.json'), exists: false },
+      { scope: 'project', path: path.join(cwd, 'lunch-label-templates.json'), exists: false },
+    ]);
+  });
+
+  test('save a template, filling in gaps and the description, and load it over the built-ins', async() => {
+    const file = path.join(configDir, 'templates.json');
+    const saved = await saveUserTemplate(file, 'school-sheet', SHEET);
+    expect(saved).toEqual({ name: 'school-sheet', ...SHEET, verticalGap: 0, description: 'Custom template' });
+    expect(JSON.parse(await fs.readFile(file, 'utf8'))).toEqual({ templates: { 'school-sheet': { ...SHEET, verticalGap: 0, description: 'Custom template' } } });
+
+    expect(await loadUserTemplates({ configDir, cwd })).toEqual([file]);
+    expect(getTemplateByName('school-sheet')).toEqual(saved);
+    expect(getTemplateSource('school-sheet')).toBe(file);
+    expect(getTemplateSource('5160')).toBe('built-in');
+    expect(getTemplateNames()).toContain('5160');
+  });
+
+  test('let project files and templatesFile override the user file, in YAML too', async() => {
+    await saveUserTemplate(path.join(configDir, 'templates.json'), 'shared', { ...SHEET, description: 'user' });
+    await fs.writeFile(path.join(cwd, 'lunch-label-templates.yaml'), `shared:\n  ${Object.entries({ ...SHEET, description: 'project' }).map(([key, value]) => `${key}: ${value}`).join('\n  ')}\n`);
+    await loadUserTemplates({ configDir, cwd });
+    expect(getTemplateByName('shared').description).toBe('project');
+
+    const extra = path.join(dir, 'extra.yml');
+    await saveUserTemplate(extra, 'shared', { ...SHEET, description: 'file' });
+    await loadUserTemplates({ configDir, cwd, templatesFile: extra });
+    expect(getTemplateByName('shared').description).toBe('file');
+  });
+
+  test('remove templates, saying when there was none', async() => {
+    const file = path.join(dir, 'templates.json');
+    await saveUserTemplate(file, 'one', SHEET);
+    await saveUserTemplate(file, 'two', SHEET);
+    expect(await removeUserTemplate(file, 'one')).toBe(true);
+    expect(await removeUserTemplate(file, 'one')).toBe(false);
+    expect(Object.keys(JSON.parse(await fs.readFile(file, 'utf8')).templates)).toEqual(['two']);
+  });
+
+  test('reject bad entries with the file and template name', async() => {
+    const file = path.join(dir, 'templates.json');
+    await expect(saveUserTemplate(file, 'custom', SHEET)).rejects.toThrow(`Template file ${file}: "custom" is reserved, choose another template name`);
+    await expect(saveUserTemplate(file, 'wide', { ...SHEET, labelsPerRow: 5 })).rejects.toThrow(`Template file ${file}: template "wide": Labels take`);
+    await expect(saveUserTemplate(file, 'half', { ...SHEET, labelsPerRow: 2.5 })).rejects.toThrow('labelsPerRow must be a whole number');
+
+    await fs.writeFile(file, '{ "templates": ');
+    await expect(loadUserTemplates({ configDir, cwd, templatesFile: file })).rejects.toThrow(`Invalid template file ${file}`);
+    await expect(loadUserTemplates({ configDir, cwd, templatesFile: path.join(dir, 'none.json') })).rejects.toThrow('Template file not found');
+  });
+});
+
+describe('page sizes', () => {
+  test.each([
+    [undefined, { name: 'Letter', width: 8.5, height: 11 }],
+    ['Legal', { name: 'Legal', width: 8.5, height: 14 }],
+    ['210x297mm', { name: '210 x 297 mm', width: 210 / 25.4, height: 297 / 25.4 }],
+    ['4 x 6', { name: '4 x 6 in', width: 4, height: 6 }],
+    [{ width: 100, height: 150, units: 'mm' }, { name: '100 x 150 mm', width: 100 / 25.4, height: 150 / 25.4 }],
+  ])('resolves %j', (pageSize, expected) => {
+    const page = resolvePageSize(pageSize);
+    expect(page.name).toBe(expected.name);
+    expect(page.width).toBeCloseTo(expected.width);
+    expect(page.height).toBeCloseTo(expected.height);
+  });
+
+  test.each([
+    ['tabloid', 'Unknown page size: tabloid. Use letter, legal, a4, or WIDTHxHEIGHT in mm or in'],
+    ['8x10cm', 'Unknown page size: 8x10cm'],
+    [{ width: 8, height: 10, units: 'cm' }, 'Unknown page size: {"width":8,"height":10,"units":"cm"}'],
+    ['60x10', 'Page size must be more than 0 and at most 48 inches each way (got "60x10")'],
+  ])('rejects %j', (pageSize, message) => {
+    expect(() => resolvePageSize(pageSize)).toThrow(message);
+  });
+
+  test('the built-in A4 templates fit A4', () => {
+    const a4 = Object.values(templates).filter(template => template.pageSize === 'a4');
+    expect(a4.map(template => template.name)).toEqual(expect.arrayContaining(['L7160', 'L7163']));
+    a4.forEach(template => {
+      expect(() => validateTemplateGeometry(template)).not.toThrow();
+    });
+  });
+
+  test('a Letter sheet does not fit on A4', () => {
+    expect(() => validateTemplateGeometry({ ...getTemplateByName('5160'), pageSize: 'a4' }))
+      .toThrow('Labels take 8.313" x 10.500" with margins, more than the A4 page (8.27" x 11.69")');
+  });
+
+  test('A4 templates print on A4 pages', async() => {
+    const orders = [{ orderId: 'L1', studentName: 'Ann Lee', grade: '3rd', contents: 'Pizza' }];
+    const { pdfBytes } = await generateLunchLabels(orders, getTemplateByName('L7160'), { silent: true });
+    const { width, height } = (await PDFDocument.load(pdfBytes)).getPage(0).getSize();
+    expect(width).toBeCloseTo(595.28, 1);
+    expect(height).toBeCloseTo(841.89, 1);
+  });
+});
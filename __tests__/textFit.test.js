@@ -0,0 +1,84 @@
+const { autoFitBounds, findAutoFitSizing, fitField } = require('../src/textFit');
+const { resolveLayout } = require('../src/layouts');
+const { generateLunchLabels } = require('../src/labelGenerator');
+const { getTemplateByName } = require('../src/templates');
+
+// Every character is half as wide as the font size
+const font = { widthOfTextAtSize: (text, size) => text.length * size * 0.5 };
+const fonts = { regular: font, bold: font, italic: font, 'bold-italic': font };
+const box = { width: 100, fonts, skipFields: [], reserve: () => 0 };
+
+const order = { orderId: 'L1', studentName: 'Ann Lee', grade: '3rd', contents: 'Pizza', specialInstructions: 'No nuts' };
+const { rows } = resolveLayout('standard');
+
+describe('autoFitBounds', () => {
+  test('defaults to 5-16pt and takes numeric strings', () => {
+    expect(autoFitBounds()).toEqual({ minFontSize: 5, maxFontSize: 16 });
+    expect(autoFitBounds({ minFontSize: '6', maxFontSize: '12' })).toEqual({ minFontSize: 6, maxFontSize: 12 });
+  });
+
+  test.each([
+    [{ minFontSize: 'big' }, 'minFontSize must be a number of points from 2 to 72'],
+    [{ maxFontSize: 100 }, 'maxFontSize must be a number of points from 2 to 72'],
+    [{ minFontSize: 10, maxFontSize: 8 }, 'minFontSize (10) is larger than maxFontSize (8)'],
+  ])('rejects %j', (options, message) => {
+    expect(() => autoFitBounds(options)).toThrow(message);
+  });
+});
+
+describe('fitField', () => {
+  const spec = { maxLines: 1, overflow: 'truncate' };
+
+  test('truncates with an ellipsis or leaves the field out', () => {
+    expect(fitField('Pizza', spec, font, 10, 100)).toEqual({ lines: ['Pizza'], status: 'ok' });
+    expect(fitField('Pepperoni pizza', spec, font, 10, 50)).toEqual({ lines: ['Peppero...'], status: 'truncated' });
+    expect(fitField('Pepperoni pizza', { ...spec, overflow: 'omit' }, font, 10, 50)).toEqual({ lines: [], status: 'omitted' });
+  });
+
+  test('wraps onto up to maxLines lines', () => {
+    expect(fitField('Ham and cheese', { ...spec, maxLines: 2 }, font, 10, 50)).toEqual({ lines: ['Ham and', 'cheese'], status: 'ok' });
+    expect(fitField('Ham and cheese on rye', { ...spec, maxLines: 2 }, font, 10, 50).status).toBe('truncated');
+  });
+});
+
+describe('findAutoFitSizing', () => {
+  const bounds = autoFitBounds();
+
+  test('uses the largest sizes when everything fits, capped at maxFontSize', () => {
+    const { sizing, fits } = findAutoFitSizing(order, rows, box, 1000, bounds);
+    expect(fits).toBe(true);
+    expect(sizing.fontSizes.studentName).toBeCloseTo(16);
+    expect(sizing.fontSizes.contents).toBeCloseTo(16 * 7 / 9);
+  });
+
+  test('shrinks until the rows fit in the height', () => {
+    const { sizing, fits } = findAutoFitSizing(order, rows, box, 40, bounds);
+    expect(fits).toBe(true);
+    expect(sizing.fontSizes.studentName).toBeLessThan(16);
+    expect(sizing.fontSizes.specialInstructions).toBeGreaterThanOrEqual(5);
+    expect(findAutoFitSizing(order, rows, box, 60, bounds).sizing.scale).toBeGreaterThan(sizing.scale);
+  });
+
+  test('falls back to the minimum when nothing fits', () => {
+    const { sizing, fits } = findAutoFitSizing(order, rows, box, 5, bounds);
+    expect(fits).toBe(false);
+    expect(sizing.fontSizes.specialInstructions).toBeCloseTo(5);
+  });
+});
+
+describe('auto-fit labels', () => {
+  test('give short orders bigger text than long ones and report the sizes', async() => {
+    const orders = [order, { ...order, orderId: 'L2', contents: 'Turkey sandwich on wheat with lettuce, tomato and mustard, apple slices, carrot sticks and a cookie' }];
+    const result = await generateLunchLabels(orders, getTemplateByName('5160'), { autoFit: true, silent: true });
+    const [short, long] = result.autoFit;
+    expect(short).toMatchObject({ orderIndex: 0, orderId: 'L1', fits: true });
+    expect(long).toMatchObject({ orderIndex: 1, orderId: 'L2' });
+    expect(short.fontSizes.contents).toBeGreaterThan(long.fontSizes.contents);
+    expect(short.fontSizes.studentName).toBeLessThanOrEqual(16);
+  });
+
+  test('check the bounds before drawing', async() => {
+    await expect(generateLunchLabels([order], getTemplateByName('5160'), { autoFit: true, minFontSize: 1, silent: true }))
+      .rejects.toThrow('minFontSize must be a number of points from 2 to 72');
+  });
+});
@@ -0,0 +1,76 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { processOrderFile, watchFolder } = require('../src/watchFolder');
+const { getTemplateByName } = require('../src/templates');
+
+const GOOD_CSV = 'orderId,studentName,grade,contents\nL1,Ann Lee,3rd,Pizza\nL2,Bo Chen,Staff,Salad\n';
+const BAD_CSV = 'orderId,studentName,grade,contents\nL1,Ann Lee,3rd,\n';
+
+describe('watch folders', () => {
+  let dir;
+  let settings;
+
+  beforeEach(async() => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-'));
+    settings = { outputDir: path.join(dir, 'output'), quarantineDir: path.join(dir, 'quarantine'), template: getTemplateByName('5160') };
+  });
+
+  afterEach(async() => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('make labels for a good file and write its status beside them', async() => {
+    await fs.writeFile(path.join(dir, 'monday.csv'), GOOD_CSV);
+    const status = await processOrderFile(path.join(dir, 'monday.csv'), settings);
+    expect(status).toMatchObject({ status: 'ok', orders: 2, labels: 2, pages: 1, error: null, quarantined: null });
+    expect(status.problems.map(problem => problem.code)).toEqual(['unknown-grade']);
+    expect(path.basename(status.output)).toMatch(/^monday-\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d\.pdf$/);
+    expect(status.statusFile).toBe(status.output.replace(/\.pdf$/, '.status.json'));
+
+    const written = JSON.parse(await fs.readFile(status.statusFile, 'utf8'));
+    expect(written).toMatchObject({ input: path.join(dir, 'monday.csv'), status: 'ok', output: status.output });
+    expect((await fs.stat(status.output)).size).toBeGreaterThan(0);
+  });
+
+  test('quarantine a file that fails, with the reason in its status', async() => {
+    await fs.writeFile(path.join(dir, 'tuesday.csv'), BAD_CSV);
+    const status = await processOrderFile(path.join(dir, 'tuesday.csv'), settings);
+    expect(status).toMatchObject({ status: 'failed', output: null, error: 'Row 2, contents: Missing required field' });
+    expect(path.dirname(status.quarantined)).toBe(settings.quarantineDir);
+    expect(path.basename(status.quarantined)).toMatch(/^tuesday-.*\.csv$/);
+    expect(await fs.readFile(status.quarantined, 'utf8')).toBe(BAD_CSV);
+    await expect(fs.access(path.join(dir, 'tuesday.csv'))).rejects.toThrow();
+    expect(await fs.readdir(settings.outputDir)).toEqual([path.basename(status.statusFile)]);
+  });
+
+  test('process order files already there once they settle, skipping others', async() => {
+    await fs.writeFile(path.join(dir, 'monday.csv'), GOOD_CSV);
+    await fs.writeFile(path.join(dir, 'notes.txt'), 'not orders');
+    await fs.writeFile(path.join(dir, '~lock.csv'), GOOD_CSV);
+
+    const runs = [];
+    let watcher;
+    await new Promise((resolve, reject) => {
+      watchFolder(dir, {
+        ...settings,
+        settleTime: 20,
+        existing: true,
+        silent: true,
+        onRun: status => {
+          runs.push(status);
+          resolve();
+        },
+      }).then(started => {
+        watcher = started;
+      }, reject);
+    });
+    await watcher.close();
+    expect(runs.map(run => [path.basename(run.input), run.status])).toEqual([['monday.csv', 'ok']]);
+  });
+
+  test('refuse a missing folder or output into the watched folder', async() => {
+    await expect(watchFolder(path.join(dir, 'none'), { silent: true })).rejects.toThrow(`Watch folder not found: ${path.join(dir, 'none')}`);
+    await expect(watchFolder(dir, { outputDir: dir, silent: true })).rejects.toThrow('The output and quarantine folders must not be the watched folder');
+  });
+});
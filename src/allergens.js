@@ -0,0 +1,164 @@
+// Allergy alerts
+// Orders whose allergy-related fields mention a listed allergen get a
+// highlighted allergy band on their label. The band is laid out before
+// anything else and is never truncated.
+const fs = require('fs').promises;
+
+// Keywords are matched as whole words, case-insensitively, so "nut-free"
+// matches "nut" but "donut" and "coconut" do not.
+const DEFAULT_ALLERGENS = {
+  peanuts: ['peanut', 'peanuts'],
+  'tree nuts': ['nut', 'nuts', 'tree nut', 'tree nuts', 'almond', 'almonds', 'cashew', 'cashews', 'walnut', 'walnuts', 'pecan', 'pecans', 'hazelnut', 'hazelnuts', 'pistachio', 'pistachios'],
+  dairy: ['dairy', 'milk', 'lactose', 'cheese'],
+  eggs: ['egg', 'eggs'],
+  gluten: ['gluten', 'wheat', 'celiac', 'coeliac'],
+  soy: ['soy', 'soya'],
+  fish: ['fish'],
+  shellfish: ['shellfish', 'shrimp', 'crab', 'lobster'],
+  sesame: ['sesame'],
+};
+
+// In free text such as special instructions, naming a food is not enough:
+// "Extra cheese" asks for more of it. A keyword counts when its sentence
+// has allergy wording ("allergic to eggs and milk", "EpiPen for
+// peanuts"), or when its phrase (up to a comma) says to leave it out
+// ("No nuts or dairy", "gluten-free").
+const ALLERGY_WORDING = /(^|[^\p{L}])(allerg\w*|anaphyla\w*|epi-?pens?|intoleran\w*|celiac|coeliac)(?=$|[^\p{L}])/iu;
+const EXCLUSION_WORDING = /(^|[^\p{L}])(no|non|not|without|avoid|free)(?=$|[^\p{L}])/iu;
+
+// Fields whose keywords count without allergy wording: a dedicated
+// allergies column, and contents, which say what is in the lunch
+const KEYWORD_FIELDS = ['allergies', 'contents'];
+
+// A dedicated allergies field counts as an alert whatever it says, unless
+// it is one of these placeholders
+const NO_ALLERGY_VALUES = ['', 'none', 'n/a', 'na', 'no', 'nka', 'nkda', '-'];
+
+const DEFAULT_FIELDS = ['allergies', 'specialInstructions'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function keywordPattern(keywords) {
+  return new RegExp(`(^|[^\\p{L}\\p{N}])(${keywords.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'iu');
+}
+
+// Builds the matcher config. `allergens` is a list of names (built-in
+// names expand to their keywords, anything else is its own keyword) or a
+// { name: [keywords] } object; `fields` lists the order fields to check.
+function createAllergenConfig({ allergens, fields, allowOverflow } = {}) {
+  let list = allergens;
+  if (typeof list === 'string') {
+    list = list.split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  let definitions;
+  if (!list || (Array.isArray(list) && list.length === 0)) {
+    definitions = DEFAULT_ALLERGENS;
+  } else if (Array.isArray(list)) {
+    definitions = {};
+    list.forEach(name => {
+      const key = String(name).toLowerCase();
+      definitions[key] = DEFAULT_ALLERGENS[key] || [key];
+    });
+  } else if (typeof list === 'object') {
+    definitions = {};
+    Object.entries(list).forEach(([name, keywords]) => {
+      definitions[name] = [].concat(keywords).map(String);
+    });
+  } else {
+    throw new Error('Allergens must be a list of names or an object of name: keywords');
+  }
+
+  const fieldList = typeof fields === 'string' ? fields.split(',').map(field => field.trim()).filter(Boolean) : fields;
+
+  return {
+    allergens: Object.entries(definitions).map(([name, keywords]) => ({ name, pattern: keywordPattern(keywords) })),
+    fields: fieldList && fieldList.length > 0 ? fieldList : DEFAULT_FIELDS,
+    allowOverflow: Boolean(allowOverflow),
+  };
+}
+
+// Reads { "allergens": ..., "fields": [...] } from a JSON file
+async function loadAllergenFile(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Allergen file not found: ${filePath}`);
+    }
+    throw error;
+  }
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid allergen file ${filePath}: ${error.message}`);
+  }
+}
+
+// Names of the allergens text mentions as allergies, by the wording rules
+// above; with keywordsOnly, every allergen named at all
+function matchAllergens(text, config, keywordsOnly = false) {
+  const named = phrase => config.allergens.filter(allergen => allergen.pattern.test(phrase));
+  if (keywordsOnly) {
+    return named(text).map(allergen => allergen.name);
+  }
+  const matched = new Set();
+  text.split(/[.;!?\n]+/).forEach(sentence => {
+    if (ALLERGY_WORDING.test(sentence)) {
+      named(sentence).forEach(allergen => matched.add(allergen));
+      return;
+    }
+    sentence.split(',').filter(phrase => EXCLUSION_WORDING.test(phrase)).forEach(phrase => {
+      named(phrase).forEach(allergen => matched.add(allergen));
+    });
+  });
+  return config.allergens.filter(allergen => matched.has(allergen)).map(allergen => allergen.name);
+}
+
+function fieldText(order, field) {
+  const value = order[field];
+  return value === undefined || value === null ? '' : String(value).trim().replace(/\s+/g, ' ');
+}
+
+// Returns null, or { allergens, notes, fields } describing what matched:
+// the allergen names, the text to print and the fields it came from.
+// Contents are summarised as "Contains ..." rather than repeated.
+function findAllergyAlert(order, config) {
+  const allergens = new Set();
+  const notes = [];
+  const fields = [];
+
+  config.fields.forEach(field => {
+    const text = fieldText(order, field);
+    const matched = matchAllergens(text, config, KEYWORD_FIELDS.includes(field));
+    const isAllergyField = field === 'allergies' && !NO_ALLERGY_VALUES.includes(text.toLowerCase());
+
+    if (matched.length === 0 && !isAllergyField) {
+      return;
+    }
+    matched.forEach(name => allergens.add(name));
+    fields.push(field);
+    notes.push(field === 'contents' ? `Contains ${matched.join(', ')}` : text);
+  });
+
+  if (fields.length === 0) {
+    return null;
+  }
+  return { allergens: [...allergens], notes: [...new Set(notes)], fields };
+}
+
+function getDefaultAllergenNames() {
+  return Object.keys(DEFAULT_ALLERGENS);
+}
+
+module.exports = {
+  DEFAULT_ALLERGENS,
+  createAllergenConfig,
+  loadAllergenFile,
+  matchAllergens,
+  findAllergyAlert,
+  getDefaultAllergenNames,
+};
@@ -0,0 +1,568 @@
+// Type definitions for lunch-label-formatter
+
+import { Server } from 'http';
+import { Readable } from 'stream';
+
+export interface LunchOrder {
+  orderId: string;
+  studentName: string;
+  grade: string;
+  contents: string;
+  specialInstructions?: string;
+  allergies?: string;
+  [field: string]: unknown;
+}
+
+/**
+ * A page size name, "WIDTHxHEIGHT" with an "mm" or "in" suffix (inches
+ * when there is none), or an explicit size.
+ */
+export type PageSize = 'letter' | 'legal' | 'a4' | string | { width: number; height: number; units?: 'in' | 'mm' };
+
+/** Label sheet geometry. Dimensions are in inches. */
+export interface Template {
+  name?: string;
+  labelWidth: number;
+  labelHeight: number;
+  labelsPerRow: number;
+  labelsPerColumn: number;
+  marginTop: number;
+  marginLeft: number;
+  horizontalGap: number;
+  verticalGap: number;
+  /** Default "letter". */
+  pageSize?: PageSize;
+  /** Rounded label corners. Default 0. */
+  cornerRadius?: number;
+  description?: string;
+}
+
+/** Measurements for createCustomTemplate, in `units`. */
+export interface CustomTemplateMeasurements {
+  labelWidth: number;
+  labelHeight: number;
+  labelsPerRow: number;
+  labelsPerColumn: number;
+  marginTop: number;
+  marginLeft: number;
+  /** Default 0. */
+  horizontalGap?: number;
+  /** Default 0. */
+  verticalGap?: number;
+  /** Default 0. */
+  cornerRadius?: number;
+  /** Default "in". */
+  units?: 'in' | 'mm';
+  pageSize?: PageSize;
+  name?: string;
+  description?: string;
+}
+
+/** Any object with some of these methods; `warn` is accepted for `warning`. */
+export interface Logger {
+  info?(message: string): void;
+  success?(message: string): void;
+  warning?(message: string): void;
+  warn?(message: string): void;
+  error?(message: string): void;
+  debug?(message: string): void;
+}
+
+export interface LoggingOptions {
+  /** Receives progress and warning messages instead of the console. */
+  logger?: Logger;
+  /** Suppress all logging. Warnings are still returned in results. */
+  silent?: boolean;
+}
+
+export type LabelWarningCode =
+  | 'order-id-omitted'
+  | 'name-truncated'
+  | 'grade-omitted'
+  | 'contents-truncated'
+  | 'instructions-omitted'
+  | 'barcode-omitted'
+  | 'allergen-overflow'
+  | 'characters-missing'
+  | `${string}-truncated`
+  | `${string}-omitted`;
+
+/** A label that was drawn with a field truncated or left out, or with characters no font has. */
+export interface LabelWarning {
+  code: LabelWarningCode;
+  /** Position of the order in the input array. */
+  orderIndex: number;
+  orderId: string;
+  field: string;
+  message: string;
+}
+
+export type LayoutFontSize = 'orderId' | 'studentName' | 'grade' | 'contents' | 'specialInstructions';
+
+/** One field on a label. Needs either `field` or `text`. */
+export interface LayoutField {
+  field?: string;
+  /** Fixed text printed instead of a field. */
+  text?: string;
+  prefix?: string;
+  suffix?: string;
+  font?: 'regular' | 'bold' | 'italic' | 'bold-italic';
+  /** Points, or a named size that scales with the label. Default "contents". */
+  size?: number | LayoutFontSize;
+  /** "#rrggbb", "#rgb" or [r, g, b] from 0 to 1. */
+  color?: string | [number, number, number];
+  align?: 'left' | 'center' | 'right';
+  /** Lines the value may wrap onto. Default 1. */
+  maxLines?: number;
+  /** Shorten the value (default) or leave it out when it does not fit. */
+  overflow?: 'truncate' | 'omit';
+  /** Column width as a fraction of the row. */
+  width?: number;
+  /** Name used in warning messages. */
+  label?: string;
+}
+
+/** Rows from top to bottom; a row is one field or several side by side. */
+export interface Layout {
+  name?: string;
+  description?: string;
+  rows: Array<LayoutField | { columns: LayoutField[] }>;
+}
+
+export interface GenerateOptions extends LoggingOptions {
+  /** Comma-separated fields, "-" prefix for descending. Grades sort Pre-K, K, 1st ... 12th. */
+  sortBy?: string | string[];
+  /** Field whose values keep labels together, e.g. "grade" or "teacher". */
+  groupBy?: string;
+  /** Start each group on a new sheet. */
+  groupPageBreak?: boolean;
+  /** Add a header label naming each group. */
+  groupHeaders?: boolean;
+  /** First free position on a partly used first sheet: 13 or "5:1" (row:column), 1-based. */
+  startAt?: number | string;
+  /** Positions to leave blank on the first sheet: numbers, "row:column" or "3-8" ranges. */
+  skip?: string | Array<number | string>;
+  /** Labels per order for orders without a quantity. Default 1. */
+  copies?: number;
+  /** Field holding a per-order label quantity. Default "quantity". */
+  quantityField?: string;
+  /** Mark repeated labels "1 of 3", "2 of 3", ... */
+  numberCopies?: boolean;
+  /** Draw a barcode: Code 128 along the bottom or a QR code in the top-right corner. */
+  barcode?: 'code128' | 'qr';
+  /** Field encoded in the barcode. Default "orderId". */
+  barcodeField?: string;
+  /** Built-in layout name ("standard", "kitchen", "bag") or a layout. Default "standard". */
+  layout?: string | Layout;
+  /**
+   * Fonts for label text. By default Helvetica is used unless the text
+   * needs more, then the bundled Noto Sans fonts are embedded.
+   */
+  fonts?: 'standard' | 'unicode' | FontOptions;
+  /** Size text to fit each label, scaling all fields together. */
+  autoFit?: boolean;
+  /** Smallest auto-fit text size in points before truncating. Default 5. */
+  minFontSize?: number;
+  /** Largest auto-fit text size in points. Default 16. */
+  maxFontSize?: number;
+  /** Highlight allergy notes in a band that is never truncated: true for the defaults, or a config. */
+  allergyAlerts?: boolean | AllergenConfig;
+  /** Label outline. Default "solid"; "rounded" uses 1/16" corners when the template has no cornerRadius. */
+  border?: 'solid' | 'rounded' | 'dashed' | 'crop-marks' | 'none';
+  /** Inches inside each label's edge kept clear of text and barcodes. Default 0. */
+  safeArea?: number;
+  /** Printer correction: a profile saved with "calibrate save", by name, or a profile. */
+  printer?: string | PrinterProfile;
+  /** Record the pages for renderPreviewHtml, renderPreviewPngs or writePreview. */
+  preview?: boolean;
+  /** Lay out every label without saving the PDF; pdfBytes is null and createLunchLabels writes nothing. */
+  dryRun?: boolean;
+  /** Throw instead of returning when any label would be truncated or lose a field. */
+  strict?: boolean;
+  /** Kitchen summary: pages after the labels, a separate PDF in summaryPdfBytes, or only the data. */
+  summary?: 'pages' | 'pdf' | 'data';
+  /** Delivery roster with sign-off lines: pages after the labels (and any summary), or a separate PDF in rosterPdfBytes. */
+  roster?: 'pages' | 'pdf';
+  /** Field the roster groups orders by. Default "grade". */
+  rosterBy?: string;
+}
+
+/** Item counts and special instructions for the kitchen. Counts are per order. */
+export interface KitchenSummary {
+  orderCount: number;
+  /** Grades in school order, under their usual spelling. */
+  grades: string[];
+  /** Most ordered first. */
+  items: Array<{ name: string; total: number; byGrade: Record<string, number> }>;
+  instructions: Array<{
+    type: 'Allergies' | 'Dietary' | 'Other';
+    entries: Array<{
+      text: string;
+      allergens: string[];
+      orders: Array<{ orderId: string; studentName: string; grade: string }>;
+    }>;
+  }>;
+}
+
+/** Orders grouped for delivery, each group sorted. Orders with no labels are left off. */
+export interface DeliveryRoster {
+  groupBy: string;
+  orderCount: number;
+  labelCount: number;
+  groups: Array<{
+    /** Grades under their usual spelling; "(none)" for orders without the field. */
+    value: string;
+    orderCount: number;
+    labelCount: number;
+    orders: Array<{
+      orderId: string;
+      studentName: string;
+      grade: string;
+      contents: string;
+      specialInstructions: string;
+      labels: number;
+    }>;
+  }>;
+}
+
+/**
+ * Corrects a printer's feed. Offsets are in millimetres, right and down;
+ * scales stretch the page about its top-left corner. Missing fields mean
+ * no correction.
+ */
+export interface PrinterProfile {
+  name?: string;
+  /** -20 to 20. */
+  offsetX?: number;
+  offsetY?: number;
+  /** 0.9 to 1.1. */
+  scaleX?: number;
+  scaleY?: number;
+}
+
+/** Built by createAllergenConfig. */
+export interface AllergenConfig {
+  allergens: Array<{ name: string; pattern: RegExp }>;
+  fields: string[];
+  /** Print notes that do not fit incomplete (with an allergen-overflow warning) instead of throwing. */
+  allowOverflow: boolean;
+}
+
+export interface AllergenOptions {
+  /** Allergen names (built-ins expand to their keywords) or { name: [keywords] }. Default: the built-in list. */
+  allergens?: string | string[] | Record<string, string | string[]>;
+  /** Order fields to check. Default ["allergies", "specialInstructions"]. */
+  fields?: string | string[];
+  allowOverflow?: boolean;
+}
+
+/** Font files (paths, ".ttc#n" for a font in a collection) or bytes. */
+export interface FontOptions {
+  regular?: string | Uint8Array;
+  /** Default: regular when given, else Noto Sans Bold. */
+  bold?: string | Uint8Array;
+  italic?: string | Uint8Array;
+  boldItalic?: string | Uint8Array;
+  /** Tried in order for characters the main font lacks, before the bundled fallbacks. */
+  fallbacks?: Array<string | Uint8Array>;
+}
+
+export interface GenerateResult {
+  /** null with dryRun. */
+  pdfBytes: Uint8Array | null;
+  pageCount: number;
+  /** Order labels drawn, including copies; group header labels are not counted. */
+  labelCount: number;
+  orderCount: number;
+  /** Order labels on each page. */
+  labelsByPage: number[];
+  warnings: LabelWarning[];
+  /** With autoFit: the text sizes chosen for each order. */
+  autoFit?: AutoFitResult[];
+  /** With preview: what was drawn on each page. */
+  preview?: PreviewRecord;
+  /** With summary. */
+  summary?: KitchenSummary;
+  /** With summary "pdf"; null with dryRun. */
+  summaryPdfBytes?: Uint8Array | null;
+  /** With roster. */
+  roster?: DeliveryRoster;
+  /** With roster "pdf"; null with dryRun. */
+  rosterPdfBytes?: Uint8Array | null;
+}
+
+/** Recorded pages for previews. Positions and sizes are in points from the bottom-left corner. */
+export interface PreviewRecord {
+  pages: Array<{ width: number; height: number; ops: object[] }>;
+  /** Every label drawn; order labels have orderIndex and orderId. */
+  labels: Array<{
+    page: number;
+    /** 0-based position on the sheet. */
+    slot: number;
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+    orderIndex?: number;
+    orderId?: string;
+  }>;
+}
+
+export interface PreviewOptions {
+  /** Heading of the HTML page. */
+  title?: string;
+  /** PNG resolution, 20 to 600. Default 100. */
+  dpi?: number;
+}
+
+export interface AutoFitResult {
+  orderIndex: number;
+  orderId: string;
+  /** Named layout sizes in points. */
+  fontSizes: Record<LayoutFontSize, number>;
+  /** False when the order was truncated at the minimum size. */
+  fits: boolean;
+}
+
+export interface CreateResult extends Omit<GenerateResult, 'pdfBytes'> {
+  /** null with dryRun. */
+  outputPath: string | null;
+}
+
+/** A normalized column mapping, as returned by resolveColumnMapping. */
+export interface ColumnMapping {
+  columns: Record<string, { from: string[]; separator: string }>;
+  defaults: Record<string, string>;
+}
+
+export interface LoadOptions extends LoggingOptions {
+  mapping?: ColumnMapping | null;
+  /** Spreadsheet sheet name or 1-based index. */
+  sheet?: string | number;
+  /** 1-based spreadsheet header row; detected when omitted. */
+  headerRow?: number;
+}
+
+/** A problem found by validateOrders. */
+export interface OrderProblem {
+  severity: 'error' | 'warning';
+  code: 'missing' | 'not-text' | 'too-long' | 'unknown-grade' | 'duplicate-order-id' | 'not-an-order' | 'column-count';
+  /** Source row: the line of a CSV file, the sheet row of a spreadsheet, or the position in an array from 1. */
+  row: number;
+  orderId: string | null;
+  /** null for problems with a whole row. */
+  field: string | null;
+  value: unknown;
+  reason: string;
+}
+
+export interface ValidationResult {
+  errors: OrderProblem[];
+  warnings: OrderProblem[];
+}
+
+/** Orders read from a file without stopping at bad rows. */
+export interface OrderFile {
+  orders: LunchOrder[];
+  /** Source row of each order. */
+  rows: number[];
+  /** Rows that could not be read. */
+  problems: OrderProblem[];
+}
+
+export interface ProcessFileOptions {
+  outputDir: string;
+  quarantineDir: string;
+  template: Template | string;
+  mapping?: ColumnMapping | null;
+  /** Passed to createLunchLabels. */
+  labelOptions?: GenerateOptions;
+}
+
+/** What one run of an order file did; also written to its .status.json file. */
+export interface FileRunStatus {
+  input: string;
+  status: 'ok' | 'failed';
+  startedAt: string;
+  finishedAt: string;
+  /** The PDF, when it was written. */
+  output: string | null;
+  orders: number;
+  labels: number;
+  pages: number;
+  /** Validation errors and warnings. */
+  problems: OrderProblem[];
+  labelWarnings: string[];
+  error: string | null;
+  /** Where a failed file was moved. */
+  quarantined: string | null;
+  statusFile: string;
+}
+
+export interface WatchOptions extends Partial<ProcessFileOptions>, LoggingOptions {
+  template: Template | string;
+  /** Milliseconds a file must stay unchanged before it is read. Default 2000. */
+  settleTime?: number;
+  /** Also process files already in the folder. */
+  existing?: boolean;
+  onRun?: (status: FileRunStatus) => void;
+}
+
+export interface SplitOptions extends GenerateOptions {
+  /** Field with one PDF per value, e.g. "grade" or "teacher". */
+  splitBy: string;
+  /** Write one .zip of the PDFs and the index instead of loose files. */
+  zip?: boolean;
+  /** Added to every file name, as generate --timestamp does. */
+  timestamp?: Date | null;
+}
+
+/** One PDF of a split run; also a row of the index. */
+export interface SplitFile {
+  name: string;
+  /** Where the PDF was written; null with zip or dryRun. */
+  path: string | null;
+  field: string;
+  /** The field's value; "" for orders without it. */
+  value: string;
+  orderCount: number;
+  labelCount: number;
+  pageCount: number;
+  warnings: LabelWarning[];
+}
+
+export interface SplitResult {
+  files: SplitFile[];
+  /** The index CSV, when written as a loose file. */
+  indexPath: string | null;
+  zipPath: string | null;
+}
+
+export function generateLunchLabels(
+  lunchOrders: LunchOrder[],
+  template: Template | string,
+  options?: GenerateOptions,
+): Promise<GenerateResult>;
+
+export function createLunchLabels(
+  lunchOrders: LunchOrder[],
+  template: Template | string,
+  outputPath: string,
+  options?: GenerateOptions,
+): Promise<CreateResult>;
+
+/** One PDF per value of options.splitBy, named after outputPath, with an index CSV. */
+export function createSplitLabels(
+  lunchOrders: LunchOrder[],
+  template: Template | string,
+  outputPath: string,
+  options: SplitOptions,
+): Promise<SplitResult>;
+
+export function createLunchLabelsStream(
+  lunchOrders: LunchOrder[],
+  template: Template | string,
+  options?: GenerateOptions,
+): Readable;
+
+/** Total order labels after applying quantities and copies. */
+export function countLabels(
+  lunchOrders: LunchOrder[],
+  options?: Pick<GenerateOptions, 'copies' | 'quantityField'>,
+): number;
+
+/** Throws when any order has an error; see validateOrders. */
+export function loadDataFromFile(filePath: string, options?: LoadOptions): Promise<LunchOrder[]>;
+export function readOrderFile(filePath: string, options?: LoadOptions): Promise<OrderFile>;
+export function saveDataToFile(data: object[], filePath: string): Promise<void>;
+export function parseCSV(content: string, options?: { mapping?: ColumnMapping | null }): LunchOrder[];
+export function convertToCSV(data: object[]): string;
+
+/** Checks every order against the order schema and collects all problems. */
+export function validateOrders(
+  orders: unknown[],
+  options?: { rows?: number[]; problems?: OrderProblem[] },
+): ValidationResult;
+
+/** Counts the items in each order's contents ("A + B + C") and groups the special instructions. */
+export function buildKitchenSummary(orders: LunchOrder[], options?: { allergens?: AllergenConfig }): KitchenSummary;
+
+/** The item counts, then the special instructions, as CSV. */
+export function summaryToCSV(summary: KitchenSummary): string;
+
+/** Groups orders for delivery by a field (default "grade"), each group sorted by sortBy (default "studentName"). */
+export function buildDeliveryRoster(
+  orders: LunchOrder[],
+  options?: { groupBy?: string; sortBy?: string; labelCount?: (order: LunchOrder) => number },
+): DeliveryRoster;
+
+/** Loads, validates and makes labels for one order file, quarantining it when that fails. */
+export function processOrderFile(filePath: string, options: ProcessFileOptions): Promise<FileRunStatus>;
+
+/** Runs processOrderFile on each .csv or .json file that arrives in dir, until close(). */
+export function watchFolder(dir: string, options: WatchOptions): Promise<{ close(): Promise<void> }>;
+
+/**
+ * An HTTP server (not yet listening) with GET /templates, POST /validate
+ * and POST /labels. Orders are posted as text/csv or application/json.
+ */
+export function createLabelServer(options?: LoggingOptions & {
+  /** Largest request body in bytes. Default 1 MB. */
+  maxBodySize?: number;
+}): Server;
+
+/** A validation report as text or JSON. */
+export function formatValidationReport(
+  report: ValidationResult & { file: string; orders: number },
+  format?: 'text' | 'json',
+): string;
+
+export function resolveColumnMapping(options?: {
+  map?: string;
+  mapFile?: string;
+  defaults?: string[];
+}): Promise<ColumnMapping | null>;
+
+export function createAllergenConfig(options?: AllergenOptions): AllergenConfig;
+
+export const layouts: Record<string, Layout>;
+export function getLayoutNames(): string[];
+export function loadLayoutFile(filePath: string): Promise<Layout>;
+
+export const templates: Record<string, Template>;
+export function getTemplateByName(templateName: string): Template;
+export function getAllTemplates(): Record<string, Template>;
+export function getTemplateNames(): string[];
+
+/** Converts to inches and checks that the whole sheet fits the page; throws if not. */
+export function createCustomTemplate(measurements: CustomTemplateMeasurements): Template;
+
+/**
+ * Loads saved templates from the user and project template libraries and
+ * templatesFile (JSON or YAML), merged over the built-ins. Returns the
+ * files read.
+ */
+export function loadUserTemplates(options?: { templatesFile?: string; cwd?: string; configDir?: string }): Promise<string[]>;
+
+/** A saved printer profile, or the default printer's when name is omitted; null when there is none or name is "none". */
+export function loadPrinterProfile(name?: string, options?: { configDir?: string }): Promise<PrinterProfile | null>;
+
+/** PDF bytes of a test sheet for measuring a printer, with profile applied when given. */
+export function createCalibrationSheet(template: Template, profile?: PrinterProfile | null): Promise<Uint8Array>;
+
+/** Self-contained HTML page with an SVG of each sheet and the problem labels highlighted. */
+export function renderPreviewHtml(preview: PreviewRecord, warnings?: LabelWarning[], options?: PreviewOptions): string;
+
+/** A PNG image of each sheet, with problem labels highlighted and their warnings listed beside it. */
+export function renderPreviewPngs(preview: PreviewRecord, warnings?: LabelWarning[], options?: PreviewOptions): Promise<Buffer[]>;
+
+/**
+ * Writes the preview of a result generated with { preview: true } to an
+ * .html file or .png images ("-1", "-2", ... per sheet when there are
+ * several). Returns the paths written.
+ */
+export function writePreview(
+  outputPath: string,
+  result: Pick<GenerateResult, 'preview' | 'warnings'>,
+  options?: PreviewOptions,
+): Promise<string[]>;
@@ -0,0 +1,55 @@
+// Programmatic entry point: require('lunch-label-formatter')
+// Everything here works without the CLI. Generation functions log to the
+// console by default; pass { silent: true } or { logger } to change that.
+const { generateLunchLabels, createLunchLabels, createLunchLabelsStream, countLabels } = require('./labelGenerator');
+const { createSplitLabels } = require('./splitOutput');
+const { loadDataFromFile, readOrderFile, saveDataToFile, parseCSV, convertToCSV } = require('./dataHandler');
+const { validateOrders, formatValidationReport } = require('./orderSchema');
+const { buildKitchenSummary, summaryToCSV } = require('./kitchenSummary');
+const { buildDeliveryRoster } = require('./deliveryRoster');
+const { processOrderFile, watchFolder } = require('./watchFolder');
+const { createLabelServer } = require('./server');
+const { resolveColumnMapping } = require('./columnMapping');
+const { createAllergenConfig } = require('./allergens');
+const { layouts, getLayoutNames, loadLayoutFile } = require('./layouts');
+const { createCustomTemplate } = require('./customTemplate');
+const { loadPrinterProfile, createCalibrationSheet } = require('./calibration');
+const { renderPreviewHtml, renderPreviewPngs, writePreview } = require('./preview');
+const { templates, getTemplateByName, getAllTemplates, getTemplateNames, loadUserTemplates } = require('./templates');
+
+module.exports = {
+  generateLunchLabels,
+  createLunchLabels,
+  createLunchLabelsStream,
+  createSplitLabels,
+  countLabels,
+  loadDataFromFile,
+  readOrderFile,
+  saveDataToFile,
+  parseCSV,
+  convertToCSV,
+  validateOrders,
+  formatValidationReport,
+  buildKitchenSummary,
+  summaryToCSV,
+  buildDeliveryRoster,
+  processOrderFile,
+  watchFolder,
+  createLabelServer,
+  resolveColumnMapping,
+  createAllergenConfig,
+  layouts,
+  getLayoutNames,
+  loadLayoutFile,
+  templates,
+  getTemplateByName,
+  getAllTemplates,
+  getTemplateNames,
+  loadUserTemplates,
+  createCustomTemplate,
+  loadPrinterProfile,
+  createCalibrationSheet,
+  renderPreviewHtml,
+  renderPreviewPngs,
+  writePreview,
+};
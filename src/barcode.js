@@ -0,0 +1,170 @@
+// Barcode and QR code drawing for labels
+// Both are drawn as vector rectangles with pdf-lib, so they stay sharp at
+// any printer resolution. QR matrices come from the qrcode package.
+const QRCode = require('qrcode');
+const { rgb } = require('pdf-lib');
+
+const BARCODE_TYPES = ['code128', 'qr'];
+
+// Code 128 symbol patterns: alternating bar/space widths in modules,
+// indexed by symbol value. 103-105 are Start A/B/C, 106 is Stop.
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+// Quiet zones in modules. QR asks for 4 but a white label margin works with
+// 2, which leaves bigger modules on small labels.
+const CODE128_QUIET_ZONE = 10;
+const QR_QUIET_ZONE = 2;
+
+// Smallest module sizes (points) that still scan reliably when printed
+const MIN_MODULE_SIZE = { code128: 0.54, qr: 0.9 };
+
+// Encodes a value as Code 128 symbol values, including start, checksum and
+// stop. Even-length digit strings use code set C (two digits per symbol);
+// everything else uses code set B (printable ASCII).
+function encodeCode128(value) {
+  const text = String(value);
+  if (text.length === 0) {
+    throw new Error('Code 128 value cannot be empty');
+  }
+
+  let symbols;
+  if (/^(\d\d)+$/.test(text)) {
+    symbols = [CODE128_START_C];
+    for (let i = 0; i < text.length; i += 2) {
+      symbols.push(parseInt(text.slice(i, i + 2), 10));
+    }
+  } else {
+    symbols = [CODE128_START_B];
+    for (const char of text) {
+      const code = char.charCodeAt(0);
+      if (char.length !== 1 || code < 32 || code > 126) {
+        throw new Error(`Code 128 cannot encode "${char}"; use a QR code for non-ASCII values`);
+      }
+      symbols.push(code - 32);
+    }
+  }
+
+  const checksum = symbols.reduce((sum, symbol, index) => sum + symbol * Math.max(index, 1), 0) % 103;
+  return [...symbols, checksum, CODE128_STOP];
+}
+
+// Bar and space widths in modules, starting with a bar
+function code128Widths(value) {
+  return encodeCode128(value).flatMap(symbol => CODE128_PATTERNS[symbol].split('').map(Number));
+}
+
+// Square module matrix for a QR code (error correction level M)
+function qrMatrix(value) {
+  const { modules } = QRCode.create(String(value), { errorCorrectionLevel: 'M' });
+  return { size: modules.size, isDark: (row, col) => Boolean(modules.get(row, col)) };
+}
+
+// Area a barcode takes on a label, given the label's content box
+// { x, y, width, height } in points. QR codes sit in the top-right
+// corner; Code 128 runs along the bottom. Returns the barcode box and the
+// box left over for text.
+function reserveBarcodeArea(type, box) {
+  const gap = Math.max(2, Math.min(box.width, box.height) * 0.05);
+
+  if (type === 'qr') {
+    const side = Math.min(box.height, box.width * 0.4);
+    return {
+      barcode: { x: box.x + box.width - side, y: box.y + box.height - side, width: side, height: side },
+      text: { x: box.x, y: box.y, width: box.width - side - gap, height: box.height },
+    };
+  }
+
+  const height = Math.min(Math.max(box.height * 0.3, 12), 36);
+  return {
+    barcode: { x: box.x, y: box.y, width: box.width, height },
+    text: { x: box.x, y: box.y + height + gap, width: box.width, height: box.height - height - gap },
+  };
+}
+
+function drawCode128(page, value, box, color) {
+  const widths = code128Widths(value);
+  const totalModules = widths.reduce((sum, width) => sum + width, 0) + CODE128_QUIET_ZONE * 2;
+  const moduleSize = Math.min(box.width / totalModules, 3);
+  if (moduleSize < MIN_MODULE_SIZE.code128) {
+    throw new Error(`needs ${Math.ceil(totalModules * MIN_MODULE_SIZE.code128)}pt of width, label has ${Math.floor(box.width)}pt`);
+  }
+
+  // Centre the symbol in the box
+  let x = box.x + (box.width - totalModules * moduleSize) / 2 + CODE128_QUIET_ZONE * moduleSize;
+  widths.forEach((width, index) => {
+    if (index % 2 === 0) {
+      page.drawRectangle({ x, y: box.y, width: width * moduleSize, height: box.height, color });
+    }
+    x += width * moduleSize;
+  });
+}
+
+function drawQR(page, value, box, color) {
+  const matrix = qrMatrix(value);
+  const moduleSize = Math.min(box.width, box.height) / (matrix.size + QR_QUIET_ZONE * 2);
+  if (moduleSize < MIN_MODULE_SIZE.qr) {
+    throw new Error(`needs a ${Math.ceil((matrix.size + QR_QUIET_ZONE * 2) * MIN_MODULE_SIZE.qr)}pt square, label has ${Math.floor(box.width)}pt`);
+  }
+
+  const left = box.x + box.width - (matrix.size + QR_QUIET_ZONE) * moduleSize;
+  const top = box.y + box.height - QR_QUIET_ZONE * moduleSize;
+
+  // One rectangle per horizontal run of dark modules keeps the PDF small
+  for (let row = 0; row < matrix.size; row++) {
+    let col = 0;
+    while (col < matrix.size) {
+      if (!matrix.isDark(row, col)) {
+        col++;
+        continue;
+      }
+      const start = col;
+      while (col < matrix.size && matrix.isDark(row, col)) {
+        col++;
+      }
+      page.drawRectangle({
+        x: left + start * moduleSize,
+        y: top - (row + 1) * moduleSize,
+        width: (col - start) * moduleSize,
+        height: moduleSize,
+        color,
+      });
+    }
+  }
+}
+
+// Draws a barcode of the given type into box. Throws with the reason when
+// the value cannot be encoded or the box is too small to scan.
+function drawBarcode(page, type, value, box) {
+  const color = rgb(0, 0, 0);
+  if (type === 'qr') {
+    drawQR(page, value, box, color);
+  } else if (type === 'code128') {
+    drawCode128(page, value, box, color);
+  } else {
+    throw new Error(`Unknown barcode type: ${type}. Supported types: ${BARCODE_TYPES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  BARCODE_TYPES,
+  encodeCode128,
+  code128Widths,
+  reserveBarcodeArea,
+  drawBarcode,
+};
@@ -0,0 +1,252 @@
+// Printer calibration
+// Printers feed paper slightly differently, so labels can land a
+// millimetre or two off the die-cuts. A printer profile corrects that with
+// offsets (in mm, right and down) and scales (about the top-left corner of
+// the page) applied to every page. Profiles are measured from a printed
+// test sheet and saved in printers.json in the user config directory.
+const fs = require('fs').promises;
+const path = require('path');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { INCHES_PER_UNIT, getConfigDir, resolvePageSize } = require('./templates');
+const { drawLabelBox, cornerRadiusPoints } = require('./labelOutline');
+
+const POINTS_PER_MM = 72 * INCHES_PER_UNIT.mm;
+
+// Corrections bigger than these are more likely a wrong template or
+// misread scale than printer drift
+const MAX_OFFSET_MM = 20;
+const MIN_SCALE = 0.9;
+const MAX_SCALE = 1.1;
+
+// The test sheet's scales read this many millimetres either side of an edge
+const SCALE_RANGE_MM = 5;
+
+const NO_CORRECTION = { offsetX: 0, offsetY: 0, scaleX: 1, scaleY: 1 };
+
+function getPrinterFile(options = {}) {
+  return path.join(options.configDir || getConfigDir(), 'printers.json');
+}
+
+// Checks a profile and fills in the missing corrections
+function normalizeProfile(profile, name = 'printer profile') {
+  if (!profile || typeof profile !== 'object') {
+    throw new Error(`Invalid ${name}: expected { offsetX, offsetY, scaleX, scaleY }`);
+  }
+  const normalized = { ...NO_CORRECTION };
+  Object.keys(NO_CORRECTION).filter(field => profile[field] !== undefined).forEach(field => {
+    normalized[field] = Number(profile[field]);
+  });
+  ['offsetX', 'offsetY'].forEach(field => {
+    if (!Number.isFinite(normalized[field]) || Math.abs(normalized[field]) > MAX_OFFSET_MM) {
+      throw new Error(`Invalid ${name}: ${field} must be millimetres from -${MAX_OFFSET_MM} to ${MAX_OFFSET_MM}`);
+    }
+  });
+  ['scaleX', 'scaleY'].forEach(field => {
+    if (!(normalized[field] >= MIN_SCALE && normalized[field] <= MAX_SCALE)) {
+      throw new Error(`Invalid ${name}: ${field} must be from ${MIN_SCALE} to ${MAX_SCALE}`);
+    }
+  });
+  return normalized;
+}
+
+// Reads { printers: { name: profile }, defaultPrinter } from the profile
+// file; a missing file has no printers
+async function readPrinterProfiles(options = {}) {
+  const filePath = getPrinterFile(options);
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { printers: {}, defaultPrinter: null };
+    }
+    throw error;
+  }
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid printer profile file ${filePath}: ${error.message}`);
+  }
+  return { printers: data.printers || {}, defaultPrinter: data.defaultPrinter || null };
+}
+
+async function writePrinterProfiles(profiles, options = {}) {
+  const filePath = getPrinterFile(options);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, `${JSON.stringify(profiles, null, 2)}\n`);
+  return filePath;
+}
+
+// The named profile, or the default printer's when name is undefined.
+// Returns { name, ...profile }, or null when there is no default or name
+// is "none". An unknown name throws unless options.optional is set.
+async function loadPrinterProfile(name, options = {}) {
+  if (name === 'none') {
+    return null;
+  }
+  const { printers, defaultPrinter } = await readPrinterProfiles(options);
+  const printerName = name === undefined ? defaultPrinter : name;
+  if (!printerName) {
+    return null;
+  }
+  if (!printers[printerName]) {
+    if (options.optional) {
+      return null;
+    }
+    const known = Object.keys(printers);
+    throw new Error(`Unknown printer profile: ${printerName}. ${known.length > 0 ? `Saved profiles: ${known.join(', ')}` : 'Save one with "./run.sh calibrate save"'}`);
+  }
+  return { name: printerName, ...normalizeProfile(printers[printerName], `printer profile ${printerName}`) };
+}
+
+async function savePrinterProfile(name, profile, options = {}) {
+  const profiles = await readPrinterProfiles(options);
+  profiles.printers[name] = normalizeProfile(profile, `printer profile ${name}`);
+  if (options.makeDefault) {
+    profiles.defaultPrinter = name;
+  }
+  return writePrinterProfiles(profiles, options);
+}
+
+// Returns false when there is no such profile
+async function removePrinterProfile(name, options = {}) {
+  const profiles = await readPrinterProfiles(options);
+  if (!profiles.printers[name]) {
+    return false;
+  }
+  delete profiles.printers[name];
+  if (profiles.defaultPrinter === name) {
+    profiles.defaultPrinter = null;
+  }
+  await writePrinterProfiles(profiles, options);
+  return true;
+}
+
+// Moves and scales everything already drawn on a page by a profile.
+// Content x (from the left) becomes scaleX * x + offsetX, and the distance
+// from the top of the page scaleY * y + offsetY.
+function applyPrinterProfile(page, profile) {
+  const { height } = page.getSize();
+  page.scaleContent(profile.scaleX, profile.scaleY);
+  page.translateContent(profile.offsetX * POINTS_PER_MM, height * (1 - profile.scaleY) - profile.offsetY * POINTS_PER_MM);
+}
+
+// Where the test sheet's scales sit, in mm from the page's left and top
+// edges: the left and top edges of the first and last labels
+function scalePositions(template) {
+  const edge = (margin, size, gap, index) => (margin + index * (size + gap)) / INCHES_PER_UNIT.mm;
+  return {
+    firstX: edge(template.marginLeft, template.labelWidth, template.horizontalGap, 0),
+    lastX: edge(template.marginLeft, template.labelWidth, template.horizontalGap, template.labelsPerRow - 1),
+    firstY: edge(template.marginTop, template.labelHeight, template.verticalGap, 0),
+    lastY: edge(template.marginTop, template.labelHeight, template.verticalGap, template.labelsPerColumn - 1),
+  };
+}
+
+// A profile corrected by readings off a test sheet printed with it.
+// readings are where the die-cut edges cross the scales, in mm: firstX and
+// firstY at the first label, and optionally lastX and lastY at the last
+// one, from which the scales are corrected too.
+function correctProfile(profile, readings, template) {
+  Object.entries(readings).filter(([, value]) => value !== undefined).forEach(([field, value]) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Invalid reading ${field}: ${value}. Readings are millimetres off the scale`);
+    }
+  });
+  const positions = scalePositions(template);
+  const corrected = { ...profile };
+  [['X', 'offsetX', 'scaleX'], ['Y', 'offsetY', 'scaleY']].forEach(([axis, offsetField, scaleField]) => {
+    const first = readings[`first${axis}`] || 0;
+    const last = readings[`last${axis}`];
+    const span = positions[`last${axis}`] - positions[`first${axis}`];
+    const slope = last === undefined || span === 0 ? 0 : (last - first) / span;
+    corrected[scaleField] = Math.round((profile[scaleField] + slope) * 10000) / 10000;
+    corrected[offsetField] = Math.round((profile[offsetField] + first - slope * positions[`first${axis}`]) * 100) / 100;
+  });
+  return normalizeProfile(corrected);
+}
+
+// Ticks every millimetre across an edge, SCALE_RANGE_MM either side of
+// (x, y). A horizontal scale crosses a left edge and reads + to the right;
+// a vertical one crosses a top edge and reads + downwards.
+function drawEdgeScale(page, font, x, y, horizontal) {
+  const black = rgb(0, 0, 0);
+  for (let mm = -SCALE_RANGE_MM; mm <= SCALE_RANGE_MM; mm++) {
+    const length = mm % 5 === 0 ? 4 : 2;
+    const along = mm * POINTS_PER_MM;
+    if (horizontal) {
+      page.drawLine({ start: { x: x + along, y }, end: { x: x + along, y: y + length }, thickness: 0.25, color: black });
+    } else {
+      page.drawLine({ start: { x, y: y - along }, end: { x: x + length, y: y - along }, thickness: 0.25, color: black });
+    }
+    if (mm % 5 === 0) {
+      const text = mm > 0 ? `+${mm}` : String(mm);
+      const width = font.widthOfTextAtSize(text, 4);
+      const position = horizontal ? { x: x + along - width / 2, y: y - 5 } : { x: x + 5, y: y - along - 1.4 };
+      page.drawText(text, { ...position, size: 4, font, color: black });
+    }
+  }
+}
+
+// Test sheet for a template: every label outlined with a crosshair at its
+// centre and its position number, and millimetre scales across the left
+// and top edges of the first and last labels. Printed with profile (when
+// given) applied, like real labels. Returns the PDF bytes.
+async function createCalibrationSheet(template, profile = null) {
+  const pdfDoc = await PDFDocument.create();
+  const pageSize = resolvePageSize(template.pageSize);
+  const page = pdfDoc.addPage([pageSize.width * 72, pageSize.height * 72]);
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const black = rgb(0, 0, 0);
+  const labelWidth = template.labelWidth * 72;
+  const labelHeight = template.labelHeight * 72;
+  const count = template.labelsPerRow * template.labelsPerColumn;
+
+  for (let slot = 0; slot < count; slot++) {
+    const row = Math.floor(slot / template.labelsPerRow);
+    const col = slot % template.labelsPerRow;
+    const x = (template.marginLeft + col * (template.labelWidth + template.horizontalGap)) * 72;
+    const top = pageSize.height * 72 - (template.marginTop + row * (template.labelHeight + template.verticalGap)) * 72;
+    const y = top - labelHeight;
+
+    drawLabelBox(page, { x, y, width: labelWidth, height: labelHeight }, cornerRadiusPoints(template), { borderColor: black, borderWidth: 0.5 });
+
+    const centre = { x: x + labelWidth / 2, y: y + labelHeight / 2 };
+    const arm = Math.min(labelWidth, labelHeight) * 0.2;
+    page.drawLine({ start: { x: centre.x - arm, y: centre.y }, end: { x: centre.x + arm, y: centre.y }, thickness: 0.25, color: black });
+    page.drawLine({ start: { x: centre.x, y: centre.y - arm }, end: { x: centre.x, y: centre.y + arm }, thickness: 0.25, color: black });
+
+    const numberSize = Math.min(12, labelHeight * 0.25);
+    page.drawText(String(slot + 1), { x: x + 3 + cornerRadiusPoints(template) / 2, y: top - 3 - numberSize, size: numberSize, font: boldFont, color: black });
+
+    if (slot === 0 || slot === count - 1) {
+      drawEdgeScale(page, font, x, centre.y, true);
+      drawEdgeScale(page, font, centre.x, top, false);
+    }
+  }
+
+  const title = `Calibration sheet: ${template.name || 'template'}${profile ? `, printer ${profile.name}` : ''}`;
+  if (template.marginTop * 72 >= 14) {
+    page.drawText(title, { x: template.marginLeft * 72, y: pageSize.height * 72 - template.marginTop * 72 + 4, size: 7, font, color: black });
+  }
+
+  if (profile) {
+    applyPrinterProfile(page, profile);
+  }
+  return pdfDoc.save();
+}
+
+module.exports = {
+  NO_CORRECTION,
+  getPrinterFile,
+  normalizeProfile,
+  readPrinterProfiles,
+  loadPrinterProfile,
+  savePrinterProfile,
+  removePrinterProfile,
+  applyPrinterProfile,
+  correctProfile,
+  createCalibrationSheet,
+};
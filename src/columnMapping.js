@@ -0,0 +1,256 @@
+// Column mapping for third-party order exports
+// Renames columns, joins several columns into one field and fills defaults
+// so files from PTA forms or cafeteria POS systems can be used as-is.
+const fs = require('fs').promises;
+
+// Header aliases recognised without any mapping. Headers are compared
+// case-insensitively with spaces and punctuation removed, so "Order ID",
+// "order_id" and "orderId" are all the same column.
+const headerAliases = {
+  orderId: ['orderId', 'order', 'order number', 'order no', 'order #', 'id'],
+  studentName: ['studentName', 'student', 'child name', 'child', 'name'],
+  grade: ['grade', 'grade level', 'class', 'year'],
+  contents: ['contents', 'meal', 'items', 'lunch', 'order items', 'menu item'],
+  specialInstructions: ['specialInstructions', 'instructions', 'notes', 'comments', 'dietary notes'],
+};
+
+// Built-in presets for exports we see often. More can be defined under
+// "presets" in a mapping file.
+const presets = {
+  'pta-form': {
+    columns: {
+      orderId: 'Submission ID',
+      studentName: ['Child First Name', 'Child Last Name'],
+      grade: 'Class',
+      contents: 'Meal',
+      specialInstructions: 'Allergies / Notes',
+    },
+  },
+  'cafeteria-pos': {
+    columns: {
+      orderId: 'Transaction',
+      studentName: ['Last Name', 'First Name'],
+      grade: 'Grade Level',
+      contents: 'Items',
+      specialInstructions: 'Comments',
+    },
+    separator: ', ',
+  },
+};
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9#]/g, '');
+}
+
+function findColumn(headers, name) {
+  if (headers.includes(name)) {
+    return name;
+  }
+  const wanted = normalizeHeader(name);
+  return headers.find(header => normalizeHeader(header) === wanted);
+}
+
+// Turns the user-facing mapping shapes into
+// { columns: { field: { from: [...], separator } }, defaults: { field: value } }
+function normalizeMapping(mapping, name = 'mapping') {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error(`Column ${name} must be an object`);
+  }
+
+  const separator = mapping.separator !== undefined ? String(mapping.separator) : ' ';
+  const columns = {};
+
+  Object.entries(mapping.columns || {}).forEach(([field, source]) => {
+    let spec = source;
+    if (typeof spec === 'string' || Array.isArray(spec)) {
+      spec = { from: spec };
+    }
+    const from = [].concat(spec && spec.from !== undefined ? spec.from : []).map(String);
+    if (from.length === 0 || from.some(column => column.trim() === '')) {
+      throw new Error(`Column ${name}: "${field}" must name at least one source column`);
+    }
+    columns[field] = {
+      from,
+      separator: spec.separator !== undefined ? String(spec.separator) : separator,
+    };
+  });
+
+  const defaults = {};
+  Object.entries(mapping.defaults || {}).forEach(([field, value]) => {
+    defaults[field] = String(value);
+  });
+
+  return { columns, defaults };
+}
+
+// Inline --map syntax: "studentName=First Name+Last Name;grade=Class"
+function parseMappingSpec(spec) {
+  const columns = {};
+
+  spec.split(/[;,]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+    const separatorIndex = part.indexOf('=');
+    if (separatorIndex <= 0) {
+      throw new Error(`Invalid column mapping "${part}". Use field=Column or field=Column A+Column B`);
+    }
+    const field = part.slice(0, separatorIndex).trim();
+    const from = part.slice(separatorIndex + 1).split('+').map(column => column.trim());
+    columns[field] = from;
+  });
+
+  return { columns };
+}
+
+function parseDefaultSpecs(specs = []) {
+  const defaults = {};
+  specs.forEach(spec => {
+    const separatorIndex = spec.indexOf('=');
+    if (separatorIndex <= 0) {
+      throw new Error(`Invalid default "${spec}". Use field=value`);
+    }
+    defaults[spec.slice(0, separatorIndex).trim()] = spec.slice(separatorIndex + 1);
+  });
+  return defaults;
+}
+
+async function loadMappingFile(filePath) {
+  if (!filePath || typeof filePath !== 'string' || filePath.includes('\0')) {
+    throw new Error('Invalid mapping file path provided');
+  }
+
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Mapping file not found: ${filePath}`);
+    }
+    throw error;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid mapping file ${filePath}: ${error.message}`);
+  }
+}
+
+// Resolves CLI options into a normalized mapping, or null when no mapping
+// was requested. `map` may be a preset name or an inline spec; a mapping
+// file may hold a single mapping or a set of named presets.
+async function resolveColumnMapping({ map, mapFile, defaults } = {}) {
+  let mapping = null;
+  let filePresets = {};
+
+  if (mapFile) {
+    const fileContent = await loadMappingFile(mapFile);
+    if (fileContent.presets) {
+      filePresets = fileContent.presets;
+    } else {
+      mapping = normalizeMapping(fileContent, `mapping file ${mapFile}`);
+    }
+  }
+
+  if (map) {
+    const preset = filePresets[map] || presets[map];
+    if (preset) {
+      mapping = normalizeMapping(preset, `preset ${map}`);
+    } else if (map.includes('=')) {
+      mapping = normalizeMapping(parseMappingSpec(map));
+    } else {
+      const available = [...Object.keys(filePresets), ...Object.keys(presets)];
+      throw new Error(`Unknown mapping preset: ${map}. Available presets: ${available.join(', ')}`);
+    }
+  } else if (mapFile && !mapping) {
+    throw new Error(`Mapping file ${mapFile} defines presets; choose one with --map <preset>`);
+  }
+
+  const extraDefaults = parseDefaultSpecs(defaults);
+  if (Object.keys(extraDefaults).length > 0) {
+    mapping = mapping || { columns: {}, defaults: {} };
+    mapping.defaults = { ...mapping.defaults, ...extraDefaults };
+  }
+
+  return mapping;
+}
+
+// Resolves which source columns feed each field for a given header row.
+// Explicit mappings win, then aliases for any field the file lacks.
+function planColumns(headers, mapping) {
+  const plan = {};
+  const missing = [];
+  const columns = (mapping && mapping.columns) || {};
+
+  Object.entries(columns).forEach(([field, spec]) => {
+    const from = spec.from.map(column => {
+      const found = findColumn(headers, column);
+      if (!found) {
+        missing.push(column);
+      }
+      return found;
+    });
+    plan[field] = { from, separator: spec.separator };
+  });
+
+  if (missing.length > 0) {
+    throw new Error(`Mapped columns not found: ${missing.join(', ')}. Available columns: ${headers.join(', ')}`);
+  }
+
+  Object.entries(headerAliases).forEach(([field, aliases]) => {
+    if (plan[field] || headers.includes(field)) {
+      return;
+    }
+    const found = aliases.map(alias => findColumn(headers, alias)).find(Boolean);
+    if (found) {
+      plan[field] = { from: [found], separator: '' };
+    }
+  });
+
+  return plan;
+}
+
+// Applies the mapping to a set of rows that share the given headers.
+// Columns that are not mapped are kept so extra fields stay available.
+function applyColumnMapping(rows, headers, mapping) {
+  const plan = planColumns(headers, mapping);
+  const defaults = (mapping && mapping.defaults) || {};
+
+  return rows.map(row => {
+    const result = { ...row };
+
+    Object.entries(plan).forEach(([field, { from, separator }]) => {
+      result[field] = from
+        .map(column => (row[column] === undefined || row[column] === null ? '' : String(row[column]).trim()))
+        .filter(value => value !== '')
+        .join(separator);
+    });
+
+    Object.entries(defaults).forEach(([field, value]) => {
+      if (result[field] === undefined || String(result[field]).trim() === '') {
+        result[field] = value;
+      }
+    });
+
+    return result;
+  });
+}
+
+// Field names rows will have after mapping, used for header validation
+function mappedHeaders(headers, mapping) {
+  const plan = planColumns(headers, mapping);
+  const defaults = (mapping && mapping.defaults) || {};
+  return [...new Set([...headers, ...Object.keys(plan), ...Object.keys(defaults)])];
+}
+
+function getPresetNames() {
+  return Object.keys(presets);
+}
+
+module.exports = {
+  headerAliases,
+  presets,
+  resolveColumnMapping,
+  parseMappingSpec,
+  applyColumnMapping,
+  mappedHeaders,
+  getPresetNames,
+};
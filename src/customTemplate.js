@@ -0,0 +1,187 @@
+// Custom label sheets
+// The "custom" template is measured by hand, from command-line flags, the
+// wizard below or the API. Measurements are in inches or millimetres and
+// are stored in inches like the built-in templates. The whole grid is
+// checked against the page before anything is drawn.
+const inquirer = require('inquirer');
+const { INCHES_PER_UNIT, resolvePageSize, validateTemplateGeometry } = require('./templates');
+
+// Measurements that are lengths, and so depend on the units
+const LENGTH_FIELDS = ['labelWidth', 'labelHeight', 'marginTop', 'marginLeft', 'horizontalGap', 'verticalGap', 'cornerRadius'];
+const REQUIRED_FIELDS = ['labelWidth', 'labelHeight', 'labelsPerRow', 'labelsPerColumn', 'marginTop', 'marginLeft'];
+
+function unitScale(units = 'in') {
+  const scale = INCHES_PER_UNIT[String(units).toLowerCase()];
+  if (!scale) {
+    throw new Error(`Unknown units: ${units}. Use in or mm`);
+  }
+  return scale;
+}
+
+// Copy of measurements with the lengths converted from units to inches.
+// Fields that are not set stay unset.
+function toInches(measurements, units) {
+  const scale = unitScale(units);
+  const converted = { ...measurements };
+  LENGTH_FIELDS.filter(field => measurements[field] !== undefined).forEach(field => {
+    converted[field] = Number(measurements[field]) * scale;
+  });
+  return converted;
+}
+
+// Builds and validates a template from measurements: the fields of a
+// template plus units ('in' or 'mm', default 'in'). Gaps and the corner
+// radius default to 0, the page to Letter.
+function createCustomTemplate(measurements = {}) {
+  const missing = REQUIRED_FIELDS.filter(field => measurements[field] === undefined || measurements[field] === '');
+  if (missing.length > 0) {
+    throw new Error(`Custom template is missing measurements: ${missing.join(', ')}`);
+  }
+
+  const lengths = toInches(measurements, measurements.units);
+  const template = {
+    name: measurements.name || 'custom',
+    labelWidth: lengths.labelWidth,
+    labelHeight: lengths.labelHeight,
+    labelsPerRow: Number(measurements.labelsPerRow),
+    labelsPerColumn: Number(measurements.labelsPerColumn),
+    marginTop: lengths.marginTop,
+    marginLeft: lengths.marginLeft,
+    horizontalGap: lengths.horizontalGap || 0,
+    verticalGap: lengths.verticalGap || 0,
+    cornerRadius: lengths.cornerRadius || 0,
+    pageSize: measurements.pageSize || 'letter',
+    description: measurements.description || 'Custom measurements',
+  };
+
+  try {
+    validateTemplateGeometry(template);
+  } catch (error) {
+    throw new Error(`Invalid custom template: ${error.message}`);
+  }
+  return template;
+}
+
+function roundLength(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function positiveNumber(input) {
+  return Number(input) > 0 || 'Enter a number greater than 0';
+}
+
+function nonNegativeNumber(input) {
+  return Number(input) >= 0 || 'Enter a number, 0 or more';
+}
+
+function wholeNumber(input) {
+  return (Number.isInteger(Number(input)) && Number(input) > 0) || 'Enter a whole number';
+}
+
+// Asks for the measurements of a label sheet, as read off a printed sheet
+// with a ruler. Distances between labels are asked as the distance from
+// one label's edge to the same edge of the next, which is easier to
+// measure than the gap. defaults is a template (in inches) whose
+// measurements prefill the answers.
+async function promptCustomTemplate(defaults = {}) {
+  const { units } = await inquirer.prompt([{
+    type: 'list',
+    name: 'units',
+    message: 'Units of your ruler:',
+    choices: [{ name: 'Inches', value: 'in' }, { name: 'Millimetres', value: 'mm' }],
+    default: 'in',
+  }]);
+
+  // Defaults shown in the chosen units
+  const shown = { ...defaults };
+  LENGTH_FIELDS.filter(field => defaults[field] !== undefined).forEach(field => {
+    shown[field] = roundLength(defaults[field] / unitScale(units));
+  });
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'pageSize',
+      message: 'Sheet size:',
+      choices: ['letter', 'legal', 'a4', { name: 'Other (measure it)', value: 'other' }],
+      default: typeof shown.pageSize === 'string' ? shown.pageSize.toLowerCase() : 'letter',
+    },
+    {
+      type: 'input',
+      name: 'pageDimensions',
+      message: `Sheet width x height in ${units} (e.g. ${units === 'mm' ? '210x297' : '8.5x11'}):`,
+      when: (previous) => previous.pageSize === 'other',
+      validate: (input) => {
+        try {
+          resolvePageSize(`${input}${units}`);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      },
+    },
+    { type: 'input', name: 'labelsPerRow', message: 'Labels across the sheet:', default: shown.labelsPerRow, validate: wholeNumber },
+    { type: 'input', name: 'labelsPerColumn', message: 'Labels down the sheet:', default: shown.labelsPerColumn, validate: wholeNumber },
+    { type: 'input', name: 'labelWidth', message: `Width of one label (${units}):`, default: shown.labelWidth, validate: positiveNumber },
+    { type: 'input', name: 'labelHeight', message: `Height of one label (${units}):`, default: shown.labelHeight, validate: positiveNumber },
+    {
+      type: 'input',
+      name: 'marginTop',
+      message: `Top edge of the sheet to the top of the first row of labels (${units}):`,
+      default: shown.marginTop,
+      validate: positiveNumber,
+    },
+    {
+      type: 'input',
+      name: 'marginLeft',
+      message: `Left edge of the sheet to the left edge of the first label (${units}):`,
+      default: shown.marginLeft,
+      validate: positiveNumber,
+    },
+    {
+      type: 'input',
+      name: 'horizontalPitch',
+      message: `Left edge of the first label to the left edge of the second (${units}):`,
+      when: (previous) => Number(previous.labelsPerRow) > 1,
+      default: (previous) => roundLength(Number(previous.labelWidth) + Number(shown.horizontalGap || 0)),
+      validate: (input, previous) => Number(input) >= Number(previous.labelWidth) || 'This is at least the label width',
+    },
+    {
+      type: 'input',
+      name: 'verticalPitch',
+      message: `Top edge of the first row to the top edge of the second (${units}):`,
+      when: (previous) => Number(previous.labelsPerColumn) > 1,
+      default: (previous) => roundLength(Number(previous.labelHeight) + Number(shown.verticalGap || 0)),
+      validate: (input, previous) => Number(input) >= Number(previous.labelHeight) || 'This is at least the label height',
+    },
+    {
+      type: 'input',
+      name: 'cornerRadius',
+      message: `Corner radius of the labels, 0 for square corners (${units}):`,
+      default: shown.cornerRadius || 0,
+      validate: nonNegativeNumber,
+    },
+  ]);
+
+  return {
+    units,
+    pageSize: answers.pageSize === 'other' ? `${answers.pageDimensions}${units}` : answers.pageSize,
+    labelsPerRow: Number(answers.labelsPerRow),
+    labelsPerColumn: Number(answers.labelsPerColumn),
+    labelWidth: Number(answers.labelWidth),
+    labelHeight: Number(answers.labelHeight),
+    marginTop: Number(answers.marginTop),
+    marginLeft: Number(answers.marginLeft),
+    horizontalGap: answers.horizontalPitch === undefined ? 0 : Number(answers.horizontalPitch) - Number(answers.labelWidth),
+    verticalGap: answers.verticalPitch === undefined ? 0 : Number(answers.verticalPitch) - Number(answers.labelHeight),
+    cornerRadius: Number(answers.cornerRadius),
+  };
+}
+
+module.exports = {
+  LENGTH_FIELDS,
+  unitScale,
+  toInches,
+  createCustomTemplate,
+  promptCustomTemplate,
+};
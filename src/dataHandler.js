@@ -1,14 +1,15 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { applyColumnMapping, mappedHeaders } = require('./columnMapping');
+const { readSpreadsheet } = require('./spreadsheet');
+const { REQUIRED_FIELDS, assertValidOrders } = require('./orderSchema');
+
+const SPREADSHEET_EXTENSIONS = ['.xlsx', '.ods'];
+const READABLE_EXTENSIONS = ['.json', '.csv', ...SPREADSHEET_EXTENSIONS];
+const WRITABLE_EXTENSIONS = ['.json', '.csv'];
 
 // Enterprise-level logging
-const log = {
-  info: (msg) => console.log(`ℹ ${msg}`),
-  success: (msg) => console.log(`✓ ${msg}`),
-  warning: (msg) => console.log(`⚠ ${msg}`),
-  error: (msg) => console.error(`✗ ${msg}`),
-  debug: (msg) => process.env.DEBUG && console.log(`🔍 ${msg}`)
-};
+const { consoleLogger: log, resolveLogger } = require('./logger');
 
 // Input validation utilities
 const validateInput = {
@@ -22,7 +23,12 @@ const validateInput = {
   
   isValidFileExtension: (filePath) => {
     const ext = path.extname(filePath).toLowerCase();
-    return ['.json', '.csv'].includes(ext);
+    return READABLE_EXTENSIONS.includes(ext);
+  },
+
+  isWritableFileExtension: (filePath) => {
+    const ext = path.extname(filePath).toLowerCase();
+    return WRITABLE_EXTENSIONS.includes(ext);
   },
   
   validateCSVContent: (content) => {
@@ -30,17 +36,12 @@ const validateInput = {
       throw new Error('CSV content must be a non-empty string');
     }
     
-    const lines = content.trim().split('\n');
+    // Blank lines (including a trailing newline) are ignored by parseCSV
+    const lines = content.split(/\r\n|\n|\r/).filter(line => line.trim() !== '');
     if (lines.length < 2) {
       throw new Error('CSV file must have at least a header row and one data row');
     }
     
-    // Check for empty lines
-    const emptyLines = lines.filter(line => line.trim() === '');
-    if (emptyLines.length > 0) {
-      throw new Error('CSV file contains empty lines');
-    }
-    
     return true;
   },
   
@@ -64,7 +65,14 @@ const validateInput = {
   }
 };
 
-async function loadDataFromFile(filePath) {
+// Reads a lunch order file without stopping at bad rows. Returns
+// { orders, rows, problems }: rows[i] is where orders[i] came from (its
+// line in a CSV file, its row in a spreadsheet, its position in a JSON
+// array) and problems are rows that could not be read, for
+// validateOrders. Takes the options of loadDataFromFile.
+async function readOrderFile(filePath, options = {}) {
+  const log = resolveLogger(options);
+
   try {
     log.debug(`Loading data from: ${filePath}`);
     
@@ -75,7 +83,7 @@ async function loadDataFromFile(filePath) {
     
     // Validate file extension
     if (!validateInput.isValidFileExtension(filePath)) {
-      throw new Error(`Unsupported file format. Supported formats: .json, .csv`);
+      throw new Error(`Unsupported file format. Supported formats: ${READABLE_EXTENSIONS.join(', ')}`);
     }
     
     // Check if file exists
@@ -85,6 +93,15 @@ async function loadDataFromFile(filePath) {
       throw new Error(`File not found: ${filePath}`);
     }
     
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (SPREADSHEET_EXTENSIONS.includes(ext)) {
+      log.debug(`Processing ${ext} workbook`);
+      const spreadsheetData = parseSpreadsheet(await fs.readFile(filePath), ext, options);
+      log.success(`Loaded ${spreadsheetData.orders.length} records from spreadsheet`);
+      return spreadsheetData;
+    }
+
     // Read file content
     const content = await fs.readFile(filePath, 'utf8');
     
@@ -92,25 +109,21 @@ async function loadDataFromFile(filePath) {
       throw new Error('File is empty');
     }
     
-    const ext = path.extname(filePath).toLowerCase();
-    
     switch (ext) {
       case '.json':
         log.debug('Processing JSON file');
-        validateInput.validateJSONContent(content);
-        const jsonData = JSON.parse(content);
-        log.success(`Loaded ${jsonData.length} records from JSON file`);
+        const jsonData = readOrderText(content, 'json', options);
+        log.success(`Loaded ${jsonData.orders.length} records from JSON file`);
         return jsonData;
       
       case '.csv':
         log.debug('Processing CSV file');
-        validateInput.validateCSVContent(content);
-        const csvData = parseCSV(content);
-        log.success(`Loaded ${csvData.length} records from CSV file`);
+        const csvData = readOrderText(content, 'csv', options);
+        log.success(`Loaded ${csvData.orders.length} records from CSV file`);
         return csvData;
       
       default:
-        throw new Error(`Unsupported file format: ${ext}. Supported formats: .json, .csv`);
+        throw new Error(`Unsupported file format: ${ext}. Supported formats: ${READABLE_EXTENSIONS.join(', ')}`);
     }
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -124,6 +137,29 @@ async function loadDataFromFile(filePath) {
   }
 }
 
+// Orders in CSV or JSON text (format 'csv' or 'json') as { orders, rows,
+// problems }, like readOrderFile. Takes options.mapping.
+function readOrderText(content, format, options = {}) {
+  if (format === 'json') {
+    validateInput.validateJSONContent(content);
+    const orders = mapJSONRecords(JSON.parse(content), options.mapping);
+    return { orders, rows: orders.map((order, index) => index + 1), problems: [] };
+  }
+  validateInput.validateCSVContent(content);
+  return readCSV(content, options);
+}
+
+// options.mapping is a normalized column mapping (see columnMapping.js).
+// Spreadsheets also take options.sheet (name or 1-based index) and
+// options.headerRow (1-based; detected when omitted). options.logger and
+// options.silent control logging as in logger.js. Throws when any order
+// breaks the order schema (see orderSchema.js).
+async function loadDataFromFile(filePath, options = {}) {
+  const { orders, rows, problems } = await readOrderFile(filePath, options);
+  assertValidOrders(orders, { rows, problems });
+  return orders;
+}
+
 async function saveDataToFile(data, filePath) {
   try {
     log.debug(`Saving data to: ${filePath}`);
@@ -134,8 +170,8 @@ async function saveDataToFile(data, filePath) {
     }
     
     // Validate file extension
-    if (!validateInput.isValidFileExtension(filePath)) {
-      throw new Error(`Unsupported file format. Supported formats: .json, .csv`);
+    if (!validateInput.isWritableFileExtension(filePath)) {
+      throw new Error(`Unsupported file format. Supported formats: ${WRITABLE_EXTENSIONS.join(', ')}`);
     }
     
     // Validate data
@@ -184,65 +220,238 @@ async function saveDataToFile(data, filePath) {
   }
 }
 
-function parseCSV(content) {
+// Delimiters we accept. Excel writes ';' or tab in locales that use a
+// decimal comma, so the header row decides which one a file uses.
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+function detectDelimiter(content) {
+  const counts = new Map(CSV_DELIMITERS.map(d => [d, 0]));
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  let best = ',';
+  counts.forEach((count, delimiter) => {
+    if (count > counts.get(best)) {
+      best = delimiter;
+    }
+  });
+  return best;
+}
+
+// RFC 4180 tokenizer. Handles quoted fields, escaped quotes ("") and line
+// breaks inside quotes, and accepts CRLF, LF or CR record endings.
+// Each record keeps the physical line it started on for error messages.
+function tokenizeCSV(content, delimiter) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    fields.push(quoted ? field : field.trim());
+    field = '';
+    quoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    records.push({ line: recordLine, fields });
+    fields = [];
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n' || (char === '\r' && content[i + 1] !== '\n')) {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      inQuotes = true;
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else if (!quoted || char.trim() !== '') {
+      // Whitespace between a closing quote and the delimiter is padding
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Row ${recordLine}: Unterminated quoted field`);
+  }
+  if (field !== '' || quoted || fields.length > 0) {
+    endRecord();
+  }
+
+  // Drop blank lines
+  return records.filter(record => record.fields.length > 1 || record.fields[0] !== '');
+}
+
+// CSV content as { orders, rows, problems }, like readOrderFile
+function readCSV(content, options = {}) {
   try {
-    const lines = content.trim().split('\n');
+    // Strip the UTF-8 byte order mark that Excel adds to exports
+    const text = content.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(text);
+    const records = tokenizeCSV(text, delimiter);
     
     // Validate minimum requirements
-    if (lines.length < 2) {
+    if (records.length < 2) {
       throw new Error('CSV file must have at least a header row and one data row');
     }
     
-    const headers = lines[0].split(',').map(h => h.trim());
+    const headers = records[0].fields.map(h => h.trim());
     
     // Validate headers
     if (headers.length === 0) {
       throw new Error('CSV file has no headers');
     }
     
-    const requiredHeaders = ['orderId', 'studentName', 'grade', 'contents'];
-    const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
-    
-    if (missingHeaders.length > 0) {
-      throw new Error(`Missing required headers: ${missingHeaders.join(', ')}`);
-    }
-    
-    const data = [];
-    
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (line === '') continue; // Skip empty lines
-      
-      const values = line.split(',').map(v => v.trim());
-      
-      // Validate row length
-      if (values.length !== headers.length) {
-        throw new Error(`Row ${i + 1}: Column count mismatch. Expected ${headers.length}, got ${values.length}`);
-      }
-      
-      const row = {};
-      
-      headers.forEach((header, index) => {
-        row[header] = values[index] || '';
+    return buildRows(headers, records.slice(1), options.mapping);
+  } catch (error) {
+    throw new Error(`CSV parsing error: ${error.message}`);
+  }
+}
+
+// Orders in CSV content; throws when any breaks the order schema
+function parseCSV(content, options = {}) {
+  const { orders, rows, problems } = readCSV(content, options);
+  assertValidOrders(orders, { rows, problems });
+  return orders;
+}
+
+// Turns tokenized records into order rows and applies the column mapping.
+// Each record is { line, fields }. Returns { orders, rows, problems } with
+// each order's line in rows; records with the wrong number of fields are
+// left out and reported in problems.
+function buildRows(headers, records, mapping) {
+  const missingHeaders = REQUIRED_FIELDS.filter(h => !mappedHeaders(headers, mapping).includes(h));
+
+  if (missingHeaders.length > 0) {
+    throw new Error(`Missing required headers: ${missingHeaders.join(', ')}. Found: ${headers.join(', ')}. Use --map to map columns`);
+  }
+
+  const problems = [];
+  const readable = records.filter(record => {
+    // Validate row length
+    if (record.fields.length !== headers.length) {
+      problems.push({
+        severity: 'error',
+        code: 'column-count',
+        row: record.line,
+        orderId: null,
+        field: null,
+        value: null,
+        reason: `Column count mismatch. Expected ${headers.length}, got ${record.fields.length}`,
       });
-      
-      // Validate required fields
-      const missingFields = requiredHeaders.filter(field => !row[field] || row[field].trim() === '');
-      if (missingFields.length > 0) {
-        throw new Error(`Row ${i + 1}: Missing required fields: ${missingFields.join(', ')}`);
-      }
-      
-      data.push(row);
+      return false;
     }
-    
-    if (data.length === 0) {
-      throw new Error('No valid data rows found in CSV file');
+    return true;
+  });
+
+  const rawRows = readable.map(record => {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = record.fields[index] || '';
+    });
+    return row;
+  });
+
+  return {
+    orders: applyColumnMapping(rawRows, headers, mapping),
+    rows: readable.map(record => record.line),
+    problems,
+  };
+}
+
+function coversRequiredFields(headers, mapping) {
+  try {
+    const available = mappedHeaders(headers, mapping);
+    return REQUIRED_FIELDS.every(field => available.includes(field));
+  } catch {
+    return false;
+  }
+}
+
+// Title rows above the header are common in spreadsheets, so unless a
+// header row is given, the first row that supplies every required field
+// (after mapping) is taken as the header.
+function findHeaderRow(rows, options) {
+  if (options.headerRow !== undefined && options.headerRow !== null) {
+    const headerRow = rows.find(row => row.line === Number(options.headerRow));
+    if (!headerRow) {
+      throw new Error(`Header row ${options.headerRow} is empty or outside the sheet`);
+    }
+    return headerRow;
+  }
+  return rows.find(row => coversRequiredFields(row.fields, options.mapping)) || rows[0];
+}
+
+function parseSpreadsheet(buffer, ext, options = {}) {
+  const log = resolveLogger(options);
+
+  try {
+    const { sheetName, rows } = readSpreadsheet(buffer, ext, { sheet: options.sheet });
+    log.debug(`Reading sheet "${sheetName}"`);
+
+    if (rows.length < 2) {
+      throw new Error(`Sheet "${sheetName}" must have at least a header row and one data row`);
     }
-    
-    return data;
+
+    const headerRow = findHeaderRow(rows, options);
+    const headers = headerRow.fields;
+    const records = rows
+      .filter(row => row.line > headerRow.line)
+      .map(row => ({
+        line: row.line,
+        fields: row.fields.length < headers.length
+          ? row.fields.concat(new Array(headers.length - row.fields.length).fill(''))
+          : row.fields,
+      }));
+
+    log.debug(`Using row ${headerRow.line} as the header row`);
+    return buildRows(headers, records, options.mapping);
   } catch (error) {
-    throw new Error(`CSV parsing error: ${error.message}`);
+    throw new Error(`Spreadsheet parsing error: ${error.message}`);
+  }
+}
+
+// JSON exports get the same column mapping as CSV
+function mapJSONRecords(records, mapping) {
+  if (!records.every(record => record && typeof record === 'object' && !Array.isArray(record))) {
+    return records;
   }
+  const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+  return applyColumnMapping(records, headers, mapping);
 }
 
 function convertToCSV(data) {
@@ -282,7 +491,7 @@ function convertToCSV(data) {
         const value = row[header] || '';
         
         // Escape special characters in CSV
-        if (value.includes(',') || value.includes('"') || value.includes('\n') || value.includes('\r')) {
+        if (value.includes(',') || value.includes('"') || value.includes('\n') || value.includes('\r') || value !== value.trim()) {
           return `"${value.replace(/"/g, '""')}"`;
         }
         return value;
@@ -354,6 +563,8 @@ function validateShippingData(data) {
 }
 
 module.exports = {
+  readOrderFile,
+  readOrderText,
   loadDataFromFile,
   saveDataToFile,
   parseCSV,
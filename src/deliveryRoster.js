@@ -0,0 +1,186 @@
+// Delivery roster
+// Sign-off sheets for handing lunches over to classrooms: the orders
+// grouped by grade, teacher, homeroom or any other field, each group on
+// pages of its own with a checkbox per order and signature lines for
+// whoever delivers the bin and the teacher who receives it. The roster is
+// built from the same orders as the labels, and orders with no labels
+// are left off, so the sheets match the stickers in the bin.
+const { rgb } = require('pdf-lib');
+const { sortOrders, splitOrders } = require('./ordering');
+const { ORDER_FIELDS } = require('./orderSchema');
+const { drawText } = require('./fonts');
+const { wrapText } = require('./utils');
+const { PAGE_MARGIN: MARGIN, TEXT_SIZE, createPageWriter } = require('./pageWriter');
+
+const ROSTER_MODES = ['pages', 'pdf'];
+
+const LINE_HEIGHT = 11;
+const BOX_SIZE = 8;
+const BLACK = rgb(0, 0, 0);
+const ROW_RULE_COLOR = rgb(0.8, 0.8, 0.8);
+
+// Share of the table width for each column after the checkbox
+const COLUMNS = [
+  { field: 'studentName', title: 'Student', share: 0.24 },
+  { field: 'orderId', title: 'Order ID', share: 0.14 },
+  { field: 'contents', title: 'Contents', share: 0.36 },
+  { field: 'specialInstructions', title: 'Instructions', share: 0.26 },
+];
+
+function textOf(value) {
+  return value === undefined || value === null ? '' : String(value).trim().replace(/\s+/g, ' ');
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+// "Grade", "Teacher", "Home room" for homeRoom
+function fieldTitle(field) {
+  if (ORDER_FIELDS[field]) {
+    return ORDER_FIELDS[field].label;
+  }
+  const words = field.replace(/([a-z\d])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// The roster of orders: { groupBy, orderCount, labelCount, groups: [{
+// value, orderCount, labelCount, orders: [{ orderId, studentName, grade,
+// contents, specialInstructions, labels }] }] }. options.groupBy is the
+// field to group by (default: grade; grades group under their usual
+// spelling), options.sortBy orders each group (default: studentName) and
+// options.labelCount(order) is how many labels an order gets (default: 1).
+function buildDeliveryRoster(orders, options = {}) {
+  const groupBy = options.groupBy || 'grade';
+  const labelCount = options.labelCount || (() => 1);
+  const groups = splitOrders(orders, groupBy).map(({ value, orders: groupOrders }) => {
+    const entries = sortOrders(groupOrders, options.sortBy || 'studentName')
+      .map(order => ({
+        orderId: textOf(order.orderId),
+        studentName: textOf(order.studentName),
+        grade: textOf(order.grade),
+        contents: textOf(order.contents),
+        specialInstructions: textOf(order.specialInstructions),
+        labels: labelCount(order),
+      }))
+      .filter(entry => entry.labels > 0);
+    return { value: value.replace(/\s+/g, ' ') || '(none)', orderCount: entries.length, labelCount: entries.reduce((sum, entry) => sum + entry.labels, 0), orders: entries };
+  }).filter(group => group.orderCount > 0);
+
+  return {
+    groupBy,
+    orderCount: groups.reduce((sum, group) => sum + group.orderCount, 0),
+    labelCount: groups.reduce((sum, group) => sum + group.labelCount, 0),
+    groups,
+  };
+}
+
+// Column positions, with a Labels column when any order has more than one
+function rosterColumns(roster, width) {
+  const columns = roster.groups.some(group => group.labelCount !== group.orderCount)
+    ? [...COLUMNS, { field: 'labels', title: 'Labels', fixed: 32 }]
+    : COLUMNS;
+  const fixed = BOX_SIZE + 8 + columns.reduce((sum, column) => sum + (column.fixed || 0), 0);
+  let x = MARGIN + BOX_SIZE + 8;
+  return columns.map(column => {
+    const columnWidth = column.fixed || (width - fixed) * column.share;
+    const placed = { ...column, x, width: columnWidth };
+    x += columnWidth;
+    return placed;
+  });
+}
+
+function groupCounts(group) {
+  const labels = group.labelCount === group.orderCount ? '' : `, ${plural(group.labelCount, 'label')}`;
+  return `${plural(group.orderCount, 'order')}${labels}`;
+}
+
+function drawPageHeader(writer, roster, group, columns, continued) {
+  writer.text(`${fieldTitle(roster.groupBy)}: ${group.value}${continued ? ' (continued)' : ''}`, MARGIN, { bold: true, size: 14, width: writer.width });
+  writer.y -= 20;
+  writer.text(`Delivery roster, ${groupCounts(group)}`, MARGIN);
+  writer.y -= LINE_HEIGHT * 2;
+  columns.forEach(column => writer.text(column.title, column.x, { bold: true, width: column.width - 6 }));
+  writer.y -= LINE_HEIGHT + 2;
+  writer.rule(MARGIN, MARGIN + writer.width, BLACK);
+  writer.y -= 4;
+}
+
+function drawOrderRow(writer, order, columns, fonts) {
+  const cells = columns.map(column => ({ column, lines: wrapText(String(order[column.field]), fonts.regular, TEXT_SIZE, column.width - 6) }));
+  const height = Math.max(1, ...cells.map(cell => cell.lines.length)) * LINE_HEIGHT + 4;
+  writer.reserve(height);
+  const top = writer.y;
+  writer.page.drawRectangle({ x: MARGIN + 1, y: top - BOX_SIZE - 1, width: BOX_SIZE, height: BOX_SIZE, borderColor: BLACK, borderWidth: 0.75 });
+  cells.forEach(cell => cell.lines.forEach((line, index) => {
+    writer.y = top - index * LINE_HEIGHT;
+    writer.text(line, cell.column.x);
+  }));
+  writer.y = top - height + 2;
+  writer.rule(MARGIN, MARGIN + writer.width, ROW_RULE_COLOR);
+  writer.y -= 2;
+}
+
+// A label and a line to write on, from x to x + width
+function signatureLine(writer, label, x, width, fonts) {
+  writer.text(label, x);
+  const lineStart = x + fonts.regular.widthOfTextAtSize(label, TEXT_SIZE) + 4;
+  const top = writer.y;
+  writer.y -= TEXT_SIZE + 1;
+  writer.rule(lineStart, x + width, BLACK);
+  writer.y = top;
+}
+
+function drawSignOff(writer, group, fonts) {
+  const half = writer.width / 2;
+  writer.y -= LINE_HEIGHT;
+  writer.reserve(LINE_HEIGHT * 9);
+  writer.text(`Sign-off: ${groupCounts(group)}`, MARGIN, { bold: true, size: 10 });
+  writer.y -= LINE_HEIGHT * 2;
+  [['Delivered by', 'Time'], ['Received by', 'Date'], ['Signature', 'Lunches received']].forEach(([left, right]) => {
+    signatureLine(writer, left, MARGIN, half - 16, fonts);
+    signatureLine(writer, right, MARGIN + half, half, fonts);
+    writer.y -= LINE_HEIGHT * 2;
+  });
+}
+
+// "Grade: 3rd, page 1 of 2" at the foot of each of a group's pages
+function drawPageNumbers(pages, roster, group, fonts) {
+  pages.forEach((page, index) => {
+    const text = `${fieldTitle(roster.groupBy)}: ${group.value}, page ${index + 1} of ${pages.length}`;
+    const width = fonts.regular.widthOfTextAtSize(text, TEXT_SIZE);
+    drawText(page, text, { x: page.getWidth() - MARGIN - width, y: MARGIN / 2, size: TEXT_SIZE, font: fonts.regular, color: BLACK });
+  });
+}
+
+// Adds the roster's pages to pdfDoc, pageSize { width, height } points,
+// using fonts from embedFonts. Each group starts on a new page. Returns
+// the number of pages added.
+function drawDeliveryRoster(pdfDoc, roster, options) {
+  const { pageSize, fonts } = options;
+  const columns = rosterColumns(roster, pageSize.width - MARGIN * 2);
+  let group = null;
+  let groupPages = [];
+  const writer = createPageWriter(pdfDoc, pageSize, fonts, {
+    onNewPage: pageWriter => {
+      groupPages.push(pageWriter.page);
+      drawPageHeader(pageWriter, roster, group, columns, groupPages.length > 1);
+    },
+  });
+
+  roster.groups.forEach(current => {
+    group = current;
+    groupPages = [];
+    writer.newPage();
+    group.orders.forEach(order => drawOrderRow(writer, order, columns, fonts));
+    drawSignOff(writer, group, fonts);
+    drawPageNumbers(groupPages, roster, group, fonts);
+  });
+  return writer.pageCount;
+}
+
+module.exports = {
+  ROSTER_MODES,
+  buildDeliveryRoster,
+  drawDeliveryRoster,
+};
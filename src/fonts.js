@@ -0,0 +1,480 @@
+// Fonts for label text
+// Labels use the standard Helvetica fonts while all text fits their
+// WinAnsi character set. Anything else (Vietnamese, Polish, Cyrillic,
+// Arabic, CJK...) switches to embedded TrueType/OpenType fonts: the
+// bundled Noto Sans family, or fonts given by path. Embedded fonts are
+// subset, and each character is drawn with the first font in the chain
+// that has a glyph for it. Right-to-left runs are put in display order
+// here; fontkit shapes them and orders their glyphs.
+const fs = require('fs').promises;
+const fontkit = require('@pdf-lib/fontkit');
+const { StandardFonts } = require('pdf-lib');
+
+const FONT_STYLES = ['regular', 'bold', 'italic', 'bold-italic'];
+
+const STANDARD_FONTS = {
+  regular: StandardFonts.Helvetica,
+  bold: StandardFonts.HelveticaBold,
+  italic: StandardFonts.HelveticaOblique,
+  'bold-italic': StandardFonts.HelveticaBoldOblique,
+};
+
+// Bundled Noto Sans: Latin (including Vietnamese), Greek and Cyrillic,
+// with Arabic and Hebrew as fallbacks
+const BUNDLED_FONTS = {
+  regular: '@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf',
+  bold: '@expo-google-fonts/noto-sans/700Bold/NotoSans_700Bold.ttf',
+  italic: '@expo-google-fonts/noto-sans/400Regular_Italic/NotoSans_400Regular_Italic.ttf',
+  'bold-italic': '@expo-google-fonts/noto-sans/700Bold_Italic/NotoSans_700Bold_Italic.ttf',
+  fallbacks: [
+    {
+      regular: '@expo-google-fonts/noto-sans-arabic/400Regular/NotoSansArabic_400Regular.ttf',
+      bold: '@expo-google-fonts/noto-sans-arabic/700Bold/NotoSansArabic_700Bold.ttf',
+    },
+    {
+      regular: '@expo-google-fonts/noto-sans-hebrew/400Regular/NotoSansHebrew_400Regular.ttf',
+      bold: '@expo-google-fonts/noto-sans-hebrew/700Bold/NotoSansHebrew_700Bold.ttf',
+    },
+  ],
+};
+
+// Chinese and Japanese (SC) and Korean (KR) come from optional packages,
+// too big to install for everyone. They follow the bundled fallbacks
+// when installed; pattern is the text each is needed for.
+const CJK_FONTS = [
+  {
+    package: '@expo-google-fonts/noto-sans-sc',
+    languages: 'Chinese and Japanese',
+    pattern: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u,
+    regular: '@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf',
+    bold: '@expo-google-fonts/noto-sans-sc/700Bold/NotoSansSC_700Bold.ttf',
+  },
+  {
+    package: '@expo-google-fonts/noto-sans-kr',
+    languages: 'Korean',
+    pattern: /\p{Script=Hangul}/u,
+    regular: '@expo-google-fonts/noto-sans-kr/400Regular/NotoSansKR_400Regular.ttf',
+    bold: '@expo-google-fonts/noto-sans-kr/700Bold/NotoSansKR_700Bold.ttf',
+  },
+];
+
+// For CJK characters the packages lack, or when they are not installed,
+// the first of these system fonts found
+const CJK_SYSTEM_FONTS = [
+  '/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc',
+  '/usr/share/fonts/noto-cjk/NotoSansCJK-Regular.ttc',
+  '/usr/share/fonts/google-noto-cjk/NotoSansCJK-Regular.ttc',
+  '/usr/share/fonts/truetype/wqy/wqy-microhei.ttc',
+  '/usr/share/fonts/truetype/droid/DroidSansFallbackFull.ttf',
+  '/System/Library/Fonts/PingFang.ttc',
+  '/System/Library/Fonts/Hiragino Sans GB.ttc',
+  '/Library/Fonts/Arial Unicode.ttf',
+  'C:\\Windows\\Fonts\\msyh.ttc',
+  'C:\\Windows\\Fonts\\meiryo.ttc',
+  'C:\\Windows\\Fonts\\malgun.ttf',
+];
+
+const RTL_PATTERN = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF\u{10800}-\u{10FFF}\u{1E800}-\u{1EFFF}]/u;
+const STRONG_PATTERN = /[\p{L}\p{N}]/u;
+// Marks and joiners stay with the character before them
+const ATTACHED_PATTERN = /^(?:\p{M}|\u200C|\u200D|[\uFE00-\uFE0F])$/u;
+
+function bundledPath(modulePath) {
+  try {
+    return require.resolve(modulePath);
+  } catch (error) {
+    return null;
+  }
+}
+
+// The tables of the font whose table directory starts at offset, as
+// [{ tag, data }]
+function readFontTables(data, offset = 0) {
+  const tables = [];
+  for (let i = 0; i < data.readUInt16BE(offset + 4); i++) {
+    const record = offset + 12 + i * 16;
+    const start = data.readUInt32BE(record + 8);
+    tables.push({ tag: data.toString('latin1', record, record + 4), data: data.subarray(start, start + data.readUInt32BE(record + 12)) });
+  }
+  return tables;
+}
+
+function tableChecksum(data) {
+  const padded = Buffer.alloc(Math.ceil(data.length / 4) * 4);
+  data.copy(padded);
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) {
+    sum = (sum + padded.readUInt32BE(i)) >>> 0;
+  }
+  return sum;
+}
+
+// A font file of tables; header is the 12-byte offset table to start with
+function writeFontTables(header, tables) {
+  const headerSize = 12 + tables.length * 16;
+  const output = Buffer.alloc(tables.reduce((sum, table) => sum + Math.ceil(table.data.length / 4) * 4, headerSize));
+  header.copy(output, 0, 0, 12);
+  let position = headerSize;
+  tables.forEach((table, i) => {
+    const record = 12 + i * 16;
+    output.write(table.tag, record, 4, 'latin1');
+    output.writeUInt32BE(tableChecksum(table.data), record + 4);
+    output.writeUInt32BE(position, record + 8);
+    output.writeUInt32BE(table.data.length, record + 12);
+    table.data.copy(output, position);
+    position += Math.ceil(table.data.length / 4) * 4;
+  });
+  return output;
+}
+
+// Copies one font out of a TrueType/OpenType collection (.ttc) into a
+// standalone font file, which is what pdf-lib can embed
+function fontFromCollection(bytes, index) {
+  const data = Buffer.from(bytes);
+  const count = data.readUInt32BE(8);
+  if (index >= count) {
+    throw new Error(`font collection has ${count} fonts, no font #${index}`);
+  }
+  const offset = data.readUInt32BE(12 + index * 4);
+  return writeFontTables(data.subarray(offset, offset + 12), readFontTables(data, offset));
+}
+
+// Pads every TrueType glyph to a multiple of 4 bytes. Subsets keep each
+// glyph's length, and in a subset's short loca table (offsets stored
+// halved) a glyph of odd length shifts every glyph after it, so the
+// bundled Noto Sans would print as fragments. Fonts without odd glyphs,
+// and CFF fonts, are returned as they are.
+function padGlyphs(bytes) {
+  const tables = readFontTables(bytes);
+  const table = tag => tables.find(entry => entry.tag === tag);
+  const [head, maxp, loca, glyf] = ['head', 'maxp', 'loca', 'glyf'].map(table);
+  if (!head || !maxp || !loca || !glyf) {
+    return bytes;
+  }
+  const longOffsets = head.data.readInt16BE(50) === 1;
+  const offsets = [];
+  for (let i = 0; i <= maxp.data.readUInt16BE(4); i++) {
+    offsets.push(longOffsets ? loca.data.readUInt32BE(i * 4) : loca.data.readUInt16BE(i * 2) * 2);
+  }
+  if (offsets.every(offset => offset % 4 === 0)) {
+    return bytes;
+  }
+
+  const glyphs = offsets.slice(0, -1).map((offset, i) => glyf.data.subarray(offset, offsets[i + 1]));
+  const padded = glyphs.map(glyph => Buffer.concat([glyph, Buffer.alloc((4 - (glyph.length % 4)) % 4)]));
+  const newLoca = Buffer.alloc(offsets.length * 4);
+  padded.reduce((position, glyph, i) => {
+    newLoca.writeUInt32BE(position + glyph.length, (i + 1) * 4);
+    return position + glyph.length;
+  }, 0);
+  const newHead = Buffer.from(head.data);
+  newHead.writeInt16BE(1, 50);
+  newHead.writeUInt32BE(0, 8); // checkSumAdjustment, which nothing reading the font checks
+  const replaced = { head: newHead, loca: newLoca, glyf: Buffer.concat(padded) };
+  return writeFontTables(bytes, tables.map(entry => ({ tag: entry.tag, data: replaced[entry.tag] || entry.data })));
+}
+
+// Reads a font from a path or bytes. Collections use their first font,
+// or the nth with "path.ttc#n". Returns { bytes, face }, bytes ready
+// to embed as a subset.
+async function loadFont(source) {
+  const name = typeof source === 'string' ? source : '(font bytes)';
+  const match = typeof source === 'string' && source.match(/^(.*\.(?:ttc|otc))#(\d+)$/i);
+  let bytes = source;
+  if (typeof source === 'string') {
+    const filePath = match ? match[1] : source;
+    try {
+      bytes = await fs.readFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Font file not found: ${filePath}`);
+      }
+      throw error;
+    }
+  }
+  bytes = Buffer.from(bytes);
+  if (bytes.subarray(0, 4).toString('latin1') === 'ttcf') {
+    bytes = fontFromCollection(bytes, match ? parseInt(match[2], 10) : 0);
+  }
+
+  let face;
+  try {
+    face = fontkit.create(bytes);
+  } catch (error) {
+    throw new Error(`Cannot read font ${name}: ${error.message}`);
+  }
+  if (typeof face.hasGlyphForCodePoint !== 'function') {
+    throw new Error(`Cannot read font ${name}: not a TrueType or OpenType font`);
+  }
+  return { bytes: padGlyphs(bytes), face };
+}
+
+function resolveDirection(chars) {
+  const strong = chars.map(char => {
+    if (RTL_PATTERN.test(char)) {
+      return 'R';
+    }
+    return STRONG_PATTERN.test(char) ? 'L' : null;
+  });
+  const base = strong.find(Boolean) || 'L';
+
+  // Neutrals between two characters of the same direction take it;
+  // anything else takes the direction of the text as a whole
+  let previous = null;
+  const next = new Array(chars.length).fill(null);
+  for (let i = chars.length - 1, following = null; i >= 0; i--) {
+    next[i] = following;
+    following = strong[i] || following;
+  }
+  const directions = chars.map((char, i) => {
+    if (strong[i]) {
+      previous = strong[i];
+      return strong[i];
+    }
+    return previous && previous === next[i] ? previous : base;
+  });
+  return { base, directions };
+}
+
+// Splits text into runs of one font and one direction, in display order
+function textRuns(text, entries) {
+  const chars = Array.from(String(text));
+  const { base, directions } = resolveDirection(chars);
+  const runs = [];
+  let fontIndex = 0;
+
+  chars.forEach((original, i) => {
+    let char = original;
+    let direction = directions[i];
+    if (ATTACHED_PATTERN.test(char) && runs.length > 0) {
+      direction = runs[runs.length - 1].direction;
+    } else if (!/\s/.test(char) || runs.length === 0) {
+      const codePoint = char.codePointAt(0);
+      const index = entries.findIndex(entry => entry.covers(codePoint));
+      fontIndex = index === -1 ? 0 : index;
+      if (index === -1 && !entries[0].face) {
+        char = '?'; // Helvetica cannot even draw a missing-glyph box
+      }
+    }
+    const last = runs[runs.length - 1];
+    if (last && last.fontIndex === fontIndex && last.direction === direction) {
+      last.text += char;
+    } else {
+      runs.push({ text: char, fontIndex, direction, font: entries[fontIndex].font });
+    }
+  });
+
+  // Runs against the main direction read the other way
+  const ordered = base === 'R' ? runs.reverse() : runs;
+  const display = [];
+  for (let i = 0; i < ordered.length;) {
+    let end = i;
+    while (end < ordered.length && ordered[end].direction !== base) {
+      end++;
+    }
+    if (end > i) {
+      display.push(...ordered.slice(i, end).reverse());
+      i = end;
+    } else {
+      display.push(ordered[i]);
+      i++;
+    }
+  }
+  return display;
+}
+
+// A font that draws each character with the first font of the chain
+// that has it. Works wherever a pdf-lib font is measured.
+function createFontChain(entries) {
+  return {
+    entries,
+    runs: text => textRuns(text, entries),
+    widthOfTextAtSize(text, size) {
+      return textRuns(text, entries).reduce((width, run) => width + run.font.widthOfTextAtSize(run.text, size), 0);
+    },
+  };
+}
+
+// Draws text with a font chain; options are those of page.drawText
+function drawText(page, text, options) {
+  let x = options.x;
+  options.font.runs(text).forEach(run => {
+    page.drawText(run.text, { ...options, x, font: run.font });
+    x += run.font.widthOfTextAtSize(run.text, options.size);
+  });
+}
+
+function codePointsOf(texts) {
+  const codePoints = new Set();
+  texts.forEach(text => {
+    for (const char of String(text)) {
+      codePoints.add(char.codePointAt(0));
+    }
+  });
+  return codePoints;
+}
+
+async function embedStandardFonts(pdfDoc) {
+  const fonts = {};
+  for (const style of FONT_STYLES) {
+    const font = await pdfDoc.embedFont(STANDARD_FONTS[style]);
+    const characters = new Set(font.getCharacterSet());
+    fonts[style] = createFontChain([{ font, face: null, covers: codePoint => characters.has(codePoint) }]);
+  }
+  return fonts;
+}
+
+// Layout style of a pdf-lib font from its name, e.g. 'bold-italic' for
+// Helvetica-BoldOblique
+function fontStyleOf(fontName) {
+  const bold = /bold/i.test(fontName);
+  const italic = /italic|oblique/i.test(fontName);
+  if (bold && italic) {
+    return 'bold-italic';
+  }
+  return bold ? 'bold' : (italic ? 'italic' : 'regular');
+}
+
+// Bundled Noto Sans faces by style, loaded when first needed
+const bundledFaces = {};
+
+// fontkit face of a bundled Noto Sans style. Previews draw text set in
+// the standard fonts with these, as Helvetica itself is not available.
+async function loadBundledFace(style) {
+  if (!bundledFaces[style]) {
+    const source = bundledPath(BUNDLED_FONTS[style]);
+    if (!source) {
+      throw new Error('Bundled fonts are missing; reinstall dependencies');
+    }
+    bundledFaces[style] = (await loadFont(source)).face;
+  }
+  return bundledFaces[style];
+}
+
+// Finds a system CJK font to fall back on
+async function findCJKFallback() {
+  for (const candidate of CJK_SYSTEM_FONTS) {
+    try {
+      await fs.access(candidate);
+      return { regular: candidate, bold: candidate };
+    } catch (error) {
+      // Try the next one
+    }
+  }
+  return null;
+}
+
+// Font sources for each style plus fallbacks: the bundled set with any
+// of options' regular/bold/italic/boldItalic/fallbacks put in its place
+function fontSources(options) {
+  const custom = typeof options === 'object' && options !== null ? options : {};
+  const regular = custom.regular || bundledPath(BUNDLED_FONTS.regular);
+  const bold = custom.bold || (custom.regular ? custom.regular : bundledPath(BUNDLED_FONTS.bold));
+  const sources = {
+    regular,
+    bold,
+    italic: custom.italic || (custom.regular ? custom.regular : bundledPath(BUNDLED_FONTS.italic)),
+    'bold-italic': custom.boldItalic || (custom.bold || custom.regular ? bold : bundledPath(BUNDLED_FONTS['bold-italic'])),
+    fallbacks: [
+      ...(custom.fallbacks || []).map(source => ({ regular: source, bold: source })),
+      ...[...BUNDLED_FONTS.fallbacks, ...CJK_FONTS].map(fallback => ({ regular: bundledPath(fallback.regular), bold: bundledPath(fallback.bold) })),
+    ],
+  };
+  if (!sources.regular) {
+    throw new Error('Bundled fonts are missing; reinstall dependencies or give a font file');
+  }
+  return sources;
+}
+
+// Throws when characters no font has are CJK text whose optional font
+// package is not installed, naming the package
+function checkCJKPackages(missing) {
+  const text = missing.join('');
+  const needed = CJK_FONTS.filter(font => font.pattern.test(text) && !bundledPath(font.regular));
+  if (needed.length > 0) {
+    const packages = needed.map(font => `${font.languages} text needs the optional ${font.package} package`);
+    throw new Error(`${packages.join('; ')}. Install it with "npm install ${needed.map(font => font.package).join(' ')}" or give a fallback font that has these characters: ${missing.join(' ')}`);
+  }
+}
+
+// Embeds the fonts for a document. `options` is 'standard' (Helvetica
+// only), 'unicode' (embedded fonts), an object of font sources
+// ({ regular, bold, italic, boldItalic, fallbacks }, each a path or bytes)
+// or undefined to choose from `texts`, the text that will be drawn.
+// Returns { fonts, names, missing } with a font chain per layout style,
+// the font family names embedded and characters no font has.
+async function embedFonts(pdfDoc, options, texts) {
+  const codePoints = codePointsOf(texts);
+  const standard = await embedStandardFonts(pdfDoc);
+  const fitsStandard = [...codePoints].every(codePoint => standard.regular.entries[0].covers(codePoint));
+
+  if (options === 'standard' || (!options && fitsStandard)) {
+    const missing = [...codePoints].filter(codePoint => !standard.regular.entries[0].covers(codePoint));
+    return { fonts: standard, names: ['Helvetica'], missing: missing.map(codePoint => String.fromCodePoint(codePoint)) };
+  }
+  if (options !== undefined && options !== 'unicode' && (typeof options !== 'object' || options === null)) {
+    throw new Error(`Unknown fonts option: ${options}. Use "standard", "unicode" or font files`);
+  }
+
+  pdfDoc.registerFontkit(fontkit);
+  const sources = fontSources(options);
+  const loaded = new Map();
+  const load = async source => {
+    if (!loaded.has(source)) {
+      const font = await loadFont(source);
+      loaded.set(source, { ...font, font: null, covers: codePoint => font.face.hasGlyphForCodePoint(codePoint) });
+    }
+    return loaded.get(source);
+  };
+  const embed = async entry => {
+    if (!entry.font) {
+      entry.font = await pdfDoc.embedFont(entry.bytes, { subset: true });
+    }
+    return entry;
+  };
+
+  const fonts = {};
+  const missing = new Set();
+  for (const style of FONT_STYLES) {
+    const entries = [await embed(await load(sources[style]))];
+    let uncovered = [...codePoints].filter(codePoint => !entries[0].covers(codePoint));
+    const fallbacks = sources.fallbacks.slice();
+    let triedCJK = false;
+
+    // Fallbacks are only embedded when they have glyphs the others lack
+    for (let i = 0; i < fallbacks.length && uncovered.length > 0; i++) {
+      const source = style.startsWith('bold') ? fallbacks[i].bold || fallbacks[i].regular : fallbacks[i].regular;
+      if (source) {
+        const entry = await load(source);
+        if (uncovered.some(codePoint => entry.covers(codePoint))) {
+          entries.push(await embed(entry));
+          uncovered = uncovered.filter(codePoint => !entry.covers(codePoint));
+        }
+      }
+      if (i === fallbacks.length - 1 && !triedCJK) {
+        triedCJK = true;
+        const cjk = await findCJKFallback();
+        if (cjk) {
+          fallbacks.push(cjk);
+        }
+      }
+    }
+    fonts[style] = createFontChain(entries);
+    uncovered.forEach(codePoint => missing.add(codePoint));
+  }
+
+  const names = [...new Set([...loaded.values()].filter(entry => entry.font).map(entry => entry.face.familyName))];
+  const missingChars = [...missing].map(codePoint => String.fromCodePoint(codePoint));
+  checkCJKPackages(missingChars);
+  return { fonts, names, missing: missingChars };
+}
+
+module.exports = {
+  FONT_STYLES,
+  embedFonts,
+  loadBundledFace,
+  fontStyleOf,
+  createFontChain,
+  drawText,
+  fontFromCollection,
+};
@@ -1,12 +1,46 @@
 #!/usr/bin/env node
 
-const { Command } = require('commander');
+const { Command, InvalidArgumentError } = require('commander');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
-const { createLunchLabels } = require('./labelGenerator');
-const { loadDataFromFile } = require('./dataHandler');
+const { createLunchLabels, countLabels } = require('./labelGenerator');
+const { readOrderFile } = require('./dataHandler');
+const { checkField, validateOrders, assertValidOrders, formatProblem, formatValidationReport } = require('./orderSchema');
+const { resolveColumnMapping, getPresetNames } = require('./columnMapping');
+const { GRADES } = require('./ordering');
+const { createAllergenConfig, loadAllergenFile, getDefaultAllergenNames } = require('./allergens');
+const { layouts, getLayoutNames, loadLayoutFile } = require('./layouts');
+const { BORDER_STYLES } = require('./labelOutline');
+const { writePreview } = require('./preview');
+const { summaryToCSV } = require('./kitchenSummary');
+const { timestampedPath } = require('./utils');
+const { createSplitLabels } = require('./splitOutput');
+const { watchFolder } = require('./watchFolder');
+const { DEFAULT_PORT, DEFAULT_HOST, parseByteSize, createLabelServer } = require('./server');
+const { unitScale, toInches, createCustomTemplate, promptCustomTemplate } = require('./customTemplate');
+const {
+  NO_CORRECTION,
+  getPrinterFile,
+  readPrinterProfiles,
+  loadPrinterProfile,
+  savePrinterProfile,
+  removePrinterProfile,
+  correctProfile,
+  createCalibrationSheet,
+} = require('./calibration');
 // Template detector removed - using built-in templates only
-const { getTemplateByName, getAllTemplates, isValidTemplateName } = require('./templates');
+const {
+  getTemplateByName,
+  getAllTemplates,
+  getTemplateSource,
+  isValidTemplateName,
+  resolvePageSize,
+  validateTemplateGeometry,
+  loadUserTemplates,
+  getTemplateFiles,
+  saveUserTemplate,
+  removeUserTemplate,
+} = require('./templates');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -37,31 +71,89 @@ const validateInput = {
   
   isValidTemplateName: (name) => {
     return isValidTemplateName(name);
-  },
-  
-  validateLunchOrder: (order) => {
-    const required = ['orderId', 'studentName', 'grade', 'contents'];
-    const missing = required.filter(field => !order[field] || order[field].trim() === '');
-    
-    if (missing.length > 0) {
-      throw new Error(`Missing required fields: ${missing.join(', ')}`);
-    }
-    
-    if (order.orderId && order.orderId.length > 20) {
-      throw new Error('Order ID too long (max 20 characters)');
-    }
-    
-    if (order.studentName && order.studentName.length > 50) {
-      throw new Error('Student name too long (max 50 characters)');
+  }
+};
+
+// Commander option parser for repeatable options
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+// Commander option parser for numbers; "abc" is an error, not NaN
+function parseNumber(value) {
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number)) {
+    throw new InvalidArgumentError('Not a number.');
+  }
+  return number;
+}
+
+// Template measurements that have flags (--label-width, ...)
+const GEOMETRY_FIELDS = ['labelWidth', 'labelHeight', 'labelsPerRow', 'labelsPerColumn', 'marginTop', 'marginLeft', 'horizontalGap', 'verticalGap', 'cornerRadius'];
+
+// The measurement flags given, with lengths converted from --units to inches
+function geometryFromOptions(options) {
+  const given = {};
+  GEOMETRY_FIELDS.filter(field => options[field] !== undefined).forEach(field => {
+    given[field] = options[field];
+  });
+  return toInches(given, options.units);
+}
+
+// Whether generate should build its template from measurements rather
+// than use a template as it is
+function wantsCustomTemplate(options) {
+  return Boolean(options.manualLayout || options.templateName === 'custom' || options.wizard ||
+    GEOMETRY_FIELDS.some(field => options[field] !== undefined));
+}
+
+// Builds generate's template from measurements. It starts from
+// --manual-layout (with its old 0.5" margins and 0.125" gaps), or the
+// --template-name template unless that is "custom", then applies the
+// measurement flags and --page-size, then the wizard's answers. The
+// whole sheet is checked before anything is drawn.
+async function customTemplateFromOptions(options) {
+  let measurements = {};
+  if (options.manualLayout) {
+    const layoutParts = options.manualLayout.split(':');
+    if (layoutParts.length !== 4) {
+      throw new Error('Manual layout must be in format "rows:cols:width:height" (e.g., "2:5:3.9:2")');
     }
-    
-    if (order.contents && order.contents.length > 200) {
-      throw new Error('Contents too long (max 200 characters)');
+    measurements = {
+      ...toInches({ labelWidth: parseFloat(layoutParts[2]), labelHeight: parseFloat(layoutParts[3]) }, options.units),
+      labelsPerRow: parseInt(layoutParts[0]),
+      labelsPerColumn: parseInt(layoutParts[1]),
+      marginTop: 0.5,
+      marginLeft: 0.5,
+      horizontalGap: 0.125,
+      verticalGap: 0.125,
+    };
+    if (['labelsPerRow', 'labelsPerColumn', 'labelWidth', 'labelHeight'].some(field => isNaN(measurements[field]))) {
+      throw new Error('Invalid manual layout values. All values must be numbers.');
     }
-    
-    return true;
+  } else if (options.templateName !== 'custom') {
+    measurements = { ...getTemplateByName(options.templateName) };
   }
-};
+
+  measurements = { ...measurements, ...geometryFromOptions(options) };
+  if (options.pageSize) {
+    measurements.pageSize = options.pageSize;
+  }
+  if (options.wizard) {
+    measurements = await promptCustomTemplate(measurements);
+  }
+  return createCustomTemplate({ ...measurements, name: options.manualLayout ? 'manual' : 'custom' });
+}
+
+function inches(value) {
+  return `${Math.round(value * 10000) / 10000}"`;
+}
+
+function describeTemplate(template) {
+  return `${template.labelsPerRow}x${template.labelsPerColumn} labels of ${inches(template.labelWidth)} x ${inches(template.labelHeight)} ` +
+    `on ${resolvePageSize(template.pageSize).name}, margins ${inches(template.marginTop)} top and ${inches(template.marginLeft)} left, ` +
+    `gaps ${inches(template.horizontalGap)} across and ${inches(template.verticalGap)} down`;
+}
 
 const program = new Command();
 
@@ -70,6 +162,7 @@ program
   .description('Generate Avery label PDFs for school lunch orders with built-in templates and manual layout control')
   .version('1.0.0')
   .option('--debug', 'Enable debug logging')
+  .option('--templates-file <path>', 'JSON or YAML template library to use on top of the built-in and saved templates')
   .hook('preAction', (thisCommand) => {
     if (thisCommand.opts().debug) {
       process.env.DEBUG = 'true';
@@ -80,13 +173,67 @@ program
 program
   .command('generate')
   .description('Generate school lunch order labels')
-  .option('-f, --file <path>', 'Input CSV/JSON file with lunch order data')
+  .option('-f, --file <path>', 'Input CSV, JSON, XLSX or ODS file with lunch order data')
+  .option('--sheet <name>', 'Spreadsheet sheet to read, by name or 1-based index (default: first sheet)')
+  .option('--header-row <n>', 'Spreadsheet row holding the column headers (default: detected)', parseInt)
   .option('-t, --template <path>', 'PDF template file (deprecated - use --template-name or --manual-layout)')
   .option('-o, --output <path>', 'Output PDF file path', './lunch-labels.pdf')
   .option('-d, --output-dir <path>', 'Output directory for PDF files')
   .option('-i, --interactive', 'Enter data interactively')
-  .option('--template-name <name>', 'Use specific template (5160, 8160, 5162, 5163, 8163, 5164, 8164, 5167, custom)', '5160')
-  .option('--manual-layout <spec>', 'Manual layout: "rows:cols:width:height" (e.g., "2:5:4:2" for 2x5 labels 4"x2")')
+  .option('--template-name <name>', 'Use specific template (5160, 8160, 5162, 5163, 8163, 5164, 8164, 5167, A4: L7160, L7161, L7162, L7163, L7165, L7651, custom, or a saved template)', '5160')
+  .option('--manual-layout <spec>', 'Manual layout: "rows:cols:width:height" (e.g., "2:5:3.9:2" for 2x5 labels 3.9"x2")')
+  .option('--page-size <size>', 'Page size: letter, legal, a4 or WIDTHxHEIGHT in mm or in, e.g. "210x297mm" (default: the template\'s, or letter)')
+  .option('--label-width <n>', 'Label width, for --template-name custom or to adjust a template (in --units)', parseFloat)
+  .option('--label-height <n>', 'Label height (in --units)', parseFloat)
+  .option('--labels-per-row <n>', 'Labels across the sheet', parseFloat)
+  .option('--labels-per-column <n>', 'Labels down the sheet', parseFloat)
+  .option('--margin-top <n>', 'Top edge of the sheet to the first row of labels (in --units)', parseFloat)
+  .option('--margin-left <n>', 'Left edge of the sheet to the first column of labels (in --units)', parseFloat)
+  .option('--horizontal-gap <n>', 'Space between columns of labels (in --units, default: 0)', parseFloat)
+  .option('--vertical-gap <n>', 'Space between rows of labels (in --units, default: 0)', parseFloat)
+  .option('--corner-radius <n>', 'Corner radius of the labels (in --units, default: 0)', parseFloat)
+  .option('--units <units>', 'Units of the measurements: in or mm', 'in')
+  .option('--wizard', 'Measure a printed label sheet step by step for the custom template')
+  .option('--printer <name>', 'Printer profile to correct for, from "calibrate save" (default: the default printer; "none" for no correction)')
+  .option('--map <spec>', `Column mapping: preset name (${getPresetNames().join(', ')}) or "field=Column;field=Column A+Column B"`)
+  .option('--map-file <path>', 'JSON column mapping file (a single mapping or named presets)')
+  .option('--map-default <field=value>', 'Default value for a missing or empty field (repeatable)', collect, [])
+  .option('--sort-by <fields>', 'Sort labels by comma-separated fields; prefix "-" for descending (e.g. "grade,studentName")')
+  .option('--group-by <field>', 'Group labels by a field such as grade, teacher or homeroom')
+  .option('--group-page-break', 'Start each group on a new sheet (with --group-by)')
+  .option('--group-headers', 'Add a header label naming each group (with --group-by)')
+  .option('--start-at <position>', 'First free label on a partly used sheet: label number ("13") or row:column ("5:1")')
+  .option('--skip <positions>', 'Used label positions to leave blank on the first sheet (e.g. "1-4,9,5:2")')
+  .option('--copies <n>', 'Labels per order for orders without a quantity (default: 1)')
+  .option('--quantity-field <name>', 'Field holding the per-order label quantity', 'quantity')
+  .option('--number-copies', 'Mark repeated labels "1 of 3", "2 of 3", ...')
+  .option('--layout <name|path>', `Label layout: ${getLayoutNames().join(', ')} or a JSON layout file`, 'standard')
+  .option('--border <style>', `Label border: ${BORDER_STYLES.join(', ')}`, 'solid')
+  .option('--safe-area <n>', 'Space kept clear inside each label\'s edge (in --units, default: 0)', parseFloat)
+  .option('--font <path>', 'TrueType/OpenType font for label text (a .ttc takes "#n" for its nth font)')
+  .option('--bold-font <path>', 'Bold font to go with --font (default: --font)')
+  .option('--fallback-font <path>', 'Font for characters the main font lacks, e.g. a CJK font (repeatable)', collect, [])
+  .option('--unicode-fonts', 'Always embed the bundled Noto Sans fonts instead of Helvetica')
+  .option('--standard-fonts', 'Always use Helvetica, even for text it cannot show')
+  .option('--auto-fit', 'Size text to fit each label instead of using fixed sizes')
+  .option('--min-font-size <pt>', 'Smallest text size for --auto-fit before truncating (default: 5)', parseFloat)
+  .option('--max-font-size <pt>', 'Largest text size for --auto-fit (default: 16)', parseFloat)
+  .option('--barcode <type>', 'Draw the order ID as a barcode: code128 or qr')
+  .option('--barcode-field <field>', 'Field to encode in the barcode', 'orderId')
+  .option('--allergy-alerts', 'Highlight allergy notes in a red band that is never truncated')
+  .option('--allergens <list>', `Comma-separated allergens to match (default: ${getDefaultAllergenNames().join(', ')})`)
+  .option('--allergens-file <path>', 'JSON file with { "allergens": { name: [keywords] }, "fields": [...] }')
+  .option('--allergen-fields <fields>', 'Fields checked for allergens (default: allergies,specialInstructions)')
+  .option('--allow-allergen-overflow', 'Print allergy notes that do not fit incomplete instead of stopping')
+  .option('--preview <path>', 'Also write a preview with problem labels highlighted: an .html file, or .png images (one per sheet)')
+  .option('--preview-dpi <n>', 'Resolution of PNG previews (default: 100)', parseFloat)
+  .option('--summary <target>', 'Kitchen summary of items and special instructions: "pages" after the labels, or a .pdf or .csv file')
+  .option('--roster <target>', 'Delivery roster with sign-off lines for each classroom: "pages" after the labels, or a .pdf file')
+  .option('--roster-by <field>', 'Field the roster groups orders by, e.g. teacher or homeroom', 'grade')
+  .option('--split-by <field>', 'Write one PDF per value of a field, e.g. grade or teacher, with an index of the files')
+  .option('--zip', 'Bundle the split PDFs and their index into one .zip file (with --split-by)')
+  .option('--dry-run', 'Lay out every label and report sheets and labels that would not fit, without writing the PDF')
+  .option('--strict', 'Fail instead of printing labels with truncated or missing text')
   .option('--timestamp', 'Add timestamp to output filename')
   .option('--cleanup', 'Remove temporary files after generation')
   .action(async (options) => {
@@ -107,11 +254,15 @@ program
         throw new Error('Invalid template path provided');
       }
       
+      const templateFiles = await loadUserTemplates({ templatesFile: program.opts().templatesFile });
+      templateFiles.forEach(file => log.debug(`Loaded templates from ${file}`));
+
       if (!validateInput.isValidTemplateName(options.templateName)) {
         throw new Error(`Invalid template name: ${options.templateName}. Use './run.sh templates' to see available options.`);
       }
       
       let data;
+      let rows = null;
       let template;
       
       if (options.interactive) {
@@ -125,50 +276,55 @@ program
           throw new Error(`File not found: ${options.file}`);
         }
         
-        data = await loadDataFromFile(options.file);
+        const mapping = await resolveColumnMapping({
+          map: options.map,
+          mapFile: options.mapFile,
+          defaults: options.mapDefault,
+        });
+        if (mapping) {
+          log.info(`Applying column mapping: ${Object.keys(mapping.columns).join(', ') || 'defaults only'}`);
+        }
+
+        const file = await readOrderFile(options.file, {
+          mapping,
+          sheet: options.sheet,
+          headerRow: options.headerRow,
+        });
+        data = file.orders;
+        rows = file.rows;
         log.success(`Loaded ${data.length} lunch orders from file`);
         
         log.info('Validating lunch order data...');
-        for (let i = 0; i < data.length; i++) {
-          try {
-            validateInput.validateLunchOrder(data[i]);
-          } catch (error) {
-            throw new Error(`Row ${i + 1}: ${error.message}`);
-          }
-        }
+        const warnings = assertValidOrders(data, { rows, problems: file.problems });
+        warnings.forEach(warning => log.warning(formatProblem(warning)));
         log.success('All lunch orders validated successfully');
       }
 
-      // Handle manual layout specification
-      if (options.manualLayout) {
-        const layoutParts = options.manualLayout.split(':');
-        if (layoutParts.length !== 4) {
-          throw new Error('Manual layout must be in format "rows:cols:width:height" (e.g., "2:5:4:2")');
-        }
-        
-        template = {
-          name: 'manual',
-          labelWidth: parseFloat(layoutParts[2]),
-          labelHeight: parseFloat(layoutParts[3]),
-          labelsPerRow: parseInt(layoutParts[0]),
-          labelsPerColumn: parseInt(layoutParts[1]),
-          marginTop: 0.5,
-          marginLeft: 0.5,
-          horizontalGap: 0.125,
-          verticalGap: 0.125
-        };
-        
-        if (isNaN(template.labelsPerRow) || isNaN(template.labelsPerColumn) || 
-            isNaN(template.labelWidth) || isNaN(template.labelHeight)) {
-          throw new Error('Invalid manual layout values. All values must be numbers.');
-        }
-        
-        log.info(`Using manual layout: ${template.labelsPerRow}x${template.labelsPerColumn}`);
+      // Handle manual layout specification and custom measurements
+      if (wantsCustomTemplate(options)) {
+        template = await customTemplateFromOptions(options);
+        log.info(options.manualLayout
+          ? `Using manual layout: ${describeTemplate(template)}`
+          : `Using custom template: ${describeTemplate(template)}`);
       } else {
-        log.info(`Using built-in template: ${options.templateName}`);
+        const source = getTemplateSource(options.templateName);
+        log.info(source === 'built-in'
+          ? `Using built-in template: ${options.templateName}`
+          : `Using template: ${options.templateName} (from ${source})`);
         template = getTemplateByName(options.templateName);
       }
 
+      if (options.pageSize && !wantsCustomTemplate(options)) {
+        template = { ...template, pageSize: options.pageSize };
+        // Checked like a custom template, before any label is drawn
+        try {
+          validateTemplateGeometry(template);
+        } catch (error) {
+          throw new Error(`Template ${options.templateName} on page size ${options.pageSize}: ${error.message}`);
+        }
+        log.info(`Page size: ${resolvePageSize(options.pageSize).name}`);
+      }
+
       let outputPath = options.output;
       
       if (!validateInput.isValidPath(outputPath)) {
@@ -182,33 +338,171 @@ program
           throw new Error('Invalid output directory path');
         }
         
-        await fs.mkdir(options.outputDir, { recursive: true });
+        if (!options.dryRun) {
+          await fs.mkdir(options.outputDir, { recursive: true });
+        }
         
         const filename = path.basename(outputPath);
         outputPath = path.join(options.outputDir, filename);
       }
 
-      if (options.timestamp) {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-        const ext = path.extname(outputPath);
-        const base = path.basename(outputPath, ext);
-        const dir = path.dirname(outputPath);
-        outputPath = path.join(dir, `${base}-${timestamp}${ext}`);
+      if (options.zip && !options.splitBy) {
+        throw new Error('--zip requires --split-by');
+      }
+
+      // Split files are each named after outputPath, then timestamped
+      const timestamp = options.timestamp ? new Date() : null;
+      if (timestamp) {
+        outputPath = options.splitBy ? outputPath : timestampedPath(outputPath, timestamp);
         log.info(`Adding timestamp to filename`);
       }
 
-      if (await validateInput.fileExists(outputPath)) {
+      if (!options.dryRun && !options.splitBy && await validateInput.fileExists(outputPath)) {
         log.warning(`Output file already exists: ${outputPath}`);
       }
 
-      log.info(`Generating PDF with ${data.length} labels...`);
-      await createLunchLabels(data, template, outputPath);
+      if (options.preview && !/\.(html?|png)$/i.test(options.preview)) {
+        throw new Error(`Preview must be an .html or .png file: ${options.preview}`);
+      }
+
+      let summary;
+      if (options.summary) {
+        summary = summaryMode(options.summary);
+      }
+      if (options.roster && options.roster !== 'pages' && path.extname(options.roster).toLowerCase() !== '.pdf') {
+        throw new Error(`Delivery roster must be "pages" or a .pdf file: ${options.roster}`);
+      }
+
+      if ((options.groupPageBreak || options.groupHeaders) && !options.groupBy) {
+        throw new Error('--group-page-break and --group-headers require --group-by');
+      }
+      if (options.sortBy) {
+        log.info(`Sorting labels by: ${options.sortBy}`);
+      }
+      if (options.groupBy) {
+        log.info(`Grouping labels by: ${options.groupBy}`);
+      }
+
+      if (options.startAt || options.skip) {
+        log.info(`Leaving used positions blank on the first sheet${options.startAt ? ` (starting at ${options.startAt})` : ''}`);
+      }
+
+      const layout = getLayoutNames().includes(options.layout) ? options.layout : await loadLayoutFile(options.layout);
+      if (options.layout !== 'standard') {
+        log.info(`Using layout: ${options.layout}`);
+      }
+
+      let fonts;
+      if (options.standardFonts && (options.unicodeFonts || options.font || options.boldFont || options.fallbackFont.length > 0)) {
+        throw new Error('--standard-fonts cannot be combined with other font options');
+      }
+      if (options.font || options.boldFont || options.fallbackFont.length > 0) {
+        fonts = { regular: options.font, bold: options.boldFont, fallbacks: options.fallbackFont };
+      } else if (options.unicodeFonts) {
+        fonts = 'unicode';
+      } else if (options.standardFonts) {
+        fonts = 'standard';
+      }
+
+      let allergyAlerts = null;
+      if (options.allergyAlerts || options.allergens || options.allergensFile || options.allergenFields) {
+        const fileConfig = options.allergensFile ? await loadAllergenFile(options.allergensFile) : {};
+        allergyAlerts = createAllergenConfig({
+          allergens: options.allergens || fileConfig.allergens,
+          fields: options.allergenFields || fileConfig.fields,
+          allowOverflow: options.allowAllergenOverflow,
+        });
+        log.info(`Highlighting allergies: ${allergyAlerts.allergens.map(allergen => allergen.name).join(', ')}`);
+      }
+
+      const printer = await loadPrinterProfile(options.printer);
+      if (printer) {
+        log.info(`Correcting for printer: ${printer.name}`);
+      }
+
+      const labelOptions = {
+        copies: options.copies,
+        quantityField: options.quantityField,
+      };
+      const labelCount = countLabels(data, labelOptions);
+      if (labelCount !== data.length) {
+        log.info(`Printing ${labelCount} labels for ${data.length} orders`);
+      }
+
+      const generateOptions = {
+        ...labelOptions,
+        numberCopies: options.numberCopies,
+        barcode: options.barcode,
+        barcodeField: options.barcodeField,
+        layout,
+        fonts,
+        autoFit: options.autoFit || options.minFontSize !== undefined || options.maxFontSize !== undefined,
+        minFontSize: options.minFontSize,
+        maxFontSize: options.maxFontSize,
+        allergyAlerts,
+        startAt: options.startAt,
+        skip: options.skip,
+        sortBy: options.sortBy,
+        groupBy: options.groupBy,
+        groupPageBreak: options.groupPageBreak,
+        groupHeaders: options.groupHeaders,
+        preview: Boolean(options.preview),
+        summary,
+        roster: options.roster && (options.roster === 'pages' ? 'pages' : 'pdf'),
+        rosterBy: options.rosterBy,
+        border: options.border,
+        safeArea: options.safeArea === undefined ? undefined : options.safeArea * unitScale(options.units),
+        printer,
+        dryRun: options.dryRun,
+        // A dry run reports degraded labels itself, strict or not
+        strict: options.strict && !options.dryRun,
+        silent: options.dryRun,
+        logger: log,
+      };
+
+      if (options.splitBy) {
+        log.info(`Splitting labels by: ${options.splitBy}`);
+        const split = await createSplitLabels(data, template, outputPath, { ...generateOptions, splitBy: options.splitBy, zip: options.zip, timestamp });
+        reportSplit(split, options, ((Date.now() - startTime) / 1000).toFixed(2));
+        return;
+      }
+
+      // A dry run is silent, so it says what it is doing here
+      if (options.dryRun) {
+        log.info(`Laying out ${labelCount} labels (dry run)...`);
+      }
+      const result = await createLunchLabels(data, template, outputPath, generateOptions);
       
       const endTime = Date.now();
       const duration = ((endTime - startTime) / 1000).toFixed(2);
       
-      log.success(`Lunch labels generated successfully in ${duration}s`);
-      log.success(`Output: ${outputPath}`);
+      if (options.dryRun) {
+        reportDryRun(result, rows);
+      } else {
+        log.success(`Lunch labels generated successfully in ${duration}s`);
+        log.success(`Output: ${outputPath}`);
+      }
+
+      if (options.preview) {
+        const previewFiles = await writePreview(options.preview, result, { dpi: options.previewDpi, title: `Labels: ${path.basename(outputPath)}` });
+        log.success(`Preview: ${previewFiles.join(', ')}${result.warnings.length > 0 ? ` (${result.warnings.length} ${result.warnings.length === 1 ? 'problem' : 'problems'} highlighted)` : ''}`);
+      }
+
+      if (options.summary && !options.dryRun) {
+        await writeSummary(options.summary, result);
+      }
+
+      if (options.roster && !options.dryRun) {
+        await writeRoster(options.roster, result);
+      }
+
+      if (options.dryRun) {
+        if (options.strict && result.warnings.length > 0) {
+          log.error('Strict mode: generate would fail for these labels');
+          process.exitCode = 1;
+        }
+        return;
+      }
       
       const stats = await fs.stat(outputPath);
       log.info(`File size: ${(stats.size / 1024).toFixed(2)} KB`);
@@ -223,9 +517,33 @@ program
       
       if (error.message.includes('File not found')) {
         log.info('💡 Tip: Check the file path and ensure the file exists');
+      } else if (error.message.includes('Template file') || error.message.includes('Invalid template file')) {
+        log.info('💡 Tip: Use "./run.sh templates show 5160" for the fields a template needs');
+      } else if (error.message.includes('Custom template is missing')) {
+        log.info('💡 Tip: Give --label-width, --label-height, --labels-per-row, --labels-per-column, --margin-top and --margin-left, or use --wizard');
+      } else if (error.message.includes('Invalid custom template')) {
+        log.info('💡 Tip: Check the measurements against a printed sheet, or run with --wizard to measure it step by step');
+      } else if (error.message.includes('page size') || error.message.includes('Page size')) {
+        log.info('💡 Tip: --page-size takes letter, legal, a4, or a size such as "210x297mm" or "8.5x14in"');
       } else if (error.message.includes('Invalid template')) {
         log.info('💡 Tip: Use "./run.sh templates" to see available templates');
-      } else if (error.message.includes('Missing required fields')) {
+      } else if (/printer profile/i.test(error.message)) {
+        log.info('💡 Tip: Use "./run.sh calibrate list" to see saved printers, or --printer none to print without correction');
+      } else if (error.message.includes('Missing required headers') || error.message.includes('Mapped columns not found')) {
+        log.info('💡 Tip: Map your export\'s columns with --map "studentName=Child Name;grade=Class" or --map-file');
+      } else if (error.message.includes('Font file not found') || error.message.includes('Cannot read font')) {
+        log.info('💡 Tip: --font and --fallback-font take .ttf, .otf or .ttc files');
+      } else if (error.message.includes('border style') || error.message.includes('safe area')) {
+        log.info(`💡 Tip: --border takes ${BORDER_STYLES.join(', ')}; --safe-area must leave room for text on the label`);
+      } else if (/layout/i.test(error.message)) {
+        log.info('💡 Tip: Use "./run.sh layouts" to see built-in layouts');
+      } else if (error.message.includes('Allergy note for order')) {
+        log.info('💡 Tip: Use a larger template, shorten the note, or pass --allow-allergen-overflow to print it incomplete');
+      } else if (error.message.includes('Strict mode')) {
+        log.info('💡 Tip: Use --dry-run to list every label that does not fit; --auto-fit, a larger template or a layout with fewer fields can make room');
+      } else if (error.message.includes('problems in the orders')) {
+        log.info(`💡 Tip: "./run.sh validate ${options.file || '<file>'}" lists every problem in the file`);
+      } else if (error.message.includes('Missing required field')) {
         log.info('💡 Tip: Ensure your CSV/JSON has all required fields: orderId, studentName, grade, contents');
       }
       
@@ -236,26 +554,465 @@ program
 
 
 program
-  .command('templates')
-  .description('List available built-in templates')
+  .command('layouts')
+  .description('List built-in label layouts')
   .action(() => {
-    log.info('Available Built-in Templates:');
+    log.info('Available Built-in Layouts:');
+    Object.entries(layouts).forEach(([name, layout]) => {
+      console.log(chalk.yellow(`${name}:`), layout.description);
+    });
+    console.log('');
+    console.log(chalk.blue('Usage Examples:'));
+    console.log('  ./run.sh generate --file orders.csv --layout kitchen');
+    console.log('  ./run.sh generate --file orders.csv --layout ./my-layout.json');
+  });
+
+// The generateLunchLabels summary mode for --summary: pages after the
+// labels, a PDF of its own, or only the data for a CSV file
+function summaryMode(target) {
+  if (target === 'pages') {
+    return 'pages';
+  }
+  const extension = path.extname(target).toLowerCase();
+  if (extension === '.pdf') {
+    return 'pdf';
+  }
+  if (extension === '.csv') {
+    return 'data';
+  }
+  throw new Error(`Kitchen summary must be "pages", a .pdf or a .csv file: ${target}`);
+}
+
+async function writeReportFile(target, contents) {
+  const outputDir = path.dirname(target);
+  if (outputDir !== '.') {
+    await fs.mkdir(outputDir, { recursive: true });
+  }
+  await fs.writeFile(target, contents);
+}
+
+async function writeSummary(target, result) {
+  if (target === 'pages') {
+    log.success('Kitchen summary added after the labels');
+    return;
+  }
+  await writeReportFile(target, result.summaryPdfBytes || summaryToCSV(result.summary));
+  log.success(`Kitchen summary: ${target}`);
+}
+
+async function writeRoster(target, result) {
+  if (target === 'pages') {
+    log.success('Delivery roster added after the labels');
+    return;
+  }
+  await writeReportFile(target, result.rosterPdfBytes);
+  log.success(`Delivery roster: ${target}`);
+}
+
+// The files of a split run with their label and sheet counts, as in the
+// index file
+function reportSplit(split, options, duration) {
+  const nameWidth = Math.max(...split.files.map(file => file.name.length));
+  if (options.dryRun) {
+    log.info(`Dry run: no files written; ${split.files.length} label ${split.files.length === 1 ? 'file' : 'files'} would be`);
+  } else {
+    log.success(`${split.files.length} label ${split.files.length === 1 ? 'file' : 'files'} generated in ${duration}s`);
+  }
+  split.files.forEach(file => {
+    const warnings = file.warnings.length > 0 ? chalk.yellow(`  ${file.warnings.length} degraded ${file.warnings.length === 1 ? 'label' : 'labels'}`) : '';
+    console.log(`  ${file.name.padEnd(nameWidth)}  ${String(file.labelCount).padStart(4)} ${file.labelCount === 1 ? 'label ' : 'labels'}  ${String(file.pageCount).padStart(3)} ${file.pageCount === 1 ? 'sheet ' : 'sheets'}${warnings}`);
+  });
+  if (split.zipPath) {
+    log.success(`Output: ${split.zipPath} (the PDFs and their index)`);
+  } else if (split.indexPath) {
+    log.success(`Output: ${path.dirname(split.indexPath)}; index: ${split.indexPath}`);
+  }
+  if (options.dryRun && options.strict && split.files.some(file => file.warnings.length > 0)) {
+    log.error('Strict mode: generate would fail for these labels');
+    process.exitCode = 1;
+  }
+}
+
+// What a dry run found: the sheets and labels on each, and every order
+// that would print degraded with its row in the file when known
+function reportDryRun(result, rows) {
+  const pages = result.labelsByPage;
+  log.info('Dry run: no PDF written');
+  log.info(`${result.pageCount} ${result.pageCount === 1 ? 'sheet' : 'sheets'}, ${result.labelCount} labels for ${result.orderCount} orders`);
+  pages.forEach((count, index) => console.log(`  Sheet ${index + 1}: ${count} ${count === 1 ? 'label' : 'labels'}`));
+
+  const byOrder = new Map();
+  result.warnings.forEach(warning => {
+    byOrder.set(warning.orderIndex, [...(byOrder.get(warning.orderIndex) || []), warning]);
+  });
+  if (byOrder.size === 0) {
+    log.success('Every label fits');
+    return;
+  }
+  log.warning(`${byOrder.size} ${byOrder.size === 1 ? 'order' : 'orders'} would print degraded:`);
+  byOrder.forEach((warnings, orderIndex) => {
+    console.log(chalk.yellow(`  ${warnings[0].orderId}${rows ? ` (row ${rows[orderIndex]})` : ''}`));
+    warnings.forEach(warning => console.log(`    ${warning.message}`));
+  });
+}
+
+program
+  .command('validate <file>')
+  .description('Check every order in a file and report all problems, with a non-zero exit code when there are errors')
+  .option('--sheet <name>', 'Spreadsheet sheet to read, by name or 1-based index (default: first sheet)')
+  .option('--header-row <n>', 'Spreadsheet row holding the column headers (default: detected)', parseInt)
+  .option('--map <spec>', `Column mapping: preset name (${getPresetNames().join(', ')}) or "field=Column;field=Column A+Column B"`)
+  .option('--map-file <path>', 'JSON column mapping file (a single mapping or named presets)')
+  .option('--map-default <field=value>', 'Default value for a missing or empty field (repeatable)', collect, [])
+  .option('--format <format>', 'Report format: text or json', 'text')
+  .action(async(file, options) => {
+    try {
+      if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Invalid report format: ${options.format}. Use text or json`);
+      }
+      const mapping = await resolveColumnMapping({
+        map: options.map,
+        mapFile: options.mapFile,
+        defaults: options.mapDefault,
+      });
+      const { orders, rows, problems } = await readOrderFile(file, {
+        mapping,
+        sheet: options.sheet,
+        headerRow: options.headerRow,
+        silent: true,
+      });
+      const { errors, warnings } = validateOrders(orders, { rows, problems });
+      console.log(formatValidationReport({ file, orders: orders.length, errors, warnings }, options.format));
+      if (errors.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      log.error(error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('watch <dir>')
+  .description('Watch a folder and make labels for each .csv or .json order file that arrives or changes')
+  .option('-d, --output-dir <path>', 'Folder for the PDFs and status files (default: "output" in the watched folder)')
+  .option('--quarantine <path>', 'Folder failed files are moved to (default: "quarantine" in the watched folder)')
+  .option('--settle <ms>', 'How long a file must stay unchanged before it is read', parseFloat, 2000)
+  .option('--existing', 'Also process files already in the folder when watching starts')
+  .option('--template-name <name>', 'Template to use (see "./run.sh templates")', '5160')
+  .option('--layout <name|path>', `Label layout: ${getLayoutNames().join(', ')} or a JSON layout file`, 'standard')
+  .option('--map <spec>', `Column mapping: preset name (${getPresetNames().join(', ')}) or "field=Column;field=Column A+Column B"`)
+  .option('--map-file <path>', 'JSON column mapping file (a single mapping or named presets)')
+  .option('--map-default <field=value>', 'Default value for a missing or empty field (repeatable)', collect, [])
+  .option('--sort-by <fields>', 'Sort labels by comma-separated fields; prefix "-" for descending')
+  .option('--group-by <field>', 'Group labels by a field such as grade, teacher or homeroom')
+  .option('--auto-fit', 'Size text to fit each label instead of using fixed sizes')
+  .option('--allergy-alerts', 'Highlight allergy notes in a red band that is never truncated')
+  .option('--printer <name>', 'Printer profile to correct for (default: the default printer; "none" for no correction)')
+  .option('--strict', 'Fail (and quarantine) files that would print truncated or missing text')
+  .action(async(dir, options) => {
+    try {
+      await loadUserTemplates({ templatesFile: program.opts().templatesFile });
+      if (!(options.settle >= 0)) {
+        throw new Error(`Invalid settle time: ${options.settle}. Use milliseconds, 0 or more`);
+      }
+      const template = getTemplateByName(options.templateName);
+      const mapping = await resolveColumnMapping({
+        map: options.map,
+        mapFile: options.mapFile,
+        defaults: options.mapDefault,
+      });
+      const watcher = await watchFolder(dir, {
+        outputDir: options.outputDir,
+        quarantineDir: options.quarantine,
+        settleTime: options.settle,
+        existing: options.existing,
+        template,
+        mapping,
+        labelOptions: {
+          layout: getLayoutNames().includes(options.layout) ? options.layout : await loadLayoutFile(options.layout),
+          sortBy: options.sortBy,
+          groupBy: options.groupBy,
+          autoFit: options.autoFit,
+          allergyAlerts: options.allergyAlerts,
+          printer: await loadPrinterProfile(options.printer),
+          strict: options.strict,
+        },
+        logger: log,
+      });
+      log.info('Press Ctrl+C to stop');
+      process.once('SIGINT', async() => {
+        log.info('Stopping; finishing the file in progress...');
+        await watcher.close();
+      });
+    } catch (error) {
+      log.error(error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('serve')
+  .description('Start a local HTTP server that makes label PDFs from posted orders')
+  .option('--port <n>', 'Port to listen on', parseFloat, DEFAULT_PORT)
+  .option('--host <address>', 'Address to listen on; the default only accepts connections from this machine', DEFAULT_HOST)
+  .option('--max-body <size>', 'Largest request body accepted, e.g. "500kb" or "5mb"', '1mb')
+  .action(async(options) => {
+    try {
+      await loadUserTemplates({ templatesFile: program.opts().templatesFile });
+      if (!(Number.isInteger(options.port) && options.port >= 0 && options.port <= 65535)) {
+        throw new Error(`Invalid port: ${options.port}`);
+      }
+      const server = createLabelServer({ maxBodySize: parseByteSize(options.maxBody), logger: log });
+      server.on('error', error => {
+        log.error(error.code === 'EADDRINUSE' ? `Port ${options.port} is already in use; choose another with --port` : error.message);
+        process.exit(1);
+      });
+      server.listen(options.port, options.host, () => {
+        const { port } = server.address();
+        log.success(`Label server listening on http://${options.host}:${port}`);
+        log.info('POST orders to /labels for a PDF or /validate for a report; GET /templates lists templates. Press Ctrl+C to stop');
+      });
+      process.once('SIGINT', () => server.close());
+    } catch (error) {
+      log.error(error.message);
+      process.exit(1);
+    }
+  });
+
+// Runs a templates subcommand with the template library loaded, reporting
+// errors the way generate does
+function templatesAction(action) {
+  return async(...args) => {
+    try {
+      await loadUserTemplates({ templatesFile: program.opts().templatesFile });
+      await action(...args);
+    } catch (error) {
+      log.error(error.message);
+      process.exit(1);
+    }
+  };
+}
+
+const templatesCommand = program
+  .command('templates')
+  .description('List, show, add and remove label templates');
+
+templatesCommand
+  .command('list', { isDefault: true })
+  .description('List built-in and saved templates')
+  .action(templatesAction(() => {
+    log.info('Available Templates:');
     const allTemplates = getAllTemplates();
     
     Object.entries(allTemplates).forEach(([name, template]) => {
-      console.log(chalk.yellow(`${name}:`), template.description);
+      const source = getTemplateSource(name);
+      if (source === 'built-in') {
+        console.log(chalk.yellow(`${name}:`), template.description);
+      } else {
+        console.log(chalk.yellow(`${name}:`), template.description, chalk.gray(`(${source})`));
+      }
     });
     
-               console.log(chalk.yellow('custom:'), 'Manual layout specification');
+               console.log(chalk.yellow('custom:'), 'Your own measurements (--label-width ... or --wizard)');
     console.log('');
                console.log(chalk.blue('Usage Examples:'));
            console.log('  ./run.sh generate --file orders.csv --template-name 5160');
-           console.log('  ./run.sh generate --file orders.csv --manual-layout "2:5:4:2"');
+           console.log('  ./run.sh generate --file orders.csv --manual-layout "2:5:3.9:2"');
            console.log('  ./run.sh generate --file orders.csv --output-dir ./output --timestamp');
-  });
+    console.log('  ./run.sh templates add my-sheet --base 5160 --margin-top 0.55');
+  }));
+
+templatesCommand
+  .command('show <name>')
+  .description('Show a template\'s measurements and where it comes from')
+  .action(templatesAction((name) => {
+    const template = getTemplateByName(name);
+    const perSheet = template.labelsPerRow * template.labelsPerColumn;
+    const page = resolvePageSize(template.pageSize);
+    const millimetres = (inches) => Math.round(inches * 254) / 10;
+    console.log(chalk.yellow(`${name}:`), template.description);
+    console.log(`  Source:            ${getTemplateSource(name)}`);
+    console.log(`  Page:              ${page.name} (${millimetres(page.width)} x ${millimetres(page.height)} mm)`);
+    console.log(`  Label size:        ${inches(template.labelWidth)} x ${inches(template.labelHeight)} (${millimetres(template.labelWidth)} x ${millimetres(template.labelHeight)} mm)`);
+    console.log(`  Labels per sheet:  ${perSheet} (${template.labelsPerRow} across, ${template.labelsPerColumn} down)`);
+    console.log(`  Margins:           top ${inches(template.marginTop)}, left ${inches(template.marginLeft)}`);
+    console.log(`  Gaps:              horizontal ${inches(template.horizontalGap)}, vertical ${inches(template.verticalGap)}`);
+    if (template.cornerRadius) {
+      console.log(`  Corner radius:     ${inches(template.cornerRadius)}`);
+    }
+  }));
+
+templatesCommand
+  .command('add <name>')
+  .description('Save a template to your template library')
+  .option('--base <template>', 'Start from an existing template and change only the measurements given')
+  .option('--label-width <n>', 'Label width (in --units)', parseFloat)
+  .option('--label-height <n>', 'Label height (in --units)', parseFloat)
+  .option('--labels-per-row <n>', 'Labels across the sheet', parseFloat)
+  .option('--labels-per-column <n>', 'Labels down the sheet', parseFloat)
+  .option('--margin-top <n>', 'Top edge of the sheet to the first row of labels (in --units)', parseFloat)
+  .option('--margin-left <n>', 'Left edge of the sheet to the first column of labels (in --units)', parseFloat)
+  .option('--horizontal-gap <n>', 'Space between columns of labels (in --units, default: 0)', parseFloat)
+  .option('--vertical-gap <n>', 'Space between rows of labels (in --units, default: 0)', parseFloat)
+  .option('--corner-radius <n>', 'Corner radius of the labels (in --units, default: 0)', parseFloat)
+  .option('--units <units>', 'Units of the measurements: in or mm', 'in')
+  .option('--page-size <size>', 'Page size: letter, legal, a4 or WIDTHxHEIGHT in mm or in (default: letter)')
+  .option('--wizard', 'Measure a printed label sheet step by step instead of giving the measurements as flags')
+  .option('--description <text>', 'Description shown by "templates"')
+  .option('--project', 'Save to lunch-label-templates.json in this directory instead of your user library')
+  .option('--force', 'Replace a template of the same name in the library file')
+  .action(templatesAction(async(name, options) => {
+    const files = await getTemplateFiles({ templatesFile: program.opts().templatesFile });
+    const scope = program.opts().templatesFile ? 'file' : (options.project ? 'project' : 'user');
+    const target = files.find(file => file.scope === scope).path;
+
+    let entry = options.base ? { ...getTemplateByName(options.base), description: `Based on ${options.base}` } : {};
+    entry = { ...entry, ...geometryFromOptions(options) };
+    if (options.pageSize) {
+      entry.pageSize = options.pageSize;
+    }
+    if (options.wizard) {
+      entry = createCustomTemplate(await promptCustomTemplate(entry));
+    }
+    if (options.description) {
+      entry.description = options.description;
+    }
+
+    if (getTemplateSource(name) === target && !options.force) {
+      throw new Error(`Template "${name}" is already in ${target}. Use --force to replace it.`);
+    }
+    if (getTemplateSource(name) === 'built-in') {
+      log.warning(`"${name}" is a built-in template; the saved one will be used instead`);
+    }
+
+    const template = await saveUserTemplate(target, name, entry);
+    log.success(`Saved template ${name} (${template.labelsPerRow * template.labelsPerColumn} per sheet) to ${target}`);
+  }));
+
+templatesCommand
+  .command('remove <name>')
+  .description('Remove a template from the library file that defines it')
+  .action(templatesAction(async(name) => {
+    const source = getTemplateSource(name);
+    if (source === 'built-in') {
+      throw new Error(`${name} is a built-in template and cannot be removed`);
+    }
+    if (!source || !(await removeUserTemplate(source, name))) {
+      throw new Error(`Unknown template: ${name}. Use './run.sh templates' to see available options.`);
+    }
+    log.success(`Removed template ${name} from ${source}`);
+
+    await loadUserTemplates({ templatesFile: program.opts().templatesFile });
+    const remaining = getTemplateSource(name);
+    if (remaining === 'built-in') {
+      log.info(`The built-in ${name} template is used again`);
+    } else if (remaining) {
+      log.info(`${name} is still defined in ${remaining}`);
+    }
+  }));
+
+const calibrateCommand = program
+  .command('calibrate')
+  .description('Print a test sheet and save per-printer position corrections');
+
+calibrateCommand
+  .command('sheet', { isDefault: true })
+  .description('Print a test sheet with label outlines, crosshairs, position numbers and millimetre scales')
+  .option('--template-name <name>', 'Template to print the test sheet for', '5160')
+  .option('--printer <name>', 'Printer profile to apply, to check a saved correction (default: the default printer; "none" for no correction)')
+  .option('-o, --output <path>', 'Output PDF file path', './calibration-sheet.pdf')
+  .action(templatesAction(async(options) => {
+    const template = { name: options.templateName, ...getTemplateByName(options.templateName) };
+    const printer = await loadPrinterProfile(options.printer);
+    await fs.writeFile(options.output, await createCalibrationSheet(template, printer));
+    log.success(`Calibration sheet for ${options.templateName}${printer ? ` (corrected for ${printer.name})` : ''}: ${options.output}`);
+    console.log('');
+    console.log(chalk.blue('Next:'));
+    console.log('  1. Print it on a sheet of labels at 100% scale ("Actual size", not "Fit to page").');
+    console.log(`  2. Read where the die-cut edges of labels 1 and ${template.labelsPerRow * template.labelsPerColumn} cross the scales, in mm.`);
+    console.log('     Positive readings mean the cut is right of or below the printed 0 mark.');
+    console.log('  3. Save the readings for this printer:');
+    console.log(`     ./run.sh calibrate save <printer> --template-name ${options.templateName} --offset-x 1.5 --offset-y -0.5 --last-x 2 --last-y 0`);
+  }));
+
+calibrateCommand
+  .command('save <printer>')
+  .description('Save a printer\'s corrections, from readings off a test sheet or as offsets and scales')
+  .option('--template-name <name>', 'Template the test sheet was printed for', '5160')
+  .option('--offset-x <mm>', 'Reading at label 1 across the left edge (mm, + when the cut is to the right)', parseNumber)
+  .option('--offset-y <mm>', 'Reading at label 1 across the top edge (mm, + when the cut is lower)', parseNumber)
+  .option('--last-x <mm>', 'Reading at the last label across its left edge, to correct the horizontal scale', parseNumber)
+  .option('--last-y <mm>', 'Reading at the last label across its top edge, to correct the vertical scale', parseNumber)
+  .option('--scale-x <factor>', 'Set the horizontal scale directly, e.g. 1.005', parseNumber)
+  .option('--scale-y <factor>', 'Set the vertical scale directly', parseNumber)
+  .option('--reset', 'Start from no correction instead of the saved profile')
+  .option('--default', 'Use this printer when generate is not given --printer')
+  .action(templatesAction(async(name, options) => {
+    const saved = options.reset ? null : await loadPrinterProfile(name, { optional: true });
+    const current = saved ? { ...saved } : { ...NO_CORRECTION };
+    delete current.name;
+    if (options.scaleX !== undefined) {
+      current.scaleX = options.scaleX;
+    }
+    if (options.scaleY !== undefined) {
+      current.scaleY = options.scaleY;
+    }
+
+    // Readings are taken off a sheet printed with the saved correction, so
+    // they adjust it rather than replace it
+    const template = getTemplateByName(options.templateName);
+    const profile = correctProfile(current, {
+      firstX: options.offsetX,
+      firstY: options.offsetY,
+      lastX: options.lastX,
+      lastY: options.lastY,
+    }, template);
+
+    const filePath = await savePrinterProfile(name, profile, { makeDefault: options.default });
+    log.success(`Saved printer ${name} to ${filePath}`);
+    log.info(`Offset ${profile.offsetX}mm right, ${profile.offsetY}mm down; scale ${profile.scaleX} x ${profile.scaleY}`);
+    log.info(`Check it with: ./run.sh calibrate --template-name ${options.templateName} --printer ${name}`);
+  }));
+
+calibrateCommand
+  .command('list')
+  .description('List saved printer profiles')
+  .action(templatesAction(async() => {
+    const { printers, defaultPrinter } = await readPrinterProfiles();
+    const names = Object.keys(printers);
+    if (names.length === 0) {
+      log.info(`No printer profiles saved in ${getPrinterFile()}`);
+      return;
+    }
+    log.info('Printer Profiles:');
+    names.forEach(name => {
+      const profile = printers[name];
+      console.log(chalk.yellow(`${name}:`), `offset ${profile.offsetX}mm, ${profile.offsetY}mm; scale ${profile.scaleX} x ${profile.scaleY}`, name === defaultPrinter ? chalk.gray('(default)') : '');
+    });
+  }));
+
+calibrateCommand
+  .command('remove <printer>')
+  .description('Remove a saved printer profile')
+  .action(templatesAction(async(name) => {
+    if (!(await removePrinterProfile(name))) {
+      throw new Error(`Unknown printer profile: ${name}`);
+    }
+    log.success(`Removed printer ${name}`);
+  }));
 
 // Template functions are now imported from ./templates.js
 
+// Prompt validator for a field: answers the order schema warns about are
+// refused too
+function promptCheck(field) {
+  return (input) => {
+    const [problem] = checkField(field, input);
+    return problem ? problem.reason : true;
+  };
+}
+
 async function getLunchDataInteractive() {
   const lunchOrders = [];
   let continueAdding = true;
@@ -266,47 +1023,32 @@ async function getLunchDataInteractive() {
         type: 'input',
         name: 'orderId',
         message: 'Order ID:',
-        validate: (input) => {
-          if (!input.trim()) return 'Order ID is required';
-          if (input.length > 20) return 'Order ID too long (max 20 characters)';
-          return true;
-        }
+        validate: promptCheck('orderId')
       },
       {
         type: 'input',
         name: 'studentName',
         message: 'Student name:',
-        validate: (input) => {
-          if (!input.trim()) return 'Student name is required';
-          if (input.length > 50) return 'Student name too long (max 50 characters)';
-          return true;
-        }
+        validate: promptCheck('studentName')
       },
       {
         type: 'list',
         name: 'grade',
         message: 'Student grade:',
-        choices: ['Pre-K', 'K', '1st', '2nd', '3rd', '4th', '5th', '6th', '7th', '8th', '9th', '10th', '11th', '12th'],
+        choices: GRADES,
         default: '5th'
       },
       {
         type: 'input',
         name: 'contents',
         message: 'Lunch contents:',
-        validate: (input) => {
-          if (!input.trim()) return 'Contents are required';
-          if (input.length > 200) return 'Contents too long (max 200 characters)';
-          return true;
-        }
+        validate: promptCheck('contents')
       },
       {
         type: 'input',
         name: 'specialInstructions',
         message: 'Special instructions (optional):',
-        validate: (input) => {
-          if (input && input.length > 100) return 'Special instructions too long (max 100 characters)';
-          return true;
-        }
+        validate: promptCheck('specialInstructions')
       },
       {
         type: 'confirm',
@@ -330,4 +1072,7 @@ async function getLunchDataInteractive() {
   return lunchOrders;
 }
 
-program.parse(); 
\ No newline at end of file
+// Only parse arguments when run as the CLI, not when required
+if (require.main === module) {
+  program.parse();
+}
\ No newline at end of file
@@ -0,0 +1,211 @@
+// Kitchen production summary
+// What the kitchen needs to make the orders: every item counted overall
+// and per grade, from contents written "Chicken Sandwich + Apple + Milk",
+// and the special instructions grouped into allergies, dietary needs and
+// everything else. Counts are per order. The summary is drawn as pages of
+// the label PDF (or as a PDF of its own) or written as CSV.
+const { GRADES, gradeRank, gradeName } = require('./ordering');
+const { createAllergenConfig, matchAllergens } = require('./allergens');
+const { convertToCSV } = require('./dataHandler');
+const { wrapText } = require('./utils');
+const { PAGE_MARGIN: MARGIN, TEXT_SIZE, createPageWriter } = require('./pageWriter');
+
+const SUMMARY_MODES = ['pages', 'pdf', 'data'];
+
+const INSTRUCTION_TYPES = ['Allergies', 'Dietary', 'Other'];
+
+// Whole words, like allergen keywords
+const DIETARY_PATTERN = /(^|[^\p{L}])(vegetarian|vegan|halal|kosher|pescatarian|no pork|no beef|no meat)(?=$|[^\p{L}])/iu;
+
+const LINE_HEIGHT = 11;
+
+function textOf(value) {
+  return value === undefined || value === null ? '' : String(value).trim().replace(/\s+/g, ' ');
+}
+
+// "Chicken Sandwich + Apple + Milk" -> ['Chicken Sandwich', 'Apple', 'Milk']
+function splitItems(contents) {
+  return textOf(contents).split('+').map(item => item.trim()).filter(Boolean);
+}
+
+// An instruction's type and the allergens it names
+function classifyInstruction(text, allergens) {
+  const matched = matchAllergens(text, allergens);
+  if (matched.length > 0) {
+    return { type: 'Allergies', entry: { text, allergens: matched, orders: [] } };
+  }
+  return { type: DIETARY_PATTERN.test(text) ? 'Dietary' : 'Other', entry: { text, allergens: [], orders: [] } };
+}
+
+// Adds each of an order's items to the counts, once per order
+function countItems(items, order, grade) {
+  new Set(splitItems(order.contents).map(item => item.toLowerCase())).forEach(key => {
+    if (!items.has(key)) {
+      const name = splitItems(order.contents).find(item => item.toLowerCase() === key);
+      items.set(key, { name, total: 0, byGrade: {} });
+    }
+    const item = items.get(key);
+    item.total++;
+    item.byGrade[grade] = (item.byGrade[grade] || 0) + 1;
+  });
+}
+
+function addInstruction(instructions, order, grade, allergens) {
+  const text = textOf(order.specialInstructions);
+  if (!text) {
+    return;
+  }
+  const key = text.toLowerCase();
+  if (!instructions.has(key)) {
+    instructions.set(key, classifyInstruction(text, allergens));
+  }
+  instructions.get(key).entry.orders.push({ orderId: textOf(order.orderId), studentName: textOf(order.studentName), grade });
+}
+
+// The summary of orders: { orderCount, grades, items: [{ name, total,
+// byGrade }], instructions: [{ type, entries: [{ text, allergens, orders:
+// [{ orderId, studentName, grade }] }] }] }. Items are most ordered first,
+// grades in school order. options.allergens is an allergen config (see
+// allergens.js) for telling allergies apart; default: the built-in one.
+function buildKitchenSummary(orders, options = {}) {
+  const allergens = options.allergens || createAllergenConfig();
+  const items = new Map();
+  const instructions = new Map();
+  const grades = new Set();
+
+  orders.forEach(order => {
+    // "3", "3rd" and "Grade 3" share a column
+    const grade = gradeName(order.grade).replace(/\s+/g, ' ') || '(none)';
+    grades.add(grade);
+    countItems(items, order, grade);
+    addInstruction(instructions, order, grade, allergens);
+  });
+
+  const rankOf = grade => (gradeRank(grade) === -1 ? GRADES.length : gradeRank(grade));
+  const classified = [...instructions.values()].sort((a, b) => b.entry.orders.length - a.entry.orders.length || a.entry.text.localeCompare(b.entry.text));
+  return {
+    orderCount: orders.length,
+    grades: [...grades].sort((a, b) => rankOf(a) - rankOf(b) || a.localeCompare(b)),
+    items: [...items.values()].sort((a, b) => b.total - a.total || a.name.localeCompare(b.name)),
+    instructions: INSTRUCTION_TYPES
+      .map(type => ({ type, entries: classified.filter(instruction => instruction.type === type).map(instruction => instruction.entry) }))
+      .filter(group => group.entries.length > 0),
+  };
+}
+
+// The summary as CSV: the item counts, then a blank line and the special
+// instructions
+function summaryToCSV(summary) {
+  const sections = [];
+  if (summary.items.length > 0) {
+    sections.push(convertToCSV(summary.items.map(item => {
+      const row = { Item: item.name, Total: String(item.total) };
+      summary.grades.forEach(grade => {
+        row[grade] = String(item.byGrade[grade] || 0);
+      });
+      return row;
+    })));
+  }
+  const instructionRows = summary.instructions.flatMap(group => group.entries.map(entry => ({
+    Type: group.type,
+    Instruction: entry.text,
+    Allergens: entry.allergens.join('; '),
+    Orders: String(entry.orders.length),
+    'Order IDs': entry.orders.map(order => order.orderId).join(' '),
+  })));
+  if (instructionRows.length > 0) {
+    sections.push(convertToCSV(instructionRows));
+  }
+  return `${sections.join('\n\n')}\n`;
+}
+
+// Column positions for the item table: the item name, the total and one
+// narrow column per grade
+function itemColumns(grades, width) {
+  const numberWidth = Math.max(26, Math.min(36, (width - 160) / (grades.length + 1)));
+  const itemWidth = width - numberWidth * (grades.length + 1);
+  return { itemWidth, numberWidth, numbersX: MARGIN + itemWidth };
+}
+
+function drawItemTable(writer, summary, width) {
+  const { itemWidth, numberWidth, numbersX } = itemColumns(summary.grades, width);
+  const header = () => {
+    writer.text('Item', MARGIN, { bold: true, width: itemWidth - 4 });
+    ['Total', ...summary.grades].forEach((name, index) => {
+      writer.text(name, numbersX + index * numberWidth, { bold: true, width: numberWidth - 4, alignRight: true });
+    });
+    writer.y -= LINE_HEIGHT + 2;
+    writer.rule();
+    writer.y -= 2;
+  };
+  header();
+  summary.items.forEach(item => {
+    if (writer.reserve(LINE_HEIGHT)) {
+      header();
+    }
+    writer.text(item.name, MARGIN, { width: itemWidth - 4 });
+    [item.total, ...summary.grades.map(grade => item.byGrade[grade] || 0)].forEach((count, index) => {
+      writer.text(count ? String(count) : '-', numbersX + index * numberWidth, { bold: index === 0, width: numberWidth - 4, alignRight: true });
+    });
+    writer.y -= LINE_HEIGHT;
+  });
+}
+
+function drawInstructions(writer, summary, width, fonts) {
+  summary.instructions.forEach(group => {
+    const orderCount = group.entries.reduce((sum, entry) => sum + entry.orders.length, 0);
+    writer.reserve(LINE_HEIGHT * 4);
+    writer.y -= LINE_HEIGHT / 2;
+    writer.text(`${group.type} (${orderCount} ${orderCount === 1 ? 'order' : 'orders'})`, MARGIN, { bold: true, size: 10 });
+    writer.y -= LINE_HEIGHT + 4;
+    group.entries.forEach(entry => {
+      const allergens = entry.allergens.length > 0 ? ` [${entry.allergens.join(', ')}]` : '';
+      const orders = entry.orders.map(order => `${order.orderId} ${order.studentName} (${order.grade})`).join(', ');
+      const lines = wrapText(orders, fonts.regular, TEXT_SIZE, width - 12);
+      writer.reserve(LINE_HEIGHT * Math.min(lines.length + 1, 4));
+      writer.text(`${entry.text}${allergens}: ${entry.orders.length}`, MARGIN, { bold: true, width });
+      writer.y -= LINE_HEIGHT;
+      lines.forEach(line => {
+        writer.reserve(LINE_HEIGHT);
+        writer.text(line, MARGIN + 12);
+        writer.y -= LINE_HEIGHT;
+      });
+      writer.y -= 3;
+    });
+  });
+}
+
+// Adds the summary's pages to pdfDoc, pageSize { width, height } points,
+// using fonts from embedFonts. Returns the number of pages added.
+function drawKitchenSummary(pdfDoc, summary, options) {
+  const { pageSize, fonts } = options;
+  const width = pageSize.width - MARGIN * 2;
+  const writer = createPageWriter(pdfDoc, pageSize, fonts);
+  writer.newPage();
+
+  const itemCount = summary.items.reduce((sum, item) => sum + item.total, 0);
+  writer.text('Kitchen Summary', MARGIN, { bold: true, size: 16 });
+  writer.y -= 22;
+  writer.text(`${summary.orderCount} ${summary.orderCount === 1 ? 'order' : 'orders'}, ${itemCount} items`, MARGIN);
+  writer.y -= LINE_HEIGHT * 2;
+
+  if (summary.items.length > 0) {
+    drawItemTable(writer, summary, width);
+  }
+  if (summary.instructions.length > 0) {
+    writer.y -= LINE_HEIGHT;
+    writer.reserve(LINE_HEIGHT * 5);
+    writer.text('Special Instructions', MARGIN, { bold: true, size: 12 });
+    writer.y -= LINE_HEIGHT + 6;
+    drawInstructions(writer, summary, width, fonts);
+  }
+  return writer.pageCount;
+}
+
+module.exports = {
+  SUMMARY_MODES,
+  splitItems,
+  buildKitchenSummary,
+  summaryToCSV,
+  drawKitchenSummary,
+};
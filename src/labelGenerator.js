@@ -1,59 +1,29 @@
-const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { PDFDocument, rgb } = require('pdf-lib');
 const fs = require('fs').promises;
 const path = require('path');
+const { Readable } = require('stream');
 
 // Import font sizing function from utils
-const { calculateFontSizes } = require('./utils');
-
-// Enterprise-level logging
-const log = {
-  info: (msg) => console.log(`ℹ ${msg}`),
-  success: (msg) => console.log(`✓ ${msg}`),
-  warning: (msg) => console.log(`⚠ ${msg}`),
-  error: (msg) => console.error(`✗ ${msg}`),
-  debug: (msg) => process.env.DEBUG && console.log(`🔍 ${msg}`)
-};
+const { calculateFontSizes, wrapText } = require('./utils');
+
+const { resolveLogger } = require('./logger');
+const { getTemplateByName, validateTemplate, resolvePageSize } = require('./templates');
+const { sortOrders, groupOrders } = require('./ordering');
+const { BARCODE_TYPES, reserveBarcodeArea, drawBarcode } = require('./barcode');
+const { drawLabelBox, drawLabelBorder, borderRadius, validateBorderStyle } = require('./labelOutline');
+const { loadPrinterProfile, normalizeProfile, applyPrinterProfile } = require('./calibration');
+const { createPreviewRecorder } = require('./preview');
+const { createAllergenConfig, findAllergyAlert } = require('./allergens');
+const { assertValidOrders } = require('./orderSchema');
+const { SUMMARY_MODES, buildKitchenSummary, drawKitchenSummary } = require('./kitchenSummary');
+const { ROSTER_MODES, buildDeliveryRoster, drawDeliveryRoster } = require('./deliveryRoster');
+const { resolveLayout } = require('./layouts');
+const { embedFonts, drawText } = require('./fonts');
+const { COLUMN_GAP, fixedSizing, fieldSize, rowLineHeight, columnWidths, fieldText, fitField, autoFitBounds, minimumSizing, findAutoFitSizing } = require('./textFit');
 
 // Input validation utilities
 const validateInput = {
-  isValidTemplate: (template) => {
-    if (!template || typeof template !== 'object') {
-      throw new Error('Template must be a valid object');
-    }
-    
-    const requiredFields = ['labelWidth', 'labelHeight', 'labelsPerRow', 'labelsPerColumn', 'marginTop', 'marginLeft'];
-    const missingFields = requiredFields.filter(field => typeof template[field] !== 'number' || template[field] <= 0);
-    
-    if (missingFields.length > 0) {
-      throw new Error(`Template missing required fields: ${missingFields.join(', ')}`);
-    }
-    
-    // Validate reasonable ranges
-    if (template.labelWidth > 10 || template.labelHeight > 10) {
-      throw new Error('Label dimensions too large (max 10 inches)');
-    }
-    
-    if (template.labelsPerRow > 10 || template.labelsPerColumn > 20) {
-      throw new Error('Too many labels per page');
-    }
-    
-    return true;
-  },
-  
-  isValidLunchOrder: (order) => {
-    if (!order || typeof order !== 'object') {
-      throw new Error('Order must be a valid object');
-    }
-    
-    const requiredFields = ['orderId', 'studentName', 'grade', 'contents'];
-    const missingFields = requiredFields.filter(field => !order[field] || order[field].trim() === '');
-    
-    if (missingFields.length > 0) {
-      throw new Error(`Order missing required fields: ${missingFields.join(', ')}`);
-    }
-    
-    return true;
-  },
+  isValidTemplate: (template) => validateTemplate(template),
   
   isValidOutputPath: (outputPath) => {
     if (!outputPath || typeof outputPath !== 'string') {
@@ -72,94 +42,511 @@ const validateInput = {
   }
 };
 
-// Page dimensions (8.5" x 11")
-const PAGE_WIDTH = 8.5 * 72; // Convert to points
-const PAGE_HEIGHT = 11 * 72; // Convert to points
+// Upper bound for per-order quantity and --copies, to catch typos
+const MAX_LABEL_QUANTITY = 100;
 
-async function createLunchLabels(lunchOrders, template, outputPath) {
-  const startTime = Date.now();
-  
-  try {
-    log.debug('Starting lunch label generation...');
-    
-    // Validate inputs
-    if (!Array.isArray(lunchOrders)) {
-      throw new Error('Lunch orders must be an array');
+// Allergy notes shrink down to this size before they count as not fitting
+const MIN_ALLERGY_FONT_SIZE = 5;
+
+// Degraded labels listed when strict mode stops generation
+const MAX_LISTED_STRICT_WARNINGS = 10;
+
+// Number of labels an order needs: its quantity field when set,
+// otherwise options.copies (default 1). 0 prints no label for the order.
+function labelQuantity(order, options = {}) {
+  const field = options.quantityField || 'quantity';
+  const hasQuantity = order[field] !== undefined && order[field] !== null && String(order[field]).trim() !== '';
+  const value = hasQuantity ? order[field] : options.copies;
+
+  if (value === undefined || value === null || value === '') {
+    return 1;
+  }
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_LABEL_QUANTITY) {
+    throw new Error(`${hasQuantity ? field : 'copies'} must be a whole number from 0 to ${MAX_LABEL_QUANTITY} (got "${value}")`);
+  }
+  return quantity;
+}
+
+// Total order labels after applying quantities and copies
+function countLabels(lunchOrders, options = {}) {
+  return lunchOrders.reduce((total, order, index) => {
+    try {
+      return total + labelQuantity(order, options);
+    } catch (error) {
+      throw new Error(`Order ${index + 1}: ${error.message}`);
     }
-    
-    if (lunchOrders.length === 0) {
-      throw new Error('Lunch orders array cannot be empty');
+  }, 0);
+}
+
+// Turns the orders into the sequence of labels to draw: sorted, and when
+// grouped, with optional header labels and sheet breaks between groups.
+// Entries are { type: 'order', order, orderIndex, copy: { number, of } },
+// { type: 'group-header', group } or { type: 'page-break' }; orderIndex is
+// the position in the input. Orders with a quantity get one entry per copy.
+function planLabels(lunchOrders, options = {}) {
+  const indexOf = new Map(lunchOrders.map((order, orderIndex) => [order, orderIndex]));
+  const orderEntries = order => {
+    const orderIndex = indexOf.get(order);
+    let quantity;
+    try {
+      quantity = labelQuantity(order, options);
+    } catch (error) {
+      throw new Error(`Order ${orderIndex + 1}: ${error.message}`);
     }
-    
-    validateInput.isValidTemplate(template);
-    validateInput.isValidOutputPath(outputPath);
-    
-    // Validate all orders
-    log.debug('Validating lunch orders...');
-    for (let i = 0; i < lunchOrders.length; i++) {
-      try {
-        validateInput.isValidLunchOrder(lunchOrders[i]);
-      } catch (error) {
-        throw new Error(`Order ${i + 1}: ${error.message}`);
-      }
+    return Array.from({ length: quantity }, (_, copyIndex) => ({
+      type: 'order',
+      order,
+      orderIndex,
+      copy: { number: copyIndex + 1, of: quantity },
+    }));
+  };
+
+  if (!options.groupBy) {
+    return sortOrders(lunchOrders, options.sortBy).flatMap(orderEntries);
+  }
+
+  const plan = [];
+  groupOrders(lunchOrders, options.groupBy, options.sortBy).forEach((group, index) => {
+    if (index > 0 && options.groupPageBreak) {
+      plan.push({ type: 'page-break' });
     }
-    
-    log.info(`Generating PDF with ${lunchOrders.length} labels...`);
-    
-    const pdfDoc = await PDFDocument.create();
-    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-
-    let currentPage = null;
-    let labelIndex = 0;
-    let labelsOnCurrentPage = 0;
-    let pageCount = 0;
-
-    for (const order of lunchOrders) {
-      if (labelIndex % (template.labelsPerRow * template.labelsPerColumn) === 0) {
-        currentPage = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
-        labelsOnCurrentPage = 0;
-        pageCount++;
-        log.debug(`Created page ${pageCount}`);
-      }
+    if (options.groupHeaders) {
+      plan.push({ type: 'group-header', group });
+    }
+    group.orders.forEach(order => plan.push(...orderEntries(order)));
+  });
+  return plan;
+}
 
-      const row = Math.floor(labelsOnCurrentPage / template.labelsPerRow);
-      const col = labelsOnCurrentPage % template.labelsPerRow;
-
-      // Calculate label position in points
-      const labelWidthPoints = template.labelWidth * 72;
-      const labelHeightPoints = template.labelHeight * 72;
-      const marginLeftPoints = template.marginLeft * 72;
-      const marginTopPoints = template.marginTop * 72;
-      const horizontalGapPoints = template.horizontalGap * 72;
-      const verticalGapPoints = template.verticalGap * 72;
-      
-      const x = marginLeftPoints + col * (labelWidthPoints + horizontalGapPoints);
-      const y = PAGE_HEIGHT - (marginTopPoints + row * (labelHeightPoints + verticalGapPoints)) - labelHeightPoints;
-
-      // Validate label position with more detailed error message
-      if (x < 0) {
-        throw new Error(`Label ${labelIndex + 1} would be positioned too far left (x=${x} points)`);
-      }
-      if (y < 0) {
-        throw new Error(`Label ${labelIndex + 1} would be positioned too far down (y=${y} points)`);
-      }
-      if (x + labelWidthPoints > PAGE_WIDTH) {
-        throw new Error(`Label ${labelIndex + 1} would extend beyond right edge (x=${x}, width=${labelWidthPoints}, page width=${PAGE_WIDTH})`);
+// Parses a 1-based label position on a sheet: "13" counts left to right,
+// top to bottom; "5:1" is row 5, column 1. Returns the 0-based slot.
+function parseLabelPosition(position, template) {
+  const labelsPerPage = template.labelsPerRow * template.labelsPerColumn;
+  const text = String(position).trim();
+  let slot;
+
+  if (/^\d+\s*:\s*\d+$/.test(text)) {
+    const [row, column] = text.split(':').map(part => parseInt(part, 10));
+    if (row < 1 || row > template.labelsPerColumn || column < 1 || column > template.labelsPerRow) {
+      throw new Error(`Label position ${text} is outside the sheet (${template.labelsPerColumn} rows, ${template.labelsPerRow} columns)`);
+    }
+    slot = (row - 1) * template.labelsPerRow + (column - 1);
+  } else if (/^\d+$/.test(text)) {
+    slot = parseInt(text, 10) - 1;
+    if (slot < 0 || slot >= labelsPerPage) {
+      throw new Error(`Label position ${text} is outside the sheet (1-${labelsPerPage})`);
+    }
+  } else {
+    throw new Error(`Invalid label position "${text}". Use a label number (13) or row:column (5:1)`);
+  }
+
+  return slot;
+}
+
+// Slots on the first sheet that are already used: everything before
+// options.startAt plus each position in options.skip. skip takes label
+// positions, "3-8" ranges, or a comma-separated string of them.
+function resolveUsedSlots(template, options = {}) {
+  const used = new Set();
+
+  if (options.startAt !== undefined && options.startAt !== null && options.startAt !== '') {
+    const start = parseLabelPosition(options.startAt, template);
+    for (let slot = 0; slot < start; slot++) {
+      used.add(slot);
+    }
+  }
+
+  const skip = typeof options.skip === 'string' ? options.skip.split(',') : [].concat(options.skip || []);
+  skip.map(position => String(position).trim()).filter(Boolean).forEach(position => {
+    const range = position.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (range) {
+      const first = parseLabelPosition(range[1], template);
+      const last = parseLabelPosition(range[2], template);
+      for (let slot = Math.min(first, last); slot <= Math.max(first, last); slot++) {
+        used.add(slot);
       }
-      if (y + labelHeightPoints > PAGE_HEIGHT) {
-        throw new Error(`Label ${labelIndex + 1} would extend beyond top edge (y=${y}, height=${labelHeightPoints}, page height=${PAGE_HEIGHT})`);
+    } else {
+      used.add(parseLabelPosition(position, template));
+    }
+  });
+
+  if (used.size >= template.labelsPerRow * template.labelsPerColumn) {
+    throw new Error('No free label positions left on the first sheet');
+  }
+
+  return used;
+}
+
+// The printed fields of an order holding characters that no embedded
+// font has: [{ field, chars }]
+function missingCharacters(order, fields, missing) {
+  return [...fields]
+    .filter(field => typeof order[field] === 'string')
+    .map(field => ({ field, chars: missing.filter(char => order[field].includes(char)) }))
+    .filter(entry => entry.chars.length > 0);
+}
+
+// The template's page size in points (Letter when it names none)
+function pageDimensions(template) {
+  const page = resolvePageSize(template.pageSize);
+  return { width: page.width * 72, height: page.height * 72 };
+}
+
+// Position of the label in the given slot of a sheet, in points from the
+// bottom-left corner. labelIndex is only used in error messages.
+function labelPosition(template, slot, labelIndex) {
+  const page = pageDimensions(template);
+  const row = Math.floor(slot / template.labelsPerRow);
+  const col = slot % template.labelsPerRow;
+
+  // Calculate label position in points
+  const labelWidthPoints = template.labelWidth * 72;
+  const labelHeightPoints = template.labelHeight * 72;
+  const marginLeftPoints = template.marginLeft * 72;
+  const marginTopPoints = template.marginTop * 72;
+  const horizontalGapPoints = template.horizontalGap * 72;
+  const verticalGapPoints = template.verticalGap * 72;
+
+  const x = marginLeftPoints + col * (labelWidthPoints + horizontalGapPoints);
+  const y = page.height - (marginTopPoints + row * (labelHeightPoints + verticalGapPoints)) - labelHeightPoints;
+
+  // Validate label position with more detailed error message
+  if (x < 0) {
+    throw new Error(`Label ${labelIndex + 1} would be positioned too far left (x=${x} points)`);
+  }
+  if (y < 0) {
+    throw new Error(`Label ${labelIndex + 1} would be positioned too far down (y=${y} points)`);
+  }
+  if (x + labelWidthPoints > page.width) {
+    throw new Error(`Label ${labelIndex + 1} would extend beyond right edge (x=${x}, width=${labelWidthPoints}, page width=${page.width})`);
+  }
+  if (y + labelHeightPoints > page.height) {
+    throw new Error(`Label ${labelIndex + 1} would extend beyond top edge (y=${y}, height=${labelHeightPoints}, page height=${page.height})`);
+  }
+
+  return { x, y };
+}
+
+// Builds the label PDF in memory. `template` is a template object or a
+// built-in template name. Options: sortBy ("grade,-studentName"), groupBy,
+// groupPageBreak, groupHeaders, startAt and skip (positions already used
+// on the first sheet), copies, quantityField, numberCopies, barcode
+// ('code128' or 'qr'), barcodeField, allergyAlerts (true, or a config
+// from createAllergenConfig), layout (a name or layout object, see
+// layouts.js), autoFit with minFontSize/maxFontSize and fonts ('standard',
+// 'unicode' or font files, see fonts.js), border (see labelOutline.js,
+// default 'solid'), safeArea (inches kept clear inside each label's edge),
+// printer (a saved printer profile name or a profile, see
+// calibration.js), summary ('pages', 'pdf' or 'data', see
+// kitchenSummary.js), roster ('pages' or 'pdf') grouped by rosterBy (see
+// deliveryRoster.js), preview, dryRun, strict, plus logger/silent.
+// With autoFit the result also lists the font sizes used for each order,
+// with summary and roster it holds them as data (and separate PDFs as
+// summaryPdfBytes and rosterPdfBytes), and with preview it records the
+// pages for preview.js. Returns { pdfBytes, pageCount, labelCount, orderCount,
+// labelsByPage, warnings }, where labelsByPage counts the order labels on
+// each page and warnings describe labels that were drawn degraded. dryRun
+// lays every label out without saving the PDF (pdfBytes is null); strict
+// throws instead of returning when any label is degraded.
+async function generateLunchLabels(lunchOrders, template, options = {}) {
+  const logger = resolveLogger(options);
+
+  logger.debug('Starting lunch label generation...');
+
+  // Validate inputs
+  if (!Array.isArray(lunchOrders)) {
+    throw new Error('Lunch orders must be an array');
+  }
+
+  if (lunchOrders.length === 0) {
+    throw new Error('Lunch orders array cannot be empty');
+  }
+
+  if (typeof template === 'string') {
+    template = getTemplateByName(template);
+  }
+  validateInput.isValidTemplate(template);
+
+  // Validate all orders
+  logger.debug('Validating lunch orders...');
+  assertValidOrders(lunchOrders);
+
+  const plan = planLabels(lunchOrders, options);
+  const layout = resolveLayout(options.layout);
+  const autoFit = options.autoFit ? autoFitBounds(options) : null;
+
+  let allergenConfig = null;
+  if (options.allergyAlerts) {
+    allergenConfig = options.allergyAlerts === true ? createAllergenConfig() : options.allergyAlerts;
+  }
+
+  let summary = null;
+  if (options.summary) {
+    if (!SUMMARY_MODES.includes(options.summary)) {
+      throw new Error(`Invalid summary: ${options.summary}. Use ${SUMMARY_MODES.join(', ')}`);
+    }
+    summary = buildKitchenSummary(lunchOrders, { allergens: allergenConfig || undefined });
+  }
+
+  let roster = null;
+  if (options.roster) {
+    if (!ROSTER_MODES.includes(options.roster)) {
+      throw new Error(`Invalid roster: ${options.roster}. Use ${ROSTER_MODES.join(', ')}`);
+    }
+    roster = buildDeliveryRoster(lunchOrders, {
+      groupBy: options.rosterBy,
+      sortBy: options.sortBy,
+      labelCount: order => labelQuantity(order, options),
+    });
+    if (roster.groups.length === 1 && roster.groups[0].value === '(none)') {
+      logger.warning(`No order has a ${roster.groupBy}, so the delivery roster is a single group`);
+    }
+  }
+
+  let barcode = null;
+  if (options.barcode) {
+    if (!BARCODE_TYPES.includes(options.barcode)) {
+      throw new Error(`Unknown barcode type: ${options.barcode}. Supported types: ${BARCODE_TYPES.join(', ')}`);
+    }
+    barcode = { type: options.barcode, field: options.barcodeField || 'orderId' };
+  }
+
+  const border = options.border || 'solid';
+  validateBorderStyle(border);
+  const safeArea = options.safeArea === undefined || options.safeArea === null ? 0 : Number(options.safeArea);
+  if (!(safeArea >= 0 && safeArea * 2 < Math.min(template.labelWidth, template.labelHeight))) {
+    throw new Error(`Invalid safe area: ${options.safeArea}. It must be 0 or more and leave room inside a ${template.labelWidth}" x ${template.labelHeight}" label`);
+  }
+  const frame = { border, safeArea };
+
+  let printer = null;
+  if (typeof options.printer === 'string') {
+    printer = await loadPrinterProfile(options.printer);
+  } else if (options.printer) {
+    printer = { name: options.printer.name, ...normalizeProfile(options.printer) };
+  }
+
+  const labelCount = plan.filter(entry => entry.type === 'order').length;
+  if (labelCount === 0) {
+    throw new Error('No labels to print (every order has a quantity of 0)');
+  }
+
+  logger.info(`Generating PDF with ${labelCount} labels...`);
+
+  const pdfDoc = await PDFDocument.create();
+
+  // Only text that gets printed decides which fonts are needed
+  const printedFields = new Set([
+    ...layout.rows.flatMap(row => row.columns.map(column => column.field)),
+    ...(allergenConfig ? allergenConfig.fields : []),
+    ...(summary || roster ? ['orderId', 'studentName', 'grade', 'contents', 'specialInstructions'] : []),
+    options.groupBy,
+    roster && roster.groupBy,
+  ]);
+  const printedText = lunchOrders.flatMap(order => [...printedFields].map(field => order[field]).filter(value => value !== undefined && value !== null));
+  printedText.push(...layout.rows.flatMap(row => row.columns.map(column => `${column.text || ''}${column.prefix}${column.suffix}`)));
+  const { fonts, names: fontNames, missing } = await embedFonts(pdfDoc, options.fonts, printedText);
+  if (fontNames[0] !== 'Helvetica') {
+    logger.info(`Embedding fonts: ${fontNames.join(', ')}`);
+  }
+  if (missing.length > 0) {
+    logger.warning(`No font has these characters, they will not print correctly: ${missing.join(' ')}. Add a fallback font that covers them`);
+  }
+
+  const recorder = options.preview ? createPreviewRecorder(fonts) : null;
+  const page = pageDimensions(template);
+  const labelsPerPage = template.labelsPerRow * template.labelsPerColumn;
+  const usedSlots = resolveUsedSlots(template, options);
+  const warnings = [];
+  const fitted = [];
+  const labelsByPage = [];
+  let currentPage = null;
+  let labelIndex = 0;
+  let labelsOnCurrentPage = labelsPerPage;
+  let drawnOnCurrentPage = 0;
+  let pageCount = 0;
+
+  const startPage = () => {
+    currentPage = pdfDoc.addPage([page.width, page.height]);
+    if (recorder) {
+      currentPage = recorder.recordPage(currentPage);
+    }
+    labelsOnCurrentPage = 0;
+    drawnOnCurrentPage = 0;
+    labelsByPage.push(0);
+    pageCount++;
+    logger.debug(`Created page ${pageCount}`);
+  };
+
+  for (const entry of plan) {
+    if (entry.type === 'page-break') {
+      // Only break when the current sheet has something on it
+      if (drawnOnCurrentPage > 0) {
+        labelsOnCurrentPage = labelsPerPage;
       }
+      continue;
+    }
 
-      // Draw lunch label content
-      await drawLunchLabel(currentPage, order, x, y, template, font, boldFont);
+    if (labelsOnCurrentPage === labelsPerPage) {
+      startPage();
+    }
 
-      labelIndex++;
+    // Positions already used on a partial first sheet are left blank
+    while (pageCount === 1 && usedSlots.has(labelsOnCurrentPage)) {
       labelsOnCurrentPage++;
     }
+    if (labelsOnCurrentPage === labelsPerPage) {
+      startPage();
+    }
 
-    log.debug('Saving PDF...');
-    const pdfBytes = await pdfDoc.save();
+    const { x, y } = labelPosition(template, labelsOnCurrentPage, labelIndex);
+    if (recorder) {
+      const placed = { slot: labelsOnCurrentPage, x, y, width: template.labelWidth * 72, height: template.labelHeight * 72 };
+      recorder.addLabel(entry.type === 'order' ? { ...placed, orderIndex: entry.orderIndex, orderId: entry.order.orderId } : placed);
+    }
+
+    if (entry.type === 'group-header') {
+      drawGroupHeaderLabel(currentPage, entry.group, x, y, template, fonts, frame);
+    } else {
+      // Degraded labels are reported both to the logger and in the result
+      // Every copy of an order is drawn the same way, so report it once
+      const { order, orderIndex, copy } = entry;
+      const warn = (code, field, message) => {
+        if (copy.number === 1) {
+          warnings.push({ code, orderIndex, orderId: order.orderId, field, message });
+          logger.warning(message);
+        }
+      };
+      // Reported per label too, so previews (drawn from their own record,
+      // not the PDF) and strict mode do not pass over them
+      missingCharacters(order, printedFields, missing).forEach(({ field, chars }) => {
+        warn('characters-missing', field, `Order ${order.orderId}: no font has ${chars.join(' ')} in ${field}, so they will not print correctly`);
+      });
+      const copyText = options.numberCopies && copy.of > 1 ? `${copy.number} of ${copy.of}` : '';
+      const alert = allergenConfig && findAllergyAlert(order, allergenConfig);
+      const allergy = alert && {
+        ...alert,
+        allowOverflow: allergenConfig.allowOverflow,
+        report: (message) => {
+          if (copy.number === 1) {
+            logger.error(message);
+          }
+        },
+      };
+
+      // Draw lunch label content
+      const drawn = await drawLunchLabel(currentPage, order, x, y, template, fonts, { layout, warn, copyText, barcode, allergy, autoFit, ...frame });
+      if (autoFit && copy.number === 1) {
+        const fontSizes = {};
+        Object.entries(drawn.fontSizes).forEach(([name, size]) => {
+          fontSizes[name] = Math.round(size * 10) / 10;
+        });
+        fitted.push({ orderIndex, orderId: order.orderId, fontSizes, fits: drawn.fits });
+        logger.debug(`Order ${order.orderId}: contents at ${fontSizes.contents}pt${drawn.fits ? '' : ' (does not fit at the minimum size)'}`);
+      }
+    }
+
+    labelIndex++;
+    labelsOnCurrentPage++;
+    drawnOnCurrentPage++;
+    if (entry.type === 'order') {
+      labelsByPage[pageCount - 1]++;
+    }
+  }
+
+  if (autoFit) {
+    const sizes = fitted.map(entry => entry.fontSizes.contents);
+    const tooLong = fitted.filter(entry => !entry.fits).length;
+    logger.info(`Auto-fit: contents text ${Math.min(...sizes)}-${Math.max(...sizes)}pt${tooLong ? `; ${tooLong} ${tooLong === 1 ? 'order does' : 'orders do'} not fit at ${autoFit.minFontSize}pt and ${tooLong === 1 ? 'was' : 'were'} truncated` : ''}`);
+  }
+
+  if (options.strict && warnings.length > 0) {
+    throwDegradedLabels(warnings);
+  }
+
+  if (printer) {
+    pdfDoc.getPages().forEach(pdfPage => applyPrinterProfile(pdfPage, printer));
+    logger.info(`Printer correction${printer.name ? ` for ${printer.name}` : ''}: offset ${printer.offsetX}mm, ${printer.offsetY}mm; scale ${printer.scaleX}, ${printer.scaleY}`);
+  }
+
+  // A separate summary gets the same fonts in a document of its own
+  let summaryDoc = null;
+  if (summary && options.summary === 'pdf') {
+    summaryDoc = await PDFDocument.create();
+    drawKitchenSummary(summaryDoc, summary, { pageSize: page, fonts: (await embedFonts(summaryDoc, options.fonts, printedText)).fonts });
+  } else if (summary && options.summary === 'pages') {
+    drawKitchenSummary(pdfDoc, summary, { pageSize: page, fonts });
+  }
+
+  let rosterDoc = null;
+  if (roster && options.roster === 'pdf') {
+    rosterDoc = await PDFDocument.create();
+    drawDeliveryRoster(rosterDoc, roster, { pageSize: page, fonts: (await embedFonts(rosterDoc, options.fonts, printedText)).fonts });
+  } else if (roster) {
+    drawDeliveryRoster(pdfDoc, roster, { pageSize: page, fonts });
+  }
+  if (summary) {
+    const instructionCount = summary.instructions.reduce((sum, group) => sum + group.entries.length, 0);
+    logger.info(`Kitchen summary: ${summary.items.length} ${summary.items.length === 1 ? 'item' : 'items'}, ${instructionCount} special ${instructionCount === 1 ? 'instruction' : 'instructions'}`);
+  }
+  if (roster) {
+    logger.info(`Delivery roster: ${roster.groups.length} ${roster.groups.length === 1 ? 'group' : 'groups'} by ${roster.groupBy}, ${roster.orderCount} ${roster.orderCount === 1 ? 'order' : 'orders'}`);
+  }
+
+  let pdfBytes = null;
+  if (!options.dryRun) {
+    logger.debug('Saving PDF...');
+    pdfBytes = await pdfDoc.save();
+  }
+
+  const result = { pdfBytes, pageCount, labelCount, orderCount: lunchOrders.length, labelsByPage, warnings };
+  if (summary) {
+    result.summary = summary;
+  }
+  if (summaryDoc) {
+    result.summaryPdfBytes = options.dryRun ? null : await summaryDoc.save();
+  }
+  if (roster) {
+    result.roster = roster;
+  }
+  if (rosterDoc) {
+    result.rosterPdfBytes = options.dryRun ? null : await rosterDoc.save();
+  }
+  if (autoFit) {
+    result.autoFit = fitted;
+  }
+  if (recorder) {
+    result.preview = recorder.result();
+  }
+  return result;
+}
+
+// Strict mode's error: the degraded labels, the first few listed
+function throwDegradedLabels(warnings) {
+  const orders = new Set(warnings.map(warning => warning.orderIndex)).size;
+  const listed = warnings.slice(0, MAX_LISTED_STRICT_WARNINGS).map(warning => `  ${warning.message}`);
+  if (warnings.length > MAX_LISTED_STRICT_WARNINGS) {
+    listed.push(`  ...and ${warnings.length - MAX_LISTED_STRICT_WARNINGS} more`);
+  }
+  throw new Error(`Strict mode: ${orders} ${orders === 1 ? 'order' : 'orders'} would print degraded labels:\n${listed.join('\n')}`);
+}
+
+// Builds the label PDF and writes it to outputPath. Takes the same options
+// as generateLunchLabels and returns its result without the bytes. With
+// dryRun nothing is written.
+async function createLunchLabels(lunchOrders, template, outputPath, options = {}) {
+  const logger = resolveLogger(options);
+  const startTime = Date.now();
+
+  try {
+    validateInput.isValidOutputPath(outputPath);
+
+    const { pdfBytes, ...result } = await generateLunchLabels(lunchOrders, template, options);
+    if (options.dryRun) {
+      logger.success(`Dry run finished in ${((Date.now() - startTime) / 1000).toFixed(2)}s; no PDF written`);
+      return { outputPath: null, ...result };
+    }
     
     // Create output directory if it doesn't exist
     const outputDir = path.dirname(outputPath);
@@ -172,20 +559,40 @@ async function createLunchLabels(lunchOrders, template, outputPath) {
     const endTime = Date.now();
     const duration = ((endTime - startTime) / 1000).toFixed(2);
     
-    log.success(`PDF generated successfully in ${duration}s`);
-    log.info(`Total pages: ${pageCount}`);
-    log.info(`Total labels: ${labelIndex}`);
+    logger.success(`PDF generated successfully in ${duration}s`);
+    logger.info(`Total pages: ${result.pageCount}`);
+    logger.info(`Total labels: ${result.labelCount}${result.labelCount !== result.orderCount ? ` (${result.orderCount} orders)` : ''}`);
     
+    return { outputPath, ...result };
   } catch (error) {
     const endTime = Date.now();
     const duration = ((endTime - startTime) / 1000).toFixed(2);
     
-    log.error(`PDF generation failed after ${duration}s`);
+    logger.error(`PDF generation failed after ${duration}s`);
     throw error;
   }
 }
 
-async function drawLunchLabel(page, order, x, y, template, font, boldFont) {
+// Streams the label PDF. Generation starts when the stream is first read.
+function createLunchLabelsStream(lunchOrders, template, options = {}) {
+  return Readable.from((async function* () {
+    const { pdfBytes } = await generateLunchLabels(lunchOrders, template, options);
+    yield Buffer.from(pdfBytes.buffer, pdfBytes.byteOffset, pdfBytes.byteLength);
+  })());
+}
+
+// fonts maps layout font names to embedded fonts. context.layout is a
+// normalized layout; context.warn(code, field, message) reports a field
+// that was truncated or left out; context.copyText ("2 of 3") is printed
+// at the end of the first row; context.barcode ({ type, field }) adds a
+// barcode the text flows around; context.allergy (from findAllergyAlert)
+// adds an allergy band on top; context.autoFit ({ minFontSize,
+// maxFontSize }) sizes the text to fit instead of using the fixed sizes.
+// context.border is the border style and context.safeArea the inches
+// kept clear of the label's edge. Returns { fontSizes, fits } with the named sizes used.
+async function drawLunchLabel(page, order, x, y, template, fonts, context) {
+  const { layout, warn, copyText, barcode, allergy, autoFit, border, safeArea } = context;
+
   try {
               const labelWidth = template.labelWidth * 72;
           const labelHeight = template.labelHeight * 72;
@@ -202,6 +609,13 @@ async function drawLunchLabel(page, order, x, y, template, font, boldFont) {
             // Medium labels (like 5160) - standard padding
             padding = 0.12 * 72; // 0.12 inch padding
           }
+    if (autoFit) {
+      // Auto-fit pads in proportion to the label rather than by bucket
+      padding = Math.min(Math.max(Math.min(labelWidth, labelHeight) * 0.1, 3.6), 14.4);
+    }
+    // Nothing is printed in the safe area, where a small feed error would
+    // put it on the die edge
+    padding = Math.max(padding, safeArea * 72);
 
     // Calculate dynamic font sizes based on label dimensions
     const fontSizes = calculateFontSizes(template);
@@ -223,153 +637,273 @@ async function drawLunchLabel(page, order, x, y, template, font, boldFont) {
           }
 
     // Draw label border for printing
-    page.drawRectangle({
-      x, y, width: labelWidth, height: labelHeight,
-      borderColor: rgb(0, 0, 0), // Black border
-      borderWidth: 0.5 // Thin border
+    const radius = borderRadius(template, border);
+    drawLabelBorder(page, { x, y, width: labelWidth, height: labelHeight }, radius, border, {
+      color: rgb(0, 0, 0), // Black border
+      width: 0.5, // Thin border
     });
 
-              let currentY = y + labelHeight - padding - (lineHeight * 0.5); // Start closer to top
-    const maxWidth = labelWidth - (padding * 2);
+    let textTop = y + labelHeight - padding;
+    let maxWidth = labelWidth - (padding * 2);
+    let textBottom = y + padding * 0.5; // Descenders may reach into the padding
 
-    // Order ID (small, at top)
-    if (order.orderId) {
-      const orderIdText = `#${order.orderId}`;
-      const orderIdWidth = font.widthOfTextAtSize(orderIdText, fontSizes.orderId);
-      if (orderIdWidth <= maxWidth) {
-        page.drawText(orderIdText, {
-          x: x + padding,
-          y: currentY,
-          size: fontSizes.orderId,
-          font: boldFont,
-          color: rgb(0.3, 0.3, 0.3)
-        });
-        currentY -= lineHeight;
-      } else {
-        log.warning(`Order ID "${orderIdText}" too long for label width`);
-      }
+    // Allergy band goes first, taking what the order ID and name rows
+    // leave at a line each (at the smallest size with auto-fit)
+    if (allergy) {
+      const identitySizing = autoFit ? minimumSizing(layout.rows, autoFit) : fixedSizing(fontSizes, lineHeight);
+      const firstBaseline = autoFit ? rowLineHeight(layout.rows[0], identitySizing) / identitySizing.lineSpacing : lineHeight * 0.5;
+      const reserve = identityRowsHeight(layout.rows, identitySizing, firstBaseline) + 2 - padding * 0.5;
+      const bandHeight = Math.max(labelHeight - padding * 2 - Math.max(reserve, 0), MIN_ALLERGY_FONT_SIZE * 1.2 + 4);
+      const contentBox = { x: x + padding, y: y + labelHeight - padding - bandHeight, width: maxWidth, height: bandHeight };
+      const bandBottom = drawAllergyBand(page, order, allergy, {
+        label: { x, y, width: labelWidth, height: labelHeight },
+        radius,
+        border,
+        box: contentBox,
+        font: fonts.bold,
+        maxSize: fontSizes.contents,
+        warn,
+      });
+      textTop = bandBottom - 2;
     }
 
-    // Student name (larger, prominent)
-    if (order.studentName) {
-      const nameText = order.studentName;
-      const nameWidth = boldFont.widthOfTextAtSize(nameText, fontSizes.studentName);
-      if (nameWidth <= maxWidth) {
-        page.drawText(nameText, {
-          x: x + padding,
-          y: currentY,
-          size: fontSizes.studentName,
-          font: boldFont,
-          color: rgb(0, 0, 0)
-        });
-        currentY -= lineHeight;
-      } else {
-        // Truncate name if too long
-        let truncatedName = nameText;
-        while (boldFont.widthOfTextAtSize(truncatedName + '...', fontSizes.studentName) > maxWidth && truncatedName.length > 0) {
-          truncatedName = truncatedName.slice(0, -1);
-        }
-        if (truncatedName.length > 0) {
-          page.drawText(truncatedName + '...', {
-            x: x + padding,
-            y: currentY,
-            size: fontSizes.studentName,
-            font: boldFont,
-            color: rgb(0, 0, 0)
-          });
+    // Barcode in its corner; text is narrowed (QR) or raised (Code 128)
+    if (barcode) {
+      const value = order[barcode.field];
+      const area = reserveBarcodeArea(barcode.type, { x: x + padding, y: y + padding, width: maxWidth, height: textTop - (y + padding) });
+      try {
+        if (value === undefined || value === null || String(value).trim() === '') {
+          throw new Error(`${barcode.field} is empty`);
         }
-        currentY -= lineHeight;
-        log.warning(`Student name "${nameText}" truncated to fit label`);
+        drawBarcode(page, barcode.type, String(value).trim(), area.barcode);
+        maxWidth = area.text.width;
+        textBottom = area.text.y;
+      } catch (error) {
+        warn('barcode-omitted', barcode.field, `Barcode for order ${order.orderId} omitted: ${error.message}`);
       }
     }
 
-    // Grade
-    if (order.grade) {
-      const gradeText = `Grade: ${order.grade}`;
-      const gradeWidth = font.widthOfTextAtSize(gradeText, fontSizes.grade);
-      if (gradeWidth <= maxWidth) {
-        page.drawText(gradeText, {
-          x: x + padding,
-          y: currentY,
-          size: fontSizes.grade,
-          font: font,
-          color: rgb(0, 0, 0)
-        });
-        currentY -= lineHeight;
-      } else {
-        log.warning(`Grade text "${gradeText}" too long for label width`);
-      }
+    // Fields in layout order; the copy number goes at the end of the first row
+    const skipFields = allergy ? allergy.fields.filter(field => field !== 'contents') : [];
+    const copyReserve = sizing => (copyText ? fonts.bold.widthOfTextAtSize(copyText, sizing.fontSizes.orderId) + sizing.fontSizes.orderId : 0);
+    let sizing = fixedSizing(fontSizes, lineHeight);
+    let fits = true;
+    let currentY = textTop - (lineHeight * 0.5); // Start closer to top
+    if (autoFit) {
+      const box = { width: maxWidth, fonts, skipFields, reserve: copyReserve };
+      ({ sizing, fits } = findAutoFitSizing(order, layout.rows, box, textTop - textBottom, autoFit));
+      currentY = textTop - rowLineHeight(layout.rows[0], sizing) / sizing.lineSpacing;
     }
 
-    // Contents (may need to wrap)
-    if (order.contents) {
-      const contentsText = order.contents;
-      const words = contentsText.split(' ');
-      let currentLine = '';
-      let linesDrawn = 0;
-      const maxLines = 3; // Limit to 3 lines for contents
-      
-      for (const word of words) {
-        const testLine = currentLine ? `${currentLine} ${word}` : word;
-        const testWidth = font.widthOfTextAtSize(testLine, fontSizes.contents);
-        
-        if (testWidth <= maxWidth && linesDrawn < maxLines) {
-          currentLine = testLine;
-        } else {
-          if (currentLine && linesDrawn < maxLines) {
-            page.drawText(currentLine, {
-              x: x + padding,
-              y: currentY,
-              size: fontSizes.contents,
-              font: font,
-              color: rgb(0, 0, 0)
-            });
-            currentY -= lineHeight;
-            linesDrawn++;
-          }
-          currentLine = word;
-        }
-      }
-      
-      // Draw remaining line
-      if (currentLine && linesDrawn < maxLines) {
-        page.drawText(currentLine, {
-          x: x + padding,
+    layout.rows.forEach((row, rowIndex) => {
+      let rowWidth = maxWidth;
+      if (rowIndex === 0 && copyText) {
+        const copySize = sizing.fontSizes.orderId;
+        drawText(page, copyText, {
+          x: x + padding + maxWidth - fonts.bold.widthOfTextAtSize(copyText, copySize),
           y: currentY,
-          size: fontSizes.contents,
-          font: font,
-          color: rgb(0, 0, 0)
+          size: copySize,
+          font: fonts.bold,
+          color: rgb(0.3, 0.3, 0.3),
         });
-        currentY -= lineHeight;
-      }
-      
-      if (linesDrawn >= maxLines && words.length > 0) {
-        log.warning(`Contents for order ${order.orderId} truncated to fit label`);
+        rowWidth -= copyReserve(sizing);
       }
+      currentY -= drawLayoutRow(page, order, row, {
+        x: x + padding,
+        y: currentY,
+        width: rowWidth,
+        bottom: textBottom,
+        fonts,
+        sizing,
+        skipFields,
+        warn,
+      });
+    });
+
+    return { fontSizes: sizing.fontSizes, fits };
+
+  } catch (error) {
+    throw new Error(`Failed to draw label for order ${order.orderId}: ${error.message}`);
+  }
+}
+
+// Draws one layout row with its first baseline at box.y, splitting the
+// width between its columns. Lines below box.bottom are dropped. Returns
+// the height used, which is 0 when nothing was drawn.
+function drawLayoutRow(page, order, row, box) {
+  const { fonts, sizing, warn } = box;
+  const widths = columnWidths(row, box.width);
+  const lineHeight = rowLineHeight(row, sizing);
+  let columnX = box.x;
+  let linesUsed = 0;
+
+  row.columns.forEach((spec, index) => {
+    const width = widths[index];
+    const text = spec.field !== 'text' && box.skipFields.includes(spec.field) ? '' : fieldText(order, spec);
+    const x = columnX;
+    columnX += width + COLUMN_GAP;
+    if (!text) {
+      return;
     }
 
-    // Special instructions (if space allows)
-    if (order.specialInstructions && order.specialInstructions.trim()) {
-      const instructionsText = `* ${order.specialInstructions}`;
-      const instructionsWidth = font.widthOfTextAtSize(instructionsText, fontSizes.specialInstructions);
-      if (instructionsWidth <= maxWidth && currentY > y + padding) {
-        page.drawText(instructionsText, {
-          x: x + padding,
-          y: currentY,
-          size: fontSizes.specialInstructions,
-          font: font,
-          color: rgb(0.5, 0, 0)
-        });
-      } else if (order.specialInstructions.trim()) {
-        log.warning(`Special instructions for order ${order.orderId} omitted due to space constraints`);
+    const font = fonts[spec.font];
+    const size = fieldSize(spec, sizing);
+    const fit = fitField(text, spec, font, size, width);
+    const lines = fit.lines.filter((line, index) => box.y - index * lineHeight >= box.bottom);
+    let status = fit.status;
+    if (lines.length < fit.lines.length) {
+      status = lines.length === 0 ? 'omitted' : 'truncated';
+    }
+
+    lines.forEach((line, index) => {
+      const lineWidth = font.widthOfTextAtSize(line, size);
+      let lineX = x;
+      if (spec.align === 'center') {
+        lineX = x + (width - lineWidth) / 2;
+      } else if (spec.align === 'right') {
+        lineX = x + width - lineWidth;
       }
+      drawText(page, line, { x: lineX, y: box.y - index * lineHeight, size, font, color: spec.color });
+    });
+    linesUsed = Math.max(linesUsed, lines.length);
+
+    if (status !== 'ok') {
+      const reason = status === 'omitted' ? 'omitted due to space constraints' : 'truncated to fit label';
+      warn(`${spec.code}-${status}`, spec.field, `${spec.label} for order ${order.orderId} ${reason}`);
     }
-    
-  } catch (error) {
-    throw new Error(`Failed to draw label for order ${order.orderId}: ${error.message}`);
+  });
+
+  return linesUsed * lineHeight;
+}
+
+// Height from the top of the text to the baseline of the last row with the
+// order ID or student name, at a line per row; 0 when no row has them
+function identityRowsHeight(rows, sizing, firstBaseline) {
+  const last = rows.map(row => row.columns.some(column => ['orderId', 'studentName'].includes(column.field))).lastIndexOf(true);
+  if (last < 0) {
+    return 0;
+  }
+  return firstBaseline + rows.slice(0, last).reduce((sum, row) => sum + rowLineHeight(row, sizing), 0);
+}
+
+// Lays out an allergy note for a box: the largest font size from maxSize
+// down to MIN_ALLERGY_FONT_SIZE at which the wrapped note fits.
+// Returns { size, lines, height, iconSize } or null when it cannot fit.
+function fitAllergyNote(text, font, box, maxSize) {
+  const inset = 2;
+  for (let size = maxSize; size >= MIN_ALLERGY_FONT_SIZE; size -= 0.5) {
+    const iconSize = size * 1.1;
+    const lines = wrapText(text, font, size, box.width - iconSize - inset * 3);
+    const height = lines.length * size * 1.2 + inset * 2;
+    if (height <= box.height) {
+      return { size, lines, height, iconSize };
+    }
+  }
+  return null;
+}
+
+// Red band across the top of the label holding the allergy note, with a
+// warning triangle and a red outline around the label. Returns the y of
+// the band's bottom edge. A note that cannot fit stops generation unless
+// allergy.allowOverflow is set, in which case it is drawn at the minimum
+// size and reported loudly. layout is { label, radius, border, box, font,
+// maxSize, warn } with label and box as { x, y, width, height } and the
+// label's corner radius, all in points, and the label's border style.
+function drawAllergyBand(page, order, allergy, layout) {
+  const { label, radius, border, box, font, maxSize, warn } = layout;
+  const text = `ALLERGY: ${allergy.notes.join(' / ')}`;
+  const red = rgb(0.8, 0, 0);
+  const white = rgb(1, 1, 1);
+
+  let fit = fitAllergyNote(text, font, box, maxSize);
+  if (!fit) {
+    const message = `Allergy note for order ${order.orderId} does not fit on the label beside the order ID and name: "${text}"`;
+    if (!allergy.allowOverflow) {
+      throw new Error(`${message}. Use a larger template or shorten the note`);
+    }
+    const size = MIN_ALLERGY_FONT_SIZE;
+    const lines = wrapText(text, font, size, box.width - size * 1.1 - 6);
+    const visibleLines = Math.max(1, Math.floor((box.height - 4) / (size * 1.2)));
+    fit = { size, lines: lines.slice(0, visibleLines), height: box.height, iconSize: size * 1.1 };
+    warn('allergen-overflow', allergy.fields[0], `${message} (printed incomplete)`);
+    allergy.report(`ALLERGY NOTE INCOMPLETE for order ${order.orderId}: check this label by hand`);
   }
+
+  const bandBottom = box.y + box.height - fit.height;
+  const band = { x: label.x, y: bandBottom, width: label.width, height: label.y + label.height - bandBottom };
+  drawLabelBox(page, band, radius, { color: red }, false);
+  drawLabelBorder(page, label, radius, border, { color: red, width: 1.5 });
+
+  const firstBaseline = box.y + box.height - 2 - fit.size;
+  drawWarningSign(page, box.x, firstBaseline - fit.size * 0.1, fit.iconSize, font);
+
+  fit.lines.forEach((line, index) => {
+    drawText(page, line, {
+      x: box.x + fit.iconSize + 4,
+      y: firstBaseline - index * fit.size * 1.2,
+      size: fit.size,
+      font,
+      color: white,
+    });
+  });
+
+  return bandBottom;
+}
+
+// White warning triangle with a red "!", standing on (x, y)
+function drawWarningSign(page, x, y, size, font) {
+  page.drawSvgPath(`M 0 0 L ${size} 0 L ${size / 2} ${-size} Z`, { x, y, color: rgb(1, 1, 1) });
+  const markSize = size * 0.75;
+  drawText(page, '!', {
+    x: x + (size - font.widthOfTextAtSize('!', markSize)) / 2,
+    y: y + size * 0.08,
+    size: markSize,
+    font,
+    color: rgb(0.8, 0, 0),
+  });
+}
+
+// Header label naming a group, e.g. "3rd" with "grade - 12 orders" below.
+// frame is { border, safeArea } as for drawLunchLabel.
+function drawGroupHeaderLabel(page, group, x, y, template, fonts, frame) {
+  const { regular: font, bold: boldFont } = fonts;
+  const labelWidth = template.labelWidth * 72;
+  const labelHeight = template.labelHeight * 72;
+  const fontSizes = calculateFontSizes(template);
+  const maxWidth = labelWidth - Math.max(8, frame.safeArea * 144);
+  const box = { x, y, width: labelWidth, height: labelHeight };
+  const radius = borderRadius(template, frame.border);
+
+  drawLabelBox(page, box, radius, { color: rgb(0.9, 0.9, 0.9) });
+  drawLabelBorder(page, box, radius, frame.border, { color: rgb(0, 0, 0), width: 0.5 });
+
+  const count = group.orders.length;
+  const lines = [
+    { text: group.value || '(none)', font: boldFont, size: fontSizes.studentName * 1.5 },
+    { text: `${group.field} - ${count} ${count === 1 ? 'order' : 'orders'}`, font, size: fontSizes.grade },
+  ];
+  const totalHeight = lines.reduce((sum, line) => sum + line.size * 1.2, 0);
+  let currentY = y + (labelHeight + totalHeight) / 2;
+
+  lines.forEach(line => {
+    let text = line.text;
+    while (text.length > 1 && line.font.widthOfTextAtSize(text, line.size) > maxWidth) {
+      text = text.slice(0, -1);
+    }
+    currentY -= line.size * 1.2;
+    drawText(page, text, {
+      x: x + (labelWidth - line.font.widthOfTextAtSize(text, line.size)) / 2,
+      y: currentY + line.size * 0.2,
+      size: line.size,
+      font: line.font,
+      color: rgb(0, 0, 0),
+    });
+  });
 }
 
 module.exports = {
-  createLunchLabels
+  countLabels,
+  createLunchLabels,
+  generateLunchLabels,
+  createLunchLabelsStream,
 }; 
\ No newline at end of file
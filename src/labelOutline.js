@@ -0,0 +1,113 @@
+// Label outlines
+// Labels are outlined to show where they are on the sheet. Templates with
+// a cornerRadius get rounded outlines to match the die-cut labels. On
+// die-cut stock an outline only shows how far the printer is off, so the
+// border style can also be dashed (plain paper cut by hand), crop marks
+// at the corners, or none.
+
+const BORDER_STYLES = ['solid', 'rounded', 'dashed', 'crop-marks', 'none'];
+
+// Radius used by the rounded style when a template doesn't give its own:
+// the 1/16" corners of most Avery sheets
+const DEFAULT_ROUNDED_RADIUS = 0.0625;
+
+// Crop marks start this far outside a corner and are this long, in points
+const CROP_MARK_OFFSET = 2;
+const CROP_MARK_LENGTH = 6;
+
+// SVG path of a box with rounded corners, for drawSvgPath: y grows
+// downwards from the top-left corner. With roundBottom false only the top
+// corners are rounded, for a band across the top of a label.
+function roundedBoxPath(width, height, radius, roundBottom) {
+  const top = Math.min(radius, width / 2, roundBottom ? height / 2 : height);
+  const bottom = roundBottom ? top : 0;
+  const corner = (r, x, y) => (r > 0 ? `A ${r} ${r} 0 0 1 ${x} ${y}` : '');
+  return [
+    `M ${top} 0`,
+    `L ${width - top} 0`,
+    corner(top, width, top),
+    `L ${width} ${height - bottom}`,
+    corner(bottom, width - bottom, height),
+    `L ${bottom} ${height}`,
+    corner(bottom, 0, height - bottom),
+    `L 0 ${top}`,
+    corner(top, top, 0),
+    'Z',
+  ].filter(Boolean).join(' ');
+}
+
+// Draws box ({ x, y, width, height } from its bottom-left corner, in
+// points) with corners of radius points. style takes the drawRectangle
+// options color, borderColor and borderWidth.
+function drawLabelBox(page, box, radius, style, roundBottom = true) {
+  if (!radius) {
+    page.drawRectangle({ ...box, ...style });
+    return;
+  }
+  page.drawSvgPath(roundedBoxPath(box.width, box.height, radius, roundBottom), {
+    x: box.x,
+    y: box.y + box.height,
+    ...style,
+  });
+}
+
+// Corner radius of a template's labels in points
+function cornerRadiusPoints(template) {
+  return (template.cornerRadius || 0) * 72;
+}
+
+function validateBorderStyle(style) {
+  if (!BORDER_STYLES.includes(style)) {
+    throw new Error(`Unknown border style: ${style}. Use one of: ${BORDER_STYLES.join(', ')}`);
+  }
+}
+
+// Corner radius in points of a label's border in style
+function borderRadius(template, style) {
+  if (style === 'rounded') {
+    return (template.cornerRadius || DEFAULT_ROUNDED_RADIUS) * 72;
+  }
+  return cornerRadiusPoints(template);
+}
+
+// Lines just outside each corner of box, along its edges
+function drawCropMarks(page, box, color, thickness) {
+  const left = box.x;
+  const right = box.x + box.width;
+  const bottom = box.y;
+  const top = box.y + box.height;
+  const near = CROP_MARK_OFFSET;
+  const far = CROP_MARK_OFFSET + CROP_MARK_LENGTH;
+  [[left, -1], [right, 1]].forEach(([x, outX]) => {
+    [[bottom, -1], [top, 1]].forEach(([y, outY]) => {
+      page.drawLine({ start: { x: x + outX * near, y }, end: { x: x + outX * far, y }, thickness, color });
+      page.drawLine({ start: { x, y: y + outY * near }, end: { x, y: y + outY * far }, thickness, color });
+    });
+  });
+}
+
+// Draws the border of box (as for drawLabelBox) in style, with a line of
+// pen.width points in pen.color
+function drawLabelBorder(page, box, radius, style, pen) {
+  if (style === 'none') {
+    return;
+  }
+  if (style === 'crop-marks') {
+    drawCropMarks(page, box, pen.color, pen.width);
+    return;
+  }
+  drawLabelBox(page, box, radius, {
+    borderColor: pen.color,
+    borderWidth: pen.width,
+    borderDashArray: style === 'dashed' ? [3, 2] : undefined,
+  });
+}
+
+module.exports = {
+  BORDER_STYLES,
+  drawLabelBox,
+  drawLabelBorder,
+  cornerRadiusPoints,
+  borderRadius,
+  validateBorderStyle,
+};
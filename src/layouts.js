@@ -0,0 +1,222 @@
+// Label layouts
+// A layout says which fields go on a label, in what order, and how each is
+// drawn. Rows run top to bottom; a row is either one field or
+// { "columns": [field, field] } for fields side by side. Built-in layouts
+// live here; others are read from JSON files.
+const fs = require('fs').promises;
+const { rgb } = require('pdf-lib');
+
+const FONT_NAMES = ['regular', 'bold', 'italic', 'bold-italic'];
+const ALIGNMENTS = ['left', 'center', 'right'];
+const OVERFLOW_MODES = ['truncate', 'omit'];
+
+// Named sizes scale with the label (see calculateFontSizes in utils.js);
+// numbers are points
+const FONT_SIZE_NAMES = ['orderId', 'studentName', 'grade', 'contents', 'specialInstructions'];
+
+// Names used in warnings and warning codes ("name-truncated") for the
+// standard fields; other fields use their own name
+const FIELD_LABELS = {
+  orderId: 'Order ID',
+  studentName: 'Student name',
+  grade: 'Grade',
+  contents: 'Contents',
+  specialInstructions: 'Special instructions',
+};
+const FIELD_CODES = {
+  orderId: 'order-id',
+  studentName: 'name',
+  specialInstructions: 'instructions',
+};
+
+const GREY = [0.3, 0.3, 0.3];
+const DARK_RED = [0.5, 0, 0];
+
+const layouts = {
+  // The original label: order ID, name, grade, contents, instructions
+  standard: {
+    description: 'Order ID, student name, grade, contents and special instructions',
+    rows: [
+      { field: 'orderId', prefix: '#', font: 'bold', size: 'orderId', color: GREY, overflow: 'omit' },
+      { field: 'studentName', font: 'bold', size: 'studentName' },
+      { field: 'grade', prefix: 'Grade: ', size: 'grade', overflow: 'omit' },
+      { field: 'contents', size: 'contents', maxLines: 3 },
+      { field: 'specialInstructions', prefix: '* ', size: 'specialInstructions', color: DARK_RED, overflow: 'omit' },
+    ],
+  },
+  // For the kitchen: what to pack first, who it is for last
+  kitchen: {
+    description: 'Contents first in bold, with grade and order ID above and the name below',
+    rows: [
+      {
+        columns: [
+          { field: 'grade', prefix: 'Grade: ', font: 'bold', size: 'grade', overflow: 'omit' },
+          { field: 'orderId', prefix: '#', size: 'orderId', color: GREY, align: 'right', overflow: 'omit' },
+        ],
+      },
+      { field: 'contents', font: 'bold', size: 'studentName', maxLines: 3 },
+      { field: 'specialInstructions', prefix: '* ', size: 'contents', color: DARK_RED, maxLines: 2 },
+      { field: 'studentName', size: 'contents' },
+    ],
+  },
+  // For bags handed out in class: the name, large and centred
+  bag: {
+    description: 'Student name centred and large, with grade and teacher below',
+    rows: [
+      { field: 'studentName', font: 'bold', size: 'studentName', align: 'center', maxLines: 2 },
+      {
+        columns: [
+          { field: 'grade', prefix: 'Grade: ', size: 'grade', overflow: 'omit' },
+          { field: 'teacher', size: 'grade', align: 'right', overflow: 'omit' },
+        ],
+      },
+      { field: 'orderId', prefix: '#', size: 'orderId', color: GREY, align: 'center', overflow: 'omit' },
+    ],
+  },
+};
+
+function parseColor(color, where) {
+  if (Array.isArray(color) && color.length === 3 && color.every(part => typeof part === 'number' && part >= 0 && part <= 1)) {
+    return rgb(color[0], color[1], color[2]);
+  }
+  const match = typeof color === 'string' && color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) {
+    throw new Error(`${where}: color must be "#rrggbb", "#rgb" or [r, g, b] from 0 to 1 (got ${JSON.stringify(color)})`);
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  return rgb(parseInt(hex.slice(0, 2), 16) / 255, parseInt(hex.slice(2, 4), 16) / 255, parseInt(hex.slice(4, 6), 16) / 255);
+}
+
+function fieldCode(field) {
+  return FIELD_CODES[field] || field.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/[^A-Za-z0-9]+/g, '-').toLowerCase();
+}
+
+// Checks one field of a row and fills in defaults
+function normalizeField(spec, where) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`${where}: expected an object with a "field" or "text"`);
+  }
+  if (typeof spec.field !== 'string' && typeof spec.text !== 'string') {
+    throw new Error(`${where}: needs a "field" name or a fixed "text"`);
+  }
+  const font = spec.font || 'regular';
+  if (!FONT_NAMES.includes(font)) {
+    throw new Error(`${where}: unknown font "${font}". Use one of: ${FONT_NAMES.join(', ')}`);
+  }
+  const size = spec.size === undefined ? 'contents' : spec.size;
+  if (!(typeof size === 'number' && size > 0 && size <= 72) && !FONT_SIZE_NAMES.includes(size)) {
+    throw new Error(`${where}: size must be points (up to 72) or one of: ${FONT_SIZE_NAMES.join(', ')}`);
+  }
+  const align = spec.align || 'left';
+  if (!ALIGNMENTS.includes(align)) {
+    throw new Error(`${where}: align must be one of: ${ALIGNMENTS.join(', ')}`);
+  }
+  const maxLines = spec.maxLines === undefined ? 1 : spec.maxLines;
+  if (!Number.isInteger(maxLines) || maxLines < 1 || maxLines > 20) {
+    throw new Error(`${where}: maxLines must be a whole number from 1 to 20`);
+  }
+  const overflow = spec.overflow || 'truncate';
+  if (!OVERFLOW_MODES.includes(overflow)) {
+    throw new Error(`${where}: overflow must be one of: ${OVERFLOW_MODES.join(', ')}`);
+  }
+  if (spec.width !== undefined && !(typeof spec.width === 'number' && spec.width > 0 && spec.width < 1)) {
+    throw new Error(`${where}: width is a fraction of the row, between 0 and 1`);
+  }
+
+  const field = spec.field || 'text';
+  return {
+    field,
+    text: spec.text,
+    prefix: spec.prefix === undefined ? '' : String(spec.prefix),
+    suffix: spec.suffix === undefined ? '' : String(spec.suffix),
+    font,
+    size,
+    color: parseColor(spec.color || [0, 0, 0], where),
+    align,
+    maxLines,
+    overflow,
+    width: spec.width,
+    label: spec.label || FIELD_LABELS[field] || field,
+    code: fieldCode(field),
+  };
+}
+
+// Validates a layout and returns it normalized: every row becomes
+// { columns: [field, ...] } with defaults filled in. Throws with the
+// position of the first problem.
+function normalizeLayout(layout, name = 'layout') {
+  if (!layout || typeof layout !== 'object' || !Array.isArray(layout.rows) || layout.rows.length === 0) {
+    throw new Error(`Invalid ${name}: "rows" must be a non-empty array`);
+  }
+  const rows = layout.rows.map((row, rowIndex) => {
+    const where = `${name} row ${rowIndex + 1}`;
+    if (row && Array.isArray(row.columns)) {
+      if (row.columns.length === 0) {
+        throw new Error(`${where}: "columns" cannot be empty`);
+      }
+      const columns = row.columns.map((column, columnIndex) => normalizeField(column, `${where} column ${columnIndex + 1}`));
+      const fixedWidth = columns.reduce((sum, column) => sum + (column.width || 0), 0);
+      if (fixedWidth >= 1) {
+        throw new Error(`${where}: column widths add up to ${fixedWidth}, must be less than 1`);
+      }
+      return { columns };
+    }
+    return { columns: [normalizeField(row, where)] };
+  });
+  return { name: layout.name || name, description: layout.description || '', rows };
+}
+
+function getLayoutNames() {
+  return Object.keys(layouts);
+}
+
+function getLayoutByName(layoutName) {
+  const layout = layouts[layoutName];
+  if (!layout) {
+    throw new Error(`Invalid layout: ${layoutName}. Available layouts: ${getLayoutNames().join(', ')}`);
+  }
+  return { name: layoutName, ...layout };
+}
+
+// A layout name, a layout object, or nothing for the standard layout,
+// normalized for drawing
+function resolveLayout(layout) {
+  if (layout === undefined || layout === null) {
+    return normalizeLayout(getLayoutByName('standard'), 'standard');
+  }
+  if (typeof layout === 'string') {
+    return normalizeLayout(getLayoutByName(layout), layout);
+  }
+  return normalizeLayout(layout, layout.name);
+}
+
+// Reads and validates a layout from a JSON file
+async function loadLayoutFile(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Layout file not found: ${filePath}`);
+    }
+    throw error;
+  }
+  let layout;
+  try {
+    layout = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid layout file ${filePath}: ${error.message}`);
+  }
+  normalizeLayout(layout, `layout ${filePath}`);
+  return layout;
+}
+
+module.exports = {
+  FONT_SIZE_NAMES,
+  layouts,
+  getLayoutNames,
+  getLayoutByName,
+  resolveLayout,
+  normalizeLayout,
+  loadLayoutFile,
+};
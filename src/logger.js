@@ -0,0 +1,53 @@
+// Logging for the library modules
+// The CLI has its own coloured logger in index.js. Library functions take
+// { logger } or { silent: true } in their options and log through
+// resolveLogger(options), which defaults to the plain console logger.
+
+const LEVELS = ['info', 'success', 'warning', 'error', 'debug'];
+
+const consoleLogger = {
+  info: (msg) => console.log(`ℹ ${msg}`),
+  success: (msg) => console.log(`✓ ${msg}`),
+  warning: (msg) => console.log(`⚠ ${msg}`),
+  error: (msg) => console.error(`✗ ${msg}`),
+  debug: (msg) => process.env.DEBUG && console.log(`🔍 ${msg}`),
+};
+
+const silentLogger = {
+  info: () => {},
+  success: () => {},
+  warning: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+// Adapts an injected logger. Loggers with `warn` instead of `warning`
+// (console, pino, winston) work as-is, `success` falls back to `info`,
+// and any level the logger lacks is dropped.
+function adaptLogger(logger) {
+  const fallbacks = { warning: 'warn', success: 'info' };
+  const adapted = {};
+  LEVELS.forEach(level => {
+    const method = typeof logger[level] === 'function' ? level : fallbacks[level];
+    adapted[level] = method && typeof logger[method] === 'function'
+      ? (msg) => logger[method](msg)
+      : silentLogger[level];
+  });
+  return adapted;
+}
+
+function resolveLogger(options = {}) {
+  if (options.silent) {
+    return silentLogger;
+  }
+  if (options.logger) {
+    return adaptLogger(options.logger);
+  }
+  return consoleLogger;
+}
+
+module.exports = {
+  consoleLogger,
+  silentLogger,
+  resolveLogger,
+};
@@ -0,0 +1,154 @@
+// Lunch order schema
+// The one description of a valid order, used when loading files, by the
+// generate and validate commands, by interactive entry and by
+// createLunchLabels. Checks collect every problem rather than stopping at
+// the first. Each problem is { severity, code, row, orderId, field, value,
+// reason }: errors stop generation, warnings are worth a look but labels
+// still print.
+const { gradeRank } = require('./ordering');
+
+const ORDER_FIELDS = {
+  orderId: { label: 'Order ID', required: true, maxLength: 20 },
+  studentName: { label: 'Student name', required: true, maxLength: 50 },
+  grade: { label: 'Grade', required: true, knownGrade: true },
+  contents: { label: 'Contents', required: true, maxLength: 200 },
+  // Longer instructions are cut short on the label, so they only warn
+  specialInstructions: { label: 'Special instructions', maxLength: 100, lengthSeverity: 'warning' },
+};
+
+const REQUIRED_FIELDS = Object.keys(ORDER_FIELDS).filter(field => ORDER_FIELDS[field].required);
+
+// Errors listed in a generate failure before pointing at validate
+const MAX_LISTED_ERRORS = 5;
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Problems with a field's text: [[severity, code, reason]]
+function textProblems(rule, text) {
+  const problems = [];
+  if (rule.maxLength && text.length > rule.maxLength) {
+    problems.push([rule.lengthSeverity || 'error', 'too-long', `${rule.label} too long: ${text.length} characters (max ${rule.maxLength})`]);
+  }
+  if (rule.knownGrade && gradeRank(text) === -1) {
+    problems.push(['warning', 'unknown-grade', 'Unknown grade; it sorts after the known grades']);
+  }
+  return problems;
+}
+
+// Problems with one field's value: [{ severity, code, field, value, reason }]
+function checkField(field, value) {
+  const rule = ORDER_FIELDS[field];
+  const problem = (severity, code, reason) => ({ severity, code, field, value: value === undefined ? null : value, reason });
+  if (isBlank(value)) {
+    return rule.required ? [problem('error', 'missing', 'Missing required field')] : [];
+  }
+  // Numbers from JSON files print as they are
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return [problem('error', 'not-text', `${rule.label} must be text, not ${Array.isArray(value) ? 'a list' : typeof value}`)];
+  }
+  return textProblems(rule, String(value)).map(args => problem(...args));
+}
+
+// Problems with one order, without row numbers
+function checkOrder(order) {
+  if (!order || typeof order !== 'object' || Array.isArray(order)) {
+    return [{ severity: 'error', code: 'not-an-order', field: null, value: null, reason: 'Order must be an object' }];
+  }
+  return Object.keys(ORDER_FIELDS).flatMap(field => checkField(field, order[field]));
+}
+
+// Checks every order. options.rows are the source row of each order (the
+// line of a CSV file, say; default: its position from 1) and
+// options.problems are rows that could not be read at all, already in
+// problem form. Returns { errors, warnings }, each in row order.
+function validateOrders(orders, options = {}) {
+  const rows = options.rows || orders.map((order, index) => index + 1);
+  const problems = [...(options.problems || [])];
+  const firstRowOf = new Map();
+
+  orders.forEach((order, index) => {
+    const row = rows[index];
+    const orderId = order && ['string', 'number'].includes(typeof order.orderId) ? String(order.orderId).trim() : null;
+    checkOrder(order).forEach(({ severity, code, field, value, reason }) => {
+      problems.push({ severity, code, row, orderId, field, value, reason });
+    });
+
+    if (orderId) {
+      if (firstRowOf.has(orderId)) {
+        problems.push({
+          severity: 'warning',
+          code: 'duplicate-order-id',
+          row,
+          orderId,
+          field: 'orderId',
+          value: order.orderId,
+          reason: `Duplicate order ID, first used on row ${firstRowOf.get(orderId)}`,
+        });
+      } else {
+        firstRowOf.set(orderId, row);
+      }
+    }
+  });
+
+  const sorted = problems.sort((a, b) => a.row - b.row);
+  return {
+    errors: sorted.filter(problem => problem.severity === 'error'),
+    warnings: sorted.filter(problem => problem.severity === 'warning'),
+  };
+}
+
+// "Row 7, orderId "LUNCH007": Missing required field"
+function formatProblem(problem) {
+  const where = problem.field ? `Row ${problem.row}, ${problem.field}` : `Row ${problem.row}`;
+  const shown = isBlank(problem.value) ? '' : ` ${JSON.stringify(problem.value)}`;
+  return `${where}${shown}: ${problem.reason}`;
+}
+
+// Throws when the orders have errors, listing the first few. Takes the
+// same options as validateOrders; returns its warnings otherwise.
+function assertValidOrders(orders, options = {}) {
+  const { errors, warnings } = validateOrders(orders, options);
+  if (errors.length === 1) {
+    throw new Error(formatProblem(errors[0]));
+  }
+  if (errors.length > 1) {
+    const listed = errors.slice(0, MAX_LISTED_ERRORS).map(problem => `  ${formatProblem(problem)}`);
+    const more = errors.length > MAX_LISTED_ERRORS ? `\n  ...and ${errors.length - MAX_LISTED_ERRORS} more. Run "./run.sh validate <file>" for the full report` : '';
+    throw new Error(`${errors.length} problems in the orders:\n${listed.join('\n')}${more}`);
+  }
+  return warnings;
+}
+
+function countOf(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+// A validation report as text or JSON. report is { file, orders, errors,
+// warnings }; JSON adds "valid".
+function formatValidationReport(report, format = 'text') {
+  if (format === 'json') {
+    return JSON.stringify({ ...report, valid: report.errors.length === 0 }, null, 2);
+  }
+  if (format !== 'text') {
+    throw new Error(`Invalid report format: ${format}. Use text or json`);
+  }
+  const lines = [`${report.file}: ${countOf(report.orders, 'order')}, ${countOf(report.errors.length, 'error')}, ${countOf(report.warnings.length, 'warning')}`];
+  [['Errors', report.errors], ['Warnings', report.warnings]].forEach(([heading, problems]) => {
+    if (problems.length > 0) {
+      lines.push('', `${heading}:`, ...problems.map(problem => `  ${formatProblem(problem)}`));
+    }
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  ORDER_FIELDS,
+  REQUIRED_FIELDS,
+  checkField,
+  validateOrders,
+  assertValidOrders,
+  formatProblem,
+  formatValidationReport,
+};
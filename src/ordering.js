@@ -0,0 +1,144 @@
+// Sorting and grouping of lunch orders
+// Grades sort in school order (Pre-K, K, 1st ... 12th) rather than
+// alphabetically; every other field sorts naturally ("Room 9" < "Room 10").
+
+const GRADES = ['Pre-K', 'K', '1st', '2nd', '3rd', '4th', '5th', '6th', '7th', '8th', '9th', '10th', '11th', '12th'];
+
+const GRADE_FIELDS = ['grade'];
+
+// Position of a grade in GRADES, or -1 when it is not recognised.
+// Accepts common spellings: "PK", "Pre-Kindergarten", "Kindergarten",
+// "3", "Grade 3", "3rd grade".
+function gradeRank(grade) {
+  const value = String(grade === undefined || grade === null ? '' : grade).trim().toLowerCase();
+  if (/^(pre-?k|pk|pre-?kindergarten|preschool)$/.test(value)) {
+    return 0;
+  }
+  if (/^(k|kg|kindergarten)$/.test(value)) {
+    return 1;
+  }
+  const match = value.match(/^(?:grade\s*)?(\d{1,2})(?:st|nd|rd|th)?(?:\s*grade)?$/);
+  if (match) {
+    const number = parseInt(match[1], 10);
+    if (number >= 1 && number <= 12) {
+      return number + 1;
+    }
+  }
+  return -1;
+}
+
+// A grade under its usual spelling ("3", "Grade 3" -> "3rd"), or as
+// written when it is not recognised
+function gradeName(grade) {
+  const rank = gradeRank(grade);
+  return rank === -1 ? String(grade === undefined || grade === null ? '' : grade).trim() : GRADES[rank];
+}
+
+const naturalCompare = new Intl.Collator(undefined, { numeric: true }).compare;
+
+function fieldValue(order, field) {
+  const value = order[field];
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+// The value orders are grouped and split by. Grades go by their usual
+// spelling, so "3", "Grade 3" and "3rd" are one group, as in the kitchen
+// summary.
+function groupValue(order, field) {
+  return GRADE_FIELDS.includes(field) ? gradeName(order[field]) : fieldValue(order, field);
+}
+
+function compareField(a, b, field) {
+  const valueA = fieldValue(a, field);
+  const valueB = fieldValue(b, field);
+
+  if (GRADE_FIELDS.includes(field)) {
+    // Unrecognised grades go after the known ones
+    const rankA = gradeRank(valueA);
+    const rankB = gradeRank(valueB);
+    if (rankA !== rankB) {
+      if (rankA === -1 || rankB === -1) {
+        return rankA === -1 ? 1 : -1;
+      }
+      return rankA - rankB;
+    }
+  }
+
+  // Empty values go last
+  if (valueA === '' || valueB === '') {
+    return (valueA === '') - (valueB === '');
+  }
+  return naturalCompare(valueA, valueB);
+}
+
+// "grade,-studentName" -> [{ field: 'grade', descending: false }, ...]
+function parseSortFields(sortBy) {
+  const fields = Array.isArray(sortBy) ? sortBy : String(sortBy || '').split(',');
+  return fields
+    .map(field => String(field).trim())
+    .filter(Boolean)
+    .map(field => (field.startsWith('-')
+      ? { field: field.slice(1), descending: true }
+      : { field, descending: false }));
+}
+
+// Returns a sorted copy. Orders that compare equal keep their file order.
+function sortOrders(orders, sortBy) {
+  const keys = parseSortFields(sortBy);
+  if (keys.length === 0) {
+    return orders.slice();
+  }
+  return orders
+    .map((order, index) => ({ order, index }))
+    .sort((a, b) => {
+      for (const { field, descending } of keys) {
+        const result = compareField(a.order, b.order, field);
+        if (result !== 0) {
+          return descending ? -result : result;
+        }
+      }
+      return a.index - b.index;
+    })
+    .map(({ order }) => order);
+}
+
+// Splits orders into groups by a field, in sorted group order, sorting
+// each group by `sortBy`. Returns [{ field, value, orders }].
+function groupOrders(orders, groupBy, sortBy) {
+  const sorted = sortOrders(orders, [groupBy, ...parseSortFields(sortBy).map(key => (key.descending ? `-${key.field}` : key.field))]);
+  const groups = [];
+
+  sorted.forEach(order => {
+    const value = groupValue(order, groupBy);
+    const last = groups[groups.length - 1];
+    if (last && last.value === value) {
+      last.orders.push(order);
+    } else {
+      groups.push({ field: groupBy, value, orders: [order] });
+    }
+  });
+
+  return groups;
+}
+
+// Splits orders into one set per groupValue of a field, in sorted order,
+// each in file order. Returns [{ value, orders }]; orders without the
+// field have the value ''.
+function splitOrders(orders, field) {
+  const sets = new Map();
+  sortOrders(orders, field).forEach(order => {
+    const value = groupValue(order, field);
+    sets.set(value, (sets.get(value) || new Set()).add(order));
+  });
+  return [...sets].map(([value, members]) => ({ value, orders: orders.filter(order => members.has(order)) }));
+}
+
+module.exports = {
+  GRADES,
+  gradeRank,
+  gradeName,
+  parseSortFields,
+  sortOrders,
+  groupOrders,
+  splitOrders,
+};
@@ -0,0 +1,61 @@
+// Report pages
+// Writes lines of text top to bottom on plain pages, starting a new page
+// as each fills up. Used for the pages printed alongside the labels: the
+// kitchen summary and the delivery roster.
+const { rgb } = require('pdf-lib');
+const { drawText } = require('./fonts');
+
+const PAGE_MARGIN = 36;
+const TEXT_SIZE = 8;
+const BLACK = rgb(0, 0, 0);
+const RULE_COLOR = rgb(0.6, 0.6, 0.6);
+
+// Shortens text with an ellipsis until it fits width
+function truncateText(text, font, size, width) {
+  let fitted = text;
+  while (fitted.length > 1 && font.widthOfTextAtSize(fitted, size) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return fitted === text ? text : `${fitted.slice(0, -1)}…`;
+}
+
+// Draws lines top to bottom, starting pages of pageSize on pdfDoc as
+// they fill up. options.onNewPage(writer) runs on each new page, for
+// headers. writer.y is the top of the next line, in points.
+function createPageWriter(pdfDoc, pageSize, fonts, options = {}) {
+  const writer = { page: null, y: 0, pageCount: 0, width: pageSize.width - PAGE_MARGIN * 2 };
+  writer.newPage = () => {
+    writer.page = pdfDoc.addPage([pageSize.width, pageSize.height]);
+    writer.y = pageSize.height - PAGE_MARGIN;
+    writer.pageCount++;
+    if (options.onNewPage) {
+      options.onNewPage(writer);
+    }
+  };
+  // Starts a new page unless height fits; true when it did
+  writer.reserve = height => {
+    if (writer.page && writer.y - height >= PAGE_MARGIN) {
+      return false;
+    }
+    writer.newPage();
+    return true;
+  };
+  writer.text = (text, x, style = {}) => {
+    const font = style.bold ? fonts.bold : fonts.regular;
+    const size = style.size || TEXT_SIZE;
+    const fitted = style.width ? truncateText(text, font, size, style.width) : text;
+    const offset = style.alignRight ? style.width - font.widthOfTextAtSize(fitted, size) : 0;
+    drawText(writer.page, fitted, { x: x + offset, y: writer.y - size, size, font, color: BLACK });
+  };
+  writer.rule = (from = PAGE_MARGIN, to = pageSize.width - PAGE_MARGIN, color = RULE_COLOR) => {
+    writer.page.drawLine({ start: { x: from, y: writer.y }, end: { x: to, y: writer.y }, thickness: 0.5, color });
+  };
+  return writer;
+}
+
+module.exports = {
+  PAGE_MARGIN,
+  TEXT_SIZE,
+  truncateText,
+  createPageWriter,
+};
@@ -0,0 +1,173 @@
+// Path geometry for previews
+// Drawing on label pages uses SVG paths (rounded label outlines, the
+// allergy warning sign) and glyph outlines with curves. These flatten
+// them into polylines and polygons that raster.js can fill.
+
+// Line segments per curve when flattening
+const CURVE_STEPS = 8;
+
+function quadraticPoints(from, control, to) {
+  const points = [];
+  for (let step = 1; step <= CURVE_STEPS; step++) {
+    const t = step / CURVE_STEPS;
+    const u = 1 - t;
+    points.push([
+      u * u * from[0] + 2 * u * t * control[0] + t * t * to[0],
+      u * u * from[1] + 2 * u * t * control[1] + t * t * to[1],
+    ]);
+  }
+  return points;
+}
+
+function cubicPoints(from, control1, control2, to) {
+  const points = [];
+  for (let step = 1; step <= CURVE_STEPS; step++) {
+    const t = step / CURVE_STEPS;
+    const u = 1 - t;
+    points.push([
+      u * u * u * from[0] + 3 * u * u * t * control1[0] + 3 * u * t * t * control2[0] + t * t * t * to[0],
+      u * u * u * from[1] + 3 * u * u * t * control1[1] + 3 * u * t * t * control2[1] + t * t * t * to[1],
+    ]);
+  }
+  return points;
+}
+
+// Points along an SVG elliptical arc ({ rx, ry, rotation, largeArc,
+// sweep }) from `from`, following the SVG spec's conversion from endpoint
+// to centre parameters
+function arcPoints(from, arc, to) {
+  const { rx, ry, rotation, largeArc, sweep } = arc;
+  if (rx === 0 || ry === 0) {
+    return [to];
+  }
+  const phi = rotation * Math.PI / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (from[0] - to[0]) / 2;
+  const dy = (from[1] - to[1]) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+  let radiusX = Math.abs(rx);
+  let radiusY = Math.abs(ry);
+  const lambda = (x1 * x1) / (radiusX * radiusX) + (y1 * y1) / (radiusY * radiusY);
+  if (lambda > 1) {
+    radiusX *= Math.sqrt(lambda);
+    radiusY *= Math.sqrt(lambda);
+  }
+  const numerator = radiusX * radiusX * radiusY * radiusY - radiusX * radiusX * y1 * y1 - radiusY * radiusY * x1 * x1;
+  const denominator = radiusX * radiusX * y1 * y1 + radiusY * radiusY * x1 * x1;
+  const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cx1 = factor * radiusX * y1 / radiusY;
+  const cy1 = -factor * radiusY * x1 / radiusX;
+  const cx = cos * cx1 - sin * cy1 + (from[0] + to[0]) / 2;
+  const cy = sin * cx1 + cos * cy1 + (from[1] + to[1]) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const start = angle(1, 0, (x1 - cx1) / radiusX, (y1 - cy1) / radiusY);
+  let delta = angle((x1 - cx1) / radiusX, (y1 - cy1) / radiusY, (-x1 - cx1) / radiusX, (-y1 - cy1) / radiusY);
+  if (!sweep && delta > 0) {
+    delta -= 2 * Math.PI;
+  } else if (sweep && delta < 0) {
+    delta += 2 * Math.PI;
+  }
+
+  const points = [];
+  for (let step = 1; step <= CURVE_STEPS; step++) {
+    const theta = start + delta * step / CURVE_STEPS;
+    const ex = radiusX * Math.cos(theta);
+    const ey = radiusY * Math.sin(theta);
+    points.push([cos * ex - sin * ey + cx, sin * ex + cos * ey + cy]);
+  }
+  return points;
+}
+
+// Points each drawing command adds, from position; next() reads the
+// command's next number
+const PATH_SEGMENTS = {
+  L: (position, next) => [[next(), next()]],
+  H: (position, next) => [[next(), position[1]]],
+  V: (position, next) => [[position[0], next()]],
+  C: (position, next) => cubicPoints(position, [next(), next()], [next(), next()], [next(), next()]),
+  Q: (position, next) => quadraticPoints(position, [next(), next()], [next(), next()]),
+  A: (position, next) => arcPoints(position, { rx: next(), ry: next(), rotation: next(), largeArc: next() !== 0, sweep: next() !== 0 }, [next(), next()]),
+};
+
+// Flattens an SVG path with absolute commands (M, L, H, V, C, Q, A, Z)
+// into polylines: [{ points, closed }]
+function flattenSvgPath(pathData) {
+  const tokens = pathData.match(/[MLHVCQAZ]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+  const polylines = [];
+  let current = null;
+  let command = null;
+  let position = [0, 0];
+  let index = 0;
+  const next = () => Number(tokens[index++]);
+
+  while (index < tokens.length) {
+    if (/[A-Z]/i.test(tokens[index])) {
+      command = tokens[index++].toUpperCase();
+    }
+    if (command === 'Z') {
+      if (current) {
+        current.closed = true;
+        position = current.points[0];
+      }
+      current = null;
+      command = null;
+      continue;
+    }
+    if (command === 'M') {
+      position = [next(), next()];
+      current = { points: [position], closed: false };
+      polylines.push(current);
+      command = 'L';
+      continue;
+    }
+    if (!PATH_SEGMENTS[command]) {
+      throw new Error(`Unsupported path data: ${pathData}`);
+    }
+    if (!current) {
+      current = { points: [position], closed: false };
+      polylines.push(current);
+    }
+    const points = PATH_SEGMENTS[command](position, next);
+    current.points.push(...points);
+    position = points[points.length - 1];
+  }
+  return polylines;
+}
+
+// Flattens fontkit path commands (a glyph outline) into polygons
+function flattenGlyphPath(commands) {
+  const polygons = [];
+  let current = null;
+  let position = [0, 0];
+  commands.forEach(({ command, args }) => {
+    let points;
+    if (command === 'moveTo') {
+      current = [];
+      polygons.push(current);
+      points = [[args[0], args[1]]];
+    } else if (command === 'lineTo') {
+      points = [[args[0], args[1]]];
+    } else if (command === 'quadraticCurveTo') {
+      points = quadraticPoints(position, [args[0], args[1]], [args[2], args[3]]);
+    } else if (command === 'bezierCurveTo') {
+      points = cubicPoints(position, [args[0], args[1]], [args[2], args[3]], [args[4], args[5]]);
+    } else {
+      return;
+    }
+    if (!current) {
+      current = [position];
+      polygons.push(current);
+    }
+    current.push(...points);
+    position = points[points.length - 1];
+  });
+  return polygons.filter(polygon => polygon.length > 2);
+}
+
+module.exports = {
+  flattenSvgPath,
+  flattenGlyphPath,
+};
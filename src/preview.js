@@ -0,0 +1,242 @@
+// Label previews
+// Generating with { preview: true } records what is drawn on each page
+// and where every label went. That record renders here to one
+// self-contained HTML page (an SVG per sheet) or to PNG images, with the
+// labels that were drawn degraded (truncated names, cut contents, omitted
+// instructions...) highlighted and their warnings listed beside the
+// sheet. Both work offline: PNGs are drawn by previewImage.js. Previews
+// are redrawn from the record, not rendered from the PDF, so they cannot
+// show how the embedded fonts print; each page says so.
+const fs = require('fs').promises;
+const path = require('path');
+const { fontStyleOf } = require('./fonts');
+const { REDRAWN_NOTE, renderPreviewImages } = require('./previewImage');
+
+const BLACK = { red: 0, green: 0, blue: 0 };
+
+// Wraps a pdf-lib page so everything drawn on it is also recorded. fonts
+// are the font chains from embedFonts, whose faces are kept with the text
+// for rasterizing. Returns { recordPage(page), addLabel(label), result() }.
+function createPreviewRecorder(fonts) {
+  const faces = new Map();
+  Object.values(fonts).forEach(chain => chain.entries.forEach(entry => faces.set(entry.font, entry.face)));
+  const pages = [];
+  const labels = [];
+
+  const recordPage = page => {
+    const { width, height } = page.getSize();
+    const ops = [];
+    pages.push({ width, height, ops });
+
+    const recorded = Object.create(page);
+    recorded.drawText = (text, options) => {
+      ops.push({
+        type: 'text',
+        text,
+        x: options.x,
+        y: options.y,
+        size: options.size,
+        color: options.color,
+        fontName: options.font.name,
+        face: faces.get(options.font) || null,
+        width: options.font.widthOfTextAtSize(text, options.size),
+      });
+      page.drawText(text, options);
+    };
+    recorded.drawRectangle = options => {
+      ops.push({ type: 'rectangle', ...options });
+      page.drawRectangle(options);
+    };
+    recorded.drawLine = options => {
+      ops.push({ type: 'line', ...options });
+      page.drawLine(options);
+    };
+    recorded.drawSvgPath = (pathData, options) => {
+      ops.push({ type: 'path', path: pathData, ...options });
+      page.drawSvgPath(pathData, options);
+    };
+    return recorded;
+  };
+
+  return {
+    recordPage,
+    // label is { slot, x, y, width, height } in points plus orderIndex and
+    // orderId for order labels; it goes on the last recorded page
+    addLabel: label => labels.push({ page: pages.length - 1, ...label }),
+    result: () => ({ pages, labels }),
+  };
+}
+
+// The labels of each page with warnings, numbered from 1 on each page:
+// [[{ number, label, warnings }]]
+function problemLabels(preview, warnings) {
+  const byOrder = new Map();
+  warnings.forEach(warning => {
+    byOrder.set(warning.orderIndex, [...(byOrder.get(warning.orderIndex) || []), warning]);
+  });
+  return preview.pages.map((page, pageIndex) => preview.labels
+    .filter(label => label.page === pageIndex && byOrder.has(label.orderIndex))
+    .map((label, index) => ({ number: index + 1, label, warnings: byOrder.get(label.orderIndex) })));
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function cssColor(color, fallback = 'none') {
+  if (!color) {
+    return fallback;
+  }
+  const channel = value => Math.round(value * 255);
+  return `rgb(${channel(color.red)},${channel(color.green)},${channel(color.blue)})`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function strokeAttributes(color, width, dashArray) {
+  if (!color) {
+    return 'stroke="none"';
+  }
+  const dash = dashArray && dashArray.length > 0 ? ` stroke-dasharray="${dashArray.join(' ')}"` : '';
+  return `stroke="${cssColor(color)}" stroke-width="${round(width === undefined ? 1 : width)}"${dash}`;
+}
+
+// One recorded drawing operation of each type as SVG, y flipped for a
+// page of height
+const SVG_ELEMENTS = {
+  rectangle: (op, height) => {
+    const fill = cssColor(op.color, op.borderColor ? 'none' : 'rgb(0,0,0)');
+    return `<rect x="${round(op.x)}" y="${round(height - op.y - op.height)}" width="${round(op.width)}" height="${round(op.height)}" fill="${fill}" ${strokeAttributes(op.borderColor, op.borderWidth, op.borderDashArray)}/>`;
+  },
+  line: (op, height) => `<line x1="${round(op.start.x)}" y1="${round(height - op.start.y)}" x2="${round(op.end.x)}" y2="${round(height - op.end.y)}" ${strokeAttributes(op.color || BLACK, op.thickness, op.dashArray)}/>`,
+  // Like pdf-lib, a path with no colours is outlined in black
+  path: (op, height) => {
+    const border = op.borderColor || (op.color ? null : BLACK);
+    const scale = op.scale === undefined ? 1 : op.scale;
+    return `<path d="${escapeHtml(op.path)}" transform="translate(${round(op.x)} ${round(height - op.y)}) scale(${scale})" fill="${cssColor(op.color)}" ${strokeAttributes(border, (op.borderWidth === undefined ? 1 : op.borderWidth) / scale, op.borderDashArray)}/>`;
+  },
+  text: (op, height) => {
+    const style = fontStyleOf(op.fontName);
+    const family = op.face ? `'${escapeHtml(op.face.familyName)}', sans-serif` : 'Helvetica, Arial, sans-serif';
+    const weight = style.startsWith('bold') ? ' font-weight="bold"' : '';
+    const italic = style.endsWith('italic') ? ' font-style="italic"' : '';
+    const length = op.width > 0 ? ` textLength="${round(op.width)}" lengthAdjust="spacingAndGlyphs"` : '';
+    return `<text x="${round(op.x)}" y="${round(height - op.y)}" font-size="${round(op.size)}" font-family="${family}"${weight}${italic} fill="${cssColor(op.color, 'rgb(0,0,0)')}"${length} xml:space="preserve">${escapeHtml(op.text)}</text>`;
+  },
+};
+
+function problemOverlaySvg(problem, height) {
+  const { label, number } = problem;
+  const top = height - label.y - label.height;
+  return [
+    `<rect x="${round(label.x)}" y="${round(top)}" width="${round(label.width)}" height="${round(label.height)}" fill="rgba(220,25,25,0.12)" stroke="rgb(220,25,25)" stroke-width="2"/>`,
+    `<circle cx="${round(label.x)}" cy="${round(top)}" r="7" fill="rgb(220,25,25)"/>`,
+    `<text x="${round(label.x)}" y="${round(top + 3)}" font-size="9" font-family="Helvetica, Arial, sans-serif" font-weight="bold" fill="#fff" text-anchor="middle">${number}</text>`,
+  ].join('');
+}
+
+function problemListHtml(problems) {
+  if (problems.length === 0) {
+    return '<p class="ok">No problems on this sheet.</p>';
+  }
+  const items = problems.map(({ number, label, warnings }) => `<li value="${number}"><strong>Label ${label.slot + 1}, order ${escapeHtml(label.orderId)}</strong><ul>${warnings.map(warning => `<li>${escapeHtml(warning.message)}</li>`).join('')}</ul></li>`);
+  return `<ol class="problems">${items.join('')}</ol>`;
+}
+
+// Self-contained HTML page showing each sheet with its problem labels
+// highlighted and their warnings listed beside it. options.title heads
+// the page.
+function renderPreviewHtml(preview, warnings = [], options = {}) {
+  const problems = problemLabels(preview, warnings);
+  const problemCount = problems.reduce((sum, page) => sum + page.length, 0);
+  const orderLabels = preview.labels.filter(label => label.orderId !== undefined).length;
+  const title = options.title || 'Label preview';
+
+  const sheets = preview.pages.map((page, index) => {
+    const svg = [
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${round(page.width)} ${round(page.height)}" width="${round(page.width * 1.25)}" height="${round(page.height * 1.25)}">`,
+      `<rect width="${round(page.width)}" height="${round(page.height)}" fill="#fff"/>`,
+      ...page.ops.map(op => SVG_ELEMENTS[op.type](op, page.height)),
+      ...problems[index].map(problem => problemOverlaySvg(problem, page.height)),
+      '</svg>',
+    ].join('\n');
+    const count = problems[index].length;
+    return `<section class="sheet"><h2>Sheet ${index + 1}${count > 0 ? ` <span class="count">${count} ${count === 1 ? 'label' : 'labels'} with problems</span>` : ''}</h2><div class="row"><div class="page">${svg}</div>${problemListHtml(problems[index])}</div></section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; background: #e8e8e8; margin: 24px; color: #222; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+h2 { font-size: 16px; }
+.note { margin: 0 0 4px; color: #666; }
+.summary { margin: 0 0 24px; }
+.row { display: flex; gap: 24px; align-items: flex-start; }
+.page svg { display: block; box-shadow: 0 1px 6px rgba(0, 0, 0, 0.3); }
+.count { color: #dc1919; font-weight: normal; }
+.problems { max-width: 420px; margin: 0; padding-left: 28px; }
+.problems > li { margin-bottom: 12px; }
+.problems > li::marker { color: #dc1919; font-weight: bold; }
+.problems ul { margin: 4px 0 0; padding-left: 18px; }
+.ok { color: #2a7a2a; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="note">${escapeHtml(REDRAWN_NOTE)}</p>
+<p class="summary">${preview.pages.length} ${preview.pages.length === 1 ? 'sheet' : 'sheets'}, ${orderLabels} labels, ${problemCount === 0 ? 'no problems' : `${problemCount} ${problemCount === 1 ? 'label' : 'labels'} with problems highlighted`}</p>
+${sheets.join('\n')}
+</body>
+</html>
+`;
+}
+
+// PNG images of each sheet, options.dpi (default 100) pixels per inch,
+// with problem labels highlighted and a panel listing their warnings.
+// Returns one Buffer per page.
+function renderPreviewPngs(preview, warnings = [], options = {}) {
+  return renderPreviewImages(preview, problemLabels(preview, warnings), options);
+}
+
+// Writes the preview of a generate result ({ preview, warnings }) to
+// outputPath: an .html file, or .png images, numbered "-1", "-2", ...
+// when there is more than one sheet. Returns the paths written.
+async function writePreview(outputPath, result, options = {}) {
+  if (!result.preview) {
+    throw new Error('No preview was recorded; generate with { preview: true }');
+  }
+  const extension = path.extname(outputPath).toLowerCase();
+  const outputDir = path.dirname(outputPath);
+  if (outputDir !== '.') {
+    await fs.mkdir(outputDir, { recursive: true });
+  }
+
+  if (extension === '.html' || extension === '.htm') {
+    await fs.writeFile(outputPath, renderPreviewHtml(result.preview, result.warnings, options));
+    return [outputPath];
+  }
+  if (extension !== '.png') {
+    throw new Error(`Preview must be an .html or .png file: ${outputPath}`);
+  }
+
+  const images = await renderPreviewPngs(result.preview, result.warnings, options);
+  const base = outputPath.slice(0, -extension.length);
+  const paths = images.map((image, index) => (images.length === 1 ? outputPath : `${base}-${index + 1}${extension}`));
+  for (let index = 0; index < images.length; index++) {
+    await fs.writeFile(paths[index], images[index]);
+  }
+  return paths;
+}
+
+module.exports = {
+  createPreviewRecorder,
+  renderPreviewHtml,
+  renderPreviewPngs,
+  writePreview,
+};
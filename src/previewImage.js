@@ -0,0 +1,211 @@
+// PNG label previews
+// Draws the pages recorded for a preview (see preview.js) as images, with
+// problem labels highlighted and a panel beside the sheet listing their
+// warnings. Text set in the standard fonts is drawn with the bundled Noto
+// Sans, stretched to the width Helvetica would take.
+const { loadBundledFace, fontStyleOf } = require('./fonts');
+const { createRaster, strokePolygons } = require('./raster');
+const { flattenSvgPath, flattenGlyphPath } = require('./pathGeometry');
+
+const HIGHLIGHT = { red: 0.86, green: 0.1, blue: 0.1 };
+const BLACK = { red: 0, green: 0, blue: 0 };
+const WHITE = { red: 1, green: 1, blue: 1 };
+const PANEL_BACKGROUND = { red: 0.96, green: 0.96, blue: 0.96 };
+const NOTE_COLOR = { red: 0.4, green: 0.4, blue: 0.4 };
+
+// Shown with every preview, which cannot show how the PDF's fonts print
+const REDRAWN_NOTE = 'Redrawn from what the tool drew, not from the PDF. Print a test sheet to check fonts.';
+
+// Width of the warnings panel beside each sheet, in inches
+const PANEL_WIDTH = 3.5;
+
+// Flattened glyph outlines by face and glyph id
+const glyphCache = new WeakMap();
+
+// Glyph outlines of text in points, from its baseline start with y up,
+// stretched to width when given so it matches the PDF's font metrics
+function textPolygons(face, text, size, width) {
+  if (!glyphCache.has(face)) {
+    glyphCache.set(face, new Map());
+  }
+  const cache = glyphCache.get(face);
+  const run = face.layout(text);
+  const scale = size / face.unitsPerEm;
+  const advance = run.positions.reduce((sum, position) => sum + position.xAdvance, 0) * scale;
+  const stretch = width > 0 && advance > 0 ? width / advance : 1;
+  const polygons = [];
+  let penX = 0;
+  run.glyphs.forEach((glyph, index) => {
+    const position = run.positions[index];
+    if (!cache.has(glyph.id)) {
+      cache.set(glyph.id, flattenGlyphPath(glyph.path.commands));
+    }
+    cache.get(glyph.id).forEach(polygon => {
+      polygons.push(polygon.map(([x, y]) => [(penX + position.xOffset + x) * scale * stretch, (position.yOffset + y) * scale]));
+    });
+    penX += position.xAdvance;
+  });
+  return { polygons, width: advance * stretch };
+}
+
+function borderOptions(op, scale) {
+  return {
+    width: (op.borderWidth === undefined ? 1 : op.borderWidth) * scale,
+    dashArray: op.borderDashArray && op.borderDashArray.map(length => length * scale),
+  };
+}
+
+// Draws one recorded op of each type; at(x, y) maps page points to pixels
+const OP_RASTERIZERS = {
+  rectangle: (raster, op, at, scale) => {
+    const corners = [at(op.x, op.y), at(op.x + op.width, op.y), at(op.x + op.width, op.y + op.height), at(op.x, op.y + op.height)];
+    if (op.color || !op.borderColor) {
+      raster.fill([corners], op.color || BLACK);
+    }
+    if (op.borderColor) {
+      const { width, dashArray } = borderOptions(op, scale);
+      raster.fill(strokePolygons(corners, width, { closed: true, dashArray }), op.borderColor);
+    }
+  },
+  line: (raster, op, at, scale) => {
+    raster.fill(strokePolygons([at(op.start.x, op.start.y), at(op.end.x, op.end.y)], (op.thickness || 1) * scale, {
+      dashArray: op.dashArray && op.dashArray.map(length => length * scale),
+    }), op.color || BLACK);
+  },
+  // Like pdf-lib, a path with no colours is outlined in black
+  path: (raster, op, at, scale) => {
+    const pathScale = op.scale === undefined ? 1 : op.scale;
+    const polylines = flattenSvgPath(op.path).map(polyline => ({
+      ...polyline,
+      points: polyline.points.map(([x, y]) => at(op.x + x * pathScale, op.y - y * pathScale)),
+    }));
+    if (op.color) {
+      raster.fill(polylines.map(polyline => polyline.points), op.color);
+    }
+    if (op.borderColor || !op.color) {
+      const { width, dashArray } = borderOptions(op, scale);
+      raster.fill(polylines.flatMap(polyline => strokePolygons(polyline.points, width, { closed: polyline.closed, dashArray })), op.borderColor || BLACK);
+    }
+  },
+  text: async(raster, op, at) => {
+    const face = op.face || await loadBundledFace(fontStyleOf(op.fontName));
+    const { polygons } = textPolygons(face, op.text, op.size, op.width);
+    raster.fill(polygons.map(polygon => polygon.map(([x, y]) => at(op.x + x, op.y + y))), op.color || BLACK);
+  },
+};
+
+// Draws text with its baseline start at (x, y) pixels; size in pixels
+function rasterText(raster, text, style) {
+  const { polygons } = textPolygons(style.face, text, style.size);
+  raster.fill(polygons.map(polygon => polygon.map(([px, py]) => [style.x + px, style.y - py])), style.color);
+}
+
+function wrapWords(text, fits) {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && !fits(candidate)) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+function circle(cx, cy, radius) {
+  const points = [];
+  for (let step = 0; step < 24; step++) {
+    const angle = step / 24 * 2 * Math.PI;
+    points.push([cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)]);
+  }
+  return points;
+}
+
+// Outlines each problem label in red with its number in a badge
+function highlightProblems(raster, problems, at, scale, bold) {
+  problems.forEach(({ label, number }) => {
+    const corners = [at(label.x, label.y), at(label.x + label.width, label.y), at(label.x + label.width, label.y + label.height), at(label.x, label.y + label.height)];
+    raster.fill([corners], HIGHLIGHT, 0.12);
+    raster.fill(strokePolygons(corners, 2 * scale, { closed: true }), HIGHLIGHT);
+
+    // The badge sits on the label's top-left corner, clear of its text
+    const [badgeX, badgeY] = at(label.x, label.y + label.height);
+    raster.fill([circle(badgeX, badgeY, 7 * scale)], HIGHLIGHT);
+    const size = 9 * scale;
+    const { width } = textPolygons(bold, String(number), size);
+    rasterText(raster, String(number), { face: bold, x: badgeX - width / 2, y: badgeY + size * 0.35, size, color: WHITE });
+  });
+}
+
+// Lists the problems and their warnings in the panel from panelX pixels
+// to the right edge
+function drawProblemPanel(raster, problems, scale, panelX, faces) {
+  const { regular, bold } = faces;
+  raster.fill([[[panelX, 0], [raster.width, 0], [raster.width, raster.height], [panelX, raster.height]]], PANEL_BACKGROUND);
+  const margin = 0.2 * 72 * scale;
+  const size = 9 * scale;
+  const lineHeight = size * 1.35;
+  const fits = face => text => textPolygons(face, text, size).width <= raster.width - panelX - margin * 2.5;
+  const noteLines = wrapWords(REDRAWN_NOTE, fits(regular));
+  noteLines.forEach((text, index) => {
+    rasterText(raster, text, { face: regular, x: panelX + margin, y: raster.height - margin - (noteLines.length - 1 - index) * lineHeight, size, color: NOTE_COLOR });
+  });
+  const bottom = raster.height - margin - noteLines.length * lineHeight;
+  let y = margin + size;
+  const heading = problems.length > 0 ? `${problems.length} ${problems.length === 1 ? 'label' : 'labels'} with problems` : 'No problems on this sheet';
+  rasterText(raster, heading, { face: bold, x: panelX + margin, y, size: size * 1.2, color: problems.length > 0 ? HIGHLIGHT : BLACK });
+  y += lineHeight * 1.8;
+
+  for (const { number, label, warnings } of problems) {
+    const lines = [
+      ...wrapWords(`${number}. Label ${label.slot + 1}, order ${label.orderId}`, fits(bold)).map(text => ({ text, face: bold, indent: 0, color: HIGHLIGHT })),
+      ...warnings.flatMap(warning => wrapWords(warning.message, fits(regular)).map(text => ({ text, face: regular, indent: margin, color: BLACK }))),
+    ];
+    if (y + lines.length * lineHeight > bottom) {
+      rasterText(raster, 'More problems are listed in the generate output.', { face: regular, x: panelX + margin, y, size, color: BLACK });
+      return;
+    }
+    lines.forEach(line => {
+      rasterText(raster, line.text, { face: line.face, x: panelX + margin + line.indent, y, size, color: line.color });
+      y += lineHeight;
+    });
+    y += lineHeight * 0.5;
+  }
+}
+
+// PNG images of each recorded page at options.dpi (default 100) pixels
+// per inch. problems are the numbered problem labels of each page.
+// Returns one Buffer per page.
+async function renderPreviewImages(preview, problems, options = {}) {
+  const dpi = options.dpi || 100;
+  if (!(dpi >= 20 && dpi <= 600)) {
+    throw new Error(`Invalid preview resolution: ${dpi}. Use 20 to 600 dpi`);
+  }
+  const scale = dpi / 72;
+  const faces = { regular: await loadBundledFace('regular'), bold: await loadBundledFace('bold') };
+  const images = [];
+  for (let index = 0; index < preview.pages.length; index++) {
+    const page = preview.pages[index];
+    const sheetWidth = Math.ceil(page.width * scale);
+    const raster = createRaster(sheetWidth + Math.ceil(PANEL_WIDTH * dpi), Math.ceil(page.height * scale));
+    const at = (x, y) => [x * scale, (page.height - y) * scale];
+    for (const op of page.ops) {
+      await OP_RASTERIZERS[op.type](raster, op, at, scale);
+    }
+    highlightProblems(raster, problems[index], at, scale, faces.bold);
+    drawProblemPanel(raster, problems[index], scale, sheetWidth, faces);
+    images.push(raster.toPNG());
+  }
+  return images;
+}
+
+module.exports = {
+  REDRAWN_NOTE,
+  renderPreviewImages,
+};
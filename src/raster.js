@@ -0,0 +1,174 @@
+// Rasterizing for previews
+// Just enough of a 2D renderer to draw label pages without a browser or
+// native libraries: anti-aliased filling of polygons (nonzero winding)
+// and strokes turned into polygons. Curves are flattened into polygons
+// by pathGeometry.js first. Coordinates are pixels, y down.
+const { encodePNG } = require('./png');
+
+// Sub-scanlines per pixel row for anti-aliasing
+const SUBSAMPLES = 4;
+
+// Edges of polygons pointing down, with their winding direction, and
+// the polygons' bounding box
+function collectEdges(polygons) {
+  const edges = [];
+  const bounds = { top: Infinity, bottom: -Infinity, left: Infinity, right: -Infinity };
+  polygons.forEach(points => {
+    points.forEach(([x, y], index) => {
+      const [nextX, nextY] = points[(index + 1) % points.length];
+      bounds.top = Math.min(bounds.top, y);
+      bounds.bottom = Math.max(bounds.bottom, y);
+      bounds.left = Math.min(bounds.left, x);
+      bounds.right = Math.max(bounds.right, x);
+      if (y !== nextY) {
+        edges.push(y < nextY ? { x0: x, y0: y, x1: nextX, y1: nextY, winding: 1 } : { x0: nextX, y0: nextY, x1: x, y1: y, winding: -1 });
+      }
+    });
+  });
+  return { edges, bounds };
+}
+
+// Adds a sub-scanline's span from..to (in columns of coverage, which
+// may run past either end) to coverage, partly covering the end pixels
+function addSpan(coverage, from, to) {
+  const start = Math.max(from, 0);
+  const end = Math.min(to, coverage.length);
+  if (end <= start) {
+    return;
+  }
+  const startPixel = Math.floor(start);
+  const endPixel = Math.floor(end);
+  const weight = 1 / SUBSAMPLES;
+  if (startPixel === endPixel) {
+    coverage[startPixel] += (end - start) * weight;
+    return;
+  }
+  coverage[startPixel] += (startPixel + 1 - start) * weight;
+  for (let i = startPixel + 1; i < endPixel; i++) {
+    coverage[i] += weight;
+  }
+  if (endPixel < coverage.length) {
+    coverage[endPixel] += (end - endPixel) * weight;
+  }
+}
+
+// Coverage of each pixel in a row by the shape edges make, nonzero rule
+function rowCoverage(coverage, edges, row, firstColumn) {
+  coverage.fill(0);
+  for (let sample = 0; sample < SUBSAMPLES; sample++) {
+    const y = row + (sample + 0.5) / SUBSAMPLES;
+    const crossings = edges
+      .filter(edge => edge.y0 <= y && edge.y1 > y)
+      .map(edge => ({ x: edge.x0 + (y - edge.y0) * (edge.x1 - edge.x0) / (edge.y1 - edge.y0) - firstColumn, winding: edge.winding }))
+      .sort((a, b) => a.x - b.x);
+    let winding = 0;
+    crossings.forEach((crossing, index) => {
+      winding += crossing.winding;
+      if (winding !== 0 && index + 1 < crossings.length) {
+        addSpan(coverage, crossing.x, crossings[index + 1].x);
+      }
+    });
+  }
+  return coverage;
+}
+
+// An RGB image filled with white. fill(polygons, color, alpha) draws
+// polygons (arrays of [x, y] points, implicitly closed) in color
+// ({ red, green, blue } from 0 to 1); toPNG() encodes the image.
+function createRaster(width, height) {
+  const pixels = new Uint8Array(width * height * 3).fill(255);
+
+  function fill(polygons, color, alpha = 1) {
+    const { edges, bounds } = collectEdges(polygons);
+    const firstRow = Math.max(0, Math.floor(bounds.top));
+    const lastRow = Math.min(height - 1, Math.ceil(bounds.bottom));
+    const firstColumn = Math.max(0, Math.floor(bounds.left));
+    const lastColumn = Math.min(width - 1, Math.ceil(bounds.right));
+    if (edges.length === 0 || firstRow > lastRow || firstColumn > lastColumn) {
+      return;
+    }
+
+    const coverage = new Float32Array(lastColumn - firstColumn + 1);
+    const channels = [color.red * 255, color.green * 255, color.blue * 255];
+    for (let row = firstRow; row <= lastRow; row++) {
+      rowCoverage(coverage, edges, row, firstColumn).forEach((covered, i) => {
+        const amount = Math.min(covered, 1) * alpha;
+        const offset = (row * width + firstColumn + i) * 3;
+        channels.forEach((channel, c) => {
+          pixels[offset + c] += (channel - pixels[offset + c]) * amount;
+        });
+      });
+    }
+  }
+
+  return {
+    width,
+    height,
+    fill,
+    toPNG: () => encodePNG(width, height, pixels),
+  };
+}
+
+// Splits a polyline into its dashes for dashArray ([on, off, ...])
+function dashPolyline(points, dashArray) {
+  const dashes = [];
+  let patternIndex = 0;
+  let remaining = dashArray[0];
+  let current = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    let [x, y] = points[i - 1];
+    const [endX, endY] = points[i];
+    let length = Math.hypot(endX - x, endY - y);
+    while (length > remaining) {
+      const t = remaining / length;
+      x += (endX - x) * t;
+      y += (endY - y) * t;
+      length -= remaining;
+      if (patternIndex % 2 === 0) {
+        current.push([x, y]);
+        dashes.push(current);
+      }
+      current = [[x, y]];
+      patternIndex = (patternIndex + 1) % dashArray.length;
+      remaining = dashArray[patternIndex];
+    }
+    remaining -= length;
+    current.push([endX, endY]);
+  }
+  if (patternIndex % 2 === 0 && current.length > 1) {
+    dashes.push(current);
+  }
+  return dashes;
+}
+
+// Polygons covering a stroke of lineWidth along points: one rectangle per
+// segment, extended at both ends so corners are filled
+function strokePolygons(points, lineWidth, options = {}) {
+  const path = options.closed ? [...points, points[0]] : points;
+  const pieces = options.dashArray && options.dashArray.length > 0 ? dashPolyline(path, options.dashArray) : [path];
+  const half = lineWidth / 2;
+  const polygons = [];
+  pieces.forEach(piece => {
+    for (let i = 1; i < piece.length; i++) {
+      const [x0, y0] = piece[i - 1];
+      const [x1, y1] = piece[i];
+      const length = Math.hypot(x1 - x0, y1 - y0);
+      if (length > 0) {
+        const dx = (x1 - x0) / length * half;
+        const dy = (y1 - y0) / length * half;
+        polygons.push([
+          [x0 - dx - dy, y0 - dy + dx],
+          [x1 + dx - dy, y1 + dy + dx],
+          [x1 + dx + dy, y1 + dy - dx],
+          [x0 - dx + dy, y0 - dy - dx],
+        ]);
+      }
+    }
+  });
+  return polygons;
+}
+
+module.exports = {
+  createRaster,
+  strokePolygons,
+};
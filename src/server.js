@@ -0,0 +1,300 @@
+// Label server
+// A small HTTP service that makes labels for an ordering page without
+// the CLI. It listens on localhost unless told otherwise and needs no
+// network: templates, layouts, fonts and printer profiles are the ones on
+// this machine. Endpoints:
+//   GET  /templates  every template, as getAllTemplates returns them
+//   POST /validate   orders in, { valid, orders, errors, warnings } out
+//   POST /labels     orders in, the label PDF out
+// Orders are posted as CSV (text/csv) or JSON (application/json): an
+// array of orders, or { orders, template, options }. Query string
+// parameters set the template and options too, for CSV. Errors come back
+// as JSON { error, problems }, problems giving the row and field of each
+// bad value.
+const http = require('http');
+const { readOrderText } = require('./dataHandler');
+const { validateOrders, formatProblem } = require('./orderSchema');
+const { generateLunchLabels } = require('./labelGenerator');
+const { getTemplateByName, getAllTemplates, validateTemplateGeometry } = require('./templates');
+const { createCustomTemplate } = require('./customTemplate');
+const { resolveLogger } = require('./logger');
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+// generateLunchLabels options a request may set, by type. Options that
+// name files (layout files, fonts) are left out, so requests can only
+// choose among what is already here.
+const REQUEST_OPTIONS = {
+  layout: 'string',
+  pageSize: 'string',
+  sortBy: 'string',
+  groupBy: 'string',
+  groupPageBreak: 'boolean',
+  groupHeaders: 'boolean',
+  startAt: 'position',
+  skip: 'position',
+  copies: 'number',
+  quantityField: 'string',
+  numberCopies: 'boolean',
+  barcode: 'string',
+  barcodeField: 'string',
+  allergyAlerts: 'boolean',
+  autoFit: 'boolean',
+  minFontSize: 'number',
+  maxFontSize: 'number',
+  fonts: 'string',
+  border: 'string',
+  safeArea: 'number',
+  printer: 'string',
+  strict: 'boolean',
+};
+
+const REQUEST_FONTS = ['standard', 'unicode'];
+
+function httpError(status, message, problems = []) {
+  return Object.assign(new Error(message), { status, problems });
+}
+
+// "1mb", "500kb" or a number of bytes
+function parseByteSize(size) {
+  const match = String(size).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/);
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`Invalid size: ${size}. Use bytes or a size such as "500kb" or "2mb"`);
+  }
+  return Math.floor(Number(match[1]) * { b: 1, kb: 1024, mb: 1024 * 1024 }[match[2] || 'b']);
+}
+
+// A request option's value as its type; query strings give every value
+// as text
+function optionValue(name, value) {
+  const type = REQUEST_OPTIONS[name];
+  if (type === 'boolean' && typeof value !== 'boolean') {
+    if (!['true', 'false', '1', '0'].includes(String(value))) {
+      throw httpError(400, `Invalid option ${name}: use true or false`);
+    }
+    return ['true', '1'].includes(String(value));
+  }
+  if (type === 'number' && !(value !== '' && Number.isFinite(Number(value)))) {
+    throw httpError(400, `Invalid option ${name}: use a number`);
+  }
+  if (type === 'string' && typeof value !== 'string') {
+    throw httpError(400, `Invalid option ${name}: use text`);
+  }
+  return type === 'number' ? Number(value) : value;
+}
+
+// The generate options of a request, from the query string and then a
+// JSON body's "options"
+function requestOptions(params, bodyOptions = {}) {
+  if (typeof bodyOptions !== 'object' || bodyOptions === null || Array.isArray(bodyOptions)) {
+    throw httpError(400, 'options must be an object');
+  }
+  const given = { ...params, ...bodyOptions };
+  const options = {};
+  Object.entries(given).forEach(([name, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(REQUEST_OPTIONS, name)) {
+      throw httpError(400, `Unknown option: ${name}. Options: ${Object.keys(REQUEST_OPTIONS).join(', ')}`);
+    }
+    options[name] = optionValue(name, value);
+  });
+  if (options.fonts && !REQUEST_FONTS.includes(options.fonts)) {
+    throw httpError(400, `Invalid option fonts: use ${REQUEST_FONTS.join(' or ')}`);
+  }
+  return options;
+}
+
+// A template name or custom measurements, checked to fit pageSize if given
+function requestTemplate(template = '5160', pageSize) {
+  const resolved = typeof template === 'string' ? getTemplateByName(template) : createCustomTemplate(template);
+  if (!pageSize) {
+    return resolved;
+  }
+  const sized = { ...resolved, pageSize };
+  validateTemplateGeometry(sized);
+  return sized;
+}
+
+// Reads the body, answering 413 once it passes maxBodySize
+function readBody(request, maxBodySize) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => httpError(413, `Request body is larger than the ${maxBodySize} byte limit`);
+    if (Number(request.headers['content-length']) > maxBodySize) {
+      request.resume();
+      reject(tooLarge());
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        request.removeAllListeners('data');
+        request.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+// The JSON body: an array of orders or { orders, template, options }
+function parseJSONBody(body) {
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (error) {
+    throw httpError(400, `Invalid JSON: ${error.message}`);
+  }
+  if (Array.isArray(parsed)) {
+    return { orders: parsed };
+  }
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.orders)) {
+    throw httpError(400, 'JSON body must be an array of orders or { "orders": [...], "template": "5160", "options": {...} }');
+  }
+  return parsed;
+}
+
+// { orders, rows, problems, template, options } of a request
+async function readOrderRequest(request, url, settings) {
+  const type = String(request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!['text/csv', 'application/json'].includes(type)) {
+    throw httpError(415, 'Post orders as text/csv or application/json');
+  }
+  const body = await readBody(request, settings.maxBodySize);
+  if (body.trim() === '') {
+    throw httpError(400, 'No orders given');
+  }
+  const params = Object.fromEntries(url.searchParams);
+  const template = params.template;
+  delete params.template;
+
+  if (type === 'application/json') {
+    const json = parseJSONBody(body);
+    if (json.orders.length === 0) {
+      throw httpError(400, 'No orders given');
+    }
+    const rows = json.orders.map((order, index) => index + 1);
+    return { orders: json.orders, rows, problems: [], template: json.template || template, options: requestOptions(params, json.options) };
+  }
+  let read;
+  try {
+    read = readOrderText(body, 'csv');
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+  return { ...read, template, options: requestOptions(params) };
+}
+
+const ROUTES = {
+  'GET /': async() => ({ json: { endpoints: Object.keys(ROUTES) } }),
+  'GET /templates': async() => ({ json: getAllTemplates() }),
+  'POST /validate': async(request, url, settings) => {
+    const { orders, rows, problems } = await readOrderRequest(request, url, settings);
+    const { errors, warnings } = validateOrders(orders, { rows, problems });
+    return { json: { valid: errors.length === 0, orders: orders.length, errors, warnings } };
+  },
+  'POST /labels': async(request, url, settings) => {
+    const { orders, rows, problems, template, options } = await readOrderRequest(request, url, settings);
+    const { errors } = validateOrders(orders, { rows, problems });
+    if (errors.length > 0) {
+      throw httpError(422, errors.length === 1 ? formatProblem(errors[0]) : `${errors.length} problems in the orders`, errors);
+    }
+    let result;
+    try {
+      result = await generateLunchLabels(orders, requestTemplate(template, options.pageSize), { ...options, silent: true });
+    } catch (error) {
+      throw httpError(422, error.message);
+    }
+    return {
+      pdf: result.pdfBytes,
+      headers: {
+        'X-Label-Count': String(result.labelCount),
+        'X-Page-Count': String(result.pageCount),
+        'X-Label-Warnings': String(result.warnings.length),
+      },
+      summary: `${result.labelCount} labels`,
+    };
+  },
+};
+
+function send(response, status, body, headers = {}) {
+  response.writeHead(status, { 'Content-Length': Buffer.byteLength(body), ...headers });
+  response.end(body);
+}
+
+function sendJSON(response, status, value, headers = {}) {
+  send(response, status, `${JSON.stringify(value, null, 2)}\n`, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+}
+
+function requestURL(target) {
+  try {
+    return new URL(target, 'http://localhost');
+  } catch (error) {
+    throw httpError(400, `Invalid request URL: ${target}`);
+  }
+}
+
+// The route for a request, or the error to answer with
+function findRoute(method, pathname) {
+  const route = ROUTES[`${method} ${pathname}`];
+  if (route) {
+    return route;
+  }
+  const allowed = Object.keys(ROUTES).filter(key => key.split(' ')[1] === pathname).map(key => key.split(' ')[0]);
+  throw allowed.length > 0
+    ? Object.assign(httpError(405, `Use ${allowed.join(' or ')} for ${pathname}`), { allow: allowed.join(', ') })
+    : httpError(404, `Not found: ${pathname}. Endpoints: ${Object.keys(ROUTES).join(', ')}`);
+}
+
+async function handleRequest(request, response, settings, logger) {
+  const startTime = Date.now();
+  let pathname = request.url;
+  let status = 200;
+  let summary = '';
+  try {
+    const url = requestURL(request.url);
+    pathname = url.pathname;
+    const answer = await findRoute(request.method, pathname)(request, url, settings);
+    summary = answer.summary || '';
+    if (answer.pdf) {
+      send(response, 200, Buffer.from(answer.pdf), { 'Content-Type': 'application/pdf', 'Content-Disposition': 'inline; filename="lunch-labels.pdf"', ...answer.headers });
+    } else {
+      sendJSON(response, 200, answer.json);
+    }
+  } catch (error) {
+    status = error.status || 500;
+    summary = error.message.split('\n')[0];
+    // A body that was cut off is not read any further
+    const headers = { ...(error.allow ? { Allow: error.allow } : {}), ...(status === 413 ? { Connection: 'close' } : {}) };
+    sendJSON(response, status, { error: error.message, problems: error.problems || [] }, headers);
+  }
+  logger[status < 400 ? 'info' : 'warning'](`${request.method} ${pathname} ${status}${summary ? ` ${summary}` : ''} (${Date.now() - startTime}ms)`);
+}
+
+// An http.Server for the endpoints above; call listen() to start it.
+// options: maxBodySize (bytes, default 1 MB), plus logger/silent for a
+// line per request.
+function createLabelServer(options = {}) {
+  const logger = resolveLogger(options);
+  const settings = { maxBodySize: options.maxBodySize || DEFAULT_MAX_BODY_SIZE };
+  return http.createServer((request, response) => {
+    // handleRequest answers every error it can; this is for the rest
+    handleRequest(request, response, settings, logger).catch(error => {
+      logger.error(`${request.method} ${request.url} failed: ${error.message}`);
+      response.destroy();
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  REQUEST_OPTIONS,
+  parseByteSize,
+  createLabelServer,
+};
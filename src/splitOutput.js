@@ -0,0 +1,144 @@
+// Split output
+// One label PDF per value of a field, so each grade, teacher or room gets
+// a file of its own to print or send on: "lunch-labels.pdf" split by grade
+// gives "lunch-labels-3rd.pdf", "lunch-labels-5th.pdf" and so on beside an
+// index ("lunch-labels-index.csv") listing each file with its label and
+// page count. With zip, the PDFs and the index go into one
+// "lunch-labels.zip" instead.
+const fs = require('fs').promises;
+const path = require('path');
+const { generateLunchLabels, countLabels } = require('./labelGenerator');
+const { splitOrders } = require('./ordering');
+const { convertToCSV } = require('./dataHandler');
+const { resolveLogger } = require('./logger');
+const { timestampedPath } = require('./utils');
+const { writeZip } = require('./zip');
+
+// A field value as part of a file name: "Mrs. O'Neil" -> "Mrs.-O-Neil"
+function fileNamePart(value) {
+  return value.replace(/[^\p{L}\p{N}._-]+/gu, '-').replace(/^[-.]+|-+$/g, '') || 'none';
+}
+
+// The file name for each set, numbered when two values give the same name
+function splitFileNames(sets, outputPath) {
+  const ext = path.extname(outputPath) || '.pdf';
+  const base = path.basename(outputPath, path.extname(outputPath));
+  const used = new Map();
+  return sets.map(set => {
+    const part = fileNamePart(set.value);
+    const key = part.toLowerCase();
+    used.set(key, (used.get(key) || 0) + 1);
+    return `${base}-${part}${used.get(key) > 1 ? `-${used.get(key)}` : ''}${ext}`;
+  });
+}
+
+// The sets of orders to make files of, leaving out those with no labels
+function labelSets(lunchOrders, field, options, logger) {
+  const sets = splitOrders(lunchOrders, field).filter(set => countLabels(set.orders, options) > 0);
+  if (sets.length === 0) {
+    throw new Error('No labels to print (every order has a quantity of 0)');
+  }
+  if (sets.length === 1 && sets[0].value === '') {
+    logger.warning(`No order has a ${field}, so the labels are a single file`);
+  }
+  return sets;
+}
+
+// Options that make files of their own or assume a single PDF
+function checkSplitOptions(options) {
+  if (['pdf', 'data'].includes(options.summary) || options.roster === 'pdf') {
+    throw new Error('A split run adds the kitchen summary and delivery roster as pages of each file; use summary and roster "pages"');
+  }
+  if (options.startAt || options.skip) {
+    throw new Error('Start at and skip positions are for a single partly used sheet and cannot be used with a split run');
+  }
+  if (options.preview) {
+    throw new Error('Previews are for a single PDF and cannot be made for a split run');
+  }
+}
+
+function indexToCSV(files) {
+  return `${convertToCSV(files.map(file => ({
+    File: file.name,
+    [file.field]: file.value,
+    Orders: String(file.orderCount),
+    Labels: String(file.labelCount),
+    Pages: String(file.pageCount),
+  })))}\n`;
+}
+
+async function writeOutputFile(filePath, contents) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, contents);
+}
+
+// Writes the PDFs and the index, or the zip holding them
+async function writeSplitFiles(output, pdfs, names, options) {
+  const index = { name: names.index, data: Buffer.from(indexToCSV(output.files)) };
+  if (options.zip) {
+    output.zipPath = path.join(names.dir, names.zip);
+    await writeOutputFile(output.zipPath, writeZip([...pdfs, index]));
+    return;
+  }
+  for (const [position, file] of output.files.entries()) {
+    await writeOutputFile(file.path, pdfs[position].data);
+  }
+  output.indexPath = path.join(names.dir, index.name);
+  await writeOutputFile(output.indexPath, index.data);
+}
+
+// Makes one label PDF per value of options.splitBy and writes them next
+// to outputPath, named after it. Takes the options of generateLunchLabels
+// (summary and roster as "pages" only) plus zip (write a single .zip
+// instead of loose files) and timestamp (a Date added to every file name,
+// as generate --timestamp does). Sets whose orders all have a quantity of
+// 0 are left out. Returns { files: [{ name, path, field, value,
+// orderCount, labelCount, pageCount, warnings }], indexPath, zipPath };
+// paths are null when nothing was written (zip, or dryRun).
+async function createSplitLabels(lunchOrders, template, outputPath, options = {}) {
+  const logger = resolveLogger(options);
+  const field = options.splitBy;
+  if (!field) {
+    throw new Error('Name a field to split the labels by');
+  }
+  checkSplitOptions(options);
+  const withTimestamp = filePath => (options.timestamp ? timestampedPath(filePath, options.timestamp) : filePath);
+  const dir = path.dirname(outputPath);
+  const base = path.basename(outputPath, path.extname(outputPath));
+
+  const sets = labelSets(lunchOrders, field, options, logger);
+  const names = splitFileNames(sets, outputPath).map(name => path.basename(withTimestamp(name)));
+
+  const files = [];
+  const entries = [];
+  for (const [index, set] of sets.entries()) {
+    const result = await generateLunchLabels(set.orders, template, options);
+    const name = names[index];
+    files.push({
+      name,
+      path: options.dryRun || options.zip ? null : path.join(dir, name),
+      field,
+      value: set.value,
+      orderCount: result.orderCount,
+      labelCount: result.labelCount,
+      pageCount: result.pageCount,
+      warnings: result.warnings,
+    });
+    entries.push({ name, data: result.pdfBytes });
+    logger.info(`${name}: ${result.labelCount} ${result.labelCount === 1 ? 'label' : 'labels'} on ${result.pageCount} ${result.pageCount === 1 ? 'sheet' : 'sheets'}`);
+  }
+
+  const output = { files, indexPath: null, zipPath: null };
+  if (!options.dryRun) {
+    await writeSplitFiles(output, entries, {
+      dir,
+      index: path.basename(withTimestamp(`${base}-index.csv`)),
+      zip: path.basename(withTimestamp(`${base}.zip`)),
+    }, options);
+  }
+  return output;
+}
+
+module.exports = {
+  createSplitLabels,
+};
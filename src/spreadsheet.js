@@ -0,0 +1,261 @@
+// Spreadsheet input (.xlsx and .ods)
+// Reads the cell values of one sheet as rows of strings. Formatting,
+// formulas and dates are not interpreted: each cell yields the value the
+// workbook stored for it.
+const { readZip } = require('./zip');
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+  });
+}
+
+// Small non-validating XML parser. Returns the root element as
+// { name, attrs, children } where children are elements or text strings.
+function parseXml(xml) {
+  const root = { name: '#document', attrs: {}, children: [] };
+  const stack = [root];
+  const tagPattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][\s\S]*?>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(xml)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push(decodeEntities(xml.slice(lastIndex, match.index)));
+    }
+    lastIndex = tagPattern.lastIndex;
+
+    const [, cdata, closing, name, attributeText, selfClosing] = match;
+    if (cdata !== undefined) {
+      current.children.push(cdata);
+    } else if (!name) {
+      continue; // Declaration, processing instruction or comment
+    } else if (closing) {
+      stack.pop();
+    } else {
+      const attrs = {};
+      const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(attributeText)) !== null) {
+        attrs[attribute[1]] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+      }
+      const element = { name, attrs, children: [] };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  return root.children.find(child => typeof child === 'object');
+}
+
+function elements(node, name) {
+  return node.children.filter(child => typeof child === 'object' && (!name || child.name === name));
+}
+
+function descendants(node, name, found = []) {
+  elements(node).forEach(child => {
+    if (child.name === name) {
+      found.push(child);
+    }
+    descendants(child, name, found);
+  });
+  return found;
+}
+
+function textContent(node) {
+  return node.children.map(child => (typeof child === 'string' ? child : textContent(child))).join('');
+}
+
+function readPart(entries, name) {
+  const part = entries.get(name);
+  if (!part) {
+    throw new Error(`Workbook is missing ${name}`);
+  }
+  return parseXml(part.toString('utf8'));
+}
+
+// Picks a sheet by name or 1-based index; the first sheet by default
+function selectSheet(sheets, sheet) {
+  if (sheet === undefined || sheet === null || sheet === '') {
+    return sheets[0];
+  }
+  const byName = sheets.find(candidate => candidate.name === String(sheet));
+  if (byName) {
+    return byName;
+  }
+  const index = Number(sheet);
+  if (Number.isInteger(index) && index >= 1 && index <= sheets.length) {
+    return sheets[index - 1];
+  }
+  throw new Error(`Sheet not found: ${sheet}. Available sheets: ${sheets.map(candidate => candidate.name).join(', ')}`);
+}
+
+function columnIndex(cellReference) {
+  const letters = cellReference.replace(/[^A-Z]/gi, '').toUpperCase();
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+function xlsxCellValue(cell, sharedStrings) {
+  const type = cell.attrs.t;
+  if (type === 'inlineStr') {
+    const inline = elements(cell, 'is')[0];
+    return inline ? descendants(inline, 't').map(textContent).join('') : '';
+  }
+  const valueNode = elements(cell, 'v')[0];
+  const value = valueNode ? textContent(valueNode) : '';
+  if (type === 's') {
+    return sharedStrings[parseInt(value, 10)] || '';
+  }
+  if (type === 'b') {
+    return value === '1' ? 'TRUE' : 'FALSE';
+  }
+  return value;
+}
+
+function readXlsx(entries, sheet) {
+  const workbook = readPart(entries, 'xl/workbook.xml');
+  const relationships = entries.has('xl/_rels/workbook.xml.rels')
+    ? descendants(readPart(entries, 'xl/_rels/workbook.xml.rels'), 'Relationship')
+    : [];
+
+  const sheets = descendants(workbook, 'sheet').map((node, index) => {
+    const relationship = relationships.find(rel => rel.attrs.Id === node.attrs['r:id']);
+    let target = relationship ? relationship.attrs.Target : `worksheets/sheet${index + 1}.xml`;
+    target = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    return { name: node.attrs.name, path: target };
+  });
+  if (sheets.length === 0) {
+    throw new Error('Workbook has no sheets');
+  }
+  const selected = selectSheet(sheets, sheet);
+
+  // Rich text runs are joined; phonetic hints (rPh) are not part of the value
+  const sharedStrings = entries.has('xl/sharedStrings.xml')
+    ? elements(readPart(entries, 'xl/sharedStrings.xml'), 'si').map(item => {
+      const runs = elements(item).filter(child => child.name !== 'rPh');
+      return runs.map(run => (run.name === 't' ? textContent(run) : descendants(run, 't').map(textContent).join(''))).join('');
+    })
+    : [];
+
+  const rows = [];
+  descendants(readPart(entries, selected.path), 'row').forEach((rowNode, position) => {
+    const rowNumber = rowNode.attrs.r ? parseInt(rowNode.attrs.r, 10) : position + 1;
+    const cells = [];
+    elements(rowNode, 'c').forEach((cell, cellPosition) => {
+      const index = cell.attrs.r ? columnIndex(cell.attrs.r) : cellPosition;
+      cells[index] = xlsxCellValue(cell, sharedStrings);
+    });
+    rows.push({ line: rowNumber, fields: Array.from(cells, value => value || '') });
+  });
+
+  return { sheetName: selected.name, rows };
+}
+
+function odsText(node) {
+  return node.children.map(child => {
+    if (typeof child === 'string') {
+      return child;
+    }
+    if (child.name === 'text:s') {
+      return ' '.repeat(parseInt(child.attrs['text:c'] || '1', 10));
+    }
+    if (child.name === 'text:tab') {
+      return '\t';
+    }
+    if (child.name === 'text:line-break') {
+      return '\n';
+    }
+    return odsText(child);
+  }).join('');
+}
+
+function odsCellValue(cell) {
+  const paragraphs = elements(cell, 'text:p');
+  if (paragraphs.length > 0) {
+    return paragraphs.map(odsText).join('\n');
+  }
+  return cell.attrs['office:value'] || cell.attrs['office:string-value'] || '';
+}
+
+function readOds(entries, sheet) {
+  const content = readPart(entries, 'content.xml');
+  const tables = descendants(content, 'table:table');
+  if (tables.length === 0) {
+    throw new Error('Workbook has no sheets');
+  }
+  const sheets = tables.map(node => ({ name: node.attrs['table:name'], node }));
+  const selected = selectSheet(sheets, sheet);
+
+  // Repeat counts can cover the whole sheet (a million empty rows), so
+  // empty rows and cells are only materialised when data follows them.
+  const rows = [];
+  let rowNumber = 1;
+  descendants(selected.node, 'table:table-row').forEach(rowNode => {
+    const repeat = parseInt(rowNode.attrs['table:number-rows-repeated'] || '1', 10);
+    const fields = [];
+    let pendingEmpty = 0;
+
+    elements(rowNode).filter(cell => cell.name === 'table:table-cell' || cell.name === 'table:covered-table-cell').forEach(cell => {
+      const cellRepeat = parseInt(cell.attrs['table:number-columns-repeated'] || '1', 10);
+      const value = odsCellValue(cell);
+      if (value === '') {
+        pendingEmpty += cellRepeat;
+        return;
+      }
+      for (let i = 0; i < pendingEmpty; i++) {
+        fields.push('');
+      }
+      pendingEmpty = 0;
+      for (let i = 0; i < cellRepeat; i++) {
+        fields.push(value);
+      }
+    });
+
+    if (fields.length > 0) {
+      for (let i = 0; i < repeat; i++) {
+        rows.push({ line: rowNumber + i, fields: fields.slice() });
+      }
+    }
+    rowNumber += repeat;
+  });
+
+  return { sheetName: selected.name, rows };
+}
+
+// Reads one sheet of an .xlsx or .ods workbook. Returns
+// { sheetName, rows } where each row is { line, fields } with the
+// spreadsheet's own 1-based row number; blank rows are left out.
+function readSpreadsheet(buffer, format, options = {}) {
+  const entries = readZip(buffer);
+  const sheet = format === '.ods' ? readOds(entries, options.sheet) : readXlsx(entries, options.sheet);
+
+  sheet.rows = sheet.rows
+    .map(row => {
+      const fields = row.fields.map(value => value.trim());
+      while (fields.length > 0 && fields[fields.length - 1] === '') {
+        fields.pop();
+      }
+      return { line: row.line, fields };
+    })
+    .filter(row => row.fields.length > 0);
+
+  return sheet;
+}
+
+module.exports = {
+  readSpreadsheet,
+  parseXml,
+};
@@ -1,6 +1,65 @@
 // Avery label template configurations
-// This file contains all built-in Avery label template specifications
-// To add new templates, simply add them to this object
+// This file contains all built-in Avery label template specifications.
+// Templates for other sheets go in a template library file instead (see
+// loadUserTemplates below); those are merged over the built-ins.
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const MM_PER_INCH = 25.4;
+
+// Page sizes in inches. Templates name one of these in pageSize, or give
+// their own as "WIDTHxHEIGHT" with mm or in units.
+const PAGE_SIZES = {
+  letter: { name: 'Letter', width: 8.5, height: 11 },
+  legal: { name: 'Legal', width: 8.5, height: 14 },
+  a4: { name: 'A4', width: 210 / MM_PER_INCH, height: 297 / MM_PER_INCH },
+};
+
+// Millimetres to inches, for templates measured in mm
+function mm(value) {
+  return Math.round((value / MM_PER_INCH) * 10000) / 10000;
+}
+
+// Inches in one unit of measurement, shared by everything that takes mm
+const INCHES_PER_UNIT = { in: 1, mm: 1 / MM_PER_INCH };
+const PAGE_SIZE_HELP = 'Use letter, legal, a4, or WIDTHxHEIGHT in mm or in (e.g. "210x297mm")';
+
+// "210x297mm" or "8.5 x 14 in" as { width, height, units }
+function parsePageSize(text) {
+  const match = text.trim().match(/^(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)\s*(mm|in)?$/i);
+  if (!match) {
+    throw new Error(`Unknown page size: ${text}. ${PAGE_SIZE_HELP}`);
+  }
+  return { width: Number(match[1]), height: Number(match[2]), units: match[3] };
+}
+
+// A template's page size as { name, width, height } in inches. pageSize
+// is a name from PAGE_SIZES, "WIDTHxHEIGHT" with an "mm" or "in" suffix
+// (inches if none), or { width, height, units }. Templates without one
+// are Letter.
+function resolvePageSize(pageSize) {
+  if (pageSize === undefined || pageSize === null) {
+    return PAGE_SIZES.letter;
+  }
+  if (typeof pageSize === 'string' && PAGE_SIZES[pageSize.toLowerCase()]) {
+    return PAGE_SIZES[pageSize.toLowerCase()];
+  }
+
+  const size = typeof pageSize === 'string' ? parsePageSize(pageSize) : pageSize;
+  const units = String(size.units || 'in').toLowerCase();
+  const scale = INCHES_PER_UNIT[units];
+  if (typeof size !== 'object' || !scale) {
+    throw new Error(`Unknown page size: ${JSON.stringify(pageSize)}. ${PAGE_SIZE_HELP}`);
+  }
+  const width = size.width * scale;
+  const height = size.height * scale;
+  if ([width, height].some(length => !(length > 0 && length <= 48))) {
+    throw new Error(`Page size must be more than 0 and at most 48 inches each way (got ${JSON.stringify(pageSize)})`);
+  }
+  return { name: `${size.width} x ${size.height} ${units}`, width, height };
+}
 
 const templates = {
   // 1" x 2-5/8" labels (30 per sheet) - Recommended for lunch orders
@@ -14,6 +73,7 @@ const templates = {
     marginLeft: 0.1875,
     horizontalGap: 0.125,
     verticalGap: 0.0,
+    pageSize: 'letter',
     description: '1" x 2-5/8" (30 per sheet) - Recommended for lunch orders'
   },
   '8160': {
@@ -26,6 +86,7 @@ const templates = {
     marginLeft: 0.1875,
     horizontalGap: 0.125,
     verticalGap: 0.0,
+    pageSize: 'letter',
     description: '1" x 2-5/8" (30 per sheet)'
   },
   // 1-1/3" x 4" labels (14 per sheet) - Address labels
@@ -39,6 +100,7 @@ const templates = {
     marginLeft: 0.25,
     horizontalGap: 0.25,
     verticalGap: 0.125,
+    pageSize: 'letter',
     description: '1-1/3" x 4" (14 per sheet) - Address labels'
   },
   // 2" x 4" labels (10 per sheet) - Shipping labels
@@ -52,6 +114,7 @@ const templates = {
     marginLeft: 0.25,
     horizontalGap: 0.25,
     verticalGap: 0.125,
+    pageSize: 'letter',
     description: '2" x 4" (10 per sheet) - Shipping labels'
   },
   '8163': {
@@ -64,6 +127,7 @@ const templates = {
     marginLeft: 0.25,
     horizontalGap: 0.25,
     verticalGap: 0.125,
+    pageSize: 'letter',
     description: '2" x 4" (10 per sheet) - Shipping labels'
   },
   // 3-1/3" x 4" labels (6 per sheet)
@@ -77,6 +141,7 @@ const templates = {
     marginLeft: 0.5,
     horizontalGap: 0.25,
     verticalGap: 0.25,
+    pageSize: 'letter',
     description: '3-1/3" x 4" (6 per sheet)'
   },
   '8164': {
@@ -89,6 +154,7 @@ const templates = {
     marginLeft: 0.5,
     horizontalGap: 0.25,
     verticalGap: 0.25,
+    pageSize: 'letter',
     description: '3-1/3" x 4" (6 per sheet)'
   },
   // 1/2" x 1-3/4" labels (80 per sheet) - Return address labels
@@ -102,34 +168,387 @@ const templates = {
     marginLeft: 0.125,
     horizontalGap: 0.125,
     verticalGap: 0.0625,
+    pageSize: 'letter',
     description: '1/2" x 1-3/4" (80 per sheet) - Return address labels'
-  }
+  },
+  // 63.5 x 38.1mm A4 labels (21 per sheet) - Address labels
+  L7160: {
+    name: 'L7160',
+    labelWidth: mm(63.5),
+    labelHeight: mm(38.1),
+    labelsPerRow: 3,
+    labelsPerColumn: 7,
+    marginTop: mm(15.1),
+    marginLeft: mm(7.2),
+    horizontalGap: mm(2.5),
+    verticalGap: 0,
+    pageSize: 'a4',
+    description: 'A4 63.5 x 38.1mm (21 per sheet) - Address labels',
+  },
+  // 63.5 x 46.6mm A4 labels (18 per sheet)
+  L7161: {
+    name: 'L7161',
+    labelWidth: mm(63.5),
+    labelHeight: mm(46.6),
+    labelsPerRow: 3,
+    labelsPerColumn: 6,
+    marginTop: mm(8.8),
+    marginLeft: mm(7.2),
+    horizontalGap: mm(2.5),
+    verticalGap: 0,
+    pageSize: 'a4',
+    description: 'A4 63.5 x 46.6mm (18 per sheet)',
+  },
+  // 99.1 x 33.9mm A4 labels (16 per sheet)
+  L7162: {
+    name: 'L7162',
+    labelWidth: mm(99.1),
+    labelHeight: mm(33.9),
+    labelsPerRow: 2,
+    labelsPerColumn: 8,
+    marginTop: mm(12.9),
+    marginLeft: mm(4.7),
+    horizontalGap: mm(2.5),
+    verticalGap: 0,
+    pageSize: 'a4',
+    description: 'A4 99.1 x 33.9mm (16 per sheet)',
+  },
+  // 99.1 x 38.1mm A4 labels (14 per sheet) - Parcel labels
+  L7163: {
+    name: 'L7163',
+    labelWidth: mm(99.1),
+    labelHeight: mm(38.1),
+    labelsPerRow: 2,
+    labelsPerColumn: 7,
+    marginTop: mm(15.1),
+    marginLeft: mm(4.7),
+    horizontalGap: mm(2.5),
+    verticalGap: 0,
+    pageSize: 'a4',
+    description: 'A4 99.1 x 38.1mm (14 per sheet) - Parcel labels',
+  },
+  // 99.1 x 67.7mm A4 labels (8 per sheet) - Parcel labels
+  L7165: {
+    name: 'L7165',
+    labelWidth: mm(99.1),
+    labelHeight: mm(67.7),
+    labelsPerRow: 2,
+    labelsPerColumn: 4,
+    marginTop: mm(13.1),
+    marginLeft: mm(4.7),
+    horizontalGap: mm(2.5),
+    verticalGap: 0,
+    pageSize: 'a4',
+    description: 'A4 99.1 x 67.7mm (8 per sheet) - Parcel labels',
+  },
+  // 38.1 x 21.2mm A4 labels (65 per sheet) - Mini labels
+  L7651: {
+    name: 'L7651',
+    labelWidth: mm(38.1),
+    labelHeight: mm(21.2),
+    labelsPerRow: 5,
+    labelsPerColumn: 13,
+    marginTop: mm(10.7),
+    marginLeft: mm(4.7),
+    horizontalGap: mm(2.5),
+    verticalGap: 0,
+    pageSize: 'a4',
+    description: 'A4 38.1 x 21.2mm (65 per sheet) - Mini labels',
+  },
 };
 
+// Templates from library files, by name, and the file each came from.
+// Filled by loadUserTemplates.
+let userTemplates = {};
+let userTemplateSources = {};
+
+const TEMPLATE_FIELDS = ['labelWidth', 'labelHeight', 'labelsPerRow', 'labelsPerColumn', 'marginTop', 'marginLeft', 'horizontalGap', 'verticalGap'];
+const RESERVED_NAMES = ['custom', 'manual'];
+const LIBRARY_FILE_NAMES = ['templates.json', 'templates.yaml', 'templates.yml'];
+const PROJECT_FILE_NAMES = ['lunch-label-templates.json', 'lunch-label-templates.yaml', 'lunch-label-templates.yml'];
+
+// Checks a template's geometry. Used for every template drawn, built-in or not.
+function validateTemplate(template) {
+  if (!template || typeof template !== 'object') {
+    throw new Error('Template must be a valid object');
+  }
+
+  const requiredFields = ['labelWidth', 'labelHeight', 'labelsPerRow', 'labelsPerColumn', 'marginTop', 'marginLeft'];
+  const missingFields = requiredFields.filter(field => typeof template[field] !== 'number' || template[field] <= 0);
+
+  if (missingFields.length > 0) {
+    throw new Error(`Template missing required fields: ${missingFields.join(', ')}`);
+  }
+
+  // Validate reasonable ranges
+  if (template.labelWidth > 10 || template.labelHeight > 10) {
+    throw new Error('Label dimensions too large (max 10 inches)');
+  }
+
+  if (template.labelsPerRow > 10 || template.labelsPerColumn > 20) {
+    throw new Error('Too many labels per page');
+  }
+
+  resolvePageSize(template.pageSize);
+
+  return true;
+}
+
+// Saved and custom templates are also checked for what the built-ins get
+// right by hand: whole label counts, gaps, corners, and a grid of labels
+// that fits on the page
+function validateTemplateGeometry(template) {
+  const notNumbers = TEMPLATE_FIELDS.filter(field => typeof template[field] !== 'number' || !Number.isFinite(template[field]));
+  if (notNumbers.length > 0) {
+    throw new Error(`Template fields must be numbers: ${notNumbers.join(', ')}`);
+  }
+  validateTemplate(template);
+
+  ['labelsPerRow', 'labelsPerColumn'].forEach(field => {
+    if (!Number.isInteger(template[field])) {
+      throw new Error(`${field} must be a whole number`);
+    }
+  });
+  ['horizontalGap', 'verticalGap'].forEach(field => {
+    if (typeof template[field] !== 'number' || template[field] < 0) {
+      throw new Error(`${field} must be a number of inches, 0 or more`);
+    }
+  });
+  if (template.cornerRadius !== undefined) {
+    const maxRadius = Math.min(template.labelWidth, template.labelHeight) / 2;
+    if (typeof template.cornerRadius !== 'number' || !(template.cornerRadius >= 0 && template.cornerRadius <= maxRadius)) {
+      throw new Error(`cornerRadius must be from 0 to half the label's shorter side (${maxRadius.toFixed(3)}")`);
+    }
+  }
+
+  const page = resolvePageSize(template.pageSize);
+  const width = template.marginLeft + template.labelsPerRow * template.labelWidth + (template.labelsPerRow - 1) * template.horizontalGap;
+  const height = template.marginTop + template.labelsPerColumn * template.labelHeight + (template.labelsPerColumn - 1) * template.verticalGap;
+  if (width > page.width + 0.001 || height > page.height + 0.001) {
+    throw new Error(`Labels take ${width.toFixed(3)}" x ${height.toFixed(3)}" with margins, more than the ${page.name} page (${page.width.toFixed(2)}" x ${page.height.toFixed(2)}")`);
+  }
+
+  return true;
+}
+
+// Builds a template from a library entry: gaps default to 0, the page to
+// Letter, and only the known fields are kept
+function normalizeLibraryTemplate(name, entry, where) {
+  if (RESERVED_NAMES.includes(name)) {
+    throw new Error(`${where}: "${name}" is reserved, choose another template name`);
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${where}: template "${name}" must be an object`);
+  }
+
+  const template = { name };
+  TEMPLATE_FIELDS.forEach(field => {
+    template[field] = entry[field] === undefined && field.endsWith('Gap') ? 0 : entry[field];
+  });
+  ['cornerRadius', 'pageSize'].filter(field => entry[field] !== undefined).forEach(field => {
+    template[field] = entry[field];
+  });
+  template.description = entry.description === undefined ? 'Custom template' : String(entry.description);
+
+  try {
+    validateTemplateGeometry(template);
+  } catch (error) {
+    throw new Error(`${where}: template "${name}": ${error.message}`);
+  }
+  return template;
+}
+
+function isYamlFile(filePath) {
+  return /\.ya?ml$/i.test(filePath);
+}
+
+// A template library is an object of name: template, optionally under a
+// "templates" key
+function parseTemplateFile(filePath, content) {
+  let library;
+  try {
+    library = isYamlFile(filePath) ? yaml.load(content) : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid template file ${filePath}: ${error.message}`);
+  }
+  if (library === undefined || library === null) {
+    return {};
+  }
+  if (library.templates && typeof library.templates === 'object') {
+    library = library.templates;
+  }
+  if (typeof library !== 'object' || Array.isArray(library)) {
+    throw new Error(`Invalid template file ${filePath}: expected an object of template name: template`);
+  }
+  return library;
+}
+
+// Returns a library file's raw entries; a missing file is empty
+async function readTemplateFile(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+  return parseTemplateFile(filePath, content);
+}
+
+async function writeTemplateFile(filePath, library) {
+  const content = isYamlFile(filePath)
+    ? yaml.dump({ templates: library })
+    : `${JSON.stringify({ templates: library }, null, 2)}\n`;
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.writeFile(filePath, content);
+}
+
+// Directory for per-user settings: $XDG_CONFIG_HOME or ~/.config, or
+// %APPDATA% on Windows
+function getConfigDir() {
+  const base = process.platform === 'win32'
+    ? process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming')
+    : process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'lunch-label-formatter');
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function firstExisting(directory, names) {
+  for (const name of names) {
+    if (await fileExists(path.join(directory, name))) {
+      return path.join(directory, name);
+    }
+  }
+  return null;
+}
+
+// Library files in the order they are merged, later ones winning: the
+// user's config directory, the project directory, then templatesFile.
+// Each is { scope, path, exists }; files that do not exist yet are listed
+// at the path `templates add` would create.
+async function getTemplateFiles(options = {}) {
+  const configDir = options.configDir || getConfigDir();
+  const cwd = options.cwd || process.cwd();
+  const userFile = await firstExisting(configDir, LIBRARY_FILE_NAMES);
+  const projectFile = await firstExisting(cwd, PROJECT_FILE_NAMES);
+
+  const files = [
+    { scope: 'user', path: userFile || path.join(configDir, LIBRARY_FILE_NAMES[0]), exists: Boolean(userFile) },
+    { scope: 'project', path: projectFile || path.join(cwd, PROJECT_FILE_NAMES[0]), exists: Boolean(projectFile) },
+  ];
+  if (options.templatesFile) {
+    const filePath = path.resolve(options.templatesFile);
+    files.push({ scope: 'file', path: filePath, exists: await fileExists(filePath) });
+  }
+  return files;
+}
+
+// Loads the template library files over the built-ins. Returns the files
+// read. A templatesFile that does not exist is an error; the user and
+// project files are optional.
+async function loadUserTemplates(options = {}) {
+  const files = await getTemplateFiles(options);
+  const loaded = {};
+  const sources = {};
+  const read = [];
+
+  for (const file of files) {
+    if (!file.exists) {
+      if (file.scope === 'file') {
+        throw new Error(`Template file not found: ${options.templatesFile}`);
+      }
+      continue;
+    }
+    const library = await readTemplateFile(file.path);
+    Object.entries(library).forEach(([name, entry]) => {
+      loaded[name] = normalizeLibraryTemplate(name, entry, `Template file ${file.path}`);
+      sources[name] = file.path;
+    });
+    read.push(file.path);
+  }
+
+  userTemplates = loaded;
+  userTemplateSources = sources;
+  return read;
+}
+
+// Adds or replaces one template in a library file. Returns the template
+// as saved.
+async function saveUserTemplate(filePath, name, entry) {
+  const template = normalizeLibraryTemplate(name, entry, `Template file ${filePath}`);
+  const library = await readTemplateFile(filePath);
+  const saved = { ...template };
+  delete saved.name;
+  library[name] = saved;
+  await writeTemplateFile(filePath, library);
+  return template;
+}
+
+// Removes a template from a library file. Returns false when the file
+// does not define it.
+async function removeUserTemplate(filePath, name) {
+  const library = await readTemplateFile(filePath);
+  if (!Object.prototype.hasOwnProperty.call(library, name)) {
+    return false;
+  }
+  delete library[name];
+  await writeTemplateFile(filePath, library);
+  return true;
+}
+
 // Helper functions
 function getTemplateByName(templateName) {
-  if (!templates[templateName]) {
+  const template = getAllTemplates()[templateName];
+  if (!template && templateName === 'custom') {
+    throw new Error('The custom template has no fixed measurements. Build one with createCustomTemplate(), or give the measurements with --label-width etc. or --wizard');
+  }
+  if (!template) {
     throw new Error(`Unknown template: ${templateName}. Use './run.sh templates' to see available options.`);
   }
-  return templates[templateName];
+  return template;
 }
 
 function getAllTemplates() {
-  return templates;
+  return { ...templates, ...userTemplates };
 }
 
 function getTemplateNames() {
-  return Object.keys(templates);
+  return Object.keys(getAllTemplates());
+}
+
+// Where a template comes from: 'built-in' or the library file path
+function getTemplateSource(templateName) {
+  return userTemplateSources[templateName] || (templates[templateName] ? 'built-in' : null);
 }
 
 function isValidTemplateName(name) {
-  return Object.keys(templates).includes(name) || name === 'custom';
+  return getTemplateNames().includes(name) || name === 'custom';
 }
 
 module.exports = {
+  INCHES_PER_UNIT,
   templates,
   getTemplateByName,
   getAllTemplates,
   getTemplateNames,
-  isValidTemplateName
-}; 
\ No newline at end of file
+  getTemplateSource,
+  isValidTemplateName,
+  validateTemplate,
+  validateTemplateGeometry,
+  resolvePageSize,
+  loadUserTemplates,
+  getConfigDir,
+  getTemplateFiles,
+  saveUserTemplate,
+  removeUserTemplate,
+};
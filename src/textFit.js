@@ -0,0 +1,176 @@
+// Fitting layout text into a label
+// Shared by drawing and by auto-fit. A sizing says how big text is:
+// { fontSizes, scale, lineHeight, lineSpacing }, where fontSizes gives the
+// named layout sizes in points, scale multiplies sizes given in points,
+// and a row advances by the larger of lineHeight and its biggest font
+// size times lineSpacing.
+const { wrapText } = require('./utils');
+
+// Space between the columns of a layout row, in points
+const COLUMN_GAP = 4;
+
+// Auto-fit scales these relative sizes, so a name stays bigger than the
+// contents whatever the label size
+const BASE_FONT_SIZES = { orderId: 7, studentName: 9, grade: 7, contents: 7, specialInstructions: 6 };
+const AUTO_FIT_LINE_SPACING = 1.2;
+const DEFAULT_MIN_FONT_SIZE = 5;
+const DEFAULT_MAX_FONT_SIZE = 16;
+
+// Sizing for the fixed font sizes of calculateFontSizes
+function fixedSizing(fontSizes, lineHeight) {
+  return { fontSizes, scale: 1, lineHeight, lineSpacing: 1 };
+}
+
+// Sizing for auto-fit at a scale of BASE_FONT_SIZES
+function scaledSizing(scale) {
+  const fontSizes = {};
+  Object.entries(BASE_FONT_SIZES).forEach(([name, size]) => {
+    fontSizes[name] = size * scale;
+  });
+  return { fontSizes, scale, lineHeight: 0, lineSpacing: AUTO_FIT_LINE_SPACING };
+}
+
+function fieldSize(spec, sizing) {
+  return typeof spec.size === 'number' ? spec.size * sizing.scale : sizing.fontSizes[spec.size];
+}
+
+function rowLineHeight(row, sizing) {
+  return Math.max(sizing.lineHeight, ...row.columns.map(column => fieldSize(column, sizing) * sizing.lineSpacing));
+}
+
+// Widths of a row's columns: fixed fractions first, the rest shared equally
+function columnWidths(row, width) {
+  const gap = row.columns.length > 1 ? COLUMN_GAP : 0;
+  const available = width - gap * (row.columns.length - 1);
+  const fixedWidth = row.columns.reduce((sum, column) => sum + (column.width || 0) * available, 0);
+  const flexibleCount = row.columns.filter(column => !column.width).length;
+  return row.columns.map(column => (column.width ? column.width * available : (available - fixedWidth) / flexibleCount));
+}
+
+// Text of a layout field for an order, or '' when the field is empty
+function fieldText(order, spec) {
+  if (spec.text !== undefined) {
+    return spec.text;
+  }
+  const value = order[spec.field];
+  const text = value === undefined || value === null ? '' : String(value).trim().replace(/\s+/g, ' ');
+  return text ? `${spec.prefix}${text}${spec.suffix}` : '';
+}
+
+// Breaks a field's text into at most spec.maxLines lines of width.
+// Returns { lines, status } where status is 'ok', 'truncated' or 'omitted'.
+function fitField(text, spec, font, size, width) {
+  if (spec.maxLines > 1) {
+    const lines = wrapText(text, font, size, width);
+    if (lines.length <= spec.maxLines) {
+      return { lines, status: 'ok' };
+    }
+    return spec.overflow === 'omit'
+      ? { lines: [], status: 'omitted' }
+      : { lines: lines.slice(0, spec.maxLines), status: 'truncated' };
+  }
+
+  if (font.widthOfTextAtSize(text, size) <= width) {
+    return { lines: [text], status: 'ok' };
+  }
+  if (spec.overflow === 'omit') {
+    return { lines: [], status: 'omitted' };
+  }
+  let truncated = text;
+  while (truncated.length > 0 && font.widthOfTextAtSize(`${truncated}...`, size) > width) {
+    truncated = truncated.slice(0, -1);
+  }
+  return { lines: [truncated.length > 0 ? `${truncated}...` : ''], status: 'truncated' };
+}
+
+// Height the rows need at a sizing, or Infinity when a field would be
+// truncated or left out. box is { width, fonts, skipFields, reserve },
+// where reserve(sizing) is width taken from the end of the first row.
+function measureRows(order, rows, box, sizing) {
+  let height = 0;
+  for (let rowIndex = 0; rowIndex < rows.length; rowIndex++) {
+    const row = rows[rowIndex];
+    const width = rowIndex === 0 ? box.width - box.reserve(sizing) : box.width;
+    const widths = columnWidths(row, width);
+    let lines = 0;
+    for (let index = 0; index < row.columns.length; index++) {
+      const spec = row.columns[index];
+      const text = spec.field !== 'text' && box.skipFields.includes(spec.field) ? '' : fieldText(order, spec);
+      if (text) {
+        const fit = fitField(text, spec, box.fonts[spec.font], fieldSize(spec, sizing), widths[index]);
+        if (fit.status !== 'ok') {
+          return Infinity;
+        }
+        lines = Math.max(lines, fit.lines.length);
+      }
+    }
+    height += lines * rowLineHeight(row, sizing);
+  }
+  return height;
+}
+
+// Checks { minFontSize, maxFontSize } and fills in the defaults
+function autoFitBounds(options = {}) {
+  const bounds = {
+    minFontSize: options.minFontSize === undefined ? DEFAULT_MIN_FONT_SIZE : Number(options.minFontSize),
+    maxFontSize: options.maxFontSize === undefined ? DEFAULT_MAX_FONT_SIZE : Number(options.maxFontSize),
+  };
+  Object.entries(bounds).forEach(([name, value]) => {
+    if (!Number.isFinite(value) || value < 2 || value > 72) {
+      throw new Error(`${name} must be a number of points from 2 to 72`);
+    }
+  });
+  if (bounds.minFontSize > bounds.maxFontSize) {
+    throw new Error(`minFontSize (${bounds.minFontSize}) is larger than maxFontSize (${bounds.maxFontSize})`);
+  }
+  return bounds;
+}
+
+// The smallest sizing auto-fit uses for rows, with the smallest font at
+// bounds.minFontSize
+function minimumSizing(rows, bounds) {
+  const baseSizes = rows.flatMap(row => row.columns.map(column => fieldSize(column, scaledSizing(1))));
+  return scaledSizing(bounds.minFontSize / Math.min(...baseSizes));
+}
+
+// Largest scale at which every field of the order fits in height, with
+// the smallest text no smaller than minFontSize and the largest no bigger
+// than maxFontSize. Returns { sizing, fits }; when nothing fits, the
+// sizing is the minimum and fields will be truncated.
+function findAutoFitSizing(order, rows, box, height, bounds) {
+  const baseSizes = rows.flatMap(row => row.columns.map(column => fieldSize(column, scaledSizing(1))));
+  const minScale = minimumSizing(rows, bounds).scale;
+  const maxScale = Math.max(minScale, bounds.maxFontSize / Math.max(...baseSizes));
+  const fits = scale => measureRows(order, rows, box, scaledSizing(scale)) <= height;
+
+  if (fits(maxScale)) {
+    return { sizing: scaledSizing(maxScale), fits: true };
+  }
+  if (!fits(minScale)) {
+    return { sizing: scaledSizing(minScale), fits: false };
+  }
+  let low = minScale;
+  let high = maxScale;
+  while (high - low > 0.005) {
+    const middle = (low + high) / 2;
+    if (fits(middle)) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return { sizing: scaledSizing(low), fits: true };
+}
+
+module.exports = {
+  COLUMN_GAP,
+  fixedSizing,
+  fieldSize,
+  rowLineHeight,
+  columnWidths,
+  fieldText,
+  fitField,
+  autoFitBounds,
+  minimumSizing,
+  findAutoFitSizing,
+};
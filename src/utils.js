@@ -1,4 +1,5 @@
 // Utility functions for the label formatter
+const path = require('path');
 
 // Dynamic font sizing based on label dimensions
 function calculateFontSizes(template) {
@@ -44,6 +45,47 @@ function calculateFontSizes(template) {
   return fontSizes[sizeCategory];
 }
 
+// Wraps text into lines no wider than maxWidth. Words that are too long on
+// their own are broken between characters.
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  let currentLine = '';
+
+  String(text).trim().split(/\s+/).filter(Boolean).forEach(word => {
+    const testLine = currentLine ? `${currentLine} ${word}` : word;
+    if (font.widthOfTextAtSize(testLine, size) <= maxWidth) {
+      currentLine = testLine;
+      return;
+    }
+    if (currentLine) {
+      lines.push(currentLine);
+    }
+    currentLine = '';
+    for (const char of word) {
+      if (currentLine && font.widthOfTextAtSize(currentLine + char, size) > maxWidth) {
+        lines.push(currentLine);
+        currentLine = '';
+      }
+      currentLine += char;
+    }
+  });
+
+  if (currentLine) {
+    lines.push(currentLine);
+  }
+  return lines;
+}
+
+// "out/labels.pdf" -> "out/labels-2024-09-03T07-30-00.pdf", the name
+// generate --timestamp gives its output
+function timestampedPath(filePath, date = new Date()) {
+  const timestamp = date.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const ext = path.extname(filePath);
+  return path.join(path.dirname(filePath), `${path.basename(filePath, ext)}-${timestamp}${ext}`);
+}
+
 module.exports = {
-  calculateFontSizes
+  calculateFontSizes,
+  wrapText,
+  timestampedPath,
 }; 
\ No newline at end of file
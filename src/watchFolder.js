@@ -0,0 +1,229 @@
+// Watch folder
+// Makes labels as order exports arrive: each new or changed .csv or .json
+// file in a folder is loaded, validated and passed to createLunchLabels,
+// as generate does. Every run writes a status file beside its PDF in the
+// output folder, both named like generate --timestamp output
+// ("orders-2024-09-03T07-30-00.pdf" and ".status.json"). A file that
+// fails is moved to the quarantine folder under the same name, so a bad
+// export is never skipped quietly. Files are only read once they have
+// stopped changing, so half-written exports are left alone.
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { readOrderFile } = require('./dataHandler');
+const { validateOrders, assertValidOrders } = require('./orderSchema');
+const { createLunchLabels } = require('./labelGenerator');
+const { resolveLogger } = require('./logger');
+const { timestampedPath } = require('./utils');
+
+const WATCHED_EXTENSIONS = ['.csv', '.json'];
+
+// How long a file must go unchanged before it is read, in milliseconds
+const DEFAULT_SETTLE_TIME = 2000;
+
+function isOrderFile(name) {
+  return WATCHED_EXTENSIONS.includes(path.extname(name).toLowerCase()) && !name.startsWith('.') && !name.startsWith('~');
+}
+
+// Renames across drives by copying
+async function moveFile(from, to) {
+  await fs.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+}
+
+// Runs one order file through load, validate and createLunchLabels.
+// options: outputDir, quarantineDir, template (an object or name),
+// mapping (see columnMapping.js) and labelOptions for
+// createLunchLabels. Returns the status written to the status file: {
+// input, status ('ok' or 'failed'), startedAt, finishedAt, output,
+// orders, labels, pages, problems, labelWarnings, error, quarantined }.
+async function processOrderFile(filePath, options) {
+  const startedAt = new Date();
+  const base = path.join(options.outputDir, path.basename(filePath, path.extname(filePath)));
+  const outputPath = timestampedPath(`${base}.pdf`, startedAt);
+  const statusPath = outputPath.replace(/\.pdf$/, '.status.json');
+  const status = {
+    input: filePath,
+    status: 'ok',
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    output: null,
+    orders: 0,
+    labels: 0,
+    pages: 0,
+    problems: [],
+    labelWarnings: [],
+    error: null,
+    quarantined: null,
+  };
+
+  try {
+    const file = await readOrderFile(filePath, { mapping: options.mapping, silent: true });
+    status.orders = file.orders.length;
+    const { errors, warnings } = validateOrders(file.orders, { rows: file.rows, problems: file.problems });
+    status.problems = [...errors, ...warnings];
+    if (errors.length > 0) {
+      assertValidOrders(file.orders, { rows: file.rows, problems: file.problems });
+    }
+    const result = await createLunchLabels(file.orders, options.template, outputPath, { ...options.labelOptions, silent: true });
+    Object.assign(status, {
+      output: outputPath,
+      labels: result.labelCount,
+      pages: result.pageCount,
+      labelWarnings: result.warnings.map(warning => warning.message),
+    });
+  } catch (error) {
+    status.status = 'failed';
+    status.error = error.message;
+    status.quarantined = path.join(options.quarantineDir, path.basename(timestampedPath(filePath, startedAt)));
+    await moveFile(filePath, status.quarantined);
+  }
+
+  status.finishedAt = new Date().toISOString();
+  await fs.mkdir(options.outputDir, { recursive: true });
+  await fs.writeFile(statusPath, `${JSON.stringify(status, null, 2)}\n`);
+  status.statusFile = statusPath;
+  return status;
+}
+
+function reportRun(logger, status) {
+  const name = path.basename(status.input);
+  if (status.status === 'failed') {
+    logger.error(`${name}: ${status.error.split('\n')[0]}`);
+    logger.warning(`Moved ${name} to ${status.quarantined}; details in ${status.statusFile}`);
+    return;
+  }
+  const warnings = status.labelWarnings.length + status.problems.length;
+  logger.success(`${name}: ${status.labels} ${status.labels === 1 ? 'label' : 'labels'} on ${status.pages} ${status.pages === 1 ? 'sheet' : 'sheets'} -> ${status.output}${warnings > 0 ? ` (${warnings} ${warnings === 1 ? 'warning' : 'warnings'}, see ${status.statusFile})` : ''}`);
+}
+
+// Hands each file named to schedule(name) to onReady(name, signature)
+// once two looks settleTime apart find it the same size and age, and
+// not empty. signature tells versions of a file apart.
+function createSettler(dir, settleTime, onReady) {
+  const timers = new Map();
+  const seen = new Map();
+
+  const schedule = name => {
+    clearTimeout(timers.get(name));
+    timers.set(name, setTimeout(() => settle(name), settleTime));
+  };
+
+  const settle = async name => {
+    timers.delete(name);
+    const stats = await fs.stat(path.join(dir, name)).catch(() => null);
+    if (!stats || !stats.isFile() || stats.size === 0) {
+      seen.delete(name);
+      return;
+    }
+    const signature = `${stats.size}:${stats.mtimeMs}`;
+    if (seen.get(name) === signature) {
+      onReady(name, signature);
+    } else {
+      seen.set(name, signature);
+      schedule(name);
+    }
+  };
+
+  return {
+    schedule,
+    cancel: () => {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    },
+  };
+}
+
+// Runs files one at a time, each version of a file once
+function createRunQueue(dir, settings, logger) {
+  const done = new Map();
+  let queue = Promise.resolve();
+  let closed = false;
+
+  const add = (name, signature) => {
+    if (done.get(name) === signature) {
+      return;
+    }
+    done.set(name, signature);
+    queue = queue.then(async() => {
+      if (closed) {
+        return;
+      }
+      try {
+        const status = await processOrderFile(path.join(dir, name), settings);
+        reportRun(logger, status);
+        if (settings.onRun) {
+          settings.onRun(status);
+        }
+      } catch (error) {
+        logger.error(`${name}: ${error.message}`);
+      }
+    });
+  };
+
+  return {
+    add,
+    close: () => {
+      closed = true;
+      return queue;
+    },
+  };
+}
+
+// Watches dir for order files until close() is called. Takes the options
+// of processOrderFile (outputDir and quarantineDir default to "output"
+// and "quarantine" inside dir) plus settleTime (ms a file must be
+// unchanged, default 2000), existing (also process files already in dir)
+// and onRun(status), called after each run. Returns { close() }; close
+// resolves once the run in progress has finished.
+async function watchFolder(dir, options = {}) {
+  const logger = resolveLogger(options);
+  const settings = {
+    ...options,
+    outputDir: options.outputDir || path.join(dir, 'output'),
+    quarantineDir: options.quarantineDir || path.join(dir, 'quarantine'),
+  };
+  const stats = await fs.stat(dir).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw new Error(`Watch folder not found: ${dir}`);
+  }
+  if ([settings.outputDir, settings.quarantineDir].some(folder => path.resolve(folder) === path.resolve(dir))) {
+    throw new Error('The output and quarantine folders must not be the watched folder');
+  }
+
+  const runs = createRunQueue(dir, settings, logger);
+  const settler = createSettler(dir, options.settleTime === undefined ? DEFAULT_SETTLE_TIME : options.settleTime, runs.add);
+  const watcher = fsSync.watch(dir, (eventType, name) => {
+    if (name && isOrderFile(name)) {
+      settler.schedule(name);
+    }
+  });
+  watcher.on('error', error => logger.error(`Watching ${dir} failed: ${error.message}`));
+
+  if (options.existing) {
+    (await fs.readdir(dir)).filter(isOrderFile).forEach(settler.schedule);
+  }
+  logger.info(`Watching ${dir} for ${WATCHED_EXTENSIONS.join(' and ')} files; labels go to ${settings.outputDir}`);
+
+  return {
+    close: () => {
+      watcher.close();
+      settler.cancel();
+      return runs.close();
+    },
+  };
+}
+
+module.exports = {
+  WATCHED_EXTENSIONS,
+  processOrderFile,
+  watchFolder,
+};
@@ -0,0 +1,136 @@
+// Minimal ZIP archive support
+// Spreadsheet workbooks (.xlsx, .ods) are ZIP archives of XML parts, and
+// split label output can be bundled into one. Only what those need is
+// supported: stored and deflated entries, no ZIP64.
+const zlib = require('zlib');
+const { crc32 } = require('./png');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64 KB
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error('Not a ZIP archive (end of central directory not found)');
+}
+
+// Returns a Map of entry name -> Buffer with the uncompressed contents
+function readZip(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const endOffset = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt ZIP archive (bad central directory entry)');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt ZIP archive (bad local header for ${name})`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      entries.set(name, zlib.inflateRawSync(data));
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+// MS-DOS time and date of a Date, as ZIP headers store them
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// The fields shared by an entry's local header (from offset 4) and its
+// central directory entry (from offset 6): version needed, flags (bit 11:
+// UTF-8 names), method, time, date, CRC, sizes and name length
+function entryHeader(fields) {
+  const header = Buffer.alloc(26);
+  header.writeUInt16LE(20, 0);
+  header.writeUInt16LE(0x0800, 2);
+  header.writeUInt16LE(fields.method, 4);
+  header.writeUInt16LE(fields.time, 6);
+  header.writeUInt16LE(fields.date, 8);
+  header.writeUInt32LE(fields.crc, 10);
+  header.writeUInt32LE(fields.compressedSize, 14);
+  header.writeUInt32LE(fields.size, 18);
+  header.writeUInt16LE(fields.nameLength, 22);
+  return header;
+}
+
+// A ZIP archive of entries [{ name, data }], data a Buffer or string.
+// Entries are deflated unless that would make them larger.
+function writeZip(entries, modified = new Date()) {
+  const { time, date } = dosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(entry => {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data);
+    const deflated = zlib.deflateRawSync(data);
+    const method = deflated.length < data.length ? 8 : 0;
+    const stored = method === 8 ? deflated : data;
+    const common = entryHeader({ method, time, date, crc: crc32(data), compressedSize: stored.length, size: data.length, nameLength: name.length });
+
+    const local = Buffer.alloc(4);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    localParts.push(local, common, name, stored);
+
+    const central = Buffer.alloc(6);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_ENTRY, 0);
+    central.writeUInt16LE(20, 4);
+    // Comment length, disk, attributes: all 0; then the local header offset
+    const location = Buffer.alloc(14);
+    location.writeUInt32LE(offset, 10);
+    centralParts.push(central, common, location, name);
+
+    offset += 4 + common.length + name.length + stored.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = {
+  readZip,
+  writeZip,
+};